@@ -0,0 +1,226 @@
+import { readdirSync } from 'fs';
+import { PermissionFlagsBits } from 'discord.js';
+import { resolveGameMode, resolveLanguage, extractGameModeFlag } from './services/settings.js';
+import { t } from './services/i18n.js';
+
+/**
+ * @typedef {Object} CommandArgument
+ * @property {string} name - Argument name (also the slash command option name)
+ * @property {string} description - Short description shown in help and slash commands
+ * @property {'string'|'integer'|'boolean'} [type='string'] - Value type; booleans are flags given as a bare "--name"
+ * @property {boolean} [required=false] - Whether the argument must be provided
+ * @property {boolean} [rest=false] - Consume all remaining words (e.g. item names); arguments declared
+ *   after it are trailing words the handler picks off itself (and separate slash command options)
+ * @property {string[]} [choices] - Allowed values
+ * @property {'items'|'quests'} [autocomplete] - Name index used for slash command autocomplete
+ * @property {boolean} [flag=false] - Given as "--name value" rather than by position; the handler
+ *   parses it (see parseFlags in utils/args.js)
+ */
+
+/**
+ * @typedef {Object} Command
+ * @property {string} name - Primary command name
+ * @property {string[]} [aliases] - Alternative names
+ * @property {string} [usage] - Argument usage shown after the command name, e.g. "<item name>"
+ * @property {string} description - One-line description for the help list
+ * @property {string} [category='General'] - Help section the command is listed under
+ * @property {string} [details] - Longer description for "!help <command>"
+ * @property {string[]} [examples] - Example arguments
+ * @property {CommandArgument[]} [args] - Argument schema
+ * @property {'everyone'|'moderator'|'admin'|'owner'} [permission='everyone'] - Who can run it
+ * @property {boolean} [slash=false] - Also register as a slash command
+ * @property {boolean} [hidden=false] - Leave out of the help list
+ * @property {Function} execute - Handler called with (message, args, context)
+ */
+
+/**
+ * @typedef {Object} CommandContext
+ * @property {'regular'|'pve'} gameMode - Game mode for API lookups (flag, then user, then guild setting)
+ * @property {string} lang - Language for replies and API names (user, then guild setting)
+ */
+
+// Permission levels, from least to most privileged
+const PERMISSION_CHECKS = {
+  everyone: () => true,
+  moderator: (message) => Boolean(message.member?.permissions?.has(PermissionFlagsBits.ManageMessages)),
+  admin: (message) => Boolean(message.member?.permissions?.has(PermissionFlagsBits.ManageGuild)),
+  owner: (message) => Boolean(process.env.BOT_OWNER_ID) && message.author.id === process.env.BOT_OWNER_ID,
+};
+
+const commands = new Map();
+const aliases = new Map();
+
+/**
+ * Get the configured command prefix
+ * @returns {string} Command prefix
+ */
+export function getPrefix() {
+  return process.env.PREFIX || '!';
+}
+
+/**
+ * Register a command and its aliases
+ * @param {Command} command - Command definition
+ */
+export function registerCommand(command) {
+  if (!command?.name || typeof command.execute !== 'function') {
+    throw new Error(`Invalid command definition: ${command?.name || 'unnamed'}`);
+  }
+
+  if (command.permission && !PERMISSION_CHECKS[command.permission]) {
+    throw new Error(`Unknown permission level "${command.permission}" for command ${command.name}`);
+  }
+
+  for (const name of [command.name, ...(command.aliases || [])]) {
+    if (commands.has(name) || aliases.has(name)) {
+      throw new Error(`Command name "${name}" is already registered`);
+    }
+  }
+
+  commands.set(command.name, command);
+  (command.aliases || []).forEach(alias => aliases.set(alias, command.name));
+}
+
+/**
+ * Load every command module in the commands directory
+ * A module's default export can be a single command or an array of commands
+ * @returns {Promise<number>} Number of registered commands
+ */
+export async function loadCommands() {
+  const directory = new URL('./commands/', import.meta.url);
+  const files = readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+
+  for (const file of files) {
+    const module = await import(new URL(file, directory));
+    const definitions = Array.isArray(module.default) ? module.default : [module.default];
+    definitions.forEach(registerCommand);
+  }
+
+  console.log(`📦 Loaded ${commands.size} commands`);
+  return commands.size;
+}
+
+/**
+ * Look up a command by name or alias
+ * @param {string} name - Command name or alias
+ * @returns {Command|undefined} Command definition
+ */
+export function getCommand(name) {
+  const key = name.toLowerCase();
+  return commands.get(key) || commands.get(aliases.get(key));
+}
+
+/**
+ * Get all registered commands
+ * @returns {Command[]} Command definitions in registration order
+ */
+export function getCommands() {
+  return [...commands.values()];
+}
+
+/**
+ * Check whether the message author may run a command
+ * @param {Message} message - Discord message object
+ * @param {Command} command - Command definition
+ * @returns {boolean} True if allowed
+ */
+export function hasPermission(message, command) {
+  return PERMISSION_CHECKS[command.permission || 'everyone'](message);
+}
+
+/**
+ * Format a command's usage line, e.g. "!item <item name>"
+ * @param {Command} command - Command definition
+ * @returns {string} Usage line
+ */
+export function formatUsage(command) {
+  return `${getPrefix()}${command.name}${command.usage ? ` ${command.usage}` : ''}`;
+}
+
+/**
+ * Validate arguments against a command's schema
+ * @param {Command} command - Command definition
+ * @param {string[]} args - Command arguments
+ * @param {string} lang - Language for the problem description
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validateArgs(command, args, lang) {
+  const schema = (command.args || []).filter(arg => !arg.flag);
+
+  for (const [idx, arg] of schema.entries()) {
+    // Trailing arguments after a rest argument are parsed by the handler
+    if (schema.slice(0, idx).some(previous => previous.rest)) {
+      break;
+    }
+
+    const value = arg.rest ? args.slice(idx).join(' ') : args[idx];
+
+    if (!value) {
+      if (arg.required) {
+        return t(lang, 'registry.missingArg', { arg: arg.description.toLowerCase() });
+      }
+      continue;
+    }
+
+    if (arg.type === 'integer' && !/^-?\d+$/.test(value)) {
+      return t(lang, 'registry.notWholeNumber', { arg: arg.description });
+    }
+
+    if (arg.choices && !arg.choices.includes(value.toLowerCase())) {
+      return t(lang, 'registry.notAChoice', { arg: arg.description, choices: arg.choices.join(', ') });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the per-invocation context for a command and strip the flags it consumed
+ * Handles --pve/--pvp, which every command accepts
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @returns {{args: string[], context: CommandContext}} Remaining arguments and the context
+ */
+export function resolveCommandContext(message, args) {
+  const { args: remaining, gameMode } = extractGameModeFlag(args);
+  const guildId = message.guild?.id || null;
+
+  return {
+    args: remaining,
+    context: {
+      gameMode: resolveGameMode(message.author.id, guildId, gameMode),
+      lang: resolveLanguage(message.author.id, guildId),
+    },
+  };
+}
+
+/**
+ * Dispatch a prefix command to its handler
+ * @param {Message} message - Discord message object
+ * @param {string} name - Command name or alias
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<boolean>} True if a command handled the message
+ */
+export async function dispatchCommand(message, name, args) {
+  const command = getCommand(name);
+  if (!command) return false;
+
+  const { args: commandArgs, context } = resolveCommandContext(message, args);
+
+  if (!hasPermission(message, command)) {
+    await message.reply(t(context.lang, 'registry.noPermission'));
+    return true;
+  }
+
+  const problem = validateArgs(command, commandArgs, context.lang);
+  if (problem) {
+    const example = command.examples?.length
+      ? `\n${t(context.lang, 'registry.example', { example: `${getPrefix()}${command.name} ${command.examples[0]}` })}`
+      : '';
+    await message.reply(`${t(context.lang, 'registry.usage', { problem, usage: formatUsage(command) })}${example}`);
+    return true;
+  }
+
+  await command.execute(message, commandArgs, context);
+  return true;
+}
@@ -0,0 +1,199 @@
+import { EmbedBuilder } from 'discord.js';
+import { searchItem, getItemById, getFleaPrice, formatNumber } from '../tarkovApi.js';
+import { addAlert, listAlerts, removeAlert, MAX_ALERTS_PER_USER } from '../services/alerts.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode, DEFAULT_GAME_MODE } from '../services/settings.js';
+import { t, DEFAULT_LANGUAGE } from '../services/i18n.js';
+import { parsePrice } from '../utils/args.js';
+import { createItemEmbed } from './item.js';
+
+const USAGE_EXAMPLES = '`!alert add graphics card below 300k`\n`!alert add bitcoin above 250k --channel`';
+
+/**
+ * Handle the price alert command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleAlertCommand(message, args, context) {
+  const [action, ...rest] = args;
+
+  switch (action.toLowerCase()) {
+    case 'add':
+      return handleAddAlert(message, rest, context);
+    case 'list':
+      return handleListAlerts(message, context);
+    case 'remove':
+    case 'delete':
+      return handleRemoveAlert(message, rest, context);
+    default:
+      return message.reply(t(context.lang, 'alert.unknownAction', { action }));
+  }
+}
+
+/**
+ * Create an alert: <item> below|above <price> [--dm|--channel]
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Arguments after "add"
+ * @param {CommandContext} context - Resolved game mode and language; the alert watches
+ *   that economy and notifies in that language
+ */
+async function handleAddAlert(message, args, context) {
+  const { lang } = context;
+  const delivery = args.includes('--channel') ? 'channel' : 'dm';
+  const words = args.filter(arg => !arg.startsWith('--'));
+  const directionIndex = words.findLastIndex(word => ['below', 'above'].includes(word.toLowerCase()));
+
+  const itemName = words.slice(0, directionIndex).join(' ');
+  const price = parsePrice(words.slice(directionIndex + 1).join(''));
+
+  if (directionIndex < 1 || !price) {
+    return message.reply(t(lang, 'alert.usage', { examples: USAGE_EXAMPLES }));
+  }
+
+  if (listAlerts(message.author.id).length >= MAX_ALERTS_PER_USER) {
+    return message.reply(t(lang, 'alert.limitReached', { max: MAX_ALERTS_PER_USER }));
+  }
+
+  const thinking = await message.reply(t(lang, 'item.searching', { query: itemName }));
+
+  try {
+    const [item] = await searchItem(itemName, context);
+    const direction = words[directionIndex].toLowerCase();
+
+    const alert = addAlert({
+      userId: message.author.id,
+      guildId: message.guild?.id || null,
+      channelId: message.channelId,
+      itemId: item.id,
+      itemName: item.name,
+      gameMode: item.gameMode,
+      lang,
+      direction,
+      price,
+      delivery,
+    });
+
+    const current = getFleaPrice(item);
+
+    await thinking.edit(t(lang, 'alert.created', {
+      id: alert.id,
+      where: t(lang, delivery === 'dm' ? 'alert.byDm' : 'alert.inChannel'),
+      item: item.name,
+      direction: t(lang, `alert.direction.${direction}`),
+      price: formatNumber(price),
+      mode: formatGameMode(item.gameMode),
+      current: current ? t(lang, 'alert.currently', { price: formatNumber(current) }) : '',
+    }));
+  } catch (error) {
+    console.error('Error in handleAddAlert:', error);
+    await thinking.edit(describeError(error, 'actions.createAlert', lang));
+  }
+}
+
+/**
+ * List the user's alerts
+ * @param {Message} message - Discord message object
+ * @param {CommandContext} context - Resolved language
+ */
+async function handleListAlerts(message, { lang }) {
+  const alerts = listAlerts(message.author.id);
+
+  if (alerts.length === 0) {
+    return message.reply(t(lang, 'alert.none', { examples: USAGE_EXAMPLES }));
+  }
+
+  const alertText = alerts
+    .map(alert => {
+      const where = alert.delivery === 'dm' ? t(lang, 'alert.dm') : `<#${alert.channelId}>`;
+      return `**#${alert.id}** ${alert.itemName} ${t(lang, `alert.direction.${alert.direction}`)} ${formatNumber(alert.price)} ₽ • ${formatGameMode(alert.gameMode)} • ${where}`;
+    })
+    .join('\n');
+
+  const embed = new EmbedBuilder()
+    .setColor(0x0099FF)
+    .setTitle(t(lang, 'alert.listTitle', { count: alerts.length, max: MAX_ALERTS_PER_USER }))
+    .setDescription(alertText)
+    .setFooter({ text: t(lang, 'alert.listFooter') })
+    .setTimestamp();
+
+  await message.reply({ embeds: [embed] });
+}
+
+/**
+ * Remove one of the user's alerts
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Arguments after "remove"
+ * @param {CommandContext} context - Resolved language
+ */
+async function handleRemoveAlert(message, args, { lang }) {
+  const id = parseInt((args[0] || '').replace('#', ''), 10);
+
+  if (Number.isNaN(id)) {
+    return message.reply(t(lang, 'alert.missingId'));
+  }
+
+  const removed = removeAlert(message.author.id, id);
+  if (!removed) {
+    return message.reply(t(lang, 'alert.unknownId', { id }));
+  }
+
+  await message.reply(t(lang, 'alert.removed', {
+    id,
+    item: removed.itemName,
+    direction: t(lang, `alert.direction.${removed.direction}`),
+    price: formatNumber(removed.price),
+  }));
+}
+
+/**
+ * Create the notification callback used by the alert poller
+ * Sends the item embed by DM or to the alert's channel, in the language the alert was
+ * created in; DMs that fail fall back to the channel
+ * @param {Client} client - Discord client
+ * @returns {Function} Async callback receiving (alert, price)
+ */
+export function createAlertNotifier(client) {
+  return async (alert, price) => {
+    const gameMode = alert.gameMode || DEFAULT_GAME_MODE;
+    const lang = alert.lang || DEFAULT_LANGUAGE;
+    const item = await getItemById(alert.itemId, { gameMode, lang });
+    const current = getFleaPrice(price);
+    const direction = t(lang, `alert.direction.${alert.direction}`);
+
+    const embed = createItemEmbed(item)
+      .setColor(alert.direction === 'below' ? 0x00FF00 : 0xFFAA00)
+      .setTitle(t(lang, 'alert.triggeredTitle', { item: item.name, direction, price: formatNumber(alert.price), mode: formatGameMode(gameMode) }))
+      .setDescription(t(lang, 'alert.triggeredDescription', { current: formatNumber(current), direction, price: formatNumber(alert.price) }))
+      .setFooter({ text: t(lang, 'alert.triggeredFooter', { id: alert.id }) });
+
+    if (alert.delivery === 'dm') {
+      try {
+        const user = await client.users.fetch(alert.userId);
+        await user.send({ embeds: [embed] });
+        return;
+      } catch (error) {
+        console.error(`Could not DM alert #${alert.id}, falling back to channel:`, error.message);
+      }
+    }
+
+    const channel = await client.channels.fetch(alert.channelId);
+    await channel.send({ content: `<@${alert.userId}>`, embeds: [embed] });
+  };
+}
+
+export default {
+  name: 'alert',
+  aliases: ['alerts'],
+  usage: '<add|list|remove> [item below|above price]',
+  description: 'Get pinged when a flea price crosses a threshold',
+  details: 'Manage flea market price alerts:\n• `add <item> below|above <price>` - ping by DM (add `--channel` to post here instead)\n• `list` - show your alerts\n• `remove <id>` - delete an alert\n\nPrices are checked every 5 minutes; each alert fires at most once an hour. Alerts watch the flea market of your current game mode (see `!mode`), or add `--pve`/`--pvp`.',
+  examples: ['add graphics card below 300k', 'list', 'remove 3'],
+  args: [
+    { name: 'action', description: 'Alert action', required: true, choices: ['add', 'list', 'remove', 'delete'] },
+    { name: 'details', description: 'Item, direction and price (for add) or alert number (for remove)', rest: true },
+  ],
+  category: 'Items',
+  permission: 'everyone',
+  execute: handleAlertCommand,
+};
@@ -0,0 +1,219 @@
+import { EmbedBuilder } from 'discord.js';
+import { formatNumber } from '../tarkovApi.js';
+import {
+  findAmmo,
+  formatCaliber,
+  getArmorEffectiveness,
+  getCheapestSource,
+  ARMOR_CLASSES,
+} from '../services/ammo.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+import { parseFlags } from '../utils/args.js';
+import { showPages } from '../utils/pagination.js';
+
+const ROUNDS_PER_PAGE = 8;
+const NAME_WIDTH = 14;
+
+// Sort orders, all highest first except price (rounds nobody sells go last). Each accepts a few aliases
+const SORTS = {
+  pen: { aliases: ['penetration'], value: round => round.penetrationPower },
+  damage: { aliases: ['dmg'], value: round => round.damage * (round.projectileCount || 1) },
+  armor: { aliases: ['armordamage'], value: round => round.armorDamage },
+  frag: { aliases: ['fragmentation'], value: round => round.fragmentationChance },
+  speed: { aliases: ['velocity'], value: round => round.initialSpeed },
+  price: { aliases: ['cost', 'cheapest'], value: round => -(getCheapestSource(round)?.priceRUB ?? Number.MAX_SAFE_INTEGER) },
+};
+const DEFAULT_SORT = 'pen';
+
+/**
+ * Resolve a sort name or alias
+ * @param {string} [text] - Sort the user asked for
+ * @returns {string|null} Sort key, or null if unknown
+ */
+function parseSort(text) {
+  if (!text) return DEFAULT_SORT;
+  const name = text.toLowerCase();
+  return Object.keys(SORTS).find(key => key === name || SORTS[key].aliases.includes(name)) || null;
+}
+
+/**
+ * Handle the ammo command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleAmmoCommand(message, args, context) {
+  const { lang } = context;
+  const { args: words, flags } = parseFlags(args, ['sort']);
+  const query = words.join(' ');
+
+  const sort = parseSort(typeof flags.sort === 'string' ? flags.sort : undefined);
+  if (!sort) {
+    return message.reply(t(lang, 'ammo.unknownSort', { sort: flags.sort, sorts: Object.keys(SORTS).join(', ') }));
+  }
+
+  if (!query) {
+    return message.reply(t(lang, 'ammo.missingQuery'));
+  }
+
+  const thinking = await message.reply(t(lang, 'ammo.loading', { query }));
+
+  try {
+    const { caliber, rounds, round, otherCalibers } = await findAmmo(query, context);
+
+    const sorted = [...rounds].sort((a, b) => SORTS[sort].value(b) - SORTS[sort].value(a));
+    const pageCount = Math.ceil(sorted.length / ROUNDS_PER_PAGE);
+    const startPage = round ? Math.floor(sorted.findIndex(r => r.item.id === round.item.id) / ROUNDS_PER_PAGE) : 0;
+
+    await showPages(message, thinking, pageCount, {
+      startPage,
+      lang,
+      renderPage: page => ({
+        embeds: [createAmmoEmbed({
+          caliber,
+          rounds: sorted.slice(page * ROUNDS_PER_PAGE, (page + 1) * ROUNDS_PER_PAGE),
+          highlight: round?.item.id,
+          otherCalibers,
+          sort,
+          gameMode: context.gameMode,
+          lang,
+        })],
+      }),
+    });
+  } catch (error) {
+    console.error('Error in handleAmmoCommand:', error);
+    await thinking.edit(describeError(error, 'actions.searchAmmo', lang));
+  }
+}
+
+/**
+ * Pad or truncate text to a fixed width for the table
+ * @param {string} text - Cell text
+ * @param {number} width - Column width
+ * @param {boolean} [left=false] - Left-align instead of right-align
+ * @returns {string} Cell of exactly `width` characters
+ */
+function cell(text, width, left = false) {
+  const value = String(text);
+  if (value.length > width) return `${value.slice(0, width - 1)}…`;
+  return left ? value.padEnd(width) : value.padStart(width);
+}
+
+/**
+ * Build the ballistics table for a page of rounds
+ * Armor effectiveness is one digit per class, 0 (useless) to 6 (excellent)
+ * @param {Object[]} rounds - Rounds on this page
+ * @param {string} [highlight] - Item ID of the round to mark
+ * @param {string} lang - Language code
+ * @returns {string} Monospace table in a code block
+ */
+function buildTable(rounds, highlight, lang) {
+  const rows = rounds.map(round => ({
+    name: round.item.shortName || round.item.name,
+    marker: round.item.id === highlight ? '►' : ' ',
+    damage: round.projectileCount > 1 ? `${round.damage}×${round.projectileCount}` : `${round.damage}`,
+    pen: `${round.penetrationPower}`,
+    armor: `${round.armorDamage}%`,
+    frag: `${Math.round(round.fragmentationChance * 100)}%`,
+    speed: `${Math.round(round.initialSpeed)}`,
+    classes: getArmorEffectiveness(round.penetrationPower).join(''),
+  }));
+
+  const headers = {
+    name: t(lang, 'ammo.columns.round'),
+    damage: t(lang, 'ammo.columns.damage'),
+    pen: t(lang, 'ammo.columns.pen'),
+    armor: t(lang, 'ammo.columns.armor'),
+    frag: t(lang, 'ammo.columns.frag'),
+    speed: t(lang, 'ammo.columns.speed'),
+    classes: ARMOR_CLASSES.join(''),
+  };
+
+  const widths = Object.fromEntries(Object.keys(headers).map(key => [
+    key,
+    key === 'name' ? NAME_WIDTH : Math.max(headers[key].length, ...rows.map(row => row[key].length)),
+  ]));
+
+  const line = (row, marker = ' ') => [
+    marker + cell(row.name, widths.name, true),
+    cell(row.damage, widths.damage),
+    cell(row.pen, widths.pen),
+    cell(row.armor, widths.armor),
+    cell(row.frag, widths.frag),
+    cell(row.speed, widths.speed),
+    cell(row.classes, widths.classes, true),
+  ].join(' ');
+
+  return ['```', line(headers), ...rows.map(row => line(row, row.marker)), '```'].join('\n');
+}
+
+/**
+ * Describe where a round is cheapest
+ * @param {Object} round - Ammo from fetchAmmo
+ * @param {string} lang - Language code
+ * @returns {string} e.g. "Prapor LL2 • 120 ₽" or "Flea Market • 1,200 ₽"
+ */
+function formatSource(round, lang) {
+  const source = getCheapestSource(round);
+  if (!source) {
+    return t(lang, 'ammo.notSold');
+  }
+
+  const vendor = source.flea || source.level === null ? source.vendor : `${source.vendor} LL${source.level}`;
+  return `${vendor} • ${formatNumber(source.priceRUB)} ₽`;
+}
+
+/**
+ * Create the embed for one page of a caliber's rounds
+ * @param {Object} config - Page contents
+ * @param {string} config.caliber - Caliber ID
+ * @param {Object[]} config.rounds - Rounds on this page
+ * @param {string} [config.highlight] - Item ID of the round the user asked for
+ * @param {string[]} config.otherCalibers - Other calibers that matched the query
+ * @param {string} config.sort - Sort key
+ * @param {'regular'|'pve'} config.gameMode - Game mode the prices are for
+ * @param {string} config.lang - Language code
+ * @returns {EmbedBuilder} The page embed
+ */
+function createAmmoEmbed({ caliber, rounds, highlight, otherCalibers, sort, gameMode, lang }) {
+  const embed = new EmbedBuilder()
+    .setColor(0xB5651D)
+    .setTitle(`🔫 ${formatCaliber(caliber)} • ${formatGameMode(gameMode)}`)
+    .setURL('https://tarkov.dev/ammo')
+    .setDescription(buildTable(rounds, highlight, lang))
+    .addFields({
+      name: t(lang, 'ammo.cheapestSource'),
+      value: rounds.map(round => `${round.item.id === highlight ? '► ' : ''}**${round.item.shortName || round.item.name}**: ${formatSource(round, lang)}`).join('\n'),
+      inline: false,
+    })
+    .setFooter({ text: `${t(lang, 'ammo.legend')}\n${t(lang, 'ammo.sortedBy', { sort: t(lang, `ammo.sorts.${sort}`) })} • ${t(lang, 'common.dataSource')}` });
+
+  if (otherCalibers.length > 0) {
+    embed.addFields({
+      name: t(lang, 'ammo.otherCalibers'),
+      value: otherCalibers.map(formatCaliber).join(', '),
+      inline: false,
+    });
+  }
+
+  return embed;
+}
+
+export default {
+  name: 'ammo',
+  aliases: ['rounds', 'caliber'],
+  usage: '<caliber or round> [--sort pen|damage|armor|frag|speed|price]',
+  description: 'Compare every round of a caliber',
+  details: 'Show a table of every round in a caliber with damage, penetration power, armor damage, fragmentation chance, speed, and the cheapest place to buy it.\n\nThe armor column rates each round against armor classes 1-6 from 0 (useless) to 6 (excellent). Search by caliber (`5.56`, `12g`, `9mm`) or by a round (`m855a1`) to open its caliber with that round marked. Sort with `--sort`; the default is penetration.',
+  examples: ['5.56', '7.62x39 --sort damage', 'm855a1', '12g --sort price'],
+  args: [
+    { name: 'query', description: 'Caliber or round name', required: true, rest: true },
+    { name: 'sort', description: 'Column to sort by', flag: true, choices: Object.keys(SORTS) },
+  ],
+  category: 'Items',
+  permission: 'everyone',
+  slash: true,
+  execute: handleAmmoCommand,
+};
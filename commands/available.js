@@ -0,0 +1,156 @@
+import { EmbedBuilder } from 'discord.js';
+import { getAvailableQuests, getQuestMaps } from '../services/questProgress.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+import { parseFlags } from '../utils/args.js';
+import { showPages } from '../utils/pagination.js';
+
+// Five full fields stay under Discord's 6000 character limit per message
+const FIELDS_PER_PAGE = 5;
+const MAX_FIELD_LENGTH = 1024;
+
+/**
+ * Handle the available command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleAvailableCommand(message, args, context) {
+  const { lang, gameMode } = context;
+  const { flags } = parseFlags(args);
+  const thinking = await message.reply(t(lang, 'progress.loading'));
+
+  try {
+    const { quests, traderLocked, progress } = await getAvailableQuests(message.author.id, context);
+
+    if (progress.level === null) {
+      return thinking.edit(t(lang, 'progress.noLevel'));
+    }
+    if (quests.length === 0) {
+      return thinking.edit(t(lang, 'progress.noneAvailable'));
+    }
+
+    const groups = flags.map ? groupByMap(quests, lang) : groupByTrader(quests, lang);
+    const fields = groups.flatMap(group => splitField(group.name, group.lines, lang));
+    const pageCount = Math.ceil(fields.length / FIELDS_PER_PAGE);
+
+    const notes = [t(lang, 'progress.availableSummary', { count: quests.length, level: progress.level, done: progress.done.length })];
+    if (traderLocked.length > 0) {
+      notes.push(t(lang, 'progress.traderLocked', { count: traderLocked.length }));
+    }
+
+    await showPages(message, thinking, pageCount, {
+      lang,
+      renderPage: page => ({
+        embeds: [new EmbedBuilder()
+          .setColor(0xFFAA00)
+          .setTitle(`${t(lang, 'progress.availableTitle')} • ${formatGameMode(gameMode)}`)
+          .addFields(fields.slice(page * FIELDS_PER_PAGE, (page + 1) * FIELDS_PER_PAGE))
+          .setFooter({ text: notes.join('\n') })],
+      }),
+    });
+  } catch (error) {
+    console.error('Error in handleAvailableCommand:', error);
+    await thinking.edit(describeError(error, 'actions.loadAvailable', lang));
+  }
+}
+
+/**
+ * Sort quests by level, then name
+ * @param {Object} a - First quest
+ * @param {Object} b - Second quest
+ * @returns {number} Sort order
+ */
+function byLevel(a, b) {
+  return a.minPlayerLevel - b.minPlayerLevel || a.name.localeCompare(b.name);
+}
+
+/**
+ * Group quests under their trader, noting the maps on each line
+ * @param {Object[]} quests - Available quests
+ * @param {string} lang - Language code
+ * @returns {Array<{name: string, lines: string[]}>} Groups in trader name order
+ */
+function groupByTrader(quests, lang) {
+  const groups = new Map();
+  for (const quest of [...quests].sort(byLevel)) {
+    const maps = getQuestMaps(quest).join(', ') || t(lang, 'progress.anyMap');
+    const level = t(lang, 'common.level', { level: quest.minPlayerLevel });
+    const lines = groups.get(quest.trader.name) || [];
+    lines.push(`• **${quest.name}** • ${level} • ${maps}`);
+    groups.set(quest.trader.name, lines);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, lines]) => ({ name: `${name} (${lines.length})`, lines }));
+}
+
+/**
+ * Group quests under each map they take place on, noting the trader on each line
+ * Quests spanning several maps appear under each; quests with no map come last
+ * @param {Object[]} quests - Available quests
+ * @param {string} lang - Language code
+ * @returns {Array<{name: string, lines: string[]}>} Groups in map name order
+ */
+function groupByMap(quests, lang) {
+  const anyMap = t(lang, 'progress.anyMap');
+  const groups = new Map();
+  for (const quest of [...quests].sort(byLevel)) {
+    const level = t(lang, 'common.level', { level: quest.minPlayerLevel });
+    const maps = getQuestMaps(quest);
+    for (const map of maps.length > 0 ? maps : [anyMap]) {
+      const lines = groups.get(map) || [];
+      lines.push(`• **${quest.name}** • ${quest.trader.name} • ${level}`);
+      groups.set(map, lines);
+    }
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === anyMap) - (b === anyMap) || a.localeCompare(b))
+    .map(([name, lines]) => ({ name: `${name} (${lines.length})`, lines }));
+}
+
+/**
+ * Split a group's lines into as many embed fields as it takes to show them all
+ * @param {string} name - Group heading
+ * @param {string[]} lines - Quest lines
+ * @param {string} lang - Language code
+ * @returns {Object[]} Embed fields; later ones are headed as continuations
+ */
+function splitField(name, lines, lang) {
+  const fields = [];
+  let current = [];
+
+  for (const line of lines) {
+    if (current.length > 0 && [...current, line].join('\n').length > MAX_FIELD_LENGTH) {
+      fields.push(current);
+      current = [];
+    }
+    current.push(line);
+  }
+  fields.push(current);
+
+  return fields.map((chunk, idx) => ({
+    name: idx === 0 ? name : t(lang, 'progress.continued', { group: name }),
+    value: chunk.join('\n'),
+    inline: false,
+  }));
+}
+
+export default {
+  name: 'available',
+  aliases: ['avail'],
+  usage: '[--map]',
+  description: 'List the quests you can start now',
+  details: 'List every quest you can start right now, grouped by trader, based on the level and trader loyalty you\'ve recorded with `!level` and the quests you\'ve marked with `!done`.\n• `!available --map` - group by map instead\n\nTraders you haven\'t recorded a loyalty level for count as LL1.',
+  examples: ['--map', '--pve'],
+  args: [
+    { name: 'map', description: 'Group by map instead of trader', type: 'boolean', flag: true },
+  ],
+  category: 'Quests',
+  permission: 'everyone',
+  slash: true,
+  execute: handleAvailableCommand,
+};
@@ -0,0 +1,162 @@
+import { EmbedBuilder } from 'discord.js';
+import { searchItem } from '../tarkovApi.js';
+import { addBarterPrices } from '../services/barters.js';
+import { addBuyOptions, getBuyerAccess } from '../services/buying.js';
+import { findTrader } from '../services/traders.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+import { truncate } from '../utils/embeds.js';
+import { parseFlags } from '../utils/args.js';
+import { showMatches } from '../utils/disambiguation.js';
+import { createItemOption, formatBuyOption } from './item.js';
+
+const MAX_AVAILABLE = 8;
+const MAX_LOCKED = 5;
+
+/**
+ * Parse --trader-levels, e.g. "prapor:2,mechanic:3"
+ * @param {string} text - Flag value
+ * @returns {Array<{name: string, level: number}>|null} Trader names and levels, or null if malformed
+ */
+function parseTraderLevels(text) {
+  const entries = `${text}`.split(',').map(entry => /^([^:]+):([1-4])$/.exec(entry.trim()));
+  if (entries.length === 0 || entries.some(match => !match)) {
+    return null;
+  }
+  return entries.map(match => ({ name: match[1].replace(/[-_]/g, ' '), level: parseInt(match[2], 10) }));
+}
+
+/**
+ * Handle the buy command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleBuyCommand(message, args, context) {
+  const { lang, gameMode } = context;
+  const { args: words, flags } = parseFlags(args, ['trader-levels']);
+  const itemName = words.join(' ');
+
+  let overrides = [];
+  if (flags['trader-levels'] !== undefined) {
+    overrides = parseTraderLevels(flags['trader-levels']);
+    if (!overrides) {
+      return message.reply(t(lang, 'buy.badTraderLevels'));
+    }
+  }
+  if (!itemName) {
+    return message.reply(t(lang, 'buy.noItem'));
+  }
+
+  const thinking = await message.reply(t(lang, 'buy.loading', { query: itemName }));
+
+  try {
+    // --trader-levels replaces the loyalty levels recorded with !level, trader by trader
+    const traderLevels = {};
+    for (const { name, level } of overrides) {
+      const { trader, traders } = await findTrader(name, context);
+      if (!trader) {
+        return thinking.edit(t(lang, 'trader.unknownTrader', {
+          trader: name,
+          traders: traders.map(candidate => candidate.name).join(', '),
+        }));
+      }
+      traderLevels[trader.normalizedName] = level;
+    }
+
+    const access = getBuyerAccess(message.author.id, gameMode, traderLevels);
+    const found = await searchItem(itemName, context);
+
+    // Barters without prices still show, just unranked
+    const priced = await addBarterPrices(found, context).catch(error => {
+      console.error('Error pricing barters:', error.message);
+      return found;
+    });
+    const items = await addBuyOptions(priced, access, context);
+
+    await showMatches(message, thinking, items, {
+      renderEmbed: item => createBuyEmbed(item, access),
+      toOption: createItemOption,
+      placeholder: t(lang, 'item.placeholder'),
+      lang,
+    });
+  } catch (error) {
+    console.error('Error in handleBuyCommand:', error);
+    await thinking.edit(describeError(error, 'actions.searchItem', lang));
+  }
+}
+
+/**
+ * Format a list of buy options, noting how many are left out
+ * @param {Object[]} options - Options from rankBuyOptions
+ * @param {number} max - Most options to list
+ * @param {string} lang - Language code
+ * @returns {string} Field value
+ */
+function formatOptions(options, max, lang) {
+  const lines = options.slice(0, max).map((option, index) => `${index + 1}. ${formatBuyOption(option, lang)}`);
+  if (options.length > max) {
+    lines.push(t(lang, 'buy.more', { count: options.length - max }));
+  }
+  return truncate(lines.join('\n'), 1024);
+}
+
+/**
+ * Create the embed ranking the ways to buy an item
+ * @param {Object} item - Item with buyOptions, tagged with gameMode and lang
+ * @param {BuyerAccess} access - Levels the options were ranked for
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createBuyEmbed(item, access) {
+  const { lang } = item;
+  const available = item.buyOptions.filter(option => !option.lock);
+  const locked = item.buyOptions.filter(option => option.lock);
+
+  const embed = new EmbedBuilder()
+    .setColor(0xF1C40F)
+    .setTitle(`🛒 ${item.name} (${item.shortName}) • ${formatGameMode(item.gameMode)}`)
+    .setURL(item.wikiLink || 'https://tarkov.dev')
+    .setFooter({ text: t(lang, access.playerLevel == null ? 'buy.footerNoLevel' : 'buy.footer', { level: access.playerLevel }) });
+
+  if (item.iconLink) {
+    embed.setThumbnail(item.iconLink);
+  }
+
+  if (item.buyOptions.length === 0) {
+    return embed.setDescription(t(lang, 'buy.none'));
+  }
+
+  embed.addFields({
+    name: t(lang, 'buy.available', { count: available.length }),
+    value: available.length > 0 ? formatOptions(available, MAX_AVAILABLE, lang) : t(lang, 'buy.noneAvailable'),
+    inline: false,
+  });
+
+  if (locked.length > 0) {
+    embed.addFields({
+      name: t(lang, 'buy.locked', { count: locked.length }),
+      value: formatOptions(locked, MAX_LOCKED, lang),
+      inline: false,
+    });
+  }
+
+  return embed;
+}
+
+export default {
+  name: 'buy',
+  aliases: ['b', 'wheretobuy'],
+  usage: '<item name> [--trader-levels prapor:2,mechanic:3]',
+  description: 'Cheapest way to buy an item at your trader levels',
+  details: 'Rank every way to buy an item by what one costs in roubles:\n• Trader cash offers, with dollar and euro prices converted at what the currency costs\n• Barters, costed at the flea price of their inputs\n• The flea market\nOffers above your loyalty levels, behind quests you haven\'t done, or on the flea before you can use it are listed separately. Levels come from `!level` (unrecorded traders count as LL1); `--trader-levels` overrides them for one lookup.',
+  examples: ['m995', 'salewa --trader-levels therapist:2', 'ledx --trader-levels prapor:4,skier:3'],
+  args: [
+    { name: 'name', description: 'Item name', required: true, rest: true, autocomplete: 'items' },
+    { name: 'trader-levels', description: 'Loyalty levels to use, e.g. prapor:2,mechanic:3', flag: true },
+  ],
+  category: 'Items',
+  permission: 'everyone',
+  slash: true,
+  execute: handleBuyCommand,
+};
@@ -0,0 +1,167 @@
+import { EmbedBuilder } from 'discord.js';
+import { formatNumber, formatDuration } from '../tarkovApi.js';
+import { rankCrafts } from '../services/crafts.js';
+import { findStation, getStationLevels } from '../services/hideout.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+import { parseFlags } from '../utils/args.js';
+import { showPages } from '../utils/pagination.js';
+
+const CRAFTS_PER_PAGE = 8;
+
+/**
+ * Handle the crafts command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleCraftsCommand(message, args, context) {
+  const { lang } = context;
+  const { args: words, flags } = parseFlags(args, ['level']);
+  const stationName = words.join(' ');
+
+  let maxLevel;
+  if (flags.level !== undefined) {
+    maxLevel = parseInt(flags.level, 10);
+    if (!/^\d+$/.test(`${flags.level}`) || maxLevel < 1) {
+      return message.reply(t(lang, 'crafts.badLevel'));
+    }
+  }
+
+  const thinking = await message.reply(t(lang, 'crafts.loading'));
+
+  try {
+    let station = null;
+    if (stationName) {
+      const found = await findStation(stationName, context);
+      if (!found.station) {
+        return thinking.edit(t(lang, 'crafts.unknownStation', {
+          station: stationName,
+          stations: found.stations.map(s => s.name).join(', '),
+        }));
+      }
+      station = found.station;
+    }
+
+    // --level replaces the levels recorded with !hideout set
+    const stationLevels = maxLevel ? {} : getStationLevels(message.author.id, context.gameMode);
+    const recordedLevels = Object.keys(stationLevels).length > 0;
+
+    const { crafts, unpriced, fuelPerHour } = await rankCrafts({
+      ...context,
+      stationId: station?.id,
+      maxLevel,
+      stationLevels,
+      fuel: Boolean(flags.fuel),
+    });
+
+    if (crafts.length === 0) {
+      return thinking.edit(t(lang, 'crafts.none'));
+    }
+
+    const pageCount = Math.ceil(crafts.length / CRAFTS_PER_PAGE);
+    await showPages(message, thinking, pageCount, {
+      lang,
+      renderPage: page => ({
+        embeds: [createCraftsEmbed({
+          crafts: crafts.slice(page * CRAFTS_PER_PAGE, (page + 1) * CRAFTS_PER_PAGE),
+          offset: page * CRAFTS_PER_PAGE,
+          station,
+          maxLevel,
+          recordedLevels,
+          fuel: Boolean(flags.fuel),
+          fuelPerHour,
+          unpriced,
+          gameMode: context.gameMode,
+          lang,
+        })],
+      }),
+    });
+  } catch (error) {
+    console.error('Error in handleCraftsCommand:', error);
+    await thinking.edit(describeError(error, 'actions.loadCrafts', lang));
+  }
+}
+
+/**
+ * Format a signed rouble amount
+ * @param {number} amount - Amount in roubles
+ * @returns {string} e.g. "+12,000 ₽" or "-3,500 ₽"
+ */
+function formatSigned(amount) {
+  const rounded = Math.round(amount);
+  return `${rounded >= 0 ? '+' : '-'}${formatNumber(Math.abs(rounded))} ₽`;
+}
+
+/**
+ * Create the embed for one page of ranked crafts
+ * @param {Object} config - Page contents
+ * @param {Object[]} config.crafts - Priced crafts on this page
+ * @param {number} config.offset - Rank of the first craft on this page, minus one
+ * @param {Object|null} config.station - Station filter
+ * @param {number} [config.maxLevel] - Station level filter
+ * @param {boolean} config.recordedLevels - Whether the user's recorded station levels were applied
+ * @param {boolean} config.fuel - Whether fuel was charged
+ * @param {number|null} config.fuelPerHour - Fuel cost per hour
+ * @param {number} config.unpriced - Crafts left out for missing prices
+ * @param {'regular'|'pve'} config.gameMode - Game mode the prices are for
+ * @param {string} config.lang - Language code
+ * @returns {EmbedBuilder} The page embed
+ */
+function createCraftsEmbed({ crafts, offset, station, maxLevel, recordedLevels, fuel, fuelPerHour, unpriced, gameMode, lang }) {
+  const lines = crafts.map(({ craft, cost, value, profit, profitPerHour }, idx) => {
+    const output = craft.rewardItems
+      .map(entry => `${entry.item.name}${entry.count > 1 ? ` ×${entry.count}` : ''}`)
+      .join(', ');
+    const lock = craft.taskUnlock ? ` 🔒 ${craft.taskUnlock.name}` : '';
+
+    return [
+      `**${offset + idx + 1}. ${output}** • ${craft.station.name} ${t(lang, 'crafts.level', { level: craft.level })} • ${formatDuration(craft.duration)}${lock}`,
+      t(lang, 'crafts.line', {
+        perHour: formatSigned(profitPerHour),
+        profit: formatSigned(profit),
+        cost: formatNumber(cost),
+        value: formatNumber(value),
+      }),
+    ].join('\n');
+  });
+
+  const filters = [
+    station && station.name,
+    maxLevel && t(lang, 'crafts.maxLevel', { level: maxLevel }),
+    recordedLevels && t(lang, 'crafts.recordedLevels'),
+    fuel && (fuelPerHour ? t(lang, 'crafts.fuelIncluded', { cost: formatNumber(Math.round(fuelPerHour)) }) : t(lang, 'crafts.fuelUnavailable')),
+  ].filter(Boolean);
+
+  const notes = [t(lang, 'crafts.footer')];
+  if (unpriced > 0) {
+    notes.push(t(lang, 'crafts.unpriced', { count: unpriced }));
+  }
+
+  return new EmbedBuilder()
+    .setColor(0xE67E22)
+    .setTitle(`${t(lang, 'crafts.title')} • ${formatGameMode(gameMode)}`)
+    .setURL('https://tarkov.dev/hideout-profit')
+    .setDescription([filters.length > 0 ? `*${filters.join(' • ')}*` : null, ...lines].filter(Boolean).join('\n\n'))
+    .setFooter({ text: notes.join('\n') })
+    .setTimestamp();
+}
+
+export default {
+  name: 'crafts',
+  aliases: ['craft', 'profit'],
+  usage: '[station] [--fuel] [--level N]',
+  description: 'Rank hideout crafts by profit per hour',
+  details: 'Rank every hideout craft by profit per hour, so you know what to queue before logging off.\n\nInputs are priced at the cheapest trader or flea offer and outputs at the best trader offer or flea price after the listing fee. Tools are not counted, since you get them back.\n• `!crafts lavatory` - only one station\n• `!crafts --level 2` - only crafts your level 2 stations can run\n• `!crafts --fuel` - charge generator fuel for each craft\'s duration\n\nIf you\'ve recorded your station levels with `!hideout set`, crafts your hideout can\'t run yet are left out (`--level` overrides this).',
+  examples: ['workbench', 'booze --fuel', 'medstation --level 2', '--fuel'],
+  args: [
+    { name: 'station', description: 'Hideout station', rest: true },
+    { name: 'fuel', description: 'Charge generator fuel for the craft time', type: 'boolean', flag: true },
+    { name: 'level', description: 'Highest station level to include', type: 'integer', flag: true },
+  ],
+  category: 'Hideout',
+  permission: 'everyone',
+  slash: true,
+  execute: handleCraftsCommand,
+};
@@ -0,0 +1,73 @@
+import { searchQuest } from '../services/questIndex.js';
+import { markQuestDone, unmarkQuestDone } from '../services/questProgress.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+import { parseFlags } from '../utils/args.js';
+
+const MAX_LISTED_PREREQUISITES = 10;
+
+/**
+ * Handle the done command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleDoneCommand(message, args, context) {
+  const { lang, gameMode } = context;
+  const { args: words, flags } = parseFlags(args);
+  const questName = words.join(' ');
+  const thinking = await message.reply(t(lang, 'quest.searching', { query: questName }));
+
+  try {
+    const [quest] = await searchQuest(questName, context);
+    const mode = formatGameMode(gameMode);
+
+    if (flags.undo) {
+      const removed = unmarkQuestDone(message.author.id, gameMode, quest.id);
+      return thinking.edit(t(lang, removed ? 'progress.unmarked' : 'progress.notMarked', { quest: quest.name, mode }));
+    }
+
+    const added = await markQuestDone(message.author.id, quest, context);
+    if (added.length === 0) {
+      return thinking.edit(t(lang, 'progress.alreadyDone', { quest: quest.name, mode }));
+    }
+
+    const prerequisites = added.filter(entry => entry.id !== quest.id);
+    if (prerequisites.length === 0) {
+      return thinking.edit(t(lang, 'progress.marked', { quest: quest.name, mode }));
+    }
+
+    const names = prerequisites.slice(0, MAX_LISTED_PREREQUISITES).map(entry => entry.name);
+    if (prerequisites.length > MAX_LISTED_PREREQUISITES) {
+      names.push(t(lang, 'progress.andMore', { count: prerequisites.length - MAX_LISTED_PREREQUISITES }));
+    }
+
+    await thinking.edit(t(lang, 'progress.markedWithPrerequisites', {
+      quest: quest.name,
+      mode,
+      count: prerequisites.length,
+      quests: names.join(', '),
+    }));
+  } catch (error) {
+    console.error('Error in handleDoneCommand:', error);
+    await thinking.edit(describeError(error, 'actions.searchQuest', lang));
+  }
+}
+
+export default {
+  name: 'done',
+  aliases: ['complete'],
+  usage: '<quest name> [--undo]',
+  description: 'Mark a quest as done',
+  details: 'Mark a quest you\'ve finished so `!available` knows what you can start next. Every quest that had to be completed before it is marked done too.\n• `!done setup` - mark Setup and everything before it\n• `!done setup --undo` - unmark Setup only\n\nProgress is recorded separately for PvP and PvE.',
+  examples: ['setup', 'the punisher part 2', 'shortage --undo'],
+  args: [
+    { name: 'name', description: 'Quest name', required: true, rest: true, autocomplete: 'quests' },
+    { name: 'undo', description: 'Unmark the quest instead', type: 'boolean', flag: true },
+  ],
+  category: 'Quests',
+  permission: 'everyone',
+  slash: true,
+  execute: handleDoneCommand,
+};
@@ -0,0 +1,154 @@
+import { EmbedBuilder } from 'discord.js';
+import { searchQuest } from '../services/questIndex.js';
+import { generateQuestGuide } from '../services/gemini.js';
+import { getQuestImages, findImageForObjective } from '../services/images.js';
+import { getCachedQuestGuide, setCachedQuestGuide } from '../services/cache.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+import { createQuestEmbed } from './quest.js';
+import { batchEmbeds, truncate } from '../utils/embeds.js';
+
+/**
+ * Handle the AI-enhanced quest guide command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleEnhancedQuestCommand(message, args, context) {
+  const { lang } = context;
+  const questName = args.join(' ');
+  const thinking = await message.reply(t(lang, 'quest.searching', { query: questName }));
+
+  try {
+    const quests = await searchQuest(questName, context);
+    const quest = quests[0];
+    console.log(`Found quest for enhanced guide: ${quest.name}`);
+
+    // Guides are expensive to generate, so reuse a cached one when objectives haven't changed
+    let guideData = getCachedQuestGuide(quest.id, quest.objectives);
+
+    if (!guideData) {
+      await thinking.edit(t(lang, 'guide.writing', { quest: quest.name }));
+
+      const [llmGuide, images] = await Promise.all([
+        generateQuestGuide(quest),
+        getQuestImages(quest),
+      ]);
+
+      // Gemini unavailable or failed - fall back to the standard quest embed
+      if (!llmGuide) {
+        const embed = createQuestEmbed(quest);
+        embed.setFooter({ text: t(lang, 'guide.unavailable') });
+        return thinking.edit({ content: null, embeds: [embed] });
+      }
+
+      guideData = { llmGuide, images };
+      setCachedQuestGuide(quest.id, quest.objectives, guideData);
+    }
+
+    const embeds = createEnhancedQuestEmbeds(quest, guideData.llmGuide, guideData.images);
+    const batches = batchEmbeds(embeds);
+
+    await thinking.edit({ content: null, embeds: batches[0] });
+    for (const batch of batches.slice(1)) {
+      await message.channel.send({ embeds: batch });
+    }
+  } catch (error) {
+    console.error('Error in handleEnhancedQuestCommand:', error);
+    await thinking.edit(describeError(error, 'actions.generateGuide', lang));
+  }
+}
+
+/**
+ * Create the embeds for an AI-enhanced quest guide
+ * @param {Object} quest - Quest data from Tarkov API, tagged with gameMode and lang
+ * @param {Object} guide - Parsed guide from generateQuestGuide
+ * @param {Object} images - Image data from getQuestImages
+ * @returns {EmbedBuilder[]} Overview, one embed per objective, and tips
+ */
+export function createEnhancedQuestEmbeds(quest, guide, images) {
+  const { lang } = quest;
+  const embeds = [];
+
+  // Overview
+  const overview = new EmbedBuilder()
+    .setColor(0xFFAA00)
+    .setTitle(`📖 ${quest.name} • ${formatGameMode(quest.gameMode)}`)
+    .setURL(quest.wikiLink || 'https://tarkov.dev')
+    .setDescription(cleanGuideText(guide.overview, 4096) || t(lang, 'guide.noOverview'))
+    .addFields(
+      { name: t(lang, 'quest.trader'), value: quest.trader.name, inline: true },
+      { name: t(lang, 'quest.map'), value: quest.map?.name || t(lang, 'guide.anyMap'), inline: true },
+      { name: t(lang, 'quest.minLevel'), value: `${quest.minPlayerLevel}`, inline: true },
+    );
+
+  if (images?.mapImage) {
+    overview.setImage(images.mapImage.url);
+  }
+
+  embeds.push(overview);
+
+  // One embed per objective with its best matching image
+  quest.objectives.forEach((objective, idx) => {
+    const optional = objective.optional ? ` ${t(lang, 'common.optional')}` : '';
+    const embed = new EmbedBuilder()
+      .setColor(0x0099FF)
+      .setTitle(truncate(`🎯 ${idx + 1}. ${objective.description}${optional}`, 256))
+      .setDescription(cleanGuideText(guide.objectives[idx], 1024) || t(lang, 'guide.noObjectiveGuidance'));
+
+    if (images) {
+      const imageUrl = findImageForObjective(objective, idx, images);
+      if (imageUrl) {
+        embed.setImage(imageUrl);
+      }
+    }
+
+    embeds.push(embed);
+  });
+
+  // Tips
+  const tips = new EmbedBuilder()
+    .setColor(0x00FF00)
+    .setTitle(t(lang, 'guide.tips'))
+    .setDescription(cleanGuideText(guide.tips, 2048) || t(lang, 'guide.noTips'))
+    .setFooter({ text: t(lang, 'guide.footer') })
+    .setTimestamp();
+
+  embeds.push(tips);
+
+  return embeds;
+}
+
+/**
+ * Strip image placeholders from LLM output and fit it to a length limit
+ * @param {string} text - Guide text
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Cleaned text
+ */
+function cleanGuideText(text, maxLength) {
+  if (!text) return '';
+
+  const cleaned = text
+    .replace(/\[IMAGE:[^\]]*\]/gi, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return truncate(cleaned, maxLength);
+}
+
+export default {
+  name: 'e-quest',
+  aliases: ['eq'],
+  usage: '<quest name>',
+  description: 'Get an AI-enhanced quest guide',
+  details: 'Get an AI-enhanced quest guide with:\n• Step-by-step walkthrough\n• Location images and maps\n• Tips and strategies\n• Detailed objectives\n• Powered by Google Gemini',
+  examples: ['punisher', 'gunsmith part 1'],
+  args: [
+    { name: 'name', description: 'Quest name', required: true, rest: true, autocomplete: 'quests' },
+  ],
+  category: 'Quests',
+  permission: 'everyone',
+  slash: true,
+  execute: handleEnhancedQuestCommand,
+};
@@ -0,0 +1,149 @@
+import { EmbedBuilder } from 'discord.js';
+import { truncate } from '../utils/embeds.js';
+import { getCommand, getCommands, formatUsage, getPrefix } from '../commandRegistry.js';
+import { t, tOptional } from '../services/i18n.js';
+
+// Help sections in display order; unknown categories are listed after these
+const CATEGORY_ORDER = ['Items', 'Hideout', 'Quests', 'General'];
+
+/**
+ * Handle the help command
+ * Lists every visible command, or shows details for one command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved language
+ */
+export async function handleHelpCommand(message, args, context) {
+  const { lang } = context;
+
+  if (args.length > 0) {
+    const command = getCommand(args[0].replace(getPrefix(), ''));
+
+    if (!command || command.hidden) {
+      return message.reply(t(lang, 'help.unknownCommand', { command: args[0], prefix: getPrefix() }));
+    }
+
+    return message.reply({ embeds: [createCommandHelpEmbed(command, lang)] });
+  }
+
+  const visible = getCommands().filter(command => !command.hidden);
+  const categories = [...new Set([...CATEGORY_ORDER, ...visible.map(command => command.category || 'General')])];
+
+  const examples = visible
+    .filter(command => command.examples?.length > 0)
+    .slice(0, 6)
+    .map(command => `\`${getPrefix()}${command.name} ${command.examples[0]}\``)
+    .join('\n');
+
+  const embed = new EmbedBuilder()
+    .setColor(0x00FF00)
+    .setTitle(t(lang, 'help.title'))
+    .setDescription(t(lang, 'help.description'))
+    .setFooter({ text: t(lang, 'help.footer', { prefix: getPrefix() }) })
+    .setTimestamp();
+
+  for (const category of categories) {
+    const commandList = visible
+      .filter(command => (command.category || 'General') === category)
+      .map(command => `**${formatUsage(command)}** - ${describeCommand(command, lang)}`)
+      .join('\n');
+
+    if (commandList) {
+      embed.addFields({
+        name: tOptional(lang, `help.categories.${category}`, category),
+        value: truncate(commandList, 1024),
+        inline: false,
+      });
+    }
+  }
+
+  if (examples) {
+    embed.addFields({
+      name: t(lang, 'help.examples'),
+      value: examples,
+      inline: false,
+    });
+  }
+
+  await message.reply({ embeds: [embed] });
+}
+
+/**
+ * Get a command's one-line description, translated when the catalog has it
+ * @param {Command} command - Command definition
+ * @param {string} lang - Language code
+ * @returns {string} Description
+ */
+function describeCommand(command, lang) {
+  return tOptional(lang, `commands.${command.name}.description`, command.description);
+}
+
+/**
+ * Create a help embed for a single command
+ * Details are translated when the catalog has them, otherwise the command's own text is used
+ * @param {Command} command - Command definition
+ * @param {string} lang - Language code
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createCommandHelpEmbed(command, lang) {
+  const details = tOptional(lang, `commands.${command.name}.details`, command.details);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x00FF00)
+    .setTitle(formatUsage(command))
+    .setDescription(details || describeCommand(command, lang))
+    .setFooter({ text: t(lang, 'common.dataSource') })
+    .setTimestamp();
+
+  if (command.aliases?.length > 0) {
+    embed.addFields({
+      name: t(lang, 'help.aliases'),
+      value: command.aliases.map(alias => `\`${getPrefix()}${alias}\``).join(', '),
+      inline: true,
+    });
+  }
+
+  if (command.permission && command.permission !== 'everyone') {
+    embed.addFields({
+      name: t(lang, 'help.permission'),
+      value: command.permission,
+      inline: true,
+    });
+  }
+
+  if (command.args?.length > 0) {
+    const argText = command.args
+      .map(arg => `\`${arg.flag ? '--' : ''}${arg.name}\`${arg.required ? '' : ` ${t(lang, 'help.optional')}`} - ${arg.description}${arg.choices ? ` (${arg.choices.join(', ')})` : ''}`)
+      .join('\n');
+
+    embed.addFields({
+      name: t(lang, 'help.arguments'),
+      value: argText,
+      inline: false,
+    });
+  }
+
+  if (command.examples?.length > 0) {
+    embed.addFields({
+      name: t(lang, 'help.examples'),
+      value: command.examples.map(example => `\`${getPrefix()}${command.name} ${example}\``).join('\n'),
+      inline: false,
+    });
+  }
+
+  return embed;
+}
+
+export default {
+  name: 'help',
+  aliases: ['h'],
+  usage: '[command]',
+  description: 'Show this help message, or details for one command',
+  examples: ['item'],
+  args: [
+    { name: 'command', description: 'Command to explain' },
+  ],
+  category: 'General',
+  permission: 'everyone',
+  execute: handleHelpCommand,
+};
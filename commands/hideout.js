@@ -0,0 +1,304 @@
+import { EmbedBuilder } from 'discord.js';
+import { formatNumber, formatDuration } from '../tarkovApi.js';
+import {
+  findStation,
+  priceLevels,
+  getNextUpgrades,
+  getStationLevels,
+  setStationLevel,
+  ROUBLES_ID,
+} from '../services/hideout.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+import { truncate } from '../utils/embeds.js';
+
+const MAX_SHOPPING_LINES = 15;
+
+/**
+ * Handle the hideout command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleHideoutCommand(message, args, context) {
+  const { lang } = context;
+  const subcommand = args[0].toLowerCase();
+  const thinking = await message.reply(t(lang, 'hideout.loading'));
+
+  try {
+    if (subcommand === 'set') {
+      await setLevel(message, thinking, args.slice(1), context);
+    } else if (subcommand === 'next') {
+      await showNextUpgrades(message, thinking, context);
+    } else {
+      await showStationLevel(message, thinking, args, context);
+    }
+  } catch (error) {
+    console.error('Error in handleHideoutCommand:', error);
+    await thinking.edit(describeError(error, 'actions.loadHideout', lang));
+  }
+}
+
+/**
+ * Split a trailing level number off the station name
+ * @param {string[]} args - Station name words, optionally followed by a level
+ * @returns {{name: string, level: number|null}} Station name and level (null if none was given)
+ */
+function parseStationArgs(args) {
+  const last = args[args.length - 1];
+  if (args.length > 1 && /^\d+$/.test(last)) {
+    return { name: args.slice(0, -1).join(' '), level: parseInt(last, 10) };
+  }
+  return { name: args.join(' '), level: null };
+}
+
+/**
+ * Find the station named in the arguments, replying with the list of stations if none matches
+ * @param {Message} thinking - Reply to edit on failure
+ * @param {string} name - Station name
+ * @param {CommandContext} context - Resolved game mode and language
+ * @returns {Promise<Object|null>} Station, or null if the user was told it wasn't found
+ */
+async function resolveStation(thinking, name, context) {
+  const { station, stations } = await findStation(name, context);
+  if (!station) {
+    await thinking.edit(t(context.lang, 'hideout.unknownStation', {
+      station: name,
+      stations: stations.map(s => s.name).join(', '),
+    }));
+  }
+  return station;
+}
+
+/**
+ * Record the level of one of the user's stations
+ * @param {Message} message - Discord message object
+ * @param {Message} thinking - Reply to edit with the result
+ * @param {string[]} args - Station name and level
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+async function setLevel(message, thinking, args, context) {
+  const { lang, gameMode } = context;
+  const { name, level } = parseStationArgs(args);
+
+  if (!name || level === null) {
+    return thinking.edit(t(lang, 'hideout.setUsage'));
+  }
+
+  const station = await resolveStation(thinking, name, context);
+  if (!station) return;
+
+  const maxLevel = station.levels.length;
+  if (level > maxLevel) {
+    return thinking.edit(t(lang, 'hideout.badLevel', { station: station.name, max: maxLevel }));
+  }
+
+  setStationLevel(message.author.id, gameMode, station.id, level);
+  await thinking.edit(t(lang, level === 0 ? 'hideout.setNotBuilt' : 'hideout.set', {
+    station: station.name,
+    level,
+    mode: formatGameMode(gameMode),
+  }));
+}
+
+/**
+ * Format an item requirement with its price
+ * @param {Object} requirement - Priced item requirement
+ * @param {string} lang - Language code
+ * @returns {string} e.g. "2× Toilet paper • 3,000 ₽ (6,000 ₽)"
+ */
+function formatItemRequirement(requirement, lang) {
+  if (requirement.item.id === ROUBLES_ID) {
+    return `${formatNumber(requirement.count)} ₽`;
+  }
+
+  const fir = (requirement.attributes || []).some(attribute => attribute.type === 'foundInRaid' && attribute.value === 'true')
+    ? ` ${t(lang, 'hideout.fir')}`
+    : '';
+  const price = requirement.price === null
+    ? t(lang, 'hideout.noPrice')
+    : requirement.count > 1
+      ? `${formatNumber(requirement.price)} ₽ (${formatNumber(requirement.price * requirement.count)} ₽)`
+      : `${formatNumber(requirement.price)} ₽`;
+
+  return `${formatNumber(requirement.count)}× ${requirement.item.name}${fir} • ${price}`;
+}
+
+/**
+ * Format the cost of some items, noting any that have no price
+ * @param {number} cost - Cost of the priced items in roubles
+ * @param {boolean} unpriced - Whether some items have no price
+ * @param {string} lang - Language code
+ * @returns {string} e.g. "45,000 ₽" or "45,000 ₽ + items with no price"
+ */
+function formatCost(cost, unpriced, lang) {
+  return `${formatNumber(cost)} ₽${unpriced ? ` ${t(lang, 'hideout.plusUnpriced')}` : ''}`;
+}
+
+/**
+ * Format a trader requirement
+ * @param {Object} requirement - Trader requirement
+ * @param {string} lang - Language code
+ * @returns {string} e.g. "Prapor LL2" or "Prapor reputation ≥ 0.2"
+ */
+function formatTraderRequirement(requirement, lang) {
+  if (requirement.requirementType === 'level') {
+    return `${requirement.trader.name} LL${requirement.value}`;
+  }
+  return t(lang, 'hideout.traderRequirement', {
+    trader: requirement.trader.name,
+    type: requirement.requirementType,
+    value: requirement.value,
+  });
+}
+
+/**
+ * Show what one station level needs
+ * Without a level, shows the user's next level for that station
+ * @param {Message} message - Discord message object
+ * @param {Message} thinking - Reply to edit with the result
+ * @param {string[]} args - Station name and optional level
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+async function showStationLevel(message, thinking, args, context) {
+  const { lang, gameMode } = context;
+  const { name, level: requested } = parseStationArgs(args);
+
+  const station = await resolveStation(thinking, name, context);
+  if (!station) return;
+
+  const built = getStationLevels(message.author.id, gameMode)[station.id];
+  const maxLevel = station.levels.length;
+  const level = requested ?? Math.min((built || 0) + 1, maxLevel);
+
+  const stationLevel = station.levels.find(candidate => candidate.level === level);
+  if (!stationLevel) {
+    return thinking.edit(t(lang, 'hideout.badLevel', { station: station.name, max: maxLevel }));
+  }
+
+  const [priced] = await priceLevels([stationLevel], context);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x8B6F47)
+    .setTitle(`🏠 ${t(lang, 'hideout.stationTitle', { station: station.name, level, max: maxLevel })} • ${formatGameMode(gameMode)}`)
+    .setURL('https://tarkov.dev/hideout')
+    .setFooter({ text: t(lang, built === undefined ? 'hideout.stationFooter' : 'hideout.stationFooterBuilt', { level: built }) });
+
+  if (station.imageLink) {
+    embed.setThumbnail(station.imageLink);
+  }
+
+  if (priced.itemRequirements.length > 0) {
+    embed.addFields({
+      name: t(lang, 'hideout.items', { count: priced.itemRequirements.length }),
+      value: truncate(priced.itemRequirements.map(requirement => formatItemRequirement(requirement, lang)).join('\n'), 1024),
+      inline: false,
+    });
+  }
+
+  embed.addFields(
+    { name: t(lang, 'hideout.totalCost'), value: formatCost(priced.cost, priced.unpriced, lang), inline: true },
+    { name: t(lang, 'hideout.buildTime'), value: priced.constructionTime ? formatDuration(priced.constructionTime) : '-', inline: true },
+  );
+
+  const requirementFields = [
+    ['hideout.stations', priced.stationLevelRequirements.map(requirement => `${requirement.station.name} ${requirement.level}`)],
+    ['hideout.traders', priced.traderRequirements.map(requirement => formatTraderRequirement(requirement, lang))],
+    ['hideout.skills', priced.skillRequirements.map(requirement => `${requirement.name} ${requirement.level}`)],
+  ];
+
+  for (const [key, lines] of requirementFields) {
+    if (lines.length > 0) {
+      embed.addFields({ name: t(lang, key), value: truncate(lines.join('\n'), 1024), inline: false });
+    }
+  }
+
+  await thinking.edit({ content: null, embeds: [embed] });
+}
+
+/**
+ * Show everything the user still needs for their next upgrade of each station
+ * Upgrades blocked by another station's level are listed separately and left out of the totals
+ * @param {Message} message - Discord message object
+ * @param {Message} thinking - Reply to edit with the result
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+async function showNextUpgrades(message, thinking, context) {
+  const { lang, gameMode } = context;
+  const upgrades = await getNextUpgrades(message.author.id, context);
+
+  if (upgrades.length === 0) {
+    return thinking.edit(t(lang, 'hideout.allDone'));
+  }
+
+  const ready = upgrades.filter(upgrade => upgrade.ready);
+  const blocked = upgrades.filter(upgrade => !upgrade.ready);
+
+  // Combine the items of every ready upgrade into one shopping list
+  const shopping = new Map();
+  for (const { level } of ready) {
+    for (const requirement of level.itemRequirements) {
+      const entry = shopping.get(requirement.item.id) || { ...requirement, count: 0 };
+      entry.count += requirement.count;
+      shopping.set(requirement.item.id, entry);
+    }
+  }
+
+  const shoppingList = [...shopping.values()]
+    .sort((a, b) => (b.price ?? 0) * b.count - (a.price ?? 0) * a.count);
+  const total = shoppingList.reduce((sum, entry) => sum + (entry.price ?? 0) * entry.count, 0);
+  const unpriced = shoppingList.some(entry => entry.price === null);
+
+  const upgradeLines = ready.map(({ station, level }) => `**${station.name} ${level.level}** • ${formatCost(level.cost, level.unpriced, lang)}`);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x8B6F47)
+    .setTitle(`🏠 ${t(lang, 'hideout.nextTitle')} • ${formatGameMode(gameMode)}`)
+    .setDescription(truncate(upgradeLines.join('\n') || t(lang, 'hideout.nothingReady'), 4096))
+    .setFooter({ text: t(lang, Object.keys(getStationLevels(message.author.id, gameMode)).length > 0 ? 'hideout.nextFooter' : 'hideout.nextFooterEmpty') });
+
+  if (shoppingList.length > 0) {
+    const lines = shoppingList.slice(0, MAX_SHOPPING_LINES).map(entry => formatItemRequirement(entry, lang));
+    if (shoppingList.length > MAX_SHOPPING_LINES) {
+      lines.push(t(lang, 'hideout.more', { count: shoppingList.length - MAX_SHOPPING_LINES }));
+    }
+
+    embed.addFields(
+      { name: t(lang, 'hideout.shoppingList', { count: shoppingList.length }), value: truncate(lines.join('\n'), 1024), inline: false },
+      { name: t(lang, 'hideout.totalCost'), value: formatCost(total, unpriced, lang), inline: false },
+    );
+  }
+
+  if (blocked.length > 0) {
+    const blockedLines = blocked.map(({ station, level }) => {
+      const needs = level.stationLevelRequirements.map(requirement => `${requirement.station.name} ${requirement.level}`).join(', ');
+      return `${station.name} ${level.level} ← ${needs}`;
+    });
+
+    embed.addFields({
+      name: t(lang, 'hideout.blocked', { count: blocked.length }),
+      value: truncate(blockedLines.join('\n'), 1024),
+      inline: false,
+    });
+  }
+
+  await thinking.edit({ content: null, embeds: [embed] });
+}
+
+export default {
+  name: 'hideout',
+  aliases: ['ho'],
+  usage: '<station> [level] | set <station> <level> | next',
+  description: 'Hideout upgrade requirements and your progress',
+  details: 'See what a hideout station needs and track your own upgrades:\n• `!hideout lavatory 2` - items (with prices), traders, skills and stations for a level\n• `!hideout lavatory` - your next level of that station\n• `!hideout set lavatory 2` - record the level you\'ve built (0 for not built)\n• `!hideout next` - everything still needed for your next upgrades, with the total cost\n\nLevels are recorded separately for PvP and PvE. `!crafts` also uses them to hide crafts you can\'t run yet.',
+  examples: ['lavatory 2', 'set medstation 1', 'next', 'next --pve'],
+  args: [
+    { name: 'station', description: 'Station name, "set <station> <level>" or "next"', required: true, rest: true },
+    { name: 'level', description: 'Station level', type: 'integer' },
+  ],
+  category: 'Hideout',
+  permission: 'everyone',
+  slash: true,
+  execute: handleHideoutCommand,
+};
@@ -0,0 +1,101 @@
+import { AttachmentBuilder, EmbedBuilder } from 'discord.js';
+import { searchItem, formatNumber } from '../tarkovApi.js';
+import { recordLookup, getPriceHistory } from '../services/priceHistory.js';
+import { renderLineChart } from '../services/charts.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 30;
+
+/**
+ * Handle the price history command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleHistoryCommand(message, args, context) {
+  const { lang } = context;
+
+  // Optional trailing range like "7d" or "30d"
+  let days = DEFAULT_RANGE_DAYS;
+  const rangeMatch = /^(\d+)d$/i.exec(args[args.length - 1]);
+  if (rangeMatch && args.length > 1) {
+    days = Math.min(Math.max(parseInt(rangeMatch[1], 10), 1), MAX_RANGE_DAYS);
+    args = args.slice(0, -1);
+  }
+
+  const itemName = args.join(' ');
+  const thinking = await message.reply(t(lang, 'history.loading', { query: itemName }));
+
+  try {
+    const [item] = await searchItem(itemName, context);
+    recordLookup(item);
+
+    const mode = formatGameMode(item.gameMode);
+    const points = getPriceHistory(item.id, days * DAY, item.gameMode);
+
+    if (points.length < 2) {
+      return thinking.edit(t(lang, 'history.notEnough', { mode, item: item.name }));
+    }
+
+    const values = points.map(point => point.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const avg = Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+    const first = values[0];
+    const last = values[values.length - 1];
+    const change = ((last - first) / first) * 100;
+
+    const chart = renderLineChart({
+      title: t(lang, 'history.chartTitle', { item: item.name, mode, days }),
+      points,
+      locale: lang,
+    });
+    const attachment = new AttachmentBuilder(chart, { name: 'price-history.png' });
+
+    const embed = new EmbedBuilder()
+      .setColor(change >= 0 ? 0x00FF00 : 0xFF0000)
+      .setTitle(`📈 ${item.name} (${item.shortName}) • ${mode}`)
+      .setURL(item.wikiLink || 'https://tarkov.dev')
+      .setImage('attachment://price-history.png')
+      .addFields(
+        { name: t(lang, 'history.current'), value: `${formatNumber(last)} ₽`, inline: true },
+        { name: t(lang, 'history.change', { days }), value: `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`, inline: true },
+        { name: t(lang, 'history.average'), value: `${formatNumber(avg)} ₽`, inline: true },
+        { name: t(lang, 'history.low'), value: `${formatNumber(min)} ₽`, inline: true },
+        { name: t(lang, 'history.high'), value: `${formatNumber(max)} ₽`, inline: true },
+        { name: t(lang, 'history.samples'), value: `${points.length}`, inline: true },
+      )
+      .setFooter({ text: t(lang, 'history.footer') })
+      .setTimestamp();
+
+    if (item.iconLink) {
+      embed.setThumbnail(item.iconLink);
+    }
+
+    await thinking.edit({ content: null, embeds: [embed], files: [attachment] });
+  } catch (error) {
+    console.error('Error in handleHistoryCommand:', error);
+    await thinking.edit(describeError(error, 'actions.loadHistory', lang));
+  }
+}
+
+export default {
+  name: 'history',
+  aliases: ['hist', 'chart'],
+  usage: '<item name> [7d|30d]',
+  description: 'Chart an item\'s flea price over time',
+  details: 'Show a chart of an item\'s flea price with low, high, average and percent change.\n\nThe bot records prices for every item someone looks up and every item with an alert, so history starts building the first time an item is requested. Ranges go up to 30 days (default 7).',
+  examples: ['bitcoin', 'graphics card 30d'],
+  args: [
+    { name: 'name', description: 'Item name', required: true, rest: true, autocomplete: 'items' },
+    { name: 'range', description: 'How far back to chart', choices: ['7d', '30d'] },
+  ],
+  category: 'Items',
+  permission: 'everyone',
+  slash: true,
+  execute: handleHistoryCommand,
+};
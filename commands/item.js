@@ -0,0 +1,359 @@
+import { EmbedBuilder } from 'discord.js';
+import { searchItem, getCurrencySymbol, formatNumber } from '../tarkovApi.js';
+import { describeError } from '../services/errors.js';
+import { recordLookup } from '../services/priceHistory.js';
+import { addBarterPrices, getBarterProfit } from '../services/barters.js';
+import { addBuyOptions, getBuyerAccess } from '../services/buying.js';
+import { getSlotValue } from '../services/loot.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+import { showMatches } from '../utils/disambiguation.js';
+import { parseFlags } from '../utils/args.js';
+import { formatSale } from './loot.js';
+
+const MAX_BARTERS = 4;
+const MAX_BUY_OPTIONS = 3;
+
+// Select menu emoji by item type, first match wins
+const ITEM_TYPE_EMOJI = [
+  ['ammo', '🔫'],
+  ['gun', '🔫'],
+  ['keys', '🔑'],
+  ['meds', '💊'],
+  ['provisions', '🥫'],
+  ['armor', '🛡️'],
+  ['helmet', '🪖'],
+  ['backpack', '🎒'],
+  ['rig', '🦺'],
+  ['mods', '🔧'],
+  ['barter', '📦'],
+];
+
+/**
+ * Handle the item search command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleItemCommand(message, args, context) {
+  const { lang } = context;
+  const { args: words, flags } = parseFlags(args);
+  const itemName = words.join(' ');
+  const thinking = await message.reply(t(lang, 'item.searching', { query: itemName }));
+
+  try {
+    const found = await searchItem(itemName, context);
+    recordLookup(found[0]);
+
+    // Barter prices are a bonus; show the item without them if they can't be fetched
+    const priced = await addBarterPrices(found, context).catch(error => {
+      console.error('Error pricing barters:', error.message);
+      return found;
+    });
+
+    // Where to buy follows the searcher's recorded levels, so it's worked out before rendering
+    const ranked = await addBuyOptions(priced, getBuyerAccess(message.author.id, context.gameMode), context).catch(error => {
+      console.error('Error ranking buy options:', error.message);
+      return priced;
+    });
+
+    // --slots adds the value per inventory slot, as ranked by !loot
+    const items = flags.slots ? ranked.map(item => ({ ...item, slotValue: getSlotValue(item) })) : ranked;
+
+    // Show the most relevant item, with a menu to switch to the others
+    await showMatches(message, thinking, items, {
+      renderEmbed: createItemEmbed,
+      toOption: createItemOption,
+      placeholder: t(lang, 'item.placeholder'),
+      lang,
+    });
+  } catch (error) {
+    console.error('Error in handleItemCommand:', error);
+    await thinking.edit(describeError(error, 'actions.searchItem', lang));
+  }
+}
+
+/**
+ * Create a select menu option for an item
+ * @param {Object} item - Item data from Tarkov API
+ * @returns {Object} Option label, description and emoji
+ */
+export function createItemOption(item) {
+  const emoji = ITEM_TYPE_EMOJI.find(([type]) => item.types?.includes(type))?.[1] || '📦';
+  const price = item.avg24hPrice ? ` • ${formatNumber(item.avg24hPrice)} ₽` : '';
+
+  return {
+    label: item.name,
+    description: `${item.shortName}${price}`,
+    emoji,
+  };
+}
+
+/**
+ * Create a Discord embed for an item
+ * Labels use the language the item was fetched in
+ * @param {Object} item - Item data from Tarkov API, tagged with gameMode and lang
+ * @returns {EmbedBuilder} Discord embed
+ */
+export function createItemEmbed(item) {
+  const { lang } = item;
+  const embed = new EmbedBuilder()
+    .setColor(0x0099FF)
+    .setTitle(`${item.name} (${item.shortName}) • ${formatGameMode(item.gameMode)}`)
+    .setURL(item.wikiLink || 'https://tarkov.dev')
+    .setTimestamp();
+
+  if (item.iconLink) {
+    embed.setThumbnail(item.iconLink);
+  }
+
+  // Price Information
+  if (item.avg24hPrice) {
+    embed.addFields({
+      name: t(lang, 'item.fleaPrice'),
+      value: `${formatNumber(item.avg24hPrice)} ₽`,
+      inline: true,
+    });
+  }
+
+  if (item.basePrice) {
+    embed.addFields({
+      name: t(lang, 'item.basePrice'),
+      value: `${formatNumber(item.basePrice)} ₽`,
+      inline: true,
+    });
+  }
+
+  // Best sell prices
+  if (item.sellFor && item.sellFor.length > 0) {
+    const bestSells = item.sellFor
+      .sort((a, b) => b.priceRUB - a.priceRUB)
+      .slice(0, 5);
+
+    const sellText = bestSells
+      .map(sell => `**${sell.vendor.name}**: ${formatNumber(sell.price)} ${getCurrencySymbol(sell.currency)} (${formatNumber(sell.priceRUB)} ₽)`)
+      .join('\n');
+
+    embed.addFields({
+      name: t(lang, 'item.bestSellPrices'),
+      value: sellText || t(lang, 'item.noSellData'),
+      inline: false,
+    });
+  }
+
+  // Value per inventory slot, only with --slots
+  if (item.slotValue !== undefined) {
+    const { slotValue } = item;
+    embed.addFields({
+      name: t(lang, 'loot.perSlotField'),
+      value: slotValue
+        ? t(lang, 'loot.perSlotValue', {
+          perSlot: formatNumber(slotValue.perSlot),
+          size: `${item.width}×${item.height}`,
+          slots: slotValue.slots,
+          sale: formatSale(slotValue.sale, lang),
+        })
+        : t(lang, 'loot.noSlotValue'),
+      inline: false,
+    });
+  }
+
+  // Cheapest ways to buy, from addBuyOptions
+  if (item.buyOptions && item.buyOptions.length > 0) {
+    const buyText = item.buyOptions
+      .slice(0, MAX_BUY_OPTIONS)
+      .map(option => formatBuyOption(option, lang))
+      .join('\n');
+
+    embed.addFields({
+      name: t(lang, 'buy.whereToBuy'),
+      value: buyText.length > 1024 ? buyText.substring(0, 1021) + '...' : buyText,
+      inline: false,
+    });
+  }
+
+  // Quest information - items needed for quest turn-in
+  if (item.usedInTasks && item.usedInTasks.length > 0) {
+    const questText = item.usedInTasks
+      .slice(0, 5)
+      .map(task => t(lang, 'item.questLine', { name: task.name, trader: task.trader.name, level: task.minPlayerLevel }))
+      .join('\n');
+
+    embed.addFields({
+      name: t(lang, 'item.neededForQuests', { count: item.usedInTasks.length }),
+      value: questText.length > 1024 ? questText.substring(0, 1021) + '...' : questText,
+      inline: false,
+    });
+  }
+
+  // Quest rewards - received from completing quests
+  if (item.receivedFromTasks && item.receivedFromTasks.length > 0) {
+    const rewardText = item.receivedFromTasks
+      .slice(0, 5)
+      .map(task => t(lang, 'item.questLine', { name: task.name, trader: task.trader.name, level: task.minPlayerLevel }))
+      .join('\n');
+
+    embed.addFields({
+      name: t(lang, 'item.rewardFromQuests', { count: item.receivedFromTasks.length }),
+      value: rewardText.length > 1024 ? rewardText.substring(0, 1021) + '...' : rewardText,
+      inline: false,
+    });
+  }
+
+  // Crafting - what this item produces
+  if (item.craftsFor && item.craftsFor.length > 0) {
+    const craftText = item.craftsFor
+      .slice(0, 3)
+      .map(craft => {
+        const output = craft.rewardItems.map(r => `${r.item.name} (x${r.count})`).join(', ');
+        return t(lang, 'item.craftLine', { station: craft.station.name, level: craft.level, output });
+      })
+      .join('\n');
+
+    embed.addFields({
+      name: t(lang, 'item.canCraft', { count: item.craftsFor.length }),
+      value: craftText.length > 1024 ? craftText.substring(0, 1021) + '...' : craftText,
+      inline: false,
+    });
+  }
+
+  // Crafting - what uses this item as ingredient
+  if (item.craftsUsing && item.craftsUsing.length > 0) {
+    const craftText = item.craftsUsing
+      .slice(0, 3)
+      .map(craft => {
+        const output = craft.rewardItems.map(r => `${r.item.name} (x${r.count})`).join(', ');
+        return t(lang, 'item.craftLine', { station: craft.station.name, level: craft.level, output });
+      })
+      .join('\n');
+
+    embed.addFields({
+      name: t(lang, 'item.usedInCrafts', { count: item.craftsUsing.length }),
+      value: craftText.length > 1024 ? craftText.substring(0, 1021) + '...' : craftText,
+      inline: false,
+    });
+  }
+
+  // Barters - trader trades that give this item
+  if (item.bartersFor && item.bartersFor.length > 0) {
+    const barterText = formatBarters(item.bartersFor, lang);
+
+    embed.addFields({
+      name: t(lang, 'item.barterFor', { count: item.bartersFor.length }),
+      value: barterText.length > 1024 ? barterText.substring(0, 1021) + '...' : barterText,
+      inline: false,
+    });
+  }
+
+  // Barters - trader trades that take this item
+  if (item.bartersUsing && item.bartersUsing.length > 0) {
+    const barterText = formatBarters(item.bartersUsing, lang);
+
+    embed.addFields({
+      name: t(lang, 'item.usedInBarters', { count: item.bartersUsing.length }),
+      value: barterText.length > 1024 ? barterText.substring(0, 1021) + '...' : barterText,
+      inline: false,
+    });
+  }
+
+  // Item types/categories
+  if (item.types && item.types.length > 0) {
+    embed.addFields({
+      name: t(lang, 'item.categories'),
+      value: item.types.join(', '),
+      inline: false,
+    });
+  }
+
+  return embed;
+}
+
+/**
+ * Format the most profitable barters, each with its flea cost and value when priced
+ * @param {Object[]} barters - Barters, optionally priced by addBarterPrices
+ * @param {string} lang - Language code
+ * @returns {string} One entry per barter
+ */
+function formatBarters(barters, lang) {
+  const profit = barter => getBarterProfit(barter) ?? -Infinity;
+  const formatItems = entries => entries.map(entry => `${entry.count}× ${entry.item.shortName || entry.item.name}`).join(' + ');
+
+  return [...barters]
+    .sort((a, b) => profit(b) - profit(a))
+    .slice(0, MAX_BARTERS)
+    .map(barter => {
+      const lock = barter.taskUnlock ? ` 🔒 ${barter.taskUnlock.name}` : '';
+      const line = t(lang, 'item.barterLine', {
+        trader: barter.trader.name,
+        level: barter.level,
+        input: formatItems(barter.requiredItems),
+        output: formatItems(barter.rewardItems),
+      }) + lock;
+
+      // Unpriced barters (e.g. shown from !alert) only list the trade
+      if (barter.cost === undefined) return line;
+
+      const gain = getBarterProfit(barter);
+      const verdict = gain === null
+        ? t(lang, 'item.barterUnpriced')
+        : t(lang, gain >= 0 ? 'item.barterSaves' : 'item.barterLoses', { amount: formatNumber(Math.abs(gain)) });
+      const cost = barter.cost === null ? '?' : formatNumber(barter.cost);
+      const value = barter.value === null ? '?' : formatNumber(barter.value);
+
+      return `${line}\n${t(lang, 'item.barterValue', { cost, value, verdict })}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Format a price in its own currency, adding the rouble cost for dollars and euros
+ * @param {number} price - Price in the offer's currency
+ * @param {string} currency - Currency code
+ * @param {number|null} costRUB - Cost in roubles
+ * @returns {string} e.g. "12,000 ₽" or "95 $ (13,110 ₽)"
+ */
+function formatPrice(price, currency, costRUB) {
+  const text = `${formatNumber(price)} ${getCurrencySymbol(currency)}`;
+  return currency === 'RUB' || costRUB == null ? text : `${text} (${formatNumber(costRUB)} ₽)`;
+}
+
+/**
+ * Format one way to buy an item, with what keeps the user from it
+ * @param {Object} option - Option from rankBuyOptions
+ * @param {string} lang - Language code
+ * @returns {string} e.g. "**Prapor** LL2: 12,000 ₽ 🔒 needs LL2 (you: LL1)" or "**Skier** LL1 barter: 2× Bolts → 60× (500 ₽ each)"
+ */
+export function formatBuyOption(option, lang) {
+  let line;
+  if (option.type === 'barter') {
+    const input = option.barter.requiredItems.map(entry => `${entry.count}× ${entry.item.shortName || entry.item.name}`).join(' + ');
+    const cost = option.costRUB == null ? t(lang, 'buy.unpriced') : t(lang, 'buy.each', { cost: formatNumber(option.costRUB) });
+    line = t(lang, 'buy.barterLine', { vendor: option.vendor, level: option.level, input, count: option.count, cost });
+  } else if (option.type === 'flea') {
+    line = t(lang, 'buy.fleaLine', { vendor: option.vendor, price: formatPrice(option.price, option.currency, option.costRUB) });
+  } else {
+    line = t(lang, 'buy.offerLine', { vendor: option.vendor, level: option.level, price: formatPrice(option.price, option.currency, option.costRUB) });
+  }
+
+  const { lock } = option;
+  if (!lock) return line;
+  if (lock.reason === 'quest') return `${line} ${t(lang, 'buy.lockedQuest', { quest: lock.quest.name })}`;
+  return `${line} ${t(lang, lock.reason === 'flea' ? 'buy.lockedFlea' : 'buy.lockedLoyalty', { level: lock.level, current: lock.current })}`;
+}
+
+export default {
+  name: 'item',
+  aliases: ['i'],
+  usage: '<item name> [--slots]',
+  description: 'Search for an item',
+  details: 'Search for an item and get:\n• Current flea market price\n• Best trader sell prices\n• Where to buy it for your trader levels\n• Quest requirements\n• Crafting recipes\n• Trader barters, with flea cost and value\n• Item categories\n\nAdd `--slots` for its value per inventory slot, as ranked by `!loot`.',
+  examples: ['bitcoin', 'graphics card --slots', 'ledx --pve'],
+  args: [
+    { name: 'name', description: 'Item name', required: true, rest: true, autocomplete: 'items' },
+    { name: 'slots', description: 'Show the value per inventory slot', type: 'boolean', flag: true },
+  ],
+  category: 'Items',
+  permission: 'everyone',
+  slash: true,
+  execute: handleItemCommand,
+};
@@ -0,0 +1,233 @@
+import { EmbedBuilder } from 'discord.js';
+import { formatNumber } from '../tarkovApi.js';
+import { getCollectorItems, findCollectorItem, getFoundItems, setItemFound } from '../services/kappa.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+import { truncate } from '../utils/embeds.js';
+import { parseFlags } from '../utils/args.js';
+import { showPages } from '../utils/pagination.js';
+
+// Each item gets its own embed so it can show its icon
+const ITEMS_PER_PAGE = 5;
+const SQUAD_ITEMS_PER_PAGE = 15;
+const MAX_SOURCES = 2;
+const ACTIONS = ['found', 'missing', 'squad'];
+
+/**
+ * Handle the kappa command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleKappaCommand(message, args, context) {
+  const { lang } = context;
+  const { args: words, flags } = parseFlags(args);
+  const action = (words[0] || '').toLowerCase();
+  if (action && !ACTIONS.includes(action)) {
+    return message.reply(t(lang, 'kappa.unknownAction', { action: words[0] }));
+  }
+
+  // The squad is whoever ran the command plus anyone they mention
+  const userIds = [message.author.id];
+  if (action === 'squad') {
+    for (const word of words.slice(1)) {
+      const match = /^<@!?(\d+)>$/.exec(word);
+      if (!match) {
+        return message.reply(t(lang, 'needed.badMember', { arg: word }));
+      }
+      if (!userIds.includes(match[1])) userIds.push(match[1]);
+    }
+  }
+
+  if (action === 'found' && words.length < 2) {
+    return message.reply(t(lang, 'kappa.missingItem'));
+  }
+
+  const thinking = await message.reply(t(lang, 'kappa.loading'));
+
+  try {
+    const { quest, items } = await getCollectorItems(context);
+
+    if (action === 'found') {
+      return markFound(message, thinking, items, words.slice(1).join(' '), !flags.undo, context);
+    }
+    if (action === 'squad') {
+      return showSquad(message, thinking, quest, items, userIds, context);
+    }
+    await showItems(message, thinking, quest, items, action === 'missing', context);
+  } catch (error) {
+    console.error('Error in handleKappaCommand:', error);
+    await thinking.edit(describeError(error, 'actions.loadKappa', lang));
+  }
+}
+
+/**
+ * Mark or unmark a Collector item as found
+ * @param {Message} message - Discord message object
+ * @param {Message} thinking - Reply to edit with the result
+ * @param {Object[]} items - Items from getCollectorItems
+ * @param {string} query - Item name the user typed
+ * @param {boolean} found - True to mark found, false to unmark
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+async function markFound(message, thinking, items, query, found, { lang, gameMode }) {
+  const entry = findCollectorItem(query, items);
+  if (!entry) {
+    return thinking.edit(t(lang, 'kappa.unknownItem', { item: query }));
+  }
+
+  const changed = setItemFound(message.author.id, gameMode, entry.item.id, found);
+  const foundIds = getFoundItems(message.author.id, gameMode);
+  const key = found
+    ? (changed ? 'kappa.marked' : 'kappa.alreadyFound')
+    : (changed ? 'kappa.unmarked' : 'kappa.notFound');
+
+  await thinking.edit(t(lang, key, {
+    item: entry.item.name,
+    mode: formatGameMode(gameMode),
+    found: items.filter(item => foundIds.includes(item.item.id)).length,
+    total: items.length,
+  }));
+}
+
+/**
+ * Describe where an item comes from
+ * @param {Object} entry - Item from getCollectorItems
+ * @param {string} lang - Language code
+ * @returns {string|null} e.g. "Reward from Shortage" or "Found on Woods, Shoreline", or null if unknown
+ */
+function formatSource(entry, lang) {
+  const list = names => names.slice(0, MAX_SOURCES).join(', ') + (names.length > MAX_SOURCES ? ` +${names.length - MAX_SOURCES}` : '');
+
+  if (entry.rewardFrom.length > 0) return t(lang, 'kappa.rewardFrom', { quests: list(entry.rewardFrom) });
+  if (entry.maps.length > 0) return t(lang, 'kappa.foundOn', { maps: list(entry.maps) });
+  return null;
+}
+
+/**
+ * Create the embed for one Collector item
+ * @param {Object} entry - Item from getCollectorItems
+ * @param {boolean} found - Whether the user has it
+ * @param {string} lang - Language code
+ * @returns {EmbedBuilder} Item embed
+ */
+function createItemEmbed(entry, found, lang) {
+  const lines = [
+    entry.price ? t(lang, 'kappa.price', { price: formatNumber(entry.price) }) : t(lang, 'kappa.noPrice'),
+    formatSource(entry, lang),
+  ].filter(Boolean);
+
+  const count = entry.count > 1 ? ` ×${entry.count}` : '';
+  const embed = new EmbedBuilder()
+    .setColor(found ? 0x2ECC71 : 0x95A5A6)
+    .setTitle(`${found ? '✅' : '⬜'} ${entry.item.name}${count}`)
+    .setDescription(lines.join('\n'));
+
+  if (entry.item.iconLink) {
+    embed.setThumbnail(entry.item.iconLink);
+  }
+  return embed;
+}
+
+/**
+ * Show the Collector items with the user's progress
+ * @param {Message} message - Discord message object
+ * @param {Message} thinking - Reply to edit with the result
+ * @param {Object} quest - The Collector quest
+ * @param {Object[]} items - Items from getCollectorItems
+ * @param {boolean} missingOnly - Only list items the user hasn't found
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+async function showItems(message, thinking, quest, items, missingOnly, { lang, gameMode }) {
+  const foundIds = getFoundItems(message.author.id, gameMode);
+  const found = items.filter(entry => foundIds.includes(entry.item.id));
+  const shown = missingOnly ? items.filter(entry => !foundIds.includes(entry.item.id)) : items;
+
+  if (shown.length === 0) {
+    return thinking.edit(t(lang, 'kappa.complete', { mode: formatGameMode(gameMode) }));
+  }
+
+  const missingValue = items
+    .filter(entry => !foundIds.includes(entry.item.id) && entry.price)
+    .reduce((sum, entry) => sum + entry.price * entry.count, 0);
+
+  const header = new EmbedBuilder()
+    .setColor(0x9B59B6)
+    .setTitle(`${t(lang, missingOnly ? 'kappa.missingTitle' : 'kappa.title')} • ${formatGameMode(gameMode)}`)
+    .setURL(quest.wikiLink || 'https://tarkov.dev')
+    .setDescription(t(lang, 'kappa.summary', {
+      found: found.length,
+      total: items.length,
+      value: formatNumber(missingValue),
+    }))
+    .setFooter({ text: t(lang, 'kappa.footer') });
+
+  const pageCount = Math.ceil(shown.length / ITEMS_PER_PAGE);
+  await showPages(message, thinking, pageCount, {
+    lang,
+    renderPage: page => ({
+      embeds: [header, ...shown
+        .slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE)
+        .map(entry => createItemEmbed(entry, foundIds.includes(entry.item.id), lang))],
+    }),
+  });
+}
+
+/**
+ * Show which squad members have found each Collector item
+ * @param {Message} message - Discord message object
+ * @param {Message} thinking - Reply to edit with the result
+ * @param {Object} quest - The Collector quest
+ * @param {Object[]} items - Items from getCollectorItems
+ * @param {string[]} userIds - Squad members
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+async function showSquad(message, thinking, quest, items, userIds, { lang, gameMode }) {
+  const found = new Map(userIds.map(userId => [userId, getFoundItems(userId, gameMode)]));
+  const mention = userId => `<@${userId}>`;
+
+  const lines = items.map(entry => {
+    const have = userIds.filter(userId => found.get(userId).includes(entry.item.id));
+    return t(lang, 'kappa.squadLine', {
+      item: entry.item.name,
+      have: have.map(mention).join(' ') || '-',
+      count: have.length,
+      total: userIds.length,
+    });
+  });
+
+  const totals = userIds
+    .map(userId => `${mention(userId)} ${items.filter(entry => found.get(userId).includes(entry.item.id)).length}/${items.length}`)
+    .join(' • ');
+
+  const pageCount = Math.ceil(lines.length / SQUAD_ITEMS_PER_PAGE);
+  await showPages(message, thinking, pageCount, {
+    lang,
+    renderPage: page => ({
+      embeds: [new EmbedBuilder()
+        .setColor(0x9B59B6)
+        .setTitle(`${t(lang, 'kappa.squadTitle')} • ${formatGameMode(gameMode)}`)
+        .setURL(quest.wikiLink || 'https://tarkov.dev')
+        .setDescription(truncate(`${totals}\n\n${lines.slice(page * SQUAD_ITEMS_PER_PAGE, (page + 1) * SQUAD_ITEMS_PER_PAGE).join('\n')}`, 4096))
+        .setFooter({ text: t(lang, 'kappa.footer') })],
+    }),
+  });
+}
+
+export default {
+  name: 'kappa',
+  aliases: ['collector'],
+  usage: '[found <item> [--undo] | missing | squad [@member ...]]',
+  description: 'Track the Collector items for Kappa',
+  details: 'List every item the Collector quest needs, with its icon, current flea price and where it comes from, marking the ones you\'ve found.\n• `!kappa found firesteel` - mark an item as found (`--undo` unmarks it)\n• `!kappa missing` - only the items you still need\n• `!kappa squad @friend @friend2` - who in your squad has each item\n\nProgress is recorded separately for PvP and PvE.',
+  examples: ['missing', 'found old firesteel', 'squad @friend'],
+  args: [
+    { name: 'action', description: 'found <item>, missing or squad [@member ...]', rest: true },
+    { name: 'undo', description: 'Unmark the item instead', type: 'boolean', flag: true },
+  ],
+  category: 'Quests',
+  permission: 'everyone',
+  slash: true,
+  execute: handleKappaCommand,
+};
@@ -0,0 +1,251 @@
+import { EmbedBuilder } from 'discord.js';
+import { formatNumber } from '../tarkovApi.js';
+import { findKey, getKeyValue, getKeyUses, getMapKeys } from '../services/keys.js';
+import { findMap } from '../services/maps.js';
+import { getKeyWikiInfo } from '../services/wiki.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t, tOptional } from '../services/i18n.js';
+import { truncate } from '../utils/embeds.js';
+import { showPages } from '../utils/pagination.js';
+
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_QUESTS = 8;
+const KEYS_PER_PAGE = 15;
+
+/**
+ * Handle the key command: where a key is used and what it's worth
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleKeyCommand(message, args, context) {
+  const { lang } = context;
+  const keyName = args.join(' ');
+  const thinking = await message.reply(t(lang, 'key.loading', { query: keyName }));
+
+  try {
+    const { key } = await findKey(keyName, context);
+    if (!key) {
+      return thinking.edit(t(lang, 'key.unknownKey', { key: keyName }));
+    }
+
+    // The wiki is a bonus; show the key without it when it can't be reached
+    const [uses, wiki] = await Promise.all([
+      getKeyUses(key, context),
+      getKeyWikiInfo(key).catch(error => {
+        console.error('Error reading key wiki page:', error.message);
+        return { location: null, loot: null };
+      }),
+    ]);
+
+    await thinking.edit({ content: null, embeds: [createKeyEmbed(key, uses, wiki, context)] });
+  } catch (error) {
+    console.error('Error in handleKeyCommand:', error);
+    await thinking.edit(describeError(error, 'actions.loadKeys', lang));
+  }
+}
+
+/**
+ * Handle the keys command: every key for a map, by price
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleKeysCommand(message, args, context) {
+  const { lang, gameMode } = context;
+  const mapName = args.join(' ');
+  const thinking = await message.reply(t(lang, 'key.loadingMap', { query: mapName }));
+
+  try {
+    const { map, maps } = await findMap(mapName, context);
+    if (!map) {
+      return thinking.edit(t(lang, 'map.unknownMap', {
+        map: mapName,
+        maps: maps.map(candidate => candidate.name).join(', '),
+      }));
+    }
+
+    const keys = await getMapKeys(map, context);
+    if (keys.length === 0) {
+      return thinking.edit(t(lang, 'key.noKeys', { map: map.name }));
+    }
+
+    const pageCount = Math.ceil(keys.length / KEYS_PER_PAGE);
+    await showPages(message, thinking, pageCount, {
+      lang,
+      renderPage: page => ({
+        embeds: [createMapKeysEmbed(map, keys.slice(page * KEYS_PER_PAGE, (page + 1) * KEYS_PER_PAGE), keys.length, { lang, gameMode })],
+      }),
+    });
+  } catch (error) {
+    console.error('Error in handleKeysCommand:', error);
+    await thinking.edit(describeError(error, 'actions.loadKeys', lang));
+  }
+}
+
+/**
+ * Format a key's uses
+ * @param {Object} key - Key from fetchKeys
+ * @param {string} lang - Language code
+ * @returns {string} e.g. "40 uses"
+ */
+function formatUses(key, lang) {
+  return key.uses ? t(lang, 'key.usesCount', { uses: key.uses }) : t(lang, 'key.usesUnknown');
+}
+
+/**
+ * Format what a key is worth on the flea and to traders
+ * @param {Object} value - Value from getKeyValue
+ * @param {string} lang - Language code
+ * @returns {string} Field value
+ */
+function formatValue(value, lang) {
+  const lines = [
+    value.flea
+      ? t(lang, 'key.flea', { price: formatNumber(value.flea) }) + (value.perUse ? ` • ${t(lang, 'key.perUse', { price: formatNumber(value.perUse) })}` : '')
+      : t(lang, 'key.notOnFlea'),
+    value.trader
+      ? t(lang, 'key.traderPays', { trader: value.trader.name, price: formatNumber(value.trader.price) })
+      : t(lang, 'key.noTrader'),
+  ];
+
+  // Keys that sell for close to their flea price aren't worth keeping around
+  if (value.flea && value.trader) {
+    lines.push(t(lang, 'key.ratio', { ratio: (value.flea / value.trader.price).toFixed(1) }));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format one lock a key opens
+ * @param {Object} lock - Lock from getKeyUses
+ * @param {string} lang - Language code
+ * @returns {string} e.g. "**Customs** • door ×2 • needs power"
+ */
+function formatLock(lock, lang) {
+  return [
+    `**${lock.map.name}**`,
+    `${tOptional(lang, `key.lockTypes.${lock.lockType}`, lock.lockType || '?')}${lock.count > 1 ? ` ×${lock.count}` : ''}`,
+    lock.needsPower && t(lang, 'key.needsPower'),
+  ].filter(Boolean).join(' • ');
+}
+
+/**
+ * Format a quest that needs a key, with how it's needed
+ * @param {Object} entry - Quest from getKeyUses
+ * @param {string} lang - Language code
+ * @returns {string} e.g. "• **Chemical - Part 1** (Skier) • opens a quest area on Customs"
+ */
+function formatQuest(entry, lang) {
+  const reasons = [
+    entry.objective && t(lang, 'key.objectiveItem'),
+    entry.access && t(lang, 'key.questArea', { maps: entry.maps.map(map => map.name).join(', ') || '?' }),
+  ].filter(Boolean);
+
+  return `• **${entry.quest.name}** (${entry.quest.trader.name}) • ${reasons.join(', ')}`;
+}
+
+/**
+ * Create the embed for a key
+ * @param {Object} key - Key from fetchKeys
+ * @param {{locks: Object[], quests: Object[]}} uses - Locks and quests from getKeyUses
+ * @param {{location: string|null, loot: string[]|null}} wiki - Details from the key's wiki page
+ * @param {CommandContext} context - Resolved game mode and language
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createKeyEmbed(key, { locks, quests }, wiki, { lang, gameMode }) {
+  const embed = new EmbedBuilder()
+    .setColor(0xD4AC0D)
+    .setTitle(`🔑 ${key.name} • ${formatGameMode(gameMode)}`)
+    .setURL(key.wikiLink || 'https://tarkov.dev')
+    .setFooter({ text: t(lang, 'key.footer') });
+
+  const description = wiki.location || key.description;
+  if (description) {
+    embed.setDescription(truncate(description, MAX_DESCRIPTION_LENGTH));
+  }
+  if (key.iconLink) {
+    embed.setThumbnail(key.iconLink);
+  }
+
+  embed.addFields(
+    { name: t(lang, 'key.opens'), value: truncate(locks.map(lock => formatLock(lock, lang)).join('\n') || t(lang, 'key.unknownLock'), 1024), inline: false },
+    { name: t(lang, 'key.uses'), value: formatUses(key, lang), inline: true },
+    { name: t(lang, 'key.value'), value: formatValue(getKeyValue(key), lang), inline: true },
+  );
+
+  if (quests.length > 0) {
+    const lines = quests.slice(0, MAX_QUESTS).map(entry => formatQuest(entry, lang));
+    if (quests.length > MAX_QUESTS) {
+      lines.push(t(lang, 'key.moreQuests', { count: quests.length - MAX_QUESTS }));
+    }
+    embed.addFields({ name: t(lang, 'key.quests', { count: quests.length }), value: truncate(lines.join('\n'), 1024), inline: false });
+  } else {
+    embed.addFields({ name: t(lang, 'key.quests', { count: 0 }), value: t(lang, 'key.noQuests'), inline: false });
+  }
+
+  embed.addFields({
+    name: t(lang, 'key.loot'),
+    value: wiki.loot ? truncate(wiki.loot.map(entry => `• ${entry}`).join('\n'), 1024) : t(lang, 'key.lootUnknown'),
+    inline: false,
+  });
+
+  return embed;
+}
+
+/**
+ * Create the embed for one page of a map's keys
+ * @param {Object} map - Map from fetchMaps
+ * @param {Object[]} keys - Keys on this page, from getMapKeys
+ * @param {number} total - Keys for the map
+ * @param {{lang: string, gameMode: string}} context - Language and game mode
+ * @returns {EmbedBuilder} The page embed
+ */
+function createMapKeysEmbed(map, keys, total, { lang, gameMode }) {
+  const lines = keys.map(({ key, value, quests }) => [
+    `**${key.name}**`,
+    value.flea ? `${formatNumber(value.flea)} ₽` : t(lang, 'key.notOnFlea'),
+    key.uses && t(lang, 'key.usesCount', { uses: key.uses }),
+    quests > 0 && t(lang, 'key.questCount', { count: quests }),
+  ].filter(Boolean).join(' • '));
+
+  return new EmbedBuilder()
+    .setColor(0xD4AC0D)
+    .setTitle(`🔑 ${t(lang, 'key.mapTitle', { map: map.name })} • ${formatGameMode(gameMode)}`)
+    .setURL(map.wiki || 'https://tarkov.dev/maps')
+    .setDescription(truncate(lines.join('\n'), 4096))
+    .setFooter({ text: `${t(lang, 'key.mapFooter', { count: total })} • ${t(lang, 'common.dataSource')}` });
+}
+
+export default [
+  {
+    name: 'key',
+    usage: '<key name>',
+    description: 'Where a key is used and whether it\'s worth keeping',
+    details: 'Look up a key and get:\n• The maps and locks it opens\n• Quests that need it, as an objective item or to get into a quest area\n• What\'s behind the lock, from the wiki where known\n• How many uses it has\n• Its flea price (and price per use) against what traders pay',
+    examples: ['dorm 314', 'marked room', 'factory exit'],
+    args: [
+      { name: 'name', description: 'Key name', required: true, rest: true },
+    ],
+    category: 'Items',
+    permission: 'everyone',
+    slash: true,
+    execute: handleKeyCommand,
+  },
+  {
+    name: 'keys',
+    usage: '<map name>',
+    description: 'Every key for a map, by price',
+    details: 'List every key that opens a lock on a map, or that a quest on the map needs, most expensive first. Use `!key <name>` for the details of one key.',
+    examples: ['customs', 'reserve --pve'],
+    args: [
+      { name: 'map', description: 'Map name', required: true, rest: true },
+    ],
+    category: 'Items',
+    permission: 'everyone',
+    slash: true,
+    execute: handleKeysCommand,
+  },
+];
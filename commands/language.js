@@ -0,0 +1,113 @@
+import { EmbedBuilder } from 'discord.js';
+import { hasPermission } from '../commandRegistry.js';
+import {
+  getGuildSettings,
+  setGuildSetting,
+  getUserSettings,
+  setUserSetting,
+} from '../services/settings.js';
+import { t, parseLanguage, getLanguageName, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from '../services/i18n.js';
+
+/**
+ * Handle the language command
+ * Replies use the language the user had when the command started, except
+ * confirmations of a change, which use the new language
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved language
+ */
+export async function handleLanguageCommand(message, args, { lang }) {
+  const [setting, serverSetting] = args.map(arg => arg.toLowerCase());
+
+  if (!setting) {
+    return showLanguages(message, lang);
+  }
+
+  if (setting === 'server') {
+    return setServerLanguage(message, serverSetting, lang);
+  }
+
+  if (setting === 'reset') {
+    setUserSetting(message.author.id, 'language', null);
+    const fallback = getGuildSettings(message.guild?.id).language || DEFAULT_LANGUAGE;
+    return message.reply(t(fallback, 'languageCommand.cleared', {
+      language: getLanguageName(fallback),
+      source: t(fallback, message.guild ? 'mode.serverSource' : 'mode.botSource'),
+    }));
+  }
+
+  const language = parseLanguage(setting);
+  if (!language) {
+    return message.reply(t(lang, 'languageCommand.unsupported', { language: setting, languages: SUPPORTED_LANGUAGES.join(', ') }));
+  }
+
+  setUserSetting(message.author.id, 'language', language);
+  await message.reply(t(language, 'languageCommand.set', { language: getLanguageName(language) }));
+}
+
+/**
+ * Set the server's default language (admins only)
+ * @param {Message} message - Discord message object
+ * @param {string} [setting] - Language code or "reset"
+ * @param {string} lang - Current language code
+ */
+async function setServerLanguage(message, setting, lang) {
+  if (!message.guild) {
+    return message.reply(t(lang, 'languageCommand.serverOnly'));
+  }
+
+  if (!hasPermission(message, { permission: 'admin' })) {
+    return message.reply(t(lang, 'languageCommand.adminOnly'));
+  }
+
+  if (!setting) {
+    return message.reply(t(lang, 'languageCommand.missingServerLanguage'));
+  }
+
+  const language = setting === 'reset' ? null : parseLanguage(setting);
+  if (setting !== 'reset' && !language) {
+    return message.reply(t(lang, 'languageCommand.unsupported', { language: setting, languages: SUPPORTED_LANGUAGES.join(', ') }));
+  }
+
+  setGuildSetting(message.guild.id, 'language', language);
+  const serverLanguage = language || DEFAULT_LANGUAGE;
+  await message.reply(t(serverLanguage, 'languageCommand.serverSet', { language: getLanguageName(serverLanguage) }));
+}
+
+/**
+ * Show the user's language and where it comes from
+ * @param {Message} message - Discord message object
+ * @param {string} lang - Current language code
+ */
+async function showLanguages(message, lang) {
+  const userLanguage = getUserSettings(message.author.id).language;
+  const serverLanguage = getGuildSettings(message.guild?.id).language || DEFAULT_LANGUAGE;
+
+  const embed = new EmbedBuilder()
+    .setColor(0x0099FF)
+    .setTitle(t(lang, 'languageCommand.currentTitle', { language: getLanguageName(lang) }))
+    .addFields(
+      { name: t(lang, 'languageCommand.yourSetting'), value: userLanguage ? getLanguageName(userLanguage) : t(lang, 'languageCommand.notSet'), inline: true },
+      { name: t(lang, 'languageCommand.serverDefault'), value: getLanguageName(serverLanguage), inline: true },
+      { name: t(lang, 'languageCommand.available'), value: SUPPORTED_LANGUAGES.map(code => `\`${code}\` ${getLanguageName(code)}`).join('\n'), inline: false },
+    )
+    .setFooter({ text: t(lang, 'languageCommand.footer') });
+
+  await message.reply({ embeds: [embed] });
+}
+
+export default {
+  name: 'language',
+  aliases: ['lang'],
+  usage: '[code|reset|server] [code|reset]',
+  description: 'Choose the bot\'s language',
+  details: `Get replies, item names and quest names in another language:\n• \`!language\` - show your current language\n• \`!language ru\` - set your own language\n• \`!language reset\` - go back to the server default\n• \`!language server de\` - set the server default (admins)\n\nSupported: ${SUPPORTED_LANGUAGES.join(', ')}. Items and quests can always be searched by their English name too.`,
+  examples: ['ru', 'reset', 'server de'],
+  args: [
+    { name: 'language', description: 'Language code, reset, or server', choices: [...SUPPORTED_LANGUAGES, 'reset', 'server'] },
+    { name: 'server-language', description: 'Server default language (with server)', choices: [...SUPPORTED_LANGUAGES, 'reset'] },
+  ],
+  category: 'General',
+  permission: 'everyone',
+  execute: handleLanguageCommand,
+};
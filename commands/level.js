@@ -0,0 +1,114 @@
+import { EmbedBuilder } from 'discord.js';
+import {
+  getQuestProgress,
+  getQuestTraders,
+  setPlayerLevel,
+  setTraderLevel,
+  findQuestTrader,
+} from '../services/questProgress.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+
+const MAX_PLAYER_LEVEL = 79;
+const MAX_LOYALTY_LEVEL = 4;
+
+/**
+ * Handle the level command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleLevelCommand(message, args, context) {
+  const { lang, gameMode } = context;
+  const mode = formatGameMode(gameMode);
+
+  try {
+    if (args.length === 0) {
+      return await showProgress(message, context);
+    }
+
+    // "!level 23" records the PMC level
+    if (args.length === 1 && /^\d+$/.test(args[0])) {
+      const level = parseInt(args[0], 10);
+      if (level < 1 || level > MAX_PLAYER_LEVEL) {
+        return await message.reply(t(lang, 'progress.badLevel', { max: MAX_PLAYER_LEVEL }));
+      }
+
+      setPlayerLevel(message.author.id, gameMode, level);
+      return await message.reply(t(lang, 'progress.levelSet', { level, mode }));
+    }
+
+    // "!level prapor 3" records a trader loyalty level
+    const last = args[args.length - 1];
+    if (args.length < 2 || !/^\d+$/.test(last)) {
+      return await message.reply(t(lang, 'progress.levelUsage'));
+    }
+
+    const level = parseInt(last, 10);
+    if (level < 1 || level > MAX_LOYALTY_LEVEL) {
+      return await message.reply(t(lang, 'progress.badTraderLevel', { max: MAX_LOYALTY_LEVEL }));
+    }
+
+    const name = args.slice(0, -1).join(' ');
+    const { trader, traders } = await findQuestTrader(name, context);
+    if (!trader) {
+      return await message.reply(t(lang, 'progress.unknownTrader', {
+        trader: name,
+        traders: traders.map(entry => entry.name).join(', '),
+      }));
+    }
+
+    setTraderLevel(message.author.id, gameMode, trader.normalizedName, level);
+    await message.reply(t(lang, 'progress.traderSet', { trader: trader.name, level, mode }));
+  } catch (error) {
+    console.error('Error in handleLevelCommand:', error);
+    await message.reply(describeError(error, 'actions.updateProgress', lang));
+  }
+}
+
+/**
+ * Show the user's recorded level, trader loyalty and completed quest count
+ * @param {Message} message - Discord message object
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+async function showProgress(message, context) {
+  const { lang, gameMode } = context;
+  const progress = getQuestProgress(message.author.id, gameMode);
+
+  // Recorded loyalty is keyed by normalizedName, so look up display names in the user's language
+  const traderNames = Object.keys(progress.traders).length > 0
+    ? new Map((await getQuestTraders(context)).map(trader => [trader.normalizedName, trader.name]))
+    : new Map();
+
+  const traderLines = Object.entries(progress.traders)
+    .map(([trader, level]) => `${traderNames.get(trader) || trader} LL${level}`);
+
+  const embed = new EmbedBuilder()
+    .setColor(0xFFAA00)
+    .setTitle(`${t(lang, 'progress.progressTitle')} • ${formatGameMode(gameMode)}`)
+    .addFields(
+      { name: t(lang, 'progress.playerLevel'), value: progress.level ? `${progress.level}` : t(lang, 'progress.notRecorded'), inline: true },
+      { name: t(lang, 'progress.questsDone'), value: `${progress.done.length}`, inline: true },
+      { name: t(lang, 'progress.traderLevels'), value: traderLines.join('\n') || t(lang, 'progress.allLoyaltyOne'), inline: false },
+    )
+    .setFooter({ text: t(lang, 'progress.progressFooter') });
+
+  await message.reply({ embeds: [embed] });
+}
+
+export default {
+  name: 'level',
+  aliases: ['lvl'],
+  usage: '[level] | <trader> <loyalty level>',
+  description: 'Record your PMC level and trader loyalty',
+  details: 'Record your progress so `!available` can work out which quests you can start:\n• `!level 23` - your PMC level\n• `!level prapor 3` - your loyalty level with a trader (traders you haven\'t recorded count as LL1)\n• `!level` - show what you\'ve recorded\n\nProgress is recorded separately for PvP and PvE.',
+  examples: ['23', 'prapor 3', 'peacekeeper 2 --pve'],
+  args: [
+    { name: 'level', description: 'Your PMC level, or a trader and your loyalty level', rest: true },
+  ],
+  category: 'Quests',
+  permission: 'everyone',
+  slash: true,
+  execute: handleLevelCommand,
+};
@@ -0,0 +1,132 @@
+import { EmbedBuilder } from 'discord.js';
+import { formatNumber } from '../tarkovApi.js';
+import { rankLoot } from '../services/loot.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+import { truncate } from '../utils/embeds.js';
+import { parseFlags } from '../utils/args.js';
+import { showPages } from '../utils/pagination.js';
+
+const ITEMS_PER_PAGE = 15;
+const MAX_ITEMS = 150; // Past this the ranking is filler nobody scrolls to
+
+/**
+ * Handle the loot command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleLootCommand(message, args, context) {
+  const { lang, gameMode } = context;
+  const { args: words, flags } = parseFlags(args, ['min-slots']);
+  const categoryName = words.join(' ');
+
+  let minSlots = 1;
+  if (flags['min-slots'] !== undefined) {
+    minSlots = parseInt(flags['min-slots'], 10);
+    if (!/^\d+$/.test(`${flags['min-slots']}`) || minSlots < 1) {
+      return message.reply(t(lang, 'loot.badMinSlots'));
+    }
+  }
+
+  const thinking = await message.reply(t(lang, 'loot.loading'));
+
+  try {
+    const { items, category, categories } = await rankLoot({ ...context, category: categoryName, minSlots });
+
+    if (categoryName && !category) {
+      return thinking.edit(t(lang, 'loot.unknownCategory', {
+        category: categoryName,
+        categories: truncate(categories.map(entry => entry.name).join(', '), 1500),
+      }));
+    }
+    if (items.length === 0) {
+      return thinking.edit(t(lang, 'loot.none'));
+    }
+
+    const ranked = items.slice(0, MAX_ITEMS);
+    const pageCount = Math.ceil(ranked.length / ITEMS_PER_PAGE);
+
+    await showPages(message, thinking, pageCount, {
+      lang,
+      renderPage: page => ({
+        embeds: [createLootEmbed({
+          entries: ranked.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE),
+          offset: page * ITEMS_PER_PAGE,
+          total: items.length,
+          category,
+          minSlots,
+          gameMode,
+          lang,
+        })],
+      }),
+    });
+  } catch (error) {
+    console.error('Error in handleLootCommand:', error);
+    await thinking.edit(describeError(error, 'actions.loadLoot', lang));
+  }
+}
+
+/**
+ * Describe where an item sells best
+ * @param {{price: number, trader: string|null}} sale - Best sale from getSlotValue
+ * @param {string} lang - Language code
+ * @returns {string} e.g. "Therapist 25,000 ₽" or "Flea 31,000 ₽ after fees"
+ */
+export function formatSale(sale, lang) {
+  return sale.trader
+    ? `${sale.trader} ${formatNumber(sale.price)} ₽`
+    : t(lang, 'loot.fleaSale', { price: formatNumber(sale.price) });
+}
+
+/**
+ * Create the embed for one page of the ranking
+ * @param {Object} config - Page contents
+ * @param {Object[]} config.entries - Ranked items on this page
+ * @param {number} config.offset - Rank of the first item, minus one
+ * @param {number} config.total - Items in the whole ranking
+ * @param {Object|null} config.category - Category the ranking is limited to
+ * @param {number} config.minSlots - Smallest item size included
+ * @param {'regular'|'pve'} config.gameMode - Game mode the prices are for
+ * @param {string} config.lang - Language code
+ * @returns {EmbedBuilder} The page embed
+ */
+function createLootEmbed({ entries, offset, total, category, minSlots, gameMode, lang }) {
+  const lines = entries.map(({ item, slots, sale, perSlot }, index) => t(lang, 'loot.line', {
+    rank: offset + index + 1,
+    name: item.shortName || item.name,
+    size: `${item.width}×${item.height}`,
+    perSlot: formatNumber(perSlot),
+    sale: formatSale(sale, lang),
+    slots,
+  }));
+
+  const filters = [
+    category ? category.name : t(lang, 'loot.allItems'),
+    minSlots > 1 && t(lang, 'loot.minSlots', { slots: minSlots }),
+  ].filter(Boolean).join(' • ');
+
+  return new EmbedBuilder()
+    .setColor(0xE67E22)
+    .setTitle(`${t(lang, 'loot.title')} • ${formatGameMode(gameMode)}`)
+    .setDescription(truncate(`**${filters}**\n\n${lines.join('\n')}`, 4096))
+    .setFooter({ text: `${t(lang, 'loot.footer', { count: total })} • ${t(lang, 'common.dataSource')}` });
+}
+
+export default {
+  name: 'loot',
+  aliases: ['grab', 'perslot'],
+  usage: '[category] [--min-slots N]',
+  description: 'Most valuable loot per inventory slot',
+  details: 'Rank items by roubles per inventory slot: the best sell price (the flea after its listing fee, or the best trader) divided by width × height. Give a category such as `electronics`, `barter items` or `weapon mods` to rank just that category, and `--min-slots` to skip small items. Stackable items count a single unit.',
+  examples: ['electronics', 'medical supplies', 'jewelry --min-slots 2'],
+  args: [
+    { name: 'category', description: 'Item category', rest: true },
+    { name: 'min-slots', description: 'Leave out items smaller than this many slots', type: 'integer', flag: true },
+  ],
+  category: 'Items',
+  permission: 'everyone',
+  slash: true,
+  execute: handleLootCommand,
+};
@@ -0,0 +1,181 @@
+import { EmbedBuilder } from 'discord.js';
+import { formatNumber } from '../tarkovApi.js';
+import { findMap, getMapQuests } from '../services/maps.js';
+import { getMapImage } from '../services/images.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+import { truncate } from '../utils/embeds.js';
+
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_QUESTS = 15;
+
+/**
+ * Handle the map command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleMapCommand(message, args, context) {
+  const { lang } = context;
+  const mapName = args.join(' ');
+  const thinking = await message.reply(t(lang, 'map.loading', { query: mapName }));
+
+  try {
+    const { map, maps } = await findMap(mapName, context);
+    if (!map) {
+      return thinking.edit(t(lang, 'map.unknownMap', {
+        map: mapName,
+        maps: maps.map(candidate => candidate.name).join(', '),
+      }));
+    }
+
+    const [quests, imageLink] = await Promise.all([
+      getMapQuests(map, context),
+      getMapImage(map),
+    ]);
+
+    await thinking.edit({ content: null, embeds: [createMapEmbed(map, quests, imageLink, context)] });
+  } catch (error) {
+    console.error('Error in handleMapCommand:', error);
+    await thinking.edit(describeError(error, 'actions.loadMap', lang));
+  }
+}
+
+/**
+ * Format an extract with what it takes to use
+ * @param {Object} extract - Extract from fetchMaps
+ * @param {string} lang - Language code
+ * @returns {string} e.g. "• ZB-1011 • needs Power switch" or "• Car extract • 7,000 Roubles"
+ */
+function formatExtract(extract, lang) {
+  const requirements = [
+    ...(extract.switches || []).map(entry => t(lang, 'map.needsSwitch', { switch: entry.name })),
+    extract.transferItem && `${formatNumber(extract.transferItem.count)} ${extract.transferItem.item.name}`,
+  ].filter(Boolean);
+
+  return `• ${extract.name}${requirements.length > 0 ? ` • ${requirements.join(', ')}` : ''}`;
+}
+
+/**
+ * Format a chance from 0-1 as a percentage
+ * @param {number} chance - Chance from 0 to 1
+ * @returns {string} e.g. "38%"
+ */
+function formatChance(chance) {
+  return `${Math.round(chance * 100)}%`;
+}
+
+/**
+ * Format a boss with its spawn chance, locations and guards
+ * @param {Object} spawn - Boss spawn from fetchMaps
+ * @param {string} lang - Language code
+ * @returns {string} e.g. "**Reshala** 38% • Dorms 50%, Gas station 50% • 4 guards"
+ */
+function formatBoss(spawn, lang) {
+  const locations = (spawn.spawnLocations || [])
+    .map(location => `${location.name} ${formatChance(location.chance)}`)
+    .join(', ');
+
+  // Escorts list each possible group size with its chance; show the largest
+  const guards = (spawn.escorts || [])
+    .reduce((sum, escort) => sum + Math.max(0, ...(escort.amount || []).map(amount => amount.count)), 0);
+
+  return [
+    `**${spawn.boss.name}** ${formatChance(spawn.spawnChance)}`,
+    locations,
+    guards > 0 && t(lang, 'map.guards', { count: guards }),
+  ].filter(Boolean).join(' • ');
+}
+
+/**
+ * Create the embed for a map
+ * @param {Object} map - Map from fetchMaps
+ * @param {Object[]} quests - Quests with objectives on the map
+ * @param {string|null} imageLink - Map image
+ * @param {CommandContext} context - Resolved game mode and language
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createMapEmbed(map, quests, imageLink, { lang, gameMode }) {
+  const embed = new EmbedBuilder()
+    .setColor(0x3498DB)
+    .setTitle(`🗺️ ${map.name} • ${formatGameMode(gameMode)}`)
+    .setURL(map.wiki || 'https://tarkov.dev/maps')
+    .setFooter({ text: t(lang, 'common.dataSource') });
+
+  if (map.description) {
+    embed.setDescription(truncate(map.description, MAX_DESCRIPTION_LENGTH));
+  }
+  if (imageLink) {
+    embed.setImage(imageLink);
+  }
+
+  embed.addFields(
+    { name: t(lang, 'map.raidTime'), value: map.raidDuration ? t(lang, 'map.minutes', { minutes: map.raidDuration }) : '-', inline: true },
+    { name: t(lang, 'map.players'), value: map.players || '-', inline: true },
+  );
+
+  if (map.minPlayerLevel || map.maxPlayerLevel) {
+    embed.addFields({
+      name: t(lang, 'map.levels'),
+      value: map.maxPlayerLevel ? `${map.minPlayerLevel || 1}-${map.maxPlayerLevel}` : `${map.minPlayerLevel}+`,
+      inline: true,
+    });
+  }
+
+  if (map.accessKeys?.length > 0) {
+    embed.addFields({ name: t(lang, 'map.accessKeys'), value: map.accessKeys.map(key => key.name).join(', '), inline: false });
+  }
+
+  // Shared extracts work for both, so they get their own list rather than appearing twice
+  const extractFields = [
+    ['map.pmcExtracts', 'pmc'],
+    ['map.scavExtracts', 'scav'],
+    ['map.sharedExtracts', 'shared'],
+  ];
+  for (const [key, faction] of extractFields) {
+    const extracts = (map.extracts || []).filter(extract => extract.faction === faction);
+    if (extracts.length > 0) {
+      embed.addFields({
+        name: t(lang, key, { count: extracts.length }),
+        value: truncate(extracts.map(extract => formatExtract(extract, lang)).join('\n'), 1024),
+        inline: false,
+      });
+    }
+  }
+
+  const bosses = [...(map.bosses || [])].sort((a, b) => b.spawnChance - a.spawnChance);
+  embed.addFields({
+    name: t(lang, 'map.bosses'),
+    value: truncate(bosses.map(spawn => formatBoss(spawn, lang)).join('\n') || t(lang, 'map.noBosses'), 1024),
+    inline: false,
+  });
+
+  if (quests.length > 0) {
+    const lines = quests.slice(0, MAX_QUESTS).map(quest =>
+      `• ${quest.name} (${quest.trader.name}, ${t(lang, 'common.level', { level: quest.minPlayerLevel })})`);
+    if (quests.length > MAX_QUESTS) {
+      lines.push(t(lang, 'map.moreQuests', { count: quests.length - MAX_QUESTS }));
+    }
+
+    embed.addFields({ name: t(lang, 'map.quests', { count: quests.length }), value: truncate(lines.join('\n'), 1024), inline: false });
+  }
+
+  return embed;
+}
+
+export default {
+  name: 'map',
+  aliases: ['m'],
+  usage: '<map name>',
+  description: 'Extracts, bosses and quests for a map',
+  details: 'Look up a map and get:\n• Raid time and player count\n• PMC, scav and shared extracts with their requirements\n• Boss spawn chances and locations\n• Quests with objectives on the map\n• The map image',
+  examples: ['customs', 'streets', 'labs --pve'],
+  args: [
+    { name: 'name', description: 'Map name', required: true, rest: true },
+  ],
+  category: 'General',
+  permission: 'everyone',
+  slash: true,
+  execute: handleMapCommand,
+};
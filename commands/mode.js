@@ -0,0 +1,105 @@
+import { EmbedBuilder } from 'discord.js';
+import { hasPermission } from '../commandRegistry.js';
+import {
+  parseGameMode,
+  formatGameMode,
+  getGuildSettings,
+  setGuildSetting,
+  getUserSettings,
+  setUserSetting,
+  DEFAULT_GAME_MODE,
+} from '../services/settings.js';
+import { t } from '../services/i18n.js';
+
+/**
+ * Handle the game mode command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved language
+ */
+export async function handleModeCommand(message, args, { lang }) {
+  const [setting, serverSetting] = args.map(arg => arg.toLowerCase());
+
+  if (!setting) {
+    return showModes(message, lang);
+  }
+
+  if (setting === 'server') {
+    return setServerMode(message, serverSetting, lang);
+  }
+
+  if (setting === 'reset') {
+    setUserSetting(message.author.id, 'gameMode', null);
+    const fallback = getGuildSettings(message.guild?.id).gameMode || DEFAULT_GAME_MODE;
+    return message.reply(t(lang, 'mode.cleared', {
+      mode: formatGameMode(fallback),
+      source: t(lang, message.guild ? 'mode.serverSource' : 'mode.botSource'),
+    }));
+  }
+
+  const gameMode = parseGameMode(setting);
+  setUserSetting(message.author.id, 'gameMode', gameMode);
+  await message.reply(t(lang, 'mode.set', { mode: formatGameMode(gameMode) }));
+}
+
+/**
+ * Set the server's default game mode (admins only)
+ * @param {Message} message - Discord message object
+ * @param {string} [setting] - "pvp", "pve" or "reset"
+ * @param {string} lang - Language code
+ */
+async function setServerMode(message, setting, lang) {
+  if (!message.guild) {
+    return message.reply(t(lang, 'mode.serverOnly'));
+  }
+
+  if (!hasPermission(message, { permission: 'admin' })) {
+    return message.reply(t(lang, 'mode.adminOnly'));
+  }
+
+  if (!setting) {
+    return message.reply(t(lang, 'mode.missingServerMode'));
+  }
+
+  const gameMode = setting === 'reset' ? null : parseGameMode(setting);
+  setGuildSetting(message.guild.id, 'gameMode', gameMode);
+  await message.reply(t(lang, 'mode.serverSet', { mode: formatGameMode(gameMode || DEFAULT_GAME_MODE) }));
+}
+
+/**
+ * Show the user's game mode and where it comes from
+ * @param {Message} message - Discord message object
+ * @param {string} lang - Language code
+ */
+async function showModes(message, lang) {
+  const userMode = getUserSettings(message.author.id).gameMode;
+  const serverMode = getGuildSettings(message.guild?.id).gameMode;
+  const current = userMode || serverMode || DEFAULT_GAME_MODE;
+
+  const embed = new EmbedBuilder()
+    .setColor(current === 'pve' ? 0x23A55A : 0x0099FF)
+    .setTitle(t(lang, 'mode.currentTitle', { mode: formatGameMode(current) }))
+    .addFields(
+      { name: t(lang, 'mode.yourSetting'), value: userMode ? formatGameMode(userMode) : t(lang, 'mode.notSet'), inline: true },
+      { name: t(lang, 'mode.serverDefault'), value: formatGameMode(serverMode || DEFAULT_GAME_MODE), inline: true },
+    )
+    .setFooter({ text: t(lang, 'mode.footer') });
+
+  await message.reply({ embeds: [embed] });
+}
+
+export default {
+  name: 'mode',
+  aliases: ['gamemode'],
+  usage: '[pvp|pve|reset|server] [pvp|pve|reset]',
+  description: 'Choose PvP or PvE prices and quests',
+  details: 'PvP and PvE have separate flea markets and slightly different quests. Pick the one you play:\n• `!mode` - show your current mode\n• `!mode pve` / `!mode pvp` - set your own mode\n• `!mode reset` - go back to the server default\n• `!mode server pve` - set the server default (admins)\n\nAdd `--pve` or `--pvp` to any command for a one-off lookup, e.g. `!item ledx --pve`.',
+  examples: ['pve', 'reset', 'server pve'],
+  args: [
+    { name: 'mode', description: 'Your game mode, reset, or server', choices: ['pvp', 'pve', 'reset', 'server'] },
+    { name: 'server-mode', description: 'Server default game mode (with server)', choices: ['pvp', 'pve', 'reset'] },
+  ],
+  category: 'General',
+  permission: 'everyone',
+  execute: handleModeCommand,
+};
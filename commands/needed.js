@@ -0,0 +1,177 @@
+import { EmbedBuilder } from 'discord.js';
+import { formatNumber } from '../tarkovApi.js';
+import { getSquadNeeds } from '../services/squadNeeds.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+import { truncate } from '../utils/embeds.js';
+import { parseFlags } from '../utils/args.js';
+import { showPages } from '../utils/pagination.js';
+
+// Each item gets its own embed so it can show its icon
+const ITEMS_PER_PAGE = 5;
+const MAX_QUESTS_PER_LINE = 3;
+
+/**
+ * Handle the needed command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleNeededCommand(message, args, context) {
+  const { lang, gameMode } = context;
+  const { args: words, flags } = parseFlags(args);
+
+  // The squad is whoever ran the command plus anyone they mention
+  const userIds = [message.author.id];
+  for (const word of words) {
+    const match = /^<@!?(\d+)>$/.exec(word);
+    if (!match) {
+      return message.reply(t(lang, 'needed.badMember', { arg: word }));
+    }
+    if (!userIds.includes(match[1])) userIds.push(match[1]);
+  }
+
+  const thinking = await message.reply(t(lang, 'needed.loading'));
+
+  try {
+    const { items, members, missing, questCount } = await getSquadNeeds(userIds, context);
+
+    if (members.length === 0) {
+      return thinking.edit(t(lang, 'needed.noneRecorded'));
+    }
+    if (items.length === 0) {
+      return thinking.edit(t(lang, 'needed.nothing'));
+    }
+
+    const header = new EmbedBuilder()
+      .setColor(0x2ECC71)
+      .setTitle(`${t(lang, 'needed.title')} • ${formatGameMode(gameMode)}`)
+      .setDescription([
+        t(lang, 'needed.summary', {
+          items: items.length,
+          quests: questCount,
+          members: members.map(member => `<@${member.userId}>`).join(', '),
+        }),
+        missing.length > 0 && t(lang, 'needed.missing', { members: missing.map(userId => `<@${userId}>`).join(', ') }),
+      ].filter(Boolean).join('\n'))
+      .setFooter({ text: t(lang, 'needed.footer') });
+
+    // By member: one page per member. By item: a few items per page, each with its icon
+    const pages = flags['by-member']
+      ? members.map(member => [createMemberEmbed(member, lang)])
+      : Array.from({ length: Math.ceil(items.length / ITEMS_PER_PAGE) }, (_, page) =>
+        items.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE).map(entry => createItemEmbed(entry, lang)));
+
+    await showPages(message, thinking, pages.length, {
+      lang,
+      renderPage: page => ({ embeds: [header, ...pages[page]] }),
+    });
+  } catch (error) {
+    console.error('Error in handleNeededCommand:', error);
+    await thinking.edit(describeError(error, 'actions.loadNeeded', lang));
+  }
+}
+
+/**
+ * Format an item name, noting any alternatives the objective also accepts
+ * @param {Object} entry - Needed item
+ * @param {string} lang - Language code
+ * @returns {string} e.g. "Gas analyzer" or "Gas analyzer (or 2 other)"
+ */
+function formatItemName(entry, lang) {
+  return entry.alternatives > 0
+    ? `${entry.item.name} (${t(lang, 'needed.alternatives', { count: entry.alternatives })})`
+    : entry.item.name;
+}
+
+/**
+ * Format a count with the found in raid flag
+ * @param {number} count - Number needed
+ * @param {boolean} foundInRaid - Whether they must be found in raid
+ * @param {string} lang - Language code
+ * @returns {string} e.g. "×2 (FIR)"
+ */
+function formatCount(count, foundInRaid, lang) {
+  return `×${count}${foundInRaid ? ` ${t(lang, 'needed.fir')}` : ''}`;
+}
+
+/**
+ * Format the quests an item is for, keeping long lists short
+ * @param {string[]} quests - Quest names
+ * @param {string} lang - Language code
+ * @returns {string} e.g. "Chemical - Part 1, Shortage +2"
+ */
+function formatQuests(quests, lang) {
+  const shown = quests.slice(0, MAX_QUESTS_PER_LINE).join(', ');
+  return quests.length > MAX_QUESTS_PER_LINE
+    ? `${shown} ${t(lang, 'needed.moreQuests', { count: quests.length - MAX_QUESTS_PER_LINE })}`
+    : shown;
+}
+
+/**
+ * Create the embed for one item: its price and who needs how many
+ * @param {Object} entry - Needed item with price and members
+ * @param {string} lang - Language code
+ * @returns {EmbedBuilder} Item embed
+ */
+function createItemEmbed(entry, lang) {
+  const price = entry.price
+    ? t(lang, 'needed.price', { price: formatNumber(entry.price), total: formatNumber(entry.price * entry.count) })
+    : t(lang, 'needed.noPrice');
+
+  const lines = entry.members.map(member => t(lang, 'needed.memberLine', {
+    member: `<@${member.userId}>`,
+    count: formatCount(member.count, member.foundInRaid, lang),
+    quests: formatQuests(member.quests, lang),
+  }));
+
+  const embed = new EmbedBuilder()
+    .setColor(0x2ECC71)
+    .setTitle(`${formatItemName(entry, lang)} ${formatCount(entry.count, entry.foundInRaid, lang)}`)
+    .setDescription(truncate([price, ...lines].join('\n'), 1024));
+
+  if (entry.item.iconLink) {
+    embed.setThumbnail(entry.item.iconLink);
+  }
+  return embed;
+}
+
+/**
+ * Create the embed listing everything one member needs
+ * @param {{userId: string, items: Object[]}} member - Member and their needed items
+ * @param {string} lang - Language code
+ * @returns {EmbedBuilder} Member embed
+ */
+function createMemberEmbed(member, lang) {
+  const lines = member.items.map(entry => t(lang, 'needed.itemLine', {
+    item: formatItemName(entry, lang),
+    count: formatCount(entry.count, entry.foundInRaid, lang),
+    price: entry.price ? `${formatNumber(entry.price)} ₽` : t(lang, 'needed.noPriceShort'),
+    quests: formatQuests(entry.quests, lang),
+  }));
+
+  return new EmbedBuilder()
+    .setColor(0x2ECC71)
+    .setDescription(truncate([
+      t(lang, 'needed.memberHeading', { member: `<@${member.userId}>`, count: member.items.length }),
+      ...lines,
+    ].join('\n'), 4096));
+}
+
+export default {
+  name: 'needed',
+  aliases: ['need', 'fir'],
+  usage: '[@member ...] [--by-member]',
+  description: 'Squad shopping list of quest items',
+  details: 'List every item you and your squad need to hand over for the quests you\'re running, with found in raid flags, counts, icons and flea prices, so whoever finds one knows who to give it to.\n• `!needed @friend @friend2` - you plus the members you mention\n• `!needed --by-member` - list each member\'s items instead\n\nQuests come from each member\'s active quests, so everyone needs to add the quests they\'ve accepted with `!start` (`!done` takes them off again).',
+  examples: ['@friend', '@friend @friend2 --by-member', '--pve'],
+  args: [
+    { name: 'squad', description: 'Squad members to include', rest: true },
+    { name: 'by-member', description: 'Group by member instead of item', type: 'boolean', flag: true },
+  ],
+  category: 'Quests',
+  permission: 'everyone',
+  slash: true,
+  execute: handleNeededCommand,
+};
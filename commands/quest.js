@@ -0,0 +1,177 @@
+import { EmbedBuilder } from 'discord.js';
+import { formatNumber } from '../tarkovApi.js';
+import { searchQuest } from '../services/questIndex.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+import { showMatches } from '../utils/disambiguation.js';
+
+/**
+ * Handle the quest search command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleQuestCommand(message, args, context) {
+  const { lang } = context;
+  const questName = args.join(' ');
+  const thinking = await message.reply(t(lang, 'quest.searching', { query: questName }));
+
+  try {
+    const quests = await searchQuest(questName, context);
+
+    // Show the most relevant quest, with a menu to switch to the others
+    console.log(`Found quest: ${quests[0].name}`);
+    await showMatches(message, thinking, quests, {
+      renderEmbed: createQuestEmbed,
+      toOption: createQuestOption,
+      placeholder: t(lang, 'quest.placeholder'),
+      lang,
+    });
+  } catch (error) {
+    console.error('Error in handleQuestCommand:', error);
+    await thinking.edit(describeError(error, 'actions.searchQuest', lang));
+  }
+}
+
+/**
+ * Create a select menu option for a quest
+ * @param {Object} quest - Quest data from Tarkov API
+ * @returns {Object} Option label, description and emoji
+ */
+function createQuestOption(quest) {
+  const { lang } = quest;
+  const map = quest.map?.name ? ` • ${quest.map.name}` : '';
+  const score = quest.matchScore !== undefined
+    ? ` • ${t(lang, 'quest.match', { percent: Math.round(quest.matchScore * 100) })}`
+    : '';
+
+  return {
+    label: quest.name,
+    description: `${quest.trader.name} • ${t(lang, 'common.level', { level: quest.minPlayerLevel })}${map}${score}`,
+    emoji: '📜',
+  };
+}
+
+/**
+ * Create a Discord embed for a quest
+ * Labels use the language the quest was fetched in
+ * @param {Object} quest - Quest data from Tarkov API, tagged with gameMode and lang
+ * @returns {EmbedBuilder} Discord embed
+ */
+export function createQuestEmbed(quest) {
+  const { lang } = quest;
+  const embed = new EmbedBuilder()
+    .setColor(0xFFAA00)
+    .setTitle(`${quest.name} • ${formatGameMode(quest.gameMode)}`)
+    .setURL(quest.wikiLink || 'https://tarkov.dev')
+    .setTimestamp();
+
+  // Basic info
+  let description = `**${t(lang, 'quest.trader')}:** ${quest.trader.name}\n**${t(lang, 'quest.minLevel')}:** ${quest.minPlayerLevel}`;
+  if (quest.map && quest.map.name) {
+    description += `\n**${t(lang, 'quest.map')}:** ${quest.map.name}`;
+  }
+  if (quest.experience) {
+    description += `\n**${t(lang, 'quest.xpReward')}:** ${formatNumber(quest.experience)}`;
+  }
+  embed.setDescription(description);
+
+  // Task requirements
+  if (quest.taskRequirements && quest.taskRequirements.length > 0) {
+    const reqText = quest.taskRequirements
+      .slice(0, 5)
+      .map(req => `${req.task.name} (${req.status.join(', ')})`)
+      .join('\n');
+
+    embed.addFields({
+      name: t(lang, 'quest.requiredQuests'),
+      value: reqText,
+      inline: false,
+    });
+  }
+
+  // Trader level requirements
+  if (quest.traderLevelRequirements && quest.traderLevelRequirements.length > 0) {
+    const traderReqText = quest.traderLevelRequirements
+      .map(req => t(lang, 'quest.traderLevel', { trader: req.trader.name, level: req.level }))
+      .join(', ');
+
+    embed.addFields({
+      name: t(lang, 'quest.traderRequirements'),
+      value: traderReqText,
+      inline: false,
+    });
+  }
+
+  // Objectives
+  if (quest.objectives && quest.objectives.length > 0) {
+    const objText = quest.objectives
+      .slice(0, 10)
+      .map((obj, idx) => {
+        const optional = obj.optional ? ` ${t(lang, 'common.optional')}` : '';
+        return `${idx + 1}. ${obj.description}${optional}`;
+      })
+      .join('\n');
+
+    embed.addFields({
+      name: t(lang, 'quest.objectives', { count: quest.objectives.length }),
+      value: objText.length > 1024 ? objText.substring(0, 1021) + '...' : objText,
+      inline: false,
+    });
+  }
+
+  // Rewards
+  if (quest.finishRewards) {
+    const rewards = [];
+
+    if (quest.finishRewards.items && quest.finishRewards.items.length > 0) {
+      const items = quest.finishRewards.items
+        .slice(0, 5)
+        .map(item => `${item.item.shortName} (x${item.count})`)
+        .join(', ');
+      rewards.push(`**${t(lang, 'quest.rewardItems')}:** ${items}`);
+    }
+
+    if (quest.finishRewards.offerUnlock && quest.finishRewards.offerUnlock.length > 0) {
+      const unlocks = quest.finishRewards.offerUnlock
+        .slice(0, 3)
+        .map(unlock => `${unlock.item.name} (${unlock.trader.name})`)
+        .join(', ');
+      rewards.push(`**${t(lang, 'quest.rewardUnlocks')}:** ${unlocks}`);
+    }
+
+    if (quest.finishRewards.traderStanding && quest.finishRewards.traderStanding.length > 0) {
+      const standing = quest.finishRewards.traderStanding
+        .map(s => `${s.trader.name} ${s.standing > 0 ? '+' : ''}${s.standing}`)
+        .join(', ');
+      rewards.push(`**${t(lang, 'quest.rewardRep')}:** ${standing}`);
+    }
+
+    if (rewards.length > 0) {
+      embed.addFields({
+        name: t(lang, 'quest.rewards'),
+        value: rewards.join('\n'),
+        inline: false,
+      });
+    }
+  }
+
+  return embed;
+}
+
+export default {
+  name: 'quest',
+  aliases: ['q'],
+  usage: '<quest name>',
+  description: 'Search for a quest',
+  details: 'Search for a quest and get:\n• Objectives\n• Requirements\n• Rewards\n• Unlock requirements',
+  examples: ['spa tour', 'shortage'],
+  args: [
+    { name: 'name', description: 'Quest name', required: true, rest: true, autocomplete: 'quests' },
+  ],
+  category: 'Quests',
+  permission: 'everyone',
+  slash: true,
+  execute: handleQuestCommand,
+};
@@ -0,0 +1,113 @@
+import { AttachmentBuilder, EmbedBuilder } from 'discord.js';
+import { searchQuest } from '../services/questIndex.js';
+import { getQuestChain, layoutQuestChain, countChain } from '../services/questChain.js';
+import { renderLayeredGraph } from '../services/charts.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+
+const MAX_DESCRIPTION_LENGTH = 4096;
+const MAX_GRAPH_QUESTS = 120;
+
+/**
+ * Handle the quest chain command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleQuestChainCommand(message, args, context) {
+  const { lang } = context;
+  const questName = args.join(' ');
+  const thinking = await message.reply(t(lang, 'quest.searching', { query: questName }));
+
+  try {
+    const [quest] = await searchQuest(questName, context);
+    const chain = await getQuestChain(quest, context);
+    const counts = { before: countChain(chain.before), after: countChain(chain.after) };
+
+    const embed = new EmbedBuilder()
+      .setColor(0x9B59B6)
+      .setTitle(`🔗 ${quest.name} • ${formatGameMode(context.gameMode)}`)
+      .setURL(quest.wikiLink || 'https://tarkov.dev')
+      .setFooter({ text: `${t(lang, 'questchain.footer')} • ${t(lang, 'common.dataSource')}` });
+
+    const text = [
+      `**${t(lang, 'questchain.before', { count: counts.before })}**`,
+      formatTree(chain.before, lang) || t(lang, 'questchain.noPrerequisites'),
+      `**${t(lang, 'questchain.after', { count: counts.after })}**`,
+      formatTree(chain.after, lang) || t(lang, 'questchain.noUnlocks'),
+    ].join('\n');
+
+    if (text.length <= MAX_DESCRIPTION_LENGTH) {
+      embed.setDescription(text);
+      return thinking.edit({ content: null, embeds: [embed] });
+    }
+
+    // Too long for an embed: draw the chain as a graph instead
+    const { columns, edges, hidden } = layoutQuestChain(chain, MAX_GRAPH_QUESTS);
+    const image = renderLayeredGraph({
+      title: t(lang, 'questchain.graphTitle', { quest: quest.name }),
+      columns: columns.map(column => column.map(node => ({
+        id: node.id,
+        label: node.name,
+        detail: `${node.trader.name} • ${t(lang, 'common.level', { level: node.minPlayerLevel })}`,
+        highlight: node.id === quest.id,
+      }))),
+      edges,
+    });
+    const attachment = new AttachmentBuilder(image, { name: 'quest-chain.png' });
+
+    const summary = [t(lang, 'questchain.graphSummary', counts)];
+    if (hidden > 0) {
+      summary.push(t(lang, 'questchain.hidden', { count: hidden }));
+    }
+
+    embed
+      .setDescription(summary.join('\n'))
+      .setImage('attachment://quest-chain.png');
+
+    await thinking.edit({ content: null, embeds: [embed], files: [attachment] });
+  } catch (error) {
+    console.error('Error in handleQuestChainCommand:', error);
+    await thinking.edit(describeError(error, 'actions.searchQuest', lang));
+  }
+}
+
+/**
+ * Render the quests below a tree's root as an indented tree in a code block
+ * @param {QuestChainNode} root - Tree root (the quest itself, which is not shown)
+ * @param {string} lang - Language code
+ * @returns {string} Code block, or an empty string when the root has no children
+ */
+function formatTree(root, lang) {
+  if (root.children.length === 0) return '';
+
+  const lines = [];
+  const walk = (node, prefix) => node.children.forEach((child, idx) => {
+    const last = idx === node.children.length - 1;
+    const level = t(lang, 'common.level', { level: child.quest.minPlayerLevel });
+    const repeat = child.repeat ? ` ${t(lang, 'questchain.repeat')}` : '';
+
+    lines.push(`${prefix}${last ? '└─' : '├─'} ${child.quest.name} (${child.quest.trader.name}, ${level})${repeat}`);
+    walk(child, `${prefix}${last ? '   ' : '│  '}`);
+  });
+  walk(root, '');
+
+  return ['```', ...lines, '```'].join('\n');
+}
+
+export default {
+  name: 'questchain',
+  aliases: ['chain', 'qc'],
+  usage: '<quest name>',
+  description: 'Show everything before and after a quest',
+  details: 'Follow a quest\'s prerequisites all the way back, and everything it unlocks all the way forward, with trader and level at each step.\n\nQuests that appear more than once are only expanded the first time. Long chains are drawn as a graph image.',
+  examples: ['setup', 'the punisher part 1', 'gunsmith part 5'],
+  args: [
+    { name: 'name', description: 'Quest name', required: true, rest: true, autocomplete: 'quests' },
+  ],
+  category: 'Quests',
+  permission: 'everyone',
+  slash: true,
+  execute: handleQuestChainCommand,
+};
@@ -0,0 +1,17 @@
+// Squad in-jokes, kept out of the help list
+
+export default [
+  {
+    name: 'liability',
+    aliases: ['whosucks'],
+    description: 'Name the squad liability',
+    hidden: true,
+    execute: (message) => message.reply('The biggest liability on the Raiders Tarkov squad is <@eyyzeus> 💀'),
+  },
+  {
+    name: 'dta',
+    description: 'Drop the album',
+    hidden: true,
+    execute: (message) => message.reply('<@407599675454259207> https://www.youtube.com/watch?v=QZNv2IosNlI&pp=ygUOZHJvcCB0aGUgYWxidW0%3D'),
+  },
+];
@@ -0,0 +1,91 @@
+import { EmbedBuilder } from 'discord.js';
+import { searchQuest } from '../services/questIndex.js';
+import { getActiveQuests, getQuestProgress, startQuest, stopQuest } from '../services/questProgress.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+import { truncate } from '../utils/embeds.js';
+import { parseFlags } from '../utils/args.js';
+
+/**
+ * Handle the start command
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleStartCommand(message, args, context) {
+  const { lang, gameMode } = context;
+  const { args: words, flags } = parseFlags(args);
+  const questName = words.join(' ');
+
+  if (!questName) {
+    return showActiveQuests(message, context);
+  }
+
+  const thinking = await message.reply(t(lang, 'quest.searching', { query: questName }));
+
+  try {
+    const [quest] = await searchQuest(questName, context);
+    const mode = formatGameMode(gameMode);
+
+    if (flags.undo) {
+      const stopped = stopQuest(message.author.id, gameMode, quest.id);
+      return thinking.edit(t(lang, stopped ? 'progress.stopped' : 'progress.notStarted', { quest: quest.name, mode }));
+    }
+
+    if (getQuestProgress(message.author.id, gameMode).done.includes(quest.id)) {
+      return thinking.edit(t(lang, 'progress.startDone', { quest: quest.name, mode }));
+    }
+
+    const started = startQuest(message.author.id, gameMode, quest.id);
+    await thinking.edit(t(lang, started ? 'progress.started' : 'progress.alreadyStarted', { quest: quest.name, mode }));
+  } catch (error) {
+    console.error('Error in handleStartCommand:', error);
+    await thinking.edit(describeError(error, 'actions.updateProgress', lang));
+  }
+}
+
+/**
+ * Show the quests the user has started and not finished
+ * @param {Message} message - Discord message object
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+async function showActiveQuests(message, context) {
+  const { lang, gameMode } = context;
+
+  try {
+    const { quests } = await getActiveQuests(message.author.id, context);
+    if (quests.length === 0) {
+      return await message.reply(t(lang, 'progress.noActive', { mode: formatGameMode(gameMode) }));
+    }
+
+    const lines = quests.map(quest => `• **${quest.name}** (${quest.trader.name})`);
+    const embed = new EmbedBuilder()
+      .setColor(0xFFAA00)
+      .setTitle(`${t(lang, 'progress.activeTitle', { count: quests.length })} • ${formatGameMode(gameMode)}`)
+      .setDescription(truncate(lines.join('\n'), 4096))
+      .setFooter({ text: t(lang, 'progress.activeFooter') });
+
+    await message.reply({ embeds: [embed] });
+  } catch (error) {
+    console.error('Error in handleStartCommand:', error);
+    await message.reply(describeError(error, 'actions.updateProgress', lang));
+  }
+}
+
+export default {
+  name: 'start',
+  aliases: ['accept', 'active'],
+  usage: '[quest name] [--undo]',
+  description: 'Track the quests you\'re running',
+  details: 'Record the quests you\'ve accepted so `!needed` can build your squad\'s shopping list from them. `!done` takes a quest off the list when you finish it.\n• `!start shortage` - mark Shortage as active\n• `!start shortage --undo` - stop tracking it\n• `!start` - list your active quests\n\nProgress is recorded separately for PvP and PvE.',
+  examples: ['shortage', 'gunsmith part 1', 'shortage --undo'],
+  args: [
+    { name: 'name', description: 'Quest name (leave out to list your active quests)', rest: true, autocomplete: 'quests' },
+    { name: 'undo', description: 'Stop tracking the quest instead', type: 'boolean', flag: true },
+  ],
+  category: 'Quests',
+  permission: 'everyone',
+  slash: true,
+  execute: handleStartCommand,
+};
@@ -0,0 +1,256 @@
+import { EmbedBuilder } from 'discord.js';
+import { formatNumber } from '../tarkovApi.js';
+import { findTrader, getRestocks, getLoyaltyUnlocks } from '../services/traders.js';
+import { addRestockReminder, removeRestockReminder, listRestockReminders } from '../services/restockReminders.js';
+import { describeError } from '../services/errors.js';
+import { formatGameMode } from '../services/settings.js';
+import { t } from '../services/i18n.js';
+import { truncate } from '../utils/embeds.js';
+
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_NOTABLE_OFFERS = 4;
+
+/**
+ * Format a time as a Discord timestamp that counts down in each reader's own time zone
+ * @param {Date} date - Time to show
+ * @returns {string} e.g. "<t:1700000000:R> (<t:1700000000:t>)", shown as "in 2 hours (14:30)"
+ */
+function formatCountdown(date) {
+  const seconds = Math.floor(date.getTime() / 1000);
+  return `<t:${seconds}:R> (<t:${seconds}:t>)`;
+}
+
+/**
+ * Handle the traders command: every trader's next restock
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleTradersCommand(message, args, context) {
+  const { lang, gameMode } = context;
+  const thinking = await message.reply(t(lang, 'trader.loading'));
+
+  try {
+    const restocks = await getRestocks(context);
+    const reminded = new Set(listRestockReminders(message.author.id)
+      .filter(reminder => reminder.gameMode === gameMode)
+      .map(reminder => reminder.trader));
+
+    const lines = restocks.map(({ trader, resetAt }) =>
+      `**${trader.name}** • ${formatCountdown(resetAt)}${reminded.has(trader.normalizedName) ? ' 🔔' : ''}`);
+
+    const embed = new EmbedBuilder()
+      .setColor(0x95A5A6)
+      .setTitle(`${t(lang, 'trader.restocksTitle')} • ${formatGameMode(gameMode)}`)
+      .setDescription(lines.join('\n') || t(lang, 'trader.noRestocks'))
+      .setFooter({ text: t(lang, 'trader.restocksFooter') });
+
+    await thinking.edit({ content: null, embeds: [embed] });
+  } catch (error) {
+    console.error('Error in handleTradersCommand:', error);
+    await thinking.edit(describeError(error, 'actions.loadTraders', lang));
+  }
+}
+
+/**
+ * Handle the trader command: loyalty levels, or a restock reminder
+ * @param {Message} message - Discord message object
+ * @param {string[]} args - Command arguments
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+export async function handleTraderCommand(message, args, context) {
+  const { lang } = context;
+
+  // "!trader prapor remind" and "!trader prapor remind off"
+  const words = args.map(word => word.toLowerCase());
+  const cancel = words.length > 2 && words[words.length - 2] === 'remind' && words[words.length - 1] === 'off';
+  const remind = cancel || (words.length > 1 && words[words.length - 1] === 'remind');
+  const traderName = args.slice(0, args.length - (cancel ? 2 : remind ? 1 : 0)).join(' ');
+
+  const thinking = await message.reply(t(lang, 'trader.loading'));
+
+  try {
+    const { trader, traders } = await findTrader(traderName, context);
+    if (!trader) {
+      return thinking.edit(t(lang, 'trader.unknownTrader', {
+        trader: traderName,
+        traders: traders.map(candidate => candidate.name).join(', '),
+      }));
+    }
+
+    if (cancel) {
+      const removed = removeRestockReminder(message.author.id, trader.normalizedName, context.gameMode);
+      return thinking.edit(t(lang, removed ? 'trader.reminderCancelled' : 'trader.noReminder', { trader: trader.name }));
+    }
+
+    const restock = (await getRestocks(context)).find(entry => entry.trader.normalizedName === trader.normalizedName);
+
+    if (remind) {
+      return setReminder(message, thinking, trader, restock, context);
+    }
+
+    const levels = await getLoyaltyUnlocks(trader, context);
+    await thinking.edit({ content: null, embeds: [createTraderEmbed(trader, levels, restock, context)] });
+  } catch (error) {
+    console.error('Error in handleTraderCommand:', error);
+    await thinking.edit(describeError(error, 'actions.loadTraders', lang));
+  }
+}
+
+/**
+ * Set a reminder for a trader's next restock
+ * @param {Message} message - Discord message object
+ * @param {Message} thinking - Reply to edit with the result
+ * @param {Object} trader - Trader from fetchTraders
+ * @param {{resetAt: Date}|undefined} restock - The trader's next restock
+ * @param {CommandContext} context - Resolved game mode and language
+ */
+async function setReminder(message, thinking, trader, restock, context) {
+  const { lang, gameMode } = context;
+
+  if (!restock || restock.resetAt.getTime() <= Date.now()) {
+    return thinking.edit(t(lang, 'trader.noRestock', { trader: trader.name }));
+  }
+
+  addRestockReminder({
+    userId: message.author.id,
+    guildId: message.guild?.id || null,
+    channelId: message.channelId,
+    trader: trader.normalizedName,
+    traderName: trader.name,
+    gameMode,
+    lang,
+    resetAt: restock.resetAt.toISOString(),
+  });
+
+  await thinking.edit(t(lang, 'trader.reminderSet', {
+    trader: trader.name,
+    time: formatCountdown(restock.resetAt),
+    mode: formatGameMode(gameMode),
+  }));
+}
+
+/**
+ * Format what a loyalty level needs and unlocks
+ * @param {Object} level - Level from getLoyaltyUnlocks
+ * @param {Object} trader - Trader from fetchTraders
+ * @param {string} lang - Language code
+ * @returns {string} Field value
+ */
+function formatLevel(level, trader, lang) {
+  const lines = [t(lang, 'trader.requirements', {
+    level: level.requiredPlayerLevel,
+    reputation: level.requiredReputation.toFixed(2),
+    commerce: `${formatNumber(level.requiredCommerce)} ${trader.currency?.shortName || 'RUB'}`,
+  })];
+
+  if (level.offers.length > 0) {
+    const names = level.offers.slice(0, MAX_NOTABLE_OFFERS).map(offer => offer.item.name);
+    if (level.offers.length > MAX_NOTABLE_OFFERS) {
+      names.push(t(lang, 'trader.moreOffers', { count: level.offers.length - MAX_NOTABLE_OFFERS }));
+    }
+    lines.push(t(lang, 'trader.offers', { count: level.offers.length, items: names.join(', ') }));
+  }
+
+  if (level.barterCount > 0) {
+    lines.push(t(lang, 'trader.barters', { count: level.barterCount }));
+  }
+
+  if (level.questUnlocks.length > 0) {
+    const unlocks = level.questUnlocks.map(unlock => `${unlock.item.name} (${unlock.quest.name})`);
+    lines.push(t(lang, 'trader.questUnlocks', { items: unlocks.join(', ') }));
+  }
+
+  return truncate(lines.join('\n'), 1024);
+}
+
+/**
+ * Create the embed for a trader's loyalty levels
+ * @param {Object} trader - Trader from fetchTraders
+ * @param {Object[]} levels - Levels from getLoyaltyUnlocks
+ * @param {{resetAt: Date}|undefined} restock - The trader's next restock
+ * @param {CommandContext} context - Resolved game mode and language
+ * @returns {EmbedBuilder} Discord embed
+ */
+function createTraderEmbed(trader, levels, restock, { lang, gameMode }) {
+  const description = [
+    trader.description && truncate(trader.description, MAX_DESCRIPTION_LENGTH),
+    restock && t(lang, 'trader.nextRestock', { time: formatCountdown(restock.resetAt) }),
+  ].filter(Boolean).join('\n\n');
+
+  const embed = new EmbedBuilder()
+    .setColor(0x95A5A6)
+    .setTitle(`🤝 ${trader.name} • ${formatGameMode(gameMode)}`)
+    .setURL(`https://tarkov.dev/trader/${trader.normalizedName}`)
+    .setFooter({ text: t(lang, 'trader.footer', { trader: trader.normalizedName }) });
+
+  if (description) {
+    embed.setDescription(description);
+  }
+  if (trader.imageLink) {
+    embed.setThumbnail(trader.imageLink);
+  }
+
+  embed.addFields(levels.map(level => ({
+    name: t(lang, 'trader.levelTitle', { level: level.level }),
+    value: formatLevel(level, trader, lang),
+    inline: false,
+  })));
+
+  return embed;
+}
+
+/**
+ * Create the callback used to send due restock reminders
+ * Pings the user in the channel the reminder was set in, falling back to a DM
+ * @param {Client} client - Discord client
+ * @returns {Function} Async callback receiving a RestockReminder
+ */
+export function createRestockNotifier(client) {
+  return async (reminder) => {
+    const content = t(reminder.lang, 'trader.restocked', {
+      user: `<@${reminder.userId}>`,
+      trader: reminder.traderName,
+      mode: formatGameMode(reminder.gameMode),
+      command: reminder.trader,
+    });
+
+    try {
+      const channel = await client.channels.fetch(reminder.channelId);
+      await channel.send(content);
+    } catch (error) {
+      console.error(`Could not send ${reminder.trader} restock reminder to its channel, falling back to DM:`, error.message);
+      const user = await client.users.fetch(reminder.userId);
+      await user.send(content);
+    }
+  };
+}
+
+export default [
+  {
+    name: 'traders',
+    aliases: ['restock', 'restocks'],
+    description: 'Countdown to every trader\'s next restock',
+    details: 'List every trader with a countdown to their next restock, shown in your own time zone. Traders you have a reminder for are marked 🔔.',
+    examples: ['--pve'],
+    category: 'General',
+    permission: 'everyone',
+    slash: true,
+    execute: handleTradersCommand,
+  },
+  {
+    name: 'trader',
+    aliases: ['tr'],
+    usage: '<name> [remind [off]]',
+    description: 'Loyalty levels and what each one unlocks',
+    details: 'Show what each of a trader\'s loyalty levels needs (level, reputation and money spent) and unlocks: notable new offers, barters and the offers quests unlock.\n• `!trader prapor remind` - ping me here when Prapor next restocks\n• `!trader prapor remind off` - cancel it',
+    examples: ['prapor', 'peacekeeper', 'mechanic remind'],
+    args: [
+      { name: 'name', description: 'Trader name, optionally followed by "remind" or "remind off"', required: true, rest: true },
+    ],
+    category: 'General',
+    permission: 'everyone',
+    slash: true,
+    execute: handleTraderCommand,
+  },
+];
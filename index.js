@@ -1,11 +1,19 @@
+// Load environment variables before any module reads them (storage opens while modules load)
+import 'dotenv/config';
 import { Client, GatewayIntentBits } from 'discord.js';
-import dotenv from 'dotenv';
-import { handleItemCommand, handleQuestCommand, handleHelpCommand } from './commands.js';
-
-// Load environment variables
-dotenv.config();
-
-const PREFIX = process.env.PREFIX || '!';
+import { loadCommands, dispatchCommand, getPrefix } from './commandRegistry.js';
+import { registerSlashCommands, handleInteraction } from './slashCommands.js';
+import { startNameIndex } from './services/nameIndex.js';
+import { startQuestIndex } from './services/questIndex.js';
+import { startAlertPoller } from './services/alerts.js';
+import { startPriceSampler } from './services/priceHistory.js';
+import { startRestockReminders } from './services/restockReminders.js';
+import { resolveLanguage } from './services/settings.js';
+import { t } from './services/i18n.js';
+import { createAlertNotifier } from './commands/alert.js';
+import { createRestockNotifier } from './commands/trader.js';
+
+const PREFIX = getPrefix();
 const DISCORD_TOKEN = process.env.DISCORD_TOKEN;
 
 if (!DISCORD_TOKEN) {
@@ -25,15 +33,33 @@ const client = new Client({
 });
 
 // Bot ready event
-client.once('ready', () => {
+client.once('ready', async () => {
   console.log(`✅ Bot is online as ${client.user.tag}`);
   console.log(`📝 Command prefix: ${PREFIX}`);
-  console.log(`🔗 Invite link: https://discord.com/api/oauth2/authorize?client_id=${client.user.id}&permissions=2048&scope=bot`);
+  console.log(`🔗 Invite link: https://discord.com/api/oauth2/authorize?client_id=${client.user.id}&permissions=2048&scope=bot%20applications.commands`);
   
   // Set bot status
   client.user.setActivity('Escape from Tarkov | !help', { type: 'PLAYING' });
+
+  // Slash commands and their autocomplete indexes
+  try {
+    await registerSlashCommands(client);
+  } catch (error) {
+    console.error('Failed to register slash commands:', error);
+  }
+
+  startNameIndex().catch(error => console.error('Failed to load name index:', error));
+  startQuestIndex().catch(error => console.error('Failed to load quest index:', error));
+
+  // Background price checks for !alert, price sampling for !history and !trader restock reminders
+  startAlertPoller(createAlertNotifier(client));
+  startPriceSampler();
+  startRestockReminders(createRestockNotifier(client));
 });
 
+// Slash command and autocomplete handler
+client.on('interactionCreate', handleInteraction);
+
 // Message handler
 client.on('messageCreate', async (message) => {
   // Debug logging
@@ -54,40 +80,12 @@ client.on('messageCreate', async (message) => {
   const args = message.content.slice(PREFIX.length).trim().split(/ +/);
   const command = args.shift().toLowerCase();
 
-  // Handle commands
+  // Dispatch to the registered command, if any
   try {
-    switch (command) {
-      case 'item':
-      case 'i':
-        await handleItemCommand(message, args);
-        break;
-
-      case 'quest':
-      case 'q':
-        await handleQuestCommand(message, args);
-        break;
-
-      case 'liability':
-      case 'whosucks':
-        await message.reply('The biggest liability on the Raiders Tarkov squad is <@eyyzeus> 💀');
-        break;
-
-      case 'dta':
-        await message.reply('<@407599675454259207> https://www.youtube.com/watch?v=QZNv2IosNlI&pp=ygUOZHJvcCB0aGUgYWxidW0%3D');
-        break;
-
-      case 'help':
-      case 'h':
-        await handleHelpCommand(message);
-        break;
-
-      default:
-        // Unknown command - ignore or optionally send help
-        break;
-    }
+    await dispatchCommand(message, command, args);
   } catch (error) {
     console.error('Error handling command:', error);
-    message.reply('❌ An error occurred while processing your command.');
+    message.reply(t(resolveLanguage(message.author.id, message.guild?.id || null), 'common.commandFailed'));
   }
 });
 
@@ -100,5 +98,6 @@ process.on('unhandledRejection', (error) => {
   console.error('Unhandled promise rejection:', error);
 });
 
-// Login to Discord
+// Load commands, then login to Discord
+await loadCommands();
 client.login(DISCORD_TOKEN);
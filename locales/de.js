@@ -0,0 +1,509 @@
+// German message catalog; missing keys fall back to English
+
+export default {
+  language: {
+    name: 'Deutsch',
+  },
+
+  common: {
+    dataSource: 'Daten von api.tarkov.dev',
+    level: 'Lvl {level}',
+    optional: '(Optional)',
+    commandFailed: '❌ Beim Ausführen des Befehls ist ein Fehler aufgetreten.',
+  },
+
+  registry: {
+    noPermission: '🔒 Du darfst diesen Befehl nicht verwenden.',
+    missingArg: 'Fehlt: {arg}.',
+    notWholeNumber: '{arg} muss eine ganze Zahl sein.',
+    notAChoice: '{arg} muss einer dieser Werte sein: {choices}.',
+    usage: '{problem} Verwendung: `{usage}`',
+    example: 'Beispiel: `{example}`',
+  },
+
+  errors: {
+    timeout: '⏱️ tarkov.dev hat zu lange gebraucht. Bitte versuche es gleich noch einmal.',
+    upstream: '🛠️ tarkov.dev ist gerade nicht erreichbar{status}. Bitte versuche es in ein paar Minuten erneut.',
+    graphql: '❌ tarkov.dev konnte die Anfrage nicht beantworten: {message}',
+    generic: '❌ Fehler beim {action}.',
+    itemNotFound: 'Keine Gegenstände für „{query}“ gefunden.',
+    itemIdNotFound: 'Kein Gegenstand mit der ID {id} gefunden.',
+    questNotFound: 'Keine Quests für „{query}“ gefunden. Versuche einen Teil des Namens, z. B. „punisher“ oder „chemical“.',
+    ammoNotFound: 'Keine Kaliber oder Patronen für „{query}“ gefunden. Versuche ein Kaliber wie „5.56“ oder „12g“.',
+  },
+
+  actions: {
+    searchItem: 'Suchen des Gegenstands',
+    searchQuest: 'Suchen der Quest',
+    generateGuide: 'Erstellen des Quest-Guides',
+    createAlert: 'Anlegen des Alarms',
+    loadHistory: 'Laden des Preisverlaufs',
+    searchAmmo: 'Suchen der Munition',
+    loadCrafts: 'Berechnen der Versteck-Crafts',
+    loadHideout: 'Laden des Verstecks',
+    updateProgress: 'Aktualisieren deines Quest-Fortschritts',
+    loadAvailable: 'Suchen der verfügbaren Quests',
+    loadNeeded: 'Sammeln der Quest-Gegenstände des Squads',
+    loadMap: 'Laden der Karte',
+    loadTraders: 'Laden der Händler',
+    loadLoot: 'Bewerten der Beute',
+    loadKeys: 'Suchen der Schlüssel',
+    loadKappa: 'Laden der Collector-Gegenstände',
+  },
+
+  matches: {
+    footer: 'Treffer {index} von {total} • Falsch? Wähle unten einen anderen',
+    notYourSearch: 'Nur die Person, die gesucht hat, kann ein Ergebnis wählen. Führe den Befehl selbst aus.',
+  },
+
+  item: {
+    searching: '🔍 Suche nach „{query}“...',
+    placeholder: 'Falscher Gegenstand? Wähle einen anderen Treffer',
+    fleaPrice: '💰 Flohmarktpreis (24h-Schnitt)',
+    basePrice: '📊 Grundpreis',
+    bestSellPrices: '💵 Beste Verkaufspreise',
+    noSellData: 'Keine Händler-Verkaufsdaten',
+    neededForQuests: '📋 Benötigt für Quests ({count})',
+    rewardFromQuests: '🎁 Belohnung aus Quests ({count})',
+    questLine: '**{name}** ({trader}, Lvl {level})',
+    canCraft: '🔨 Herstellbar ({count})',
+    usedInCrafts: '🧪 Verwendet in Rezepten ({count})',
+    craftLine: '**{station}** Lvl {level}: → {output}',
+    barterFor: '🔄 Tauschgeschäfte hierfür ({count})',
+    usedInBarters: '🔁 Verwendet in Tauschgeschäften ({count})',
+    barterLine: '**{trader}** LL{level}: {input} → {output}',
+    barterValue: '└ Flohmarkt: {cost} ₽ rein → {value} ₽ raus • {verdict}',
+    barterSaves: '🟢 {amount} ₽ besser als Flohmarkt',
+    barterLoses: '🔴 {amount} ₽ schlechter als Flohmarkt',
+    barterUnpriced: 'nicht alles auf dem Flohmarkt',
+    categories: '🏷️ Kategorien',
+  },
+
+  quest: {
+    searching: '🔍 Suche nach Quest „{query}“...',
+    placeholder: 'Falsche Quest? Wähle einen anderen Treffer',
+    match: '{percent}% Treffer',
+    trader: 'Händler',
+    map: 'Karte',
+    minLevel: 'Min. Level',
+    xpReward: 'EP-Belohnung',
+    requiredQuests: '📋 Benötigte Quests',
+    traderRequirements: '🤝 Händler-Anforderungen',
+    traderLevel: '{trader} Level {level}',
+    objectives: '🎯 Ziele ({count})',
+    rewards: '🎁 Belohnungen',
+    rewardItems: 'Gegenstände',
+    rewardUnlocks: 'Freischaltungen',
+    rewardRep: 'Ansehen',
+  },
+
+  guide: {
+    writing: '🤖 Schreibe einen Guide für **{quest}**... das kann ein paar Sekunden dauern.',
+    unavailable: 'KI-Guide gerade nicht verfügbar - zeige normale Quest-Infos',
+    anyMap: 'Mehrere/Verschiedene',
+    noOverview: 'Keine Übersicht verfügbar.',
+    noObjectiveGuidance: 'Keine besonderen Hinweise für dieses Ziel.',
+    tips: '💡 Tipps',
+    noTips: 'Keine weiteren Tipps für diese Quest.',
+    footer: 'Guide erstellt von Google Gemini • Daten von api.tarkov.dev',
+  },
+
+  help: {
+    title: '🎮 Tarkov-Bot-Befehle',
+    description: 'Informationen zu Gegenständen und Quests in Escape from Tarkov',
+    footer: '{prefix}help <Befehl> für Details • Daten von api.tarkov.dev',
+    examples: '📝 Beispiele',
+    unknownCommand: '❌ Unbekannter Befehl „{command}“. Alle Befehle: `{prefix}help`.',
+    aliases: 'Aliase',
+    permission: 'Berechtigung',
+    arguments: 'Argumente',
+    optional: '(optional)',
+    categories: {
+      Items: 'Gegenstände',
+      Hideout: 'Versteck',
+      Quests: 'Quests',
+      General: 'Allgemein',
+    },
+  },
+
+  alert: {
+    usage: 'Bitte verwende `!alert add <Gegenstand> below|above <Preis>`. Beispiele:\n{examples}',
+    unknownAction: 'Unbekannte Aktion „{action}“. Verwende `add`, `list` oder `remove`.',
+    limitReached: '❌ Du hast bereits {max} Alarme. Entferne zuerst einen mit `!alert remove <id>`.',
+    currently: ' Aktuell: **{price} ₽**.',
+    byDm: 'per DM',
+    inChannel: 'in diesem Kanal',
+    created: '🔔 Alarm #{id} gesetzt: Ich melde mich {where}, sobald **{item}** auf dem {mode}-Flohmarkt {direction} **{price} ₽** liegt.{current}',
+    none: 'Du hast keine Preisalarme. So legst du einen an:\n{examples}',
+    dm: 'DM',
+    listTitle: '🔔 Deine Preisalarme ({count}/{max})',
+    listFooter: 'Entfernen mit !alert remove <id> • Preise werden alle 5 Minuten geprüft',
+    missingId: 'Bitte gib die Nummer des Alarms an. Beispiel: `!alert remove 3` (siehe `!alert list`)',
+    unknownId: '❌ Du hast keinen Alarm #{id}. Mit `!alert list` siehst du deine Alarme.',
+    removed: '🗑️ Alarm #{id} entfernt ({item} {direction} {price} ₽).',
+    direction: {
+      below: 'unter',
+      above: 'über',
+    },
+    triggeredTitle: '🔔 {item} liegt {direction} {price} ₽ • {mode}',
+    triggeredDescription: 'Das günstigste Angebot liegt jetzt bei **{current} ₽** (dein Alarm: {direction} {price} ₽).',
+    triggeredFooter: 'Alarm #{id} • Entfernen mit !alert remove {id}',
+  },
+
+  history: {
+    loading: '📈 Lade Preisverlauf für „{query}“...',
+    notEnough: '📈 Noch nicht genug {mode}-Preisverlauf für **{item}**. Ich zeichne ihn jetzt auf - schau in ein paar Stunden wieder vorbei.',
+    chartTitle: '{item} - {mode}-Flohmarktpreis, letzte {days} T.',
+    current: 'Aktuell',
+    change: 'Änderung ({days} T.)',
+    average: 'Durchschnitt',
+    low: 'Tief',
+    high: 'Hoch',
+    samples: 'Messpunkte',
+    footer: 'Günstigstes Angebot, vom Bot aufgezeichnet • Daten von api.tarkov.dev',
+  },
+
+  mode: {
+    cleared: '🎮 Spielmodus zurückgesetzt. Du bekommst {mode}-Daten (Standard des {source}).',
+    serverSource: 'Servers',
+    botSource: 'Bots',
+    set: '🎮 Du bekommst jetzt **{mode}**-Preise und -Quests. Hänge `--pvp` oder `--pve` an einen Befehl für eine einmalige Abfrage an.',
+    serverOnly: '❌ Der Server-Spielmodus kann nur auf einem Server gesetzt werden.',
+    adminOnly: '🔒 Nur Server-Admins können den Server-Spielmodus ändern.',
+    missingServerMode: 'Bitte wähle einen Modus. Beispiel: `!mode server pve`',
+    serverSet: '🎮 Dieser Server nutzt jetzt standardmäßig **{mode}**. Mitglieder können mit `!mode pvp` oder `!mode pve` ihren eigenen wählen.',
+    currentTitle: '🎮 Du nutzt {mode}-Daten',
+    yourSetting: 'Deine Einstellung',
+    serverDefault: 'Server-Standard',
+    notSet: 'Nicht gesetzt',
+    footer: '!mode pvp|pve|reset • Admins: !mode server pvp|pve • --pve/--pvp bei jedem Befehl',
+  },
+
+  languageCommand: {
+    cleared: '🌐 Sprache zurückgesetzt. Du bekommst {language} (Standard des {source}).',
+    set: '🌐 Ich antworte dir auf **{language}**. Gegenstände und Quests kannst du auf {language} oder Englisch suchen.',
+    unsupported: '❌ Nicht unterstützte Sprache „{language}“. Verfügbar: {languages}.',
+    serverOnly: '❌ Die Server-Sprache kann nur auf einem Server gesetzt werden.',
+    adminOnly: '🔒 Nur Server-Admins können die Server-Sprache ändern.',
+    missingServerLanguage: 'Bitte wähle eine Sprache. Beispiel: `!language server de`',
+    serverSet: '🌐 Dieser Server nutzt jetzt standardmäßig **{language}**. Mitglieder können mit `!language <Code>` ihre eigene wählen.',
+    currentTitle: '🌐 Sprache: {language}',
+    yourSetting: 'Deine Einstellung',
+    serverDefault: 'Server-Standard',
+    available: 'Verfügbar',
+    notSet: 'Nicht gesetzt',
+    footer: '!language <Code>|reset • Admins: !language server <Code>',
+  },
+
+  ammo: {
+    missingQuery: 'Bitte nenne ein Kaliber oder eine Patrone. Beispiel: `!ammo 5.56` oder `!ammo m855a1`',
+    unknownSort: '❌ Unbekannte Sortierung „{sort}“. Wähle eine von: {sorts}.',
+    loading: '🔫 Lade Munition für „{query}“...',
+    columns: {
+      round: 'Patrone',
+      damage: 'Schad',
+      pen: 'Durch',
+      armor: 'PanzS',
+      frag: 'Frag',
+      speed: 'm/s',
+    },
+    sorts: {
+      pen: 'Durchschlag',
+      damage: 'Schaden',
+      armor: 'Panzerschaden',
+      frag: 'Fragmentierung',
+      speed: 'Geschwindigkeit',
+      price: 'Preis',
+    },
+    cheapestSource: '💰 Günstigste Quelle',
+    notSold: 'Nicht erhältlich',
+    otherCalibers: 'Weitere passende Kaliber',
+    legend: 'Panzerklassen 1-6: 0 nutzlos … 6 hervorragend',
+    sortedBy: 'Sortiert nach {sort}',
+  },
+
+  crafts: {
+    loading: '🔨 Berechne Versteck-Crafts...',
+    badLevel: '❌ `--level` muss eine Modulstufe wie 1, 2 oder 3 sein.',
+    unknownStation: '❌ Kein Versteck-Modul passt zu „{station}“. Module: {stations}.',
+    none: '🔨 Keine Crafts passen zu diesen Filtern.',
+    title: '🔨 Versteck-Crafts nach Gewinn pro Stunde',
+    level: 'St. {level}',
+    line: '└ **{perHour}/h** • {profit} pro Craft • {cost} ₽ rein → {value} ₽ raus',
+    maxLevel: 'Modulstufe ≤ {level}',
+    recordedLevels: 'Deine gespeicherten Versteck-Stufen',
+    fuelIncluded: 'Mit Treibstoff ({cost} ₽/h)',
+    fuelUnavailable: 'Ohne Treibstoff (nicht erhältlich)',
+    unpriced: '{count} Crafts ausgelassen, weil eine Zutat oder ein Ergebnis keinen Preis hat',
+    footer: 'Zutaten zum günstigsten Händler-/Flohmarktpreis • Ergebnisse zum besten Händlerpreis oder Flohmarktpreis abzüglich Gebühr',
+  },
+
+  hideout: {
+    loading: '🏠 Lade das Versteck...',
+    unknownStation: '❌ Kein Versteck-Modul passt zu „{station}“. Module: {stations}.',
+    badLevel: '❌ {station} hat die Stufen 1 bis {max}.',
+    setUsage: 'Bitte nenne ein Modul und die gebaute Stufe. Beispiel: `!hideout set lavatory 2` (0 für nicht gebaut)',
+    set: '✅ **{station}** auf Stufe **{level}** für {mode} gespeichert.',
+    setNotBuilt: '✅ **{station}** als nicht gebaut für {mode} gespeichert.',
+    stationTitle: '{station} Stufe {level}/{max}',
+    stationFooter: 'Speichere deinen Fortschritt mit !hideout set <Modul> <Stufe>',
+    stationFooterBuilt: 'Du hast Stufe {level} • !hideout next für alle deine Ausbauten',
+    items: '📦 Gegenstände ({count})',
+    fir: '(FIR)',
+    noPrice: 'Kein Preis',
+    totalCost: '💰 Gesamtkosten',
+    buildTime: '⏱️ Bauzeit',
+    stations: '🏗️ Module',
+    traders: '🤝 Händler',
+    skills: '📚 Fertigkeiten',
+    traderRequirement: '{trader} {type} {value}',
+    allDone: '🏠 Alle Module sind auf der höchsten Stufe. Stark!',
+    nextTitle: 'Deine nächsten Versteck-Ausbauten',
+    nothingReady: 'Kein Ausbau ist bereit - jeder braucht zuerst ein anderes Modul.',
+    shoppingList: '🛒 Einkaufsliste ({count} Gegenstände)',
+    more: '...und {count} weitere',
+    plusUnpriced: '+ Gegenstände ohne Preis',
+    blocked: '🔒 Braucht zuerst ein anderes Modul ({count})',
+    nextFooter: 'Nach deinen gespeicherten Stufen • Ändern mit !hideout set <Modul> <Stufe>',
+    nextFooterEmpty: 'Keine Stufen gespeichert, alle Module gelten als nicht gebaut • !hideout set <Modul> <Stufe>',
+  },
+
+  questchain: {
+    before: '⬅️ Davor ({count})',
+    after: '➡️ Schaltet frei ({count})',
+    noPrerequisites: 'Nichts - von Anfang an verfügbar.',
+    noUnlocks: 'Schaltet keine Quests frei.',
+    repeat: '(siehe oben)',
+    graphTitle: 'Questkette: {quest}',
+    graphSummary: 'Diese Kette ist zu lang für eine Liste, daher als Graph: **{before}** Quests davor und **{after}** danach. Frühere Quests sind links.',
+    hidden: '{count} der entferntesten Quests sind ausgelassen, damit das Bild lesbar bleibt.',
+    footer: 'Jede Quest wird nur einmal aufgeklappt',
+  },
+
+  progress: {
+    marked: '✅ **{quest}** für {mode} als erledigt markiert.',
+    markedWithPrerequisites: '✅ **{quest}** für {mode} als erledigt markiert, zusammen mit {count} vorherigen Quests: {quests}',
+    alreadyDone: '✅ **{quest}** ist für {mode} bereits als erledigt markiert.',
+    unmarked: '↩️ **{quest}** ist für {mode} nicht mehr als erledigt markiert.',
+    notMarked: '**{quest}** war für {mode} nicht als erledigt markiert.',
+    andMore: 'und {count} weitere',
+    levelUsage: 'Bitte gib dein PMC-Level oder einen Händler und dein Loyalitätslevel an. Beispiel: `!level 23` oder `!level prapor 3`',
+    badLevel: '❌ Das PMC-Level muss zwischen 1 und {max} liegen.',
+    badTraderLevel: '❌ Händler-Loyalitätslevel gehen von 1 bis {max}.',
+    unknownTrader: '❌ Kein Händler passt zu "{trader}". Händler: {traders}.',
+    levelSet: '✅ PMC-Level **{level}** für {mode} gespeichert.',
+    traderSet: '✅ **{trader}** mit Loyalitätslevel **{level}** für {mode} gespeichert.',
+    progressTitle: '📈 Dein Quest-Fortschritt',
+    playerLevel: 'PMC-Level',
+    notRecorded: 'Nicht gespeichert',
+    questsDone: 'Erledigte Quests',
+    traderLevels: '🤝 Händler-Loyalität',
+    allLoyaltyOne: 'Nichts gespeichert - jeder Händler zählt als LL1',
+    progressFooter: '!level <Level> • !level <Händler> <Loyalitätslevel> • !done <Quest> • !available',
+    loading: '📜 Ermittle, welche Quests du starten kannst...',
+    noLevel: '📈 Speichere zuerst dein PMC-Level mit `!level <Level>`, z. B. `!level 23`.',
+    noneAvailable: '📜 Gerade sind keine Quests verfügbar. Steig im Level auf oder markiere erledigte Quests mit `!done <Quest>`.',
+    availableTitle: '📜 Quests, die du starten kannst',
+    anyMap: 'Beliebige Karte',
+    continued: '{group} (Forts.)',
+    availableSummary: '{count} verfügbar • Lvl {level} • {done} Quests erledigt',
+    traderLocked: '{count} weitere brauchen ein höheres Händler-Loyalitätslevel - speichere es mit !level <Händler> <Level>',
+    started: '▶️ **{quest}** ist jetzt aktiv für {mode}. `!done` nimmt sie von der Liste, wenn du fertig bist.',
+    alreadyStarted: '▶️ **{quest}** ist für {mode} bereits aktiv.',
+    startDone: '✅ **{quest}** ist für {mode} bereits als erledigt markiert. Nutze zuerst `!done {quest} --undo`, um sie erneut zu machen.',
+    stopped: '↩️ **{quest}** ist für {mode} nicht mehr aktiv.',
+    notStarted: '**{quest}** war für {mode} nicht aktiv.',
+    noActive: '▶️ Du hast keine aktiven Quests für {mode}. Füge eine mit `!start <Quest>` hinzu.',
+    activeTitle: '▶️ Deine aktiven Quests ({count})',
+    activeFooter: '!start <Quest> • !start <Quest> --undo • !done <Quest>',
+  },
+
+  needed: {
+    loading: '🛒 Sammle, was der Squad braucht...',
+    badMember: '❌ "{arg}" ist keine Erwähnung eines Mitglieds. Beispiel: `!needed @freund @freund2`',
+    noneRecorded: '▶️ Niemand in diesem Squad hat aktive Quests. Nutze `!start <Quest>` für jede angenommene Quest.',
+    nothing: '🛒 Keine der aktiven Quests des Squads verlangt die Abgabe von Gegenständen.',
+    title: '🛒 Quest-Gegenstände des Squads',
+    summary: '{items} Gegenstände für {quests} Quests • {members}',
+    missing: 'Keine aktiven Quests für {members} - mit `!start <Quest>` hinzufügen.',
+    fir: '(FIR)',
+    alternatives: 'oder {count} andere Gegenstände',
+    moreQuests: '+{count}',
+    price: '💰 {price} ₽ pro Stück • {total} ₽ für alle',
+    noPrice: '💰 Nicht auf dem Flohmarkt',
+    noPriceShort: 'kein Flohmarktpreis',
+    memberLine: '{member} {count} • {quests}',
+    memberHeading: '{member} braucht {count} Gegenstände',
+    itemLine: '• **{item}** {count} • {price} • {quests}',
+    footer: 'Gegenstände für die aktiven Quests jedes Mitglieds (!start) • Aktuelle Flohmarktpreise',
+  },
+
+  map: {
+    loading: '🗺️ Suche Karte "{query}"...',
+    unknownMap: '❌ Keine Karte passt zu "{map}". Karten: {maps}.',
+    raidTime: '⏱️ Raidzeit',
+    minutes: '{minutes} Min.',
+    players: '👥 Spieler',
+    levels: '📈 Spielerlevel',
+    accessKeys: '🔑 Zugangsschlüssel',
+    pmcExtracts: '🟢 PMC-Extrakte ({count})',
+    scavExtracts: '🟡 Scav-Extrakte ({count})',
+    sharedExtracts: '🔵 Gemeinsame Extrakte ({count})',
+    needsSwitch: 'braucht {switch}',
+    bosses: '💀 Bosse',
+    noBosses: 'Keine Bosse',
+    guards: '{count} Wachen',
+    quests: '📜 Quests hier ({count})',
+    moreQuests: '...und {count} weitere',
+  },
+
+  trader: {
+    loading: '🤝 Lade Händler...',
+    unknownTrader: '❌ Kein Händler passt zu "{trader}". Händler: {traders}.',
+    restocksTitle: '🔄 Händler-Restocks',
+    noRestocks: 'Gerade sind keine Restock-Zeiten verfügbar.',
+    restocksFooter: '!trader <Name> remind für eine Erinnerung beim nächsten Restock',
+    nextRestock: '🔄 Nächster Restock {time}',
+    levelTitle: 'Loyalitätslevel {level}',
+    requirements: 'Braucht Lvl {level} • Ruf {reputation} • {commerce} ausgegeben',
+    offers: '🛒 {count} neue Angebote: {items}',
+    moreOffers: '+{count} weitere',
+    barters: '🔄 {count} Tauschgeschäfte',
+    questUnlocks: '🔓 Durch Quests: {items}',
+    footer: '!trader {trader} remind für eine Erinnerung beim nächsten Restock',
+    noRestock: '❌ Für **{trader}** gibt es gerade keine kommende Restock-Zeit. Versuch es in einer Minute noch einmal.',
+    reminderSet: '🔔 Ich pinge dich hier, wenn **{trader}** {time} neu auffüllt • {mode}',
+    reminderCancelled: '🔕 Deine Restock-Erinnerung für **{trader}** ist gelöscht.',
+    noReminder: 'Du hast keine Restock-Erinnerung für **{trader}**.',
+    restocked: '🔄 {user} **{trader}** hat neu aufgefüllt ({mode})! Mit `!trader {command} remind` wirst du beim nächsten Mal gepingt.',
+  },
+
+  buy: {
+    loading: '🛒 Suche, wo man "{query}" kaufen kann...',
+    noItem: '❌ Welcher Gegenstand? Zum Beispiel `!buy m995`.',
+    badTraderLevels: '❌ Gib Händlerstufen als `--trader-levels prapor:2,mechanic:3` an, Loyalitätsstufen von 1 bis 4.',
+    whereToBuy: '🛒 Wo kaufen',
+    offerLine: '**{vendor}** LL{level}: {price}',
+    barterLine: '**{vendor}** LL{level} Tausch: {input} → {count}× ({cost})',
+    fleaLine: '**{vendor}**: {price}',
+    each: '{cost} ₽ pro Stück',
+    unpriced: 'nicht alles auf dem Flohmarkt',
+    lockedLoyalty: '🔒 braucht LL{level} (du: LL{current})',
+    lockedQuest: '🔒 braucht {quest}',
+    lockedFlea: '🔒 braucht Lvl {level} (du: {current})',
+    available: '✅ Für dich verfügbar ({count})',
+    noneAvailable: 'Noch nichts für dich verfügbar.',
+    locked: '🔒 Gesperrt ({count})',
+    more: '+{count} weitere',
+    none: '❌ Weder Händler noch Flohmarkt verkaufen diesen Gegenstand.',
+    footer: 'PMC Lvl {level} • Loyalität aus !level, nicht eingetragene Händler zählen als LL1 • --trader-levels prapor:2 überschreibt',
+    footerNoLevel: 'Loyalität aus !level, nicht eingetragene Händler zählen als LL1 • Trage dein PMC-Level mit !level ein, um die Flohmarkt-Freischaltung zu prüfen',
+  },
+
+  loot: {
+    loading: '💎 Bewerte Beute nach Wert pro Slot...',
+    badMinSlots: '❌ `--min-slots` braucht eine ganze Zahl von Slots, ab 1.',
+    unknownCategory: '❌ Keine Kategorie passt zu "{category}". Kategorien: {categories}',
+    none: 'Keine verkaufbaren Gegenstände gefunden.',
+    title: '💎 Beutewert pro Slot',
+    allItems: 'Alle Gegenstände',
+    minSlots: 'ab {slots} Slots',
+    line: '`{rank}.` **{name}** {size} • **{perSlot} ₽/Slot** • {sale}',
+    fleaSale: 'Flohmarkt {price} ₽ nach Gebühr',
+    footer: '{count} Gegenstände bewertet • bester Preis aus Flohmarkt nach Gebühr und Händlern ÷ Breite × Höhe',
+    perSlotField: '📦 Wert pro Slot',
+    perSlotValue: '**{perSlot} ₽/Slot** • {size} ({slots} Slots) • {sale}',
+    noSlotValue: 'Nicht verkaufbar, daher kein Wert pro Slot',
+  },
+
+  key: {
+    loading: '🔑 Suche "{query}"...',
+    loadingMap: '🔑 Suche die Schlüssel für "{query}"...',
+    unknownKey: '❌ Kein Schlüssel passt zu "{key}".',
+    noKeys: 'Für **{map}** sind keine Schlüssel bekannt.',
+    opens: '🚪 Öffnet',
+    unknownLock: 'Keine Schlossposition bekannt',
+    needsPower: 'braucht Strom',
+    lockTypes: {
+      door: 'Tür',
+      container: 'Behälter',
+      trunk: 'Kofferraum',
+    },
+    uses: '🔁 Nutzungen',
+    usesCount: '{uses} Nutzungen',
+    usesUnknown: 'Unbekannt',
+    value: '💰 Wert',
+    flea: 'Flohmarkt {price} ₽',
+    perUse: '{price} ₽/Nutzung',
+    notOnFlea: 'Nicht auf dem Flohmarkt',
+    traderPays: '{trader} zahlt {price} ₽',
+    noTrader: 'Kein Händler kauft ihn',
+    ratio: 'Flohmarkt ist {ratio}× der Händlerpreis',
+    quests: '📋 Quests ({count})',
+    noQuests: 'Keine Quest braucht ihn',
+    objectiveItem: 'Questgegenstand',
+    questArea: 'öffnet einen Questbereich auf {maps}',
+    moreQuests: '+{count} weitere',
+    questCount: '📋 {count}',
+    loot: '📦 Hinter dem Schloss',
+    lootUnknown: 'Nicht bekannt',
+    footer: 'Schlösser von tarkov.dev • Ort und Beute aus dem Wiki',
+    mapTitle: 'Schlüssel für {map}',
+    mapFooter: 'Schlüssel: {count} • teuerste zuerst • 📋 Quests, die ihn hier brauchen',
+  },
+
+  kappa: {
+    loading: '🦘 Lade die Collector-Gegenstände...',
+    noQuest: 'Die Quest Collector ist gerade nicht in der Questliste.',
+    unknownAction: '❌ Unbekannte Option "{action}". Nutze `!kappa`, `!kappa found <Gegenstand>`, `!kappa missing` oder `!kappa squad @Mitglied`.',
+    missingItem: '❌ Welcher Gegenstand? Zum Beispiel `!kappa found old firesteel`.',
+    unknownItem: '❌ Kein Collector-Gegenstand passt zu "{item}".',
+    marked: '✅ **{item}** als gefunden markiert • {found}/{total} • {mode}',
+    alreadyFound: '**{item}** ist schon als gefunden markiert • {found}/{total} • {mode}',
+    unmarked: '↩️ Markierung von **{item}** entfernt • {found}/{total} • {mode}',
+    notFound: '**{item}** war nicht als gefunden markiert • {found}/{total} • {mode}',
+    complete: '🎉 Du hast alle Collector-Gegenstände gefunden ({mode})!',
+    title: '🦘 Collector-Gegenstände',
+    missingTitle: '🦘 Fehlende Collector-Gegenstände',
+    summary: 'Gefunden **{found}/{total}** • Noch offen: {value} ₽ auf dem Flohmarkt',
+    price: '💰 {price} ₽',
+    noPrice: '💰 Nicht auf dem Flohmarkt',
+    rewardFrom: '🎁 Belohnung von {quests}',
+    foundOn: '🗺️ Zu finden auf {maps}',
+    squadTitle: '🦘 Collector-Fortschritt des Trupps',
+    squadLine: '**{item}** • {count}/{total} • {have}',
+    footer: '!kappa found <Gegenstand> markiert einen Gegenstand • Flohmarktpreise sind aktuell, die meisten Gegenstände müssen im Raid gefunden sein',
+  },
+
+  pages: {
+    notYourCommand: 'Nur wer den Befehl ausgeführt hat, kann blättern. Führe ihn selbst aus.',
+  },
+
+  commands: {
+    item: { description: 'Einen Gegenstand suchen' },
+    buy: { description: 'Günstigster Weg, einen Gegenstand mit deinen Händlerstufen zu kaufen' },
+    loot: { description: 'Wertvollste Beute pro Inventar-Slot' },
+    key: { description: 'Wo ein Schlüssel gebraucht wird und ob er sich lohnt' },
+    keys: { description: 'Alle Schlüssel einer Karte nach Preis' },
+    quest: { description: 'Eine Quest suchen' },
+    questchain: { description: 'Alles vor und nach einer Quest' },
+    done: { description: 'Eine Quest als erledigt markieren' },
+    start: { description: 'Deine laufenden Quests verfolgen' },
+    level: { description: 'PMC-Level und Händler-Loyalität speichern' },
+    available: { description: 'Quests, die du jetzt starten kannst' },
+    needed: { description: 'Einkaufsliste der Quest-Gegenstände für den Squad' },
+    kappa: { description: 'Collector-Gegenstände für Kappa verfolgen' },
+    map: { description: 'Extrakte, Bosse und Quests einer Karte' },
+    traders: { description: 'Countdown bis zum nächsten Händler-Restock' },
+    trader: { description: 'Loyalitätslevel und was sie freischalten' },
+    'e-quest': { description: 'KI-Guide für eine Quest' },
+    alert: { description: 'Benachrichtigung, wenn ein Flohmarktpreis eine Schwelle überschreitet' },
+    history: { description: 'Flohmarktpreis eines Gegenstands als Diagramm' },
+    ammo: { description: 'Alle Patronen eines Kalibers vergleichen' },
+    crafts: { description: 'Versteck-Crafts nach Gewinn pro Stunde' },
+    hideout: { description: 'Versteck-Anforderungen und dein Fortschritt' },
+    mode: { description: 'PvP- oder PvE-Preise und -Quests wählen' },
+    language: { description: 'Sprache des Bots wählen' },
+    help: { description: 'Befehlsliste oder Details zu einem Befehl' },
+  },
+};
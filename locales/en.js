@@ -0,0 +1,486 @@
+// English message catalog. Every key used by the bot must exist here;
+// other catalogs fall back to these strings for anything they leave out
+
+export default {
+  language: {
+    name: 'English',
+  },
+
+  common: {
+    dataSource: 'Data from api.tarkov.dev',
+    level: 'Lvl {level}',
+    optional: '(Optional)',
+    commandFailed: '❌ An error occurred while processing your command.',
+  },
+
+  registry: {
+    noPermission: '🔒 You do not have permission to use this command.',
+    missingArg: 'Missing {arg}.',
+    notWholeNumber: '{arg} must be a whole number.',
+    notAChoice: '{arg} must be one of: {choices}.',
+    usage: '{problem} Usage: `{usage}`',
+    example: 'Example: `{example}`',
+  },
+
+  errors: {
+    timeout: '⏱️ tarkov.dev took too long to respond. Please try again in a moment.',
+    upstream: '🛠️ tarkov.dev is unavailable right now{status}. Please try again in a few minutes.',
+    graphql: '❌ tarkov.dev could not answer that request: {message}',
+    generic: '❌ An error occurred while {action}.',
+    itemNotFound: 'No items found matching "{query}".',
+    itemIdNotFound: 'No item found with ID {id}.',
+    questNotFound: 'No quests found matching "{query}". Try searching for part of the name like "punisher" or "chemical".',
+    ammoNotFound: 'No calibers or rounds found matching "{query}". Try a caliber like "5.56" or "12g".',
+  },
+
+  actions: {
+    searchItem: 'searching for the item',
+    searchQuest: 'searching for the quest',
+    generateGuide: 'generating the quest guide',
+    createAlert: 'creating the alert',
+    loadHistory: 'loading the price history',
+    searchAmmo: 'looking up the ammo',
+    loadCrafts: 'pricing the hideout crafts',
+    loadHideout: 'loading the hideout',
+    updateProgress: 'updating your quest progress',
+    loadAvailable: 'finding the quests you can start',
+    loadNeeded: 'gathering the squad\'s quest items',
+    loadMap: 'loading the map',
+    loadTraders: 'loading the traders',
+    loadLoot: 'ranking the loot',
+    loadKeys: 'looking up the keys',
+    loadKappa: 'loading the Collector items',
+  },
+
+  matches: {
+    footer: 'Match {index} of {total} • Not it? Pick another below',
+    notYourSearch: 'Only the person who searched can pick a result. Run the command yourself to browse.',
+  },
+
+  item: {
+    searching: '🔍 Searching for "{query}"...',
+    placeholder: 'Not the right item? Pick another match',
+    fleaPrice: '💰 Flea Market Price (24h avg)',
+    basePrice: '📊 Base Price',
+    bestSellPrices: '💵 Best Sell Prices',
+    noSellData: 'No trader sell data',
+    neededForQuests: '📋 Needed for Quests ({count})',
+    rewardFromQuests: '🎁 Reward from Quests ({count})',
+    questLine: '**{name}** ({trader}, Lvl {level})',
+    canCraft: '🔨 Can Craft ({count})',
+    usedInCrafts: '🧪 Used in Crafts ({count})',
+    craftLine: '**{station}** Lvl {level}: → {output}',
+    barterFor: '🔄 Barters for This ({count})',
+    usedInBarters: '🔁 Used in Barters ({count})',
+    barterLine: '**{trader}** LL{level}: {input} → {output}',
+    barterValue: '└ Flea: {cost} ₽ in → {value} ₽ out • {verdict}',
+    barterSaves: '🟢 {amount} ₽ better than flea',
+    barterLoses: '🔴 {amount} ₽ worse than flea',
+    barterUnpriced: 'not all on the flea',
+    categories: '🏷️ Categories',
+  },
+
+  quest: {
+    searching: '🔍 Searching for quest "{query}"...',
+    placeholder: 'Not the right quest? Pick another match',
+    match: '{percent}% match',
+    trader: 'Trader',
+    map: 'Map',
+    minLevel: 'Min Level',
+    xpReward: 'XP Reward',
+    requiredQuests: '📋 Required Quests',
+    traderRequirements: '🤝 Trader Requirements',
+    traderLevel: '{trader} Level {level}',
+    objectives: '🎯 Objectives ({count})',
+    rewards: '🎁 Rewards',
+    rewardItems: 'Items',
+    rewardUnlocks: 'Unlocks',
+    rewardRep: 'Rep',
+  },
+
+  guide: {
+    writing: '🤖 Writing a guide for **{quest}**... this can take a few seconds.',
+    unavailable: 'AI guide unavailable right now - showing standard quest info',
+    anyMap: 'Multiple/Various',
+    noOverview: 'No overview available.',
+    noObjectiveGuidance: 'No specific guidance for this objective.',
+    tips: '💡 Tips',
+    noTips: 'No extra tips for this quest.',
+    footer: 'Guide generated by Google Gemini • Data from api.tarkov.dev',
+  },
+
+  help: {
+    title: '🎮 Tarkov Bot Commands',
+    description: 'Search for Escape from Tarkov item and quest information',
+    footer: 'Use {prefix}help <command> for details • Data from api.tarkov.dev',
+    examples: '📝 Examples',
+    unknownCommand: '❌ Unknown command "{command}". Use `{prefix}help` to see all commands.',
+    aliases: 'Aliases',
+    permission: 'Permission',
+    arguments: 'Arguments',
+    optional: '(optional)',
+    categories: {
+      Items: 'Items',
+      Hideout: 'Hideout',
+      Quests: 'Quests',
+      General: 'General',
+    },
+  },
+
+  alert: {
+    usage: 'Please use `!alert add <item> below|above <price>`. Examples:\n{examples}',
+    unknownAction: 'Unknown alert action "{action}". Use `add`, `list` or `remove`.',
+    limitReached: '❌ You already have {max} alerts. Remove one with `!alert remove <id>` first.',
+    currently: ' It\'s currently **{price} ₽**.',
+    byDm: 'by DM',
+    inChannel: 'in this channel',
+    created: '🔔 Alert #{id} set: I\'ll ping you {where} when **{item}** goes {direction} **{price} ₽** on the {mode} flea.{current}',
+    none: 'You have no price alerts. Create one like this:\n{examples}',
+    dm: 'DM',
+    listTitle: '🔔 Your Price Alerts ({count}/{max})',
+    listFooter: 'Remove one with !alert remove <id> • Prices checked every 5 minutes',
+    missingId: 'Please provide the alert number to remove. Example: `!alert remove 3` (see `!alert list`)',
+    unknownId: '❌ You don\'t have an alert #{id}. Use `!alert list` to see your alerts.',
+    removed: '🗑️ Removed alert #{id} ({item} {direction} {price} ₽).',
+    direction: {
+      below: 'below',
+      above: 'above',
+    },
+    triggeredTitle: '🔔 {item} is {direction} {price} ₽ • {mode}',
+    triggeredDescription: 'Lowest flea offer is now **{current} ₽** (your alert: {direction} {price} ₽).',
+    triggeredFooter: 'Alert #{id} • Remove with !alert remove {id}',
+  },
+
+  history: {
+    loading: '📈 Loading price history for "{query}"...',
+    notEnough: '📈 Not enough {mode} price history for **{item}** yet. I\'ve started tracking it - check back in a few hours.',
+    chartTitle: '{item} - {mode} flea price, last {days}d',
+    current: 'Current',
+    change: 'Change ({days}d)',
+    average: 'Average',
+    low: 'Low',
+    high: 'High',
+    samples: 'Samples',
+    footer: 'Lowest flea offer, sampled by this bot • Data from api.tarkov.dev',
+  },
+
+  mode: {
+    cleared: '🎮 Cleared your game mode. You\'ll get {mode} data (the {source} default).',
+    serverSource: 'server',
+    botSource: 'bot',
+    set: '🎮 You\'ll now get **{mode}** prices and quests. Add `--pvp` or `--pve` to any command for a one-off lookup.',
+    serverOnly: '❌ Server game modes can only be set in a server.',
+    adminOnly: '🔒 Only server admins can change the server game mode.',
+    missingServerMode: 'Please choose a mode. Example: `!mode server pve`',
+    serverSet: '🎮 This server now defaults to **{mode}**. Members can still pick their own with `!mode pvp` or `!mode pve`.',
+    currentTitle: '🎮 You\'re using {mode} data',
+    yourSetting: 'Your setting',
+    serverDefault: 'Server default',
+    notSet: 'Not set',
+    footer: '!mode pvp|pve|reset • Admins: !mode server pvp|pve • Add --pve/--pvp to any command',
+  },
+
+  languageCommand: {
+    cleared: '🌐 Cleared your language. You\'ll get {language} (the {source} default).',
+    set: '🌐 I\'ll answer you in **{language}**. Item and quest names can be searched in {language} or English.',
+    unsupported: '❌ Unsupported language "{language}". Choose one of: {languages}.',
+    serverOnly: '❌ Server languages can only be set in a server.',
+    adminOnly: '🔒 Only server admins can change the server language.',
+    missingServerLanguage: 'Please choose a language. Example: `!language server de`',
+    serverSet: '🌐 This server now defaults to **{language}**. Members can still pick their own with `!language <code>`.',
+    currentTitle: '🌐 Language: {language}',
+    yourSetting: 'Your setting',
+    serverDefault: 'Server default',
+    available: 'Available',
+    notSet: 'Not set',
+    footer: '!language <code>|reset • Admins: !language server <code>',
+  },
+
+  ammo: {
+    missingQuery: 'Please name a caliber or round. Example: `!ammo 5.56` or `!ammo m855a1`',
+    unknownSort: '❌ Unknown sort "{sort}". Choose one of: {sorts}.',
+    loading: '🔫 Loading ammo for "{query}"...',
+    columns: {
+      round: 'Round',
+      damage: 'Dmg',
+      pen: 'Pen',
+      armor: 'ArmD',
+      frag: 'Frag',
+      speed: 'm/s',
+    },
+    sorts: {
+      pen: 'penetration',
+      damage: 'damage',
+      armor: 'armor damage',
+      frag: 'fragmentation',
+      speed: 'speed',
+      price: 'price',
+    },
+    cheapestSource: '💰 Cheapest Source',
+    notSold: 'Not sold',
+    otherCalibers: 'Other matching calibers',
+    legend: 'Armor classes 1-6: 0 useless … 6 excellent',
+    sortedBy: 'Sorted by {sort}',
+  },
+
+  crafts: {
+    loading: '🔨 Pricing hideout crafts...',
+    badLevel: '❌ `--level` must be a station level like 1, 2 or 3.',
+    unknownStation: '❌ No hideout station matches "{station}". Stations: {stations}.',
+    none: '🔨 No crafts match those filters.',
+    title: '🔨 Hideout Crafts by Profit per Hour',
+    level: 'L{level}',
+    line: '└ **{perHour}/h** • {profit} per craft • {cost} ₽ in → {value} ₽ out',
+    maxLevel: 'Station level ≤ {level}',
+    recordedLevels: 'Your recorded hideout levels',
+    fuelIncluded: 'Fuel included ({cost} ₽/h)',
+    fuelUnavailable: 'Fuel not included (no fuel for sale)',
+    unpriced: '{count} crafts left out because an input or output has no price',
+    footer: 'Inputs at the cheapest trader/flea price • Outputs at the best trader price or flea price after fees',
+  },
+
+  hideout: {
+    loading: '🏠 Loading the hideout...',
+    unknownStation: '❌ No hideout station matches "{station}". Stations: {stations}.',
+    badLevel: '❌ {station} has levels 1 to {max}.',
+    setUsage: 'Please give a station and the level you\'ve built. Example: `!hideout set lavatory 2` (0 for not built)',
+    set: '✅ Recorded **{station}** at level **{level}** for {mode}.',
+    setNotBuilt: '✅ Recorded **{station}** as not built for {mode}.',
+    stationTitle: '{station} Level {level}/{max}',
+    stationFooter: 'Record your progress with !hideout set <station> <level>',
+    stationFooterBuilt: 'You have level {level} • !hideout next for all your upgrades',
+    items: '📦 Items ({count})',
+    fir: '(FIR)',
+    noPrice: 'No price',
+    totalCost: '💰 Total Cost',
+    buildTime: '⏱️ Build Time',
+    stations: '🏗️ Stations',
+    traders: '🤝 Traders',
+    skills: '📚 Skills',
+    traderRequirement: '{trader} {type} {value}',
+    allDone: '🏠 Every station is at its highest level. Nice!',
+    nextTitle: 'Your Next Hideout Upgrades',
+    nothingReady: 'No upgrades are ready - each one needs another station first.',
+    shoppingList: '🛒 Shopping List ({count} items)',
+    more: '...and {count} more',
+    plusUnpriced: '+ items with no price',
+    blocked: '🔒 Needs Another Station First ({count})',
+    nextFooter: 'Based on your recorded levels • Update them with !hideout set <station> <level>',
+    nextFooterEmpty: 'No levels recorded, so every station counts as not built • !hideout set <station> <level>',
+  },
+
+  questchain: {
+    before: '⬅️ Before ({count})',
+    after: '➡️ Unlocks ({count})',
+    noPrerequisites: 'Nothing - available from the start.',
+    noUnlocks: 'Doesn\'t unlock any quests.',
+    repeat: '(see above)',
+    graphTitle: 'Quest chain: {quest}',
+    graphSummary: 'This chain is too long to list, so here it is as a graph: **{before}** quests before and **{after}** after. Earlier quests are on the left.',
+    hidden: '{count} of the furthest quests are left out to keep the image readable.',
+    footer: 'Each quest is expanded once',
+  },
+
+  progress: {
+    marked: '✅ Marked **{quest}** done for {mode}.',
+    markedWithPrerequisites: '✅ Marked **{quest}** done for {mode}, along with {count} quests before it: {quests}',
+    alreadyDone: '✅ **{quest}** is already marked done for {mode}.',
+    unmarked: '↩️ **{quest}** is no longer marked done for {mode}.',
+    notMarked: '**{quest}** wasn\'t marked done for {mode}.',
+    andMore: 'and {count} more',
+    levelUsage: 'Please give your PMC level, or a trader and your loyalty level. Example: `!level 23` or `!level prapor 3`',
+    badLevel: '❌ PMC level must be between 1 and {max}.',
+    badTraderLevel: '❌ Trader loyalty levels go from 1 to {max}.',
+    unknownTrader: '❌ No trader matches "{trader}". Traders: {traders}.',
+    levelSet: '✅ Recorded PMC level **{level}** for {mode}.',
+    traderSet: '✅ Recorded **{trader}** at loyalty level **{level}** for {mode}.',
+    progressTitle: '📈 Your Quest Progress',
+    playerLevel: 'PMC Level',
+    notRecorded: 'Not recorded',
+    questsDone: 'Quests Done',
+    traderLevels: '🤝 Trader Loyalty',
+    allLoyaltyOne: 'None recorded - every trader counts as LL1',
+    progressFooter: '!level <level> • !level <trader> <loyalty level> • !done <quest> • !available',
+    loading: '📜 Working out which quests you can start...',
+    noLevel: '📈 Record your PMC level first with `!level <level>`, e.g. `!level 23`.',
+    noneAvailable: '📜 No quests are available right now. Level up, or mark finished quests with `!done <quest>`.',
+    availableTitle: '📜 Quests You Can Start',
+    anyMap: 'Any map',
+    continued: '{group} (cont.)',
+    availableSummary: '{count} available • Lvl {level} • {done} quests done',
+    traderLocked: '{count} more need a higher trader loyalty level - record yours with !level <trader> <level>',
+    started: '▶️ Tracking **{quest}** as active for {mode}. `!done` takes it off the list when you finish it.',
+    alreadyStarted: '▶️ **{quest}** is already active for {mode}.',
+    startDone: '✅ **{quest}** is already marked done for {mode}. Use `!done {quest} --undo` first to run it again.',
+    stopped: '↩️ **{quest}** is no longer active for {mode}.',
+    notStarted: '**{quest}** wasn\'t active for {mode}.',
+    noActive: '▶️ You have no active quests for {mode}. Start tracking one with `!start <quest>`.',
+    activeTitle: '▶️ Your Active Quests ({count})',
+    activeFooter: '!start <quest> • !start <quest> --undo • !done <quest>',
+  },
+
+  needed: {
+    loading: '🛒 Gathering what the squad needs...',
+    badMember: '❌ "{arg}" isn\'t a member mention. Example: `!needed @friend @friend2`',
+    noneRecorded: '▶️ Nobody in this squad has any active quests. Use `!start <quest>` for each quest you\'ve accepted.',
+    nothing: '🛒 None of the squad\'s active quests need items handed over.',
+    title: '🛒 Squad Quest Items',
+    summary: '{items} items for {quests} quests • {members}',
+    missing: 'No active quests for {members} - add them with `!start <quest>`.',
+    fir: '(FIR)',
+    alternatives: 'or {count} other',
+    moreQuests: '+{count}',
+    price: '💰 {price} ₽ each • {total} ₽ for all',
+    noPrice: '💰 Not on the flea',
+    noPriceShort: 'no flea price',
+    memberLine: '{member} {count} • {quests}',
+    memberHeading: '{member} needs {count} items',
+    itemLine: '• **{item}** {count} • {price} • {quests}',
+    footer: 'Items for each member\'s active quests (!start) • Current flea prices',
+  },
+
+  map: {
+    loading: '🗺️ Looking up map "{query}"...',
+    unknownMap: '❌ No map matches "{map}". Maps: {maps}.',
+    raidTime: '⏱️ Raid Time',
+    minutes: '{minutes} min',
+    players: '👥 Players',
+    levels: '📈 Player Levels',
+    accessKeys: '🔑 Access Keys',
+    pmcExtracts: '🟢 PMC Extracts ({count})',
+    scavExtracts: '🟡 Scav Extracts ({count})',
+    sharedExtracts: '🔵 Shared Extracts ({count})',
+    needsSwitch: 'needs {switch}',
+    bosses: '💀 Bosses',
+    noBosses: 'No bosses',
+    guards: '{count} guards',
+    quests: '📜 Quests Here ({count})',
+    moreQuests: '...and {count} more',
+  },
+
+  trader: {
+    loading: '🤝 Loading traders...',
+    unknownTrader: '❌ No trader matches "{trader}". Traders: {traders}.',
+    restocksTitle: '🔄 Trader Restocks',
+    noRestocks: 'No restock times available right now.',
+    restocksFooter: '!trader <name> remind to get pinged at the next restock',
+    nextRestock: '🔄 Next restock {time}',
+    levelTitle: 'Loyalty Level {level}',
+    requirements: 'Needs Lvl {level} • Rep {reputation} • {commerce} spent',
+    offers: '🛒 {count} new offers: {items}',
+    moreOffers: '+{count} more',
+    barters: '🔄 {count} barters',
+    questUnlocks: '🔓 From quests: {items}',
+    footer: '!trader {trader} remind to get pinged at the next restock',
+    noRestock: '❌ There is no upcoming restock time for **{trader}** right now. Try again in a minute.',
+    reminderSet: '🔔 I\'ll ping you here when **{trader}** restocks {time} • {mode}',
+    reminderCancelled: '🔕 Cancelled your **{trader}** restock reminder.',
+    noReminder: 'You don\'t have a **{trader}** restock reminder.',
+    restocked: '🔄 {user} **{trader}** has restocked ({mode})! Use `!trader {command} remind` to be pinged next time.',
+  },
+
+  buy: {
+    loading: '🛒 Finding where to buy "{query}"...',
+    noItem: '❌ Tell me which item, e.g. `!buy m995`.',
+    badTraderLevels: '❌ Write trader levels as `--trader-levels prapor:2,mechanic:3`, with loyalty levels from 1 to 4.',
+    whereToBuy: '🛒 Where to Buy',
+    offerLine: '**{vendor}** LL{level}: {price}',
+    barterLine: '**{vendor}** LL{level} barter: {input} → {count}× ({cost})',
+    fleaLine: '**{vendor}**: {price}',
+    each: '{cost} ₽ each',
+    unpriced: 'not all on the flea',
+    lockedLoyalty: '🔒 needs LL{level} (you: LL{current})',
+    lockedQuest: '🔒 needs {quest}',
+    lockedFlea: '🔒 needs Lvl {level} (you: {current})',
+    available: '✅ Available to You ({count})',
+    noneAvailable: 'Nothing you can use yet.',
+    locked: '🔒 Locked ({count})',
+    more: '+{count} more',
+    none: '❌ No trader or flea market sells this item.',
+    footer: 'PMC Lvl {level} • Loyalty from !level, unrecorded traders count as LL1 • --trader-levels prapor:2 overrides',
+    footerNoLevel: 'Loyalty from !level, unrecorded traders count as LL1 • Record your PMC level with !level to check the flea unlock',
+  },
+
+  loot: {
+    loading: '💎 Ranking loot by value per slot...',
+    badMinSlots: '❌ `--min-slots` needs a whole number of slots, 1 or more.',
+    unknownCategory: '❌ No category matches "{category}". Categories: {categories}',
+    none: 'No sellable items match.',
+    title: '💎 Loot Value per Slot',
+    allItems: 'All items',
+    minSlots: '{slots}+ slots',
+    line: '`{rank}.` **{name}** {size} • **{perSlot} ₽/slot** • {sale}',
+    fleaSale: 'Flea {price} ₽ after fees',
+    footer: 'Items ranked: {count} • best of flea after fees and traders ÷ width × height',
+    perSlotField: '📦 Value per Slot',
+    perSlotValue: '**{perSlot} ₽/slot** • {size} ({slots} slots) • {sale}',
+    noSlotValue: 'Can\'t be sold, so it has no value per slot',
+  },
+
+  key: {
+    loading: '🔑 Looking up "{query}"...',
+    loadingMap: '🔑 Finding the keys for "{query}"...',
+    unknownKey: '❌ No key matches "{key}".',
+    noKeys: 'No keys are known for **{map}**.',
+    opens: '🚪 Opens',
+    unknownLock: 'No lock positions known',
+    needsPower: 'needs power',
+    lockTypes: {
+      door: 'door',
+      container: 'container',
+      trunk: 'car trunk',
+    },
+    uses: '🔁 Uses',
+    usesCount: '{uses} uses',
+    usesUnknown: 'Unknown',
+    value: '💰 Worth',
+    flea: 'Flea {price} ₽',
+    perUse: '{price} ₽/use',
+    notOnFlea: 'Not on the flea',
+    traderPays: '{trader} pays {price} ₽',
+    noTrader: 'No trader buys it',
+    ratio: 'Flea is {ratio}× the trader price',
+    quests: '📋 Quests ({count})',
+    noQuests: 'No quests need it',
+    objectiveItem: 'objective item',
+    questArea: 'opens a quest area on {maps}',
+    moreQuests: '+{count} more',
+    questCount: '📋 {count}',
+    loot: '📦 Behind the Lock',
+    lootUnknown: 'Not known',
+    footer: 'Lock positions from tarkov.dev • location and loot from the wiki',
+    mapTitle: 'Keys for {map}',
+    mapFooter: 'Keys: {count} • most expensive first • 📋 quests that need it here',
+  },
+
+  kappa: {
+    loading: '🦘 Loading the Collector items...',
+    noQuest: 'The Collector quest isn\'t in the quest list right now.',
+    unknownAction: '❌ Unknown option "{action}". Use `!kappa`, `!kappa found <item>`, `!kappa missing` or `!kappa squad @member`.',
+    missingItem: '❌ Tell me which item, e.g. `!kappa found old firesteel`.',
+    unknownItem: '❌ No Collector item matches "{item}".',
+    marked: '✅ Marked **{item}** as found • {found}/{total} • {mode}',
+    alreadyFound: '**{item}** is already marked as found • {found}/{total} • {mode}',
+    unmarked: '↩️ Unmarked **{item}** • {found}/{total} • {mode}',
+    notFound: '**{item}** wasn\'t marked as found • {found}/{total} • {mode}',
+    complete: '🎉 You\'ve found every Collector item ({mode})!',
+    title: '🦘 Collector Items',
+    missingTitle: '🦘 Missing Collector Items',
+    summary: 'Found **{found}/{total}** • Still to find: {value} ₽ on the flea',
+    price: '💰 {price} ₽',
+    noPrice: '💰 Not on the flea',
+    rewardFrom: '🎁 Reward from {quests}',
+    foundOn: '🗺️ Found on {maps}',
+    squadTitle: '🦘 Squad Collector Progress',
+    squadLine: '**{item}** • {count}/{total} • {have}',
+    footer: '!kappa found <item> to mark an item • Flea prices are current, most items must be found in raid',
+  },
+
+  pages: {
+    notYourCommand: 'Only the person who ran the command can turn pages. Run it yourself to browse.',
+  },
+
+  // Optional translations of command descriptions for help; commands without
+  // an entry use the description from their definition
+  commands: {},
+};
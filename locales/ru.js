@@ -0,0 +1,509 @@
+// Russian message catalog; missing keys fall back to English
+
+export default {
+  language: {
+    name: 'Русский',
+  },
+
+  common: {
+    dataSource: 'Данные api.tarkov.dev',
+    level: 'Ур. {level}',
+    optional: '(Необязательно)',
+    commandFailed: '❌ При выполнении команды произошла ошибка.',
+  },
+
+  registry: {
+    noPermission: '🔒 У вас нет прав на эту команду.',
+    missingArg: 'Не указано: {arg}.',
+    notWholeNumber: '{arg}: нужно целое число.',
+    notAChoice: '{arg}: допустимые значения: {choices}.',
+    usage: '{problem} Использование: `{usage}`',
+    example: 'Пример: `{example}`',
+  },
+
+  errors: {
+    timeout: '⏱️ tarkov.dev слишком долго отвечает. Попробуйте ещё раз через минуту.',
+    upstream: '🛠️ tarkov.dev сейчас недоступен{status}. Попробуйте через несколько минут.',
+    graphql: '❌ tarkov.dev не смог обработать запрос: {message}',
+    generic: '❌ Произошла ошибка: {action}.',
+    itemNotFound: 'Предметы по запросу «{query}» не найдены.',
+    itemIdNotFound: 'Предмет с ID {id} не найден.',
+    questNotFound: 'Квесты по запросу «{query}» не найдены. Попробуйте часть названия, например «каратель» или «химия».',
+    ammoNotFound: 'Калибры или патроны по запросу «{query}» не найдены. Попробуйте калибр, например «5.56» или «12g».',
+  },
+
+  actions: {
+    searchItem: 'поиск предмета',
+    searchQuest: 'поиск квеста',
+    generateGuide: 'создание гайда по квесту',
+    createAlert: 'создание оповещения',
+    loadHistory: 'загрузка истории цен',
+    searchAmmo: 'поиск патронов',
+    loadCrafts: 'расчёт крафтов убежища',
+    loadHideout: 'загрузка убежища',
+    updateProgress: 'обновление прогресса квестов',
+    loadAvailable: 'поиск доступных квестов',
+    loadNeeded: 'сбор предметов для квестов отряда',
+    loadMap: 'загрузка карты',
+    loadTraders: 'загрузка торговцев',
+    loadLoot: 'расчёт ценности лута',
+    loadKeys: 'поиск ключей',
+    loadKappa: 'загрузка предметов «Коллекционера»',
+  },
+
+  matches: {
+    footer: 'Совпадение {index} из {total} • Не то? Выберите другое ниже',
+    notYourSearch: 'Выбирать результат может только автор запроса. Запустите команду сами.',
+  },
+
+  item: {
+    searching: '🔍 Ищу «{query}»...',
+    placeholder: 'Не тот предмет? Выберите другой',
+    fleaPrice: '💰 Цена на барахолке (сред. за 24ч)',
+    basePrice: '📊 Базовая цена',
+    bestSellPrices: '💵 Лучшие цены продажи',
+    noSellData: 'Нет данных о продаже торговцам',
+    neededForQuests: '📋 Нужен для квестов ({count})',
+    rewardFromQuests: '🎁 Награда за квесты ({count})',
+    questLine: '**{name}** ({trader}, ур. {level})',
+    canCraft: '🔨 Крафтится ({count})',
+    usedInCrafts: '🧪 Используется в крафтах ({count})',
+    craftLine: '**{station}** ур. {level}: → {output}',
+    barterFor: '🔄 Бартеры на этот предмет ({count})',
+    usedInBarters: '🔁 Используется в бартерах ({count})',
+    barterLine: '**{trader}** ур. {level}: {input} → {output}',
+    barterValue: '└ Барахолка: {cost} ₽ на входе → {value} ₽ на выходе • {verdict}',
+    barterSaves: '🟢 на {amount} ₽ лучше барахолки',
+    barterLoses: '🔴 на {amount} ₽ хуже барахолки',
+    barterUnpriced: 'не всё есть на барахолке',
+    categories: '🏷️ Категории',
+  },
+
+  quest: {
+    searching: '🔍 Ищу квест «{query}»...',
+    placeholder: 'Не тот квест? Выберите другой',
+    match: 'совпадение {percent}%',
+    trader: 'Торговец',
+    map: 'Карта',
+    minLevel: 'Мин. уровень',
+    xpReward: 'Опыт',
+    requiredQuests: '📋 Требуемые квесты',
+    traderRequirements: '🤝 Требования к торговцам',
+    traderLevel: '{trader}, уровень {level}',
+    objectives: '🎯 Задачи ({count})',
+    rewards: '🎁 Награды',
+    rewardItems: 'Предметы',
+    rewardUnlocks: 'Открывает',
+    rewardRep: 'Репутация',
+  },
+
+  guide: {
+    writing: '🤖 Пишу гайд для **{quest}**... это может занять несколько секунд.',
+    unavailable: 'ИИ-гайд сейчас недоступен — показываю обычную информацию о квесте',
+    anyMap: 'Несколько/разные',
+    noOverview: 'Обзор недоступен.',
+    noObjectiveGuidance: 'Для этой задачи нет отдельных советов.',
+    tips: '💡 Советы',
+    noTips: 'Дополнительных советов нет.',
+    footer: 'Гайд создан Google Gemini • Данные api.tarkov.dev',
+  },
+
+  help: {
+    title: '🎮 Команды Tarkov Bot',
+    description: 'Информация о предметах и квестах Escape from Tarkov',
+    footer: '{prefix}help <команда> — подробности • Данные api.tarkov.dev',
+    examples: '📝 Примеры',
+    unknownCommand: '❌ Неизвестная команда «{command}». Список команд: `{prefix}help`.',
+    aliases: 'Псевдонимы',
+    permission: 'Права',
+    arguments: 'Аргументы',
+    optional: '(необязательно)',
+    categories: {
+      Items: 'Предметы',
+      Hideout: 'Убежище',
+      Quests: 'Квесты',
+      General: 'Общее',
+    },
+  },
+
+  alert: {
+    usage: 'Используйте `!alert add <предмет> below|above <цена>`. Примеры:\n{examples}',
+    unknownAction: 'Неизвестное действие «{action}». Используйте `add`, `list` или `remove`.',
+    limitReached: '❌ У вас уже {max} оповещений. Сначала удалите одно: `!alert remove <id>`.',
+    currently: ' Сейчас: **{price} ₽**.',
+    byDm: 'в личные сообщения',
+    inChannel: 'в этом канале',
+    created: '🔔 Оповещение #{id}: напишу вам {where}, когда **{item}** будет {direction} **{price} ₽** на барахолке {mode}.{current}',
+    none: 'У вас нет ценовых оповещений. Создайте так:\n{examples}',
+    dm: 'ЛС',
+    listTitle: '🔔 Ваши оповещения ({count}/{max})',
+    listFooter: 'Удалить: !alert remove <id> • Цены проверяются каждые 5 минут',
+    missingId: 'Укажите номер оповещения. Пример: `!alert remove 3` (см. `!alert list`)',
+    unknownId: '❌ У вас нет оповещения #{id}. Список: `!alert list`.',
+    removed: '🗑️ Оповещение #{id} удалено ({item} {direction} {price} ₽).',
+    direction: {
+      below: 'ниже',
+      above: 'выше',
+    },
+    triggeredTitle: '🔔 {item} {direction} {price} ₽ • {mode}',
+    triggeredDescription: 'Самое дешёвое предложение сейчас **{current} ₽** (ваше оповещение: {direction} {price} ₽).',
+    triggeredFooter: 'Оповещение #{id} • Удалить: !alert remove {id}',
+  },
+
+  history: {
+    loading: '📈 Загружаю историю цен для «{query}»...',
+    notEnough: '📈 Для **{item}** пока мало истории цен ({mode}). Я начал её собирать — загляните через пару часов.',
+    chartTitle: '{item} — цена на барахолке {mode}, {days} дн.',
+    current: 'Сейчас',
+    change: 'Изменение ({days} дн.)',
+    average: 'Среднее',
+    low: 'Минимум',
+    high: 'Максимум',
+    samples: 'Замеров',
+    footer: 'Самое дешёвое предложение, замеры бота • Данные api.tarkov.dev',
+  },
+
+  mode: {
+    cleared: '🎮 Режим сброшен. Вы будете получать данные {mode} (по умолчанию для {source}).',
+    serverSource: 'сервера',
+    botSource: 'бота',
+    set: '🎮 Теперь вы получаете цены и квесты **{mode}**. Добавьте `--pvp` или `--pve` к любой команде для разового запроса.',
+    serverOnly: '❌ Режим сервера можно задать только на сервере.',
+    adminOnly: '🔒 Режим сервера могут менять только администраторы.',
+    missingServerMode: 'Выберите режим. Пример: `!mode server pve`',
+    serverSet: '🎮 Режим сервера по умолчанию: **{mode}**. Участники могут выбрать свой через `!mode pvp` или `!mode pve`.',
+    currentTitle: '🎮 Вы используете данные {mode}',
+    yourSetting: 'Ваша настройка',
+    serverDefault: 'По умолчанию на сервере',
+    notSet: 'Не задано',
+    footer: '!mode pvp|pve|reset • Админы: !mode server pvp|pve • --pve/--pvp для любой команды',
+  },
+
+  languageCommand: {
+    cleared: '🌐 Язык сброшен. Вы будете получать ответы на языке «{language}» (по умолчанию для {source}).',
+    set: '🌐 Буду отвечать вам на языке **{language}**. Предметы и квесты можно искать по-русски или по-английски.',
+    unsupported: '❌ Язык «{language}» не поддерживается. Доступны: {languages}.',
+    serverOnly: '❌ Язык сервера можно задать только на сервере.',
+    adminOnly: '🔒 Язык сервера могут менять только администраторы.',
+    missingServerLanguage: 'Выберите язык. Пример: `!language server ru`',
+    serverSet: '🌐 Язык сервера по умолчанию: **{language}**. Участники могут выбрать свой через `!language <код>`.',
+    currentTitle: '🌐 Язык: {language}',
+    yourSetting: 'Ваша настройка',
+    serverDefault: 'По умолчанию на сервере',
+    available: 'Доступны',
+    notSet: 'Не задано',
+    footer: '!language <код>|reset • Админы: !language server <код>',
+  },
+
+  ammo: {
+    missingQuery: 'Укажите калибр или патрон. Пример: `!ammo 5.56` или `!ammo m855a1`',
+    unknownSort: '❌ Неизвестная сортировка «{sort}». Выберите одну из: {sorts}.',
+    loading: '🔫 Загружаю патроны для «{query}»...',
+    columns: {
+      round: 'Патрон',
+      damage: 'Урон',
+      pen: 'Проб',
+      armor: 'УрБр',
+      frag: 'Оск',
+      speed: 'м/с',
+    },
+    sorts: {
+      pen: 'пробитию',
+      damage: 'урону',
+      armor: 'урону броне',
+      frag: 'шансу осколков',
+      speed: 'скорости',
+      price: 'цене',
+    },
+    cheapestSource: '💰 Где дешевле всего',
+    notSold: 'Не продаётся',
+    otherCalibers: 'Другие подходящие калибры',
+    legend: 'Классы брони 1-6: 0 бесполезен … 6 отлично',
+    sortedBy: 'Сортировка по {sort}',
+  },
+
+  crafts: {
+    loading: '🔨 Считаю прибыль крафтов в убежище...',
+    badLevel: '❌ `--level` должен быть уровнем модуля: 1, 2 или 3.',
+    unknownStation: '❌ Модуль убежища «{station}» не найден. Модули: {stations}.',
+    none: '🔨 Нет крафтов под эти фильтры.',
+    title: '🔨 Крафты убежища по прибыли в час',
+    level: 'ур. {level}',
+    line: '└ **{perHour}/ч** • {profit} за крафт • {cost} ₽ на входе → {value} ₽ на выходе',
+    maxLevel: 'Уровень модуля ≤ {level}',
+    recordedLevels: 'Ваши записанные уровни убежища',
+    fuelIncluded: 'С учётом топлива ({cost} ₽/ч)',
+    fuelUnavailable: 'Без топлива (топливо не продаётся)',
+    unpriced: 'Пропущено крафтов без цены ингредиента или результата: {count}',
+    footer: 'Ингредиенты по самой низкой цене у торговцев/на барахолке • Результат по лучшей цене торговца или барахолки за вычетом комиссии',
+  },
+
+  hideout: {
+    loading: '🏠 Загружаю убежище...',
+    unknownStation: '❌ Модуль убежища «{station}» не найден. Модули: {stations}.',
+    badLevel: '❌ У модуля {station} уровни с 1 по {max}.',
+    setUsage: 'Укажите модуль и построенный уровень. Пример: `!hideout set lavatory 2` (0 — не построен)',
+    set: '✅ Записал **{station}** на уровне **{level}** для {mode}.',
+    setNotBuilt: '✅ Записал **{station}** как не построенный для {mode}.',
+    stationTitle: '{station}, уровень {level}/{max}',
+    stationFooter: 'Отмечайте прогресс: !hideout set <модуль> <уровень>',
+    stationFooterBuilt: 'У вас уровень {level} • !hideout next — все ваши улучшения',
+    items: '📦 Предметы ({count})',
+    fir: '(FIR)',
+    noPrice: 'Нет цены',
+    totalCost: '💰 Общая стоимость',
+    buildTime: '⏱️ Время постройки',
+    stations: '🏗️ Модули',
+    traders: '🤝 Торговцы',
+    skills: '📚 Навыки',
+    traderRequirement: '{trader} {type} {value}',
+    allDone: '🏠 Все модули на максимальном уровне. Отлично!',
+    nextTitle: 'Ваши следующие улучшения убежища',
+    nothingReady: 'Нет готовых улучшений — каждому сначала нужен другой модуль.',
+    shoppingList: '🛒 Список покупок ({count} предм.)',
+    more: '...и ещё {count}',
+    plusUnpriced: '+ предметы без цены',
+    blocked: '🔒 Сначала нужен другой модуль ({count})',
+    nextFooter: 'По вашим записанным уровням • Обновить: !hideout set <модуль> <уровень>',
+    nextFooterEmpty: 'Уровни не записаны, все модули считаются не построенными • !hideout set <модуль> <уровень>',
+  },
+
+  questchain: {
+    before: '⬅️ До ({count})',
+    after: '➡️ Открывает ({count})',
+    noPrerequisites: 'Ничего — доступен с самого начала.',
+    noUnlocks: 'Не открывает других квестов.',
+    repeat: '(см. выше)',
+    graphTitle: 'Цепочка квестов: {quest}',
+    graphSummary: 'Цепочка слишком длинная для списка, поэтому вот граф: **{before}** квестов до и **{after}** после. Более ранние квесты слева.',
+    hidden: 'Самые дальние квесты ({count}) не показаны, чтобы изображение оставалось читаемым.',
+    footer: 'Каждый квест раскрыт один раз',
+  },
+
+  progress: {
+    marked: '✅ Квест **{quest}** отмечен выполненным ({mode}).',
+    markedWithPrerequisites: '✅ Квест **{quest}** отмечен выполненным ({mode}) вместе с предыдущими квестами ({count}): {quests}',
+    alreadyDone: '✅ Квест **{quest}** уже отмечен выполненным ({mode}).',
+    unmarked: '↩️ Квест **{quest}** больше не отмечен выполненным ({mode}).',
+    notMarked: 'Квест **{quest}** не был отмечен выполненным ({mode}).',
+    andMore: 'и ещё {count}',
+    levelUsage: 'Укажите свой уровень ЧВК или торговца и уровень лояльности. Пример: `!level 23` или `!level прапор 3`',
+    badLevel: '❌ Уровень ЧВК должен быть от 1 до {max}.',
+    badTraderLevel: '❌ Уровни лояльности торговцев — от 1 до {max}.',
+    unknownTrader: '❌ Торговец "{trader}" не найден. Торговцы: {traders}.',
+    levelSet: '✅ Записан уровень ЧВК **{level}** ({mode}).',
+    traderSet: '✅ Записан уровень лояльности **{level}** у торговца **{trader}** ({mode}).',
+    progressTitle: '📈 Ваш прогресс квестов',
+    playerLevel: 'Уровень ЧВК',
+    notRecorded: 'Не записан',
+    questsDone: 'Выполнено квестов',
+    traderLevels: '🤝 Лояльность торговцев',
+    allLoyaltyOne: 'Не записана — у всех торговцев считается 1-й уровень',
+    progressFooter: '!level <уровень> • !level <торговец> <лояльность> • !done <квест> • !available',
+    loading: '📜 Определяю, какие квесты вам доступны...',
+    noLevel: '📈 Сначала запишите уровень ЧВК командой `!level <уровень>`, например `!level 23`.',
+    noneAvailable: '📜 Сейчас нет доступных квестов. Поднимите уровень или отметьте выполненные квесты командой `!done <квест>`.',
+    availableTitle: '📜 Доступные квесты',
+    anyMap: 'Любая карта',
+    continued: '{group} (продолжение)',
+    availableSummary: 'Доступно: {count} • Ур. {level} • Выполнено квестов: {done}',
+    traderLocked: 'Ещё {count} требуют более высокой лояльности торговца — запишите её командой !level <торговец> <уровень>',
+    started: '▶️ **{quest}** теперь отмечен активным для {mode}. `!done` уберёт его из списка, когда закончите.',
+    alreadyStarted: '▶️ **{quest}** уже активен для {mode}.',
+    startDone: '✅ **{quest}** уже отмечен выполненным для {mode}. Сначала используйте `!done {quest} --undo`, чтобы пройти его снова.',
+    stopped: '↩️ **{quest}** больше не активен для {mode}.',
+    notStarted: '**{quest}** не был активен для {mode}.',
+    noActive: '▶️ У вас нет активных квестов для {mode}. Добавьте квест командой `!start <квест>`.',
+    activeTitle: '▶️ Ваши активные квесты ({count})',
+    activeFooter: '!start <квест> • !start <квест> --undo • !done <квест>',
+  },
+
+  needed: {
+    loading: '🛒 Собираю, что нужно отряду...',
+    badMember: '❌ "{arg}" — не упоминание участника. Пример: `!needed @друг @друг2`',
+    noneRecorded: '▶️ Ни у кого в отряде нет активных квестов. Используйте `!start <квест>` для каждого принятого квеста.',
+    nothing: '🛒 Ни один активный квест отряда не требует сдачи предметов.',
+    title: '🛒 Предметы для квестов отряда',
+    summary: 'Предметов: {items} для квестов: {quests} • {members}',
+    missing: 'Нет активных квестов у {members} — добавьте их командой `!start <квест>`.',
+    fir: '(FIR)',
+    alternatives: 'или ещё предметов: {count}',
+    moreQuests: '+{count}',
+    price: '💰 {price} ₽ за шт. • {total} ₽ за все',
+    noPrice: '💰 Нет на барахолке',
+    noPriceShort: 'нет цены',
+    memberLine: '{member} {count} • {quests}',
+    memberHeading: '{member}: нужно предметов — {count}',
+    itemLine: '• **{item}** {count} • {price} • {quests}',
+    footer: 'Предметы для активных квестов каждого участника (!start) • Текущие цены барахолки',
+  },
+
+  map: {
+    loading: '🗺️ Ищу карту "{query}"...',
+    unknownMap: '❌ Карта "{map}" не найдена. Карты: {maps}.',
+    raidTime: '⏱️ Время рейда',
+    minutes: '{minutes} мин',
+    players: '👥 Игроки',
+    levels: '📈 Уровни игроков',
+    accessKeys: '🔑 Ключи доступа',
+    pmcExtracts: '🟢 Выходы ЧВК ({count})',
+    scavExtracts: '🟡 Выходы Диких ({count})',
+    sharedExtracts: '🔵 Общие выходы ({count})',
+    needsSwitch: 'нужен {switch}',
+    bosses: '💀 Боссы',
+    noBosses: 'Боссов нет',
+    guards: 'охрана: {count}',
+    quests: '📜 Квесты на карте ({count})',
+    moreQuests: '...и ещё {count}',
+  },
+
+  trader: {
+    loading: '🤝 Загружаю торговцев...',
+    unknownTrader: '❌ Торговец "{trader}" не найден. Торговцы: {traders}.',
+    restocksTitle: '🔄 Обновление ассортимента',
+    noRestocks: 'Сейчас нет данных об обновлении ассортимента.',
+    restocksFooter: '!trader <имя> remind — напомнить при следующем обновлении',
+    nextRestock: '🔄 Следующее обновление {time}',
+    levelTitle: 'Уровень лояльности {level}',
+    requirements: 'Нужно: ур. {level} • репутация {reputation} • потрачено {commerce}',
+    offers: '🛒 Новых предложений: {count}: {items}',
+    moreOffers: 'ещё {count}',
+    barters: '🔄 Бартеров: {count}',
+    questUnlocks: '🔓 За квесты: {items}',
+    footer: '!trader {trader} remind — напомнить при следующем обновлении',
+    noRestock: '❌ Сейчас нет времени следующего обновления у торговца **{trader}**. Попробуйте через минуту.',
+    reminderSet: '🔔 Я напомню здесь, когда **{trader}** обновит ассортимент {time} • {mode}',
+    reminderCancelled: '🔕 Напоминание об обновлении у **{trader}** отменено.',
+    noReminder: 'У вас нет напоминания об обновлении у **{trader}**.',
+    restocked: '🔄 {user} **{trader}** обновил ассортимент ({mode})! Используйте `!trader {command} remind`, чтобы получить напоминание в следующий раз.',
+  },
+
+  buy: {
+    loading: '🛒 Ищу, где купить «{query}»...',
+    noItem: '❌ Укажите предмет, например `!buy m995`.',
+    badTraderLevels: '❌ Укажите уровни как `--trader-levels prapor:2,mechanic:3`, лояльность от 1 до 4.',
+    whereToBuy: '🛒 Где купить',
+    offerLine: '**{vendor}** ур. {level}: {price}',
+    barterLine: '**{vendor}** ур. {level} бартер: {input} → {count}× ({cost})',
+    fleaLine: '**{vendor}**: {price}',
+    each: '{cost} ₽ за шт.',
+    unpriced: 'не всё есть на барахолке',
+    lockedLoyalty: '🔒 нужен ур. {level} (у вас: {current})',
+    lockedQuest: '🔒 нужен квест {quest}',
+    lockedFlea: '🔒 нужен ур. {level} ЧВК (у вас: {current})',
+    available: '✅ Доступно вам ({count})',
+    noneAvailable: 'Пока ничего не доступно.',
+    locked: '🔒 Закрыто ({count})',
+    more: '+ещё {count}',
+    none: '❌ Этот предмет не продают ни торговцы, ни барахолка.',
+    footer: 'ЧВК ур. {level} • Лояльность из !level, незаписанные торговцы считаются ур. 1 • --trader-levels prapor:2 заменяет',
+    footerNoLevel: 'Лояльность из !level, незаписанные торговцы считаются ур. 1 • Запишите уровень ЧВК через !level, чтобы проверять доступ к барахолке',
+  },
+
+  loot: {
+    loading: '💎 Считаю ценность лута на слот...',
+    badMinSlots: '❌ `--min-slots` — целое число слотов, от 1.',
+    unknownCategory: '❌ Категория "{category}" не найдена. Категории: {categories}',
+    none: 'Подходящих предметов на продажу нет.',
+    title: '💎 Ценность лута на слот',
+    allItems: 'Все предметы',
+    minSlots: 'от {slots} слотов',
+    line: '`{rank}.` **{name}** {size} • **{perSlot} ₽/слот** • {sale}',
+    fleaSale: 'Барахолка {price} ₽ после комиссии',
+    footer: 'Предметов в рейтинге: {count} • лучшая цена барахолки после комиссии или торговца ÷ ширина × высота',
+    perSlotField: '📦 Ценность на слот',
+    perSlotValue: '**{perSlot} ₽/слот** • {size} ({slots} слотов) • {sale}',
+    noSlotValue: 'Не продаётся, поэтому ценности на слот нет',
+  },
+
+  key: {
+    loading: '🔑 Ищу «{query}»...',
+    loadingMap: '🔑 Ищу ключи для «{query}»...',
+    unknownKey: '❌ Ключ «{key}» не найден.',
+    noKeys: 'Для **{map}** ключи неизвестны.',
+    opens: '🚪 Открывает',
+    unknownLock: 'Расположение замков неизвестно',
+    needsPower: 'нужно электричество',
+    lockTypes: {
+      door: 'дверь',
+      container: 'контейнер',
+      trunk: 'багажник',
+    },
+    uses: '🔁 Использований',
+    usesCount: '{uses} исп.',
+    usesUnknown: 'Неизвестно',
+    value: '💰 Стоимость',
+    flea: 'Барахолка {price} ₽',
+    perUse: '{price} ₽/исп.',
+    notOnFlea: 'Нет на барахолке',
+    traderPays: '{trader} платит {price} ₽',
+    noTrader: 'Торговцы не покупают',
+    ratio: 'Барахолка в {ratio}× дороже торговца',
+    quests: '📋 Квесты ({count})',
+    noQuests: 'Не нужен для квестов',
+    objectiveItem: 'предмет задания',
+    questArea: 'открывает зону квеста на {maps}',
+    moreQuests: '+ещё {count}',
+    questCount: '📋 {count}',
+    loot: '📦 За замком',
+    lootUnknown: 'Неизвестно',
+    footer: 'Замки из tarkov.dev • расположение и лут из вики',
+    mapTitle: 'Ключи для {map}',
+    mapFooter: 'Ключей: {count} • сначала самые дорогие • 📋 квесты, которым он нужен здесь',
+  },
+
+  kappa: {
+    loading: '🦘 Загружаю предметы для «Коллекционера»...',
+    noQuest: 'Квеста «Коллекционер» сейчас нет в списке квестов.',
+    unknownAction: '❌ Неизвестный вариант «{action}». Используйте `!kappa`, `!kappa found <предмет>`, `!kappa missing` или `!kappa squad @участник`.',
+    missingItem: '❌ Укажите предмет, например `!kappa found old firesteel`.',
+    unknownItem: '❌ Предмет «{item}» не нужен «Коллекционеру».',
+    marked: '✅ **{item}** отмечен как найденный • {found}/{total} • {mode}',
+    alreadyFound: '**{item}** уже отмечен • {found}/{total} • {mode}',
+    unmarked: '↩️ Отметка с **{item}** снята • {found}/{total} • {mode}',
+    notFound: '**{item}** не был отмечен • {found}/{total} • {mode}',
+    complete: '🎉 Вы нашли все предметы для «Коллекционера» ({mode})!',
+    title: '🦘 Предметы «Коллекционера»',
+    missingTitle: '🦘 Недостающие предметы «Коллекционера»',
+    summary: 'Найдено **{found}/{total}** • Осталось на {value} ₽ по барахолке',
+    price: '💰 {price} ₽',
+    noPrice: '💰 Нет на барахолке',
+    rewardFrom: '🎁 Награда за {quests}',
+    foundOn: '🗺️ Встречается на {maps}',
+    squadTitle: '🦘 Прогресс отряда по «Коллекционеру»',
+    squadLine: '**{item}** • {count}/{total} • {have}',
+    footer: '!kappa found <предмет> — отметить предмет • Цены барахолки актуальны, большинство предметов нужны найденными в рейде',
+  },
+
+  pages: {
+    notYourCommand: 'Листать страницы может только автор команды. Запустите её сами.',
+  },
+
+  commands: {
+    item: { description: 'Найти предмет' },
+    buy: { description: 'Самый дешёвый способ купить предмет с вашей лояльностью' },
+    loot: { description: 'Самый ценный лут на слот инвентаря' },
+    key: { description: 'Где используется ключ и стоит ли он того' },
+    keys: { description: 'Все ключи карты по цене' },
+    quest: { description: 'Найти квест' },
+    questchain: { description: 'Всё, что до и после квеста' },
+    done: { description: 'Отметить квест выполненным' },
+    start: { description: 'Отслеживать ваши текущие квесты' },
+    level: { description: 'Записать уровень ЧВК и лояльность торговцев' },
+    available: { description: 'Квесты, которые можно взять сейчас' },
+    needed: { description: 'Список предметов для квестов отряда' },
+    kappa: { description: 'Отслеживание предметов «Коллекционера» для Каппы' },
+    map: { description: 'Выходы, боссы и квесты карты' },
+    traders: { description: 'Время до обновления ассортимента торговцев' },
+    trader: { description: 'Уровни лояльности и что они открывают' },
+    'e-quest': { description: 'ИИ-гайд по квесту' },
+    alert: { description: 'Оповещение, когда цена на барахолке пересечёт порог' },
+    history: { description: 'График цены предмета на барахолке' },
+    ammo: { description: 'Сравнить все патроны калибра' },
+    crafts: { description: 'Крафты убежища по прибыли в час' },
+    hideout: { description: 'Требования модулей убежища и ваш прогресс' },
+    mode: { description: 'Выбрать цены и квесты PvP или PvE' },
+    language: { description: 'Выбрать язык бота' },
+    help: { description: 'Список команд или подробности об одной команде' },
+  },
+};
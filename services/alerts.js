@@ -0,0 +1,163 @@
+import { fetchItemPrices, getFleaPrice } from '../tarkovApi.js';
+import { alerts } from './repositories.js';
+import { DEFAULT_GAME_MODE } from './settings.js';
+
+const POLL_INTERVAL = 5 * 60 * 1000; // Matches tarkov.dev's price refresh
+const ALERT_COOLDOWN = 60 * 60 * 1000; // Don't re-notify the same alert within an hour
+export const MAX_ALERTS_PER_USER = 10;
+
+let pollTimer = null;
+
+/**
+ * @typedef {Object} PriceAlert
+ * @property {number} id - Alert number shown to users
+ * @property {string} userId - Discord user who created the alert
+ * @property {string|null} guildId - Guild the alert was created in
+ * @property {string} channelId - Channel the alert was created in
+ * @property {string} itemId - Tarkov item ID
+ * @property {string} itemName - Item name at creation time
+ * @property {'regular'|'pve'} gameMode - Economy whose flea price is watched
+ * @property {string} lang - Language the notification is sent in
+ * @property {'below'|'above'} direction - Trigger when the price goes below or above the threshold
+ * @property {number} price - Threshold in roubles
+ * @property {'dm'|'channel'} delivery - Where the notification is sent
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} lastTriggeredAt - ISO timestamp of the last notification
+ */
+
+/**
+ * Create a price alert
+ * @param {Object} alert - Alert fields (see PriceAlert), without id and timestamps
+ * @returns {PriceAlert} The stored alert
+ */
+export function addAlert(alert) {
+  const stored = {
+    ...alert,
+    id: alerts.nextId(),
+    createdAt: new Date().toISOString(),
+    lastTriggeredAt: null,
+  };
+
+  alerts.save(stored.id, stored);
+  return stored;
+}
+
+/**
+ * List a user's alerts
+ * @param {string} userId - Discord user ID
+ * @returns {PriceAlert[]} Alerts, oldest first
+ */
+export function listAlerts(userId) {
+  return alerts.list()
+    .filter(alert => alert.userId === userId)
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Get the game mode an alert watches
+ * Alerts created before game modes were supported watch PvP prices
+ * @param {PriceAlert} alert - Alert
+ * @returns {'regular'|'pve'} Game mode
+ */
+function getAlertGameMode(alert) {
+  return alert.gameMode || DEFAULT_GAME_MODE;
+}
+
+/**
+ * Get every item with at least one alert, once per game mode
+ * @returns {Array<{itemId: string, gameMode: string}>} Watched items
+ */
+export function getAlertedItems() {
+  const seen = new Map();
+  for (const alert of alerts.list()) {
+    const gameMode = getAlertGameMode(alert);
+    seen.set(`${gameMode}:${alert.itemId}`, { itemId: alert.itemId, gameMode });
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Remove one of a user's alerts
+ * @param {string} userId - Discord user ID
+ * @param {number} id - Alert number
+ * @returns {PriceAlert|null} The removed alert, or null if the user has no such alert
+ */
+export function removeAlert(userId, id) {
+  const alert = alerts.get(id);
+  if (!alert || alert.userId !== userId) {
+    return null;
+  }
+
+  alerts.remove(id);
+  return alert;
+}
+
+/**
+ * Check whether a price crosses an alert's threshold
+ * @param {PriceAlert} alert - Alert to check
+ * @param {number} price - Current price in roubles
+ * @returns {boolean} True if the alert should fire
+ */
+function isTriggered(alert, price) {
+  return alert.direction === 'below' ? price <= alert.price : price >= alert.price;
+}
+
+/**
+ * Check every alert against current prices, fetched in one batch for all watched items
+ * @param {Function} notify - Async callback receiving (alert, price) for each triggered alert
+ * @returns {Promise<number>} Number of alerts that fired
+ */
+export async function checkAlerts(notify) {
+  const now = Date.now();
+  const due = alerts.list().filter(alert =>
+    !alert.lastTriggeredAt || now - Date.parse(alert.lastTriggeredAt) >= ALERT_COOLDOWN
+  );
+
+  if (due.length === 0) {
+    return 0;
+  }
+
+  // One batched price fetch per game mode
+  const priceByKey = new Map();
+  let itemCount = 0;
+  for (const gameMode of new Set(due.map(getAlertGameMode))) {
+    const itemIds = [...new Set(due.filter(alert => getAlertGameMode(alert) === gameMode).map(alert => alert.itemId))];
+    itemCount += itemIds.length;
+    const prices = await fetchItemPrices(itemIds, { gameMode });
+    prices.forEach(price => priceByKey.set(`${gameMode}:${price.id}`, price));
+  }
+
+  let fired = 0;
+  for (const alert of due) {
+    const price = priceByKey.get(`${getAlertGameMode(alert)}:${alert.itemId}`);
+    const currentPrice = getFleaPrice(price);
+    if (!currentPrice || !isTriggered(alert, currentPrice)) {
+      continue;
+    }
+
+    try {
+      await notify(alert, price);
+      alert.lastTriggeredAt = new Date().toISOString();
+      alerts.save(alert.id, alert);
+      fired++;
+    } catch (error) {
+      console.error(`Error sending alert #${alert.id}:`, error);
+    }
+  }
+
+  console.log(`Checked ${due.length} price alerts for ${itemCount} items, ${fired} fired`);
+  return fired;
+}
+
+/**
+ * Poll prices on an interval and notify alert owners
+ * @param {Function} notify - Async callback receiving (alert, price) for each triggered alert
+ */
+export function startAlertPoller(notify) {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(() => {
+    checkAlerts(notify).catch(error => console.error('Error checking price alerts:', error));
+  }, POLL_INTERVAL);
+  pollTimer.unref();
+}
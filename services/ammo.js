@@ -0,0 +1,147 @@
+import { fetchAmmo } from '../tarkovApi.js';
+import { rankMatches } from '../utils/fuzzy.js';
+import { NotFoundError } from './errors.js';
+import { t } from './i18n.js';
+
+// Display names and extra search words for the API's caliber IDs.
+// Calibers missing here are shown by their ID without the "Caliber" prefix
+const CALIBERS = {
+  Caliber556x45NATO: { name: '5.56x45mm NATO', aliases: ['556'] },
+  Caliber545x39: { name: '5.45x39mm', aliases: ['545'] },
+  Caliber762x39: { name: '7.62x39mm', aliases: [] },
+  Caliber762x51: { name: '7.62x51mm NATO', aliases: ['308'] },
+  Caliber762x54R: { name: '7.62x54mmR', aliases: [] },
+  Caliber762x35: { name: '.300 Blackout', aliases: ['300blk', 'blackout'] },
+  Caliber68x51: { name: '6.8x51mm', aliases: [] },
+  Caliber9x19PARA: { name: '9x19mm Parabellum', aliases: ['9mm', 'para'] },
+  Caliber9x18PM: { name: '9x18mm Makarov', aliases: ['pm'] },
+  Caliber9x21: { name: '9x21mm Gyurza', aliases: [] },
+  Caliber9x33R: { name: '.357 Magnum', aliases: ['357'] },
+  Caliber9x39: { name: '9x39mm', aliases: [] },
+  Caliber762x25TT: { name: '7.62x25mm Tokarev', aliases: ['tt'] },
+  Caliber46x30: { name: '4.6x30mm HK', aliases: ['46'] },
+  Caliber57x28: { name: '5.7x28mm FN', aliases: ['57'] },
+  Caliber1143x23ACP: { name: '.45 ACP', aliases: ['45acp'] },
+  Caliber366TKM: { name: '.366 TKM', aliases: ['366'] },
+  Caliber127x55: { name: '12.7x55mm STs-130', aliases: ['127x55'] },
+  Caliber127x108: { name: '12.7x108mm', aliases: ['127x108'] },
+  Caliber86x70: { name: '.338 Lapua Magnum', aliases: ['338', 'lapua'] },
+  Caliber12g: { name: '12 gauge', aliases: ['12g', '12ga', 'shotgun'] },
+  Caliber20g: { name: '20 gauge', aliases: ['20g', '20ga'] },
+  Caliber23x75: { name: '23x75mm', aliases: ['ks23'] },
+  Caliber40x46: { name: '40x46mm grenade', aliases: ['40mm'] },
+  Caliber40mmRU: { name: '40mm VOG-25', aliases: ['vog'] },
+  Caliber26x75: { name: '26x75mm flare', aliases: ['flare'] },
+  Caliber30x29: { name: '30x29mm', aliases: [] },
+};
+
+export const ARMOR_CLASSES = [1, 2, 3, 4, 5, 6];
+
+/**
+ * Format a caliber ID for display
+ * @param {string} caliber - Caliber ID from the API, e.g. "Caliber556x45NATO"
+ * @returns {string} Display name, e.g. "5.56x45mm NATO"
+ */
+export function formatCaliber(caliber) {
+  return CALIBERS[caliber]?.name || (caliber || '').replace(/^Caliber/, '');
+}
+
+/**
+ * Reduce text to lowercase letters and digits, so "5.56" and "556" compare equal
+ * @param {string} text - Text to compact
+ * @returns {string} Compacted text
+ */
+function compact(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Get every string a caliber can be searched by, compacted
+ * @param {string} caliber - Caliber ID
+ * @returns {string[]} Search keys
+ */
+function getCaliberKeys(caliber) {
+  return [
+    caliber.replace(/^Caliber/, ''),
+    formatCaliber(caliber),
+    ...(CALIBERS[caliber]?.aliases || []),
+  ].map(compact);
+}
+
+/**
+ * Rate how well a round penetrates each armor class, from 0 (useless) to 6 (excellent)
+ * A heuristic on penetration power against the class's nominal 10 points per class,
+ * in the spirit of the community ammo charts; it ignores armor material and durability
+ * @param {number} penetration - Penetration power
+ * @returns {number[]} Rating for each of ARMOR_CLASSES
+ */
+export function getArmorEffectiveness(penetration) {
+  return ARMOR_CLASSES.map(armorClass => {
+    const margin = penetration - armorClass * 10;
+    return Math.min(6, Math.max(0, Math.floor(margin / 5) + 4));
+  });
+}
+
+/**
+ * Find the cheapest way to buy a round
+ * @param {Object} round - Ammo from fetchAmmo
+ * @returns {{vendor: string, flea: boolean, level: number|null, priceRUB: number}|null} Cheapest offer, or null if it can't be bought
+ */
+export function getCheapestSource(round) {
+  const offers = (round.item.buyFor || []).filter(offer => offer.priceRUB > 0);
+  if (offers.length === 0) {
+    return null;
+  }
+
+  const cheapest = offers.reduce((best, offer) => (offer.priceRUB < best.priceRUB ? offer : best));
+  return {
+    vendor: cheapest.vendor.name,
+    flea: cheapest.vendor.normalizedName === 'flea-market',
+    level: cheapest.vendor.minTraderLevel ?? null,
+    priceRUB: cheapest.priceRUB,
+  };
+}
+
+/**
+ * Find the rounds for a caliber, or the caliber of a named round
+ * Calibers are matched first ("5.56", "12g", "9mm"); anything else is fuzzy matched
+ * against round names ("m855a1", "bs") and that round's caliber is returned
+ * @param {string} query - Caliber or round name
+ * @param {Object} [options] - Lookup options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode for prices
+ * @param {string} [options.lang] - Language for names
+ * @returns {Promise<{caliber: string, rounds: Object[], round: Object|null, otherCalibers: string[]}>}
+ *   The caliber's rounds, the round the query named (if any), and other calibers that also matched
+ * @throws {NotFoundError} If nothing matches
+ */
+export async function findAmmo(query, options = {}) {
+  const ammo = await fetchAmmo(options);
+  const calibers = [...new Set(ammo.map(round => round.caliber))];
+  const key = compact(query);
+
+  // An exact caliber match wins; otherwise every caliber the query is a prefix of
+  const exact = calibers.filter(caliber => getCaliberKeys(caliber).includes(key));
+  const prefixed = calibers.filter(caliber => getCaliberKeys(caliber).some(name => name.startsWith(key)));
+  const matched = exact.length > 0 ? exact : prefixed;
+
+  if (key && matched.length > 0) {
+    return {
+      caliber: matched[0],
+      rounds: ammo.filter(round => round.caliber === matched[0]),
+      round: null,
+      otherCalibers: matched.slice(1),
+    };
+  }
+
+  const [best] = rankMatches(ammo, query, round => [round.item.name, round.item.shortName], { limit: 1 });
+  if (!best) {
+    throw new NotFoundError(t(options.lang, 'errors.ammoNotFound', { query }));
+  }
+
+  return {
+    caliber: best.item.caliber,
+    rounds: ammo.filter(round => round.caliber === best.item.caliber),
+    round: best.item,
+    otherCalibers: [],
+  };
+}
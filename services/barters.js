@@ -0,0 +1,60 @@
+import { getItemPrices, getFleaPrice } from '../tarkovApi.js';
+
+/**
+ * Total the flea value of a list of barter items
+ * @param {Array<{item: Object, count: number}>} entries - Required or reward items
+ * @param {Map<string, Object>} prices - Price data by item ID
+ * @returns {number|null} Total in roubles, or null if any item can't be bought or sold on the flea
+ */
+function getFleaTotal(entries, prices) {
+  let total = 0;
+  for (const { item, count } of entries) {
+    const price = getFleaPrice(prices.get(item.id));
+    if (!price) return null;
+    total += price * count;
+  }
+  return total;
+}
+
+/**
+ * Price the barters that yield or consume each item
+ * Every barter in `bartersFor` and `bartersUsing` gets a `cost` (flea price of its
+ * inputs) and `value` (flea price of its outputs); either is null when part of it
+ * isn't on the flea. All prices are fetched in one batch and come from the price cache
+ * @param {Object[]} items - Items from searchItem or getItemById
+ * @param {Object} options - Lookup options
+ * @param {'regular'|'pve'} options.gameMode - Game mode for prices
+ * @param {string} options.lang - Language code
+ * @returns {Promise<Object[]>} Copies of the items with priced barters
+ */
+export async function addBarterPrices(items, options) {
+  const barters = items.flatMap(item => [...(item.bartersFor || []), ...(item.bartersUsing || [])]);
+  const ids = barters.flatMap(barter => [...barter.requiredItems, ...barter.rewardItems].map(entry => entry.item.id));
+
+  if (ids.length === 0) {
+    return items;
+  }
+
+  const prices = await getItemPrices(ids, options);
+  const price = barter => ({
+    ...barter,
+    cost: getFleaTotal(barter.requiredItems, prices),
+    value: getFleaTotal(barter.rewardItems, prices),
+  });
+
+  return items.map(item => ({
+    ...item,
+    bartersFor: (item.bartersFor || []).map(price),
+    bartersUsing: (item.bartersUsing || []).map(price),
+  }));
+}
+
+/**
+ * Get how much a barter saves compared to buying its outputs on the flea
+ * @param {Object} barter - Barter priced by addBarterPrices
+ * @returns {number|null} Profit in roubles (negative when buying outright is cheaper), or null if unknown
+ */
+export function getBarterProfit(barter) {
+  if (barter.cost == null || barter.value == null) return null;
+  return barter.value - barter.cost;
+}
@@ -0,0 +1,163 @@
+import { getItemPrices, getCheapestBuyPrice } from '../tarkovApi.js';
+import { getQuestProgress } from './questProgress.js';
+
+// Dollars and euros are bought from Peacekeeper and Skier, so foreign offers cost what that currency costs
+const CURRENCY_ITEM_IDS = {
+  USD: '5696686a4bdc2da3298b456a',
+  EUR: '569668774bdc2da2298b4568',
+};
+const FLEA_MIN_LEVEL = 15; // Used when the API doesn't say
+const FLEA_VENDOR = 'flea-market';
+
+/**
+ * @typedef {Object} BuyerAccess
+ * @property {Object<string, number>} traderLevels - Loyalty level by trader normalizedName (unlisted traders are LL1)
+ * @property {number|null} playerLevel - PMC level, or null if unknown (the flea is then assumed open)
+ * @property {string[]} completedQuests - IDs of completed quests, for offers and barters quests unlock
+ */
+
+/**
+ * @typedef {Object} BuyOption
+ * @property {'trader'|'barter'|'flea'} type - How the item is bought
+ * @property {string} vendor - Trader or flea market name
+ * @property {number|null} level - Loyalty level the offer needs (null for the flea)
+ * @property {number|null} price - Price in the offer's currency (null for barters)
+ * @property {string} currency - Currency code of the price
+ * @property {number|null} costRUB - Effective cost of one item in roubles, or null if unknown
+ * @property {number} [count] - Items one barter yields, for barter options
+ * @property {Object} [barter] - The barter, for barter options
+ * @property {Object|null} lock - Why the user can't use it yet: {reason: 'loyalty', level, current},
+ *   {reason: 'quest', quest} or {reason: 'flea', level, current}; null when available
+ */
+
+/**
+ * Work out what a user can buy with: their recorded progress, with loyalty levels overridden
+ * @param {string} userId - Discord user ID
+ * @param {'regular'|'pve'} gameMode - Game mode
+ * @param {Object<string, number>} [traderLevels] - Loyalty levels that replace the recorded ones
+ * @returns {BuyerAccess} Buyer access
+ */
+export function getBuyerAccess(userId, gameMode, traderLevels = {}) {
+  const progress = getQuestProgress(userId, gameMode);
+  return {
+    traderLevels: { ...progress.traders, ...traderLevels },
+    playerLevel: progress.level,
+    completedQuests: progress.done,
+  };
+}
+
+/**
+ * Get the rouble cost of a dollar and a euro from the cheapest trader selling them
+ * @param {Object} options - Lookup options
+ * @param {'regular'|'pve'} options.gameMode - Game mode
+ * @param {string} options.lang - Language code
+ * @returns {Promise<Object<string, number>>} Roubles per unit by currency code, RUB included
+ */
+export async function getExchangeRates(options) {
+  const prices = await getItemPrices(Object.values(CURRENCY_ITEM_IDS), options);
+  const rates = { RUB: 1 };
+
+  for (const [currency, id] of Object.entries(CURRENCY_ITEM_IDS)) {
+    const rate = getCheapestBuyPrice(prices.get(id));
+    if (rate) rates[currency] = rate;
+  }
+
+  return rates;
+}
+
+/**
+ * Check whether a trader offer or barter is open to the buyer
+ * @param {string} trader - Trader normalizedName
+ * @param {number} level - Loyalty level the offer needs
+ * @param {Object|null} taskUnlock - Quest that unlocks the offer
+ * @param {BuyerAccess} access - Buyer access
+ * @returns {Object|null} Lock, or null when available
+ */
+function getTraderLock(trader, level, taskUnlock, access) {
+  const current = access.traderLevels[trader] || 1;
+  if (level > current) {
+    return { reason: 'loyalty', level, current };
+  }
+  if (taskUnlock && !access.completedQuests.includes(taskUnlock.id)) {
+    return { reason: 'quest', quest: taskUnlock };
+  }
+  return null;
+}
+
+/**
+ * Rank every way to buy an item by what one costs in roubles
+ * Cash offers in dollars or euros are converted at what the currency costs to buy,
+ * barters are costed at the flea price of their inputs (see addBarterPrices) and split
+ * across the items they yield. Options the buyer can't use yet come after the rest
+ * @param {Object} item - Item with buyFor offers and, optionally, priced bartersFor
+ * @param {BuyerAccess} access - Buyer access
+ * @param {Object<string, number>} rates - Exchange rates from getExchangeRates
+ * @returns {BuyOption[]} Options, available first, then cheapest first
+ */
+export function rankBuyOptions(item, access, rates) {
+  const options = (item.buyFor || [])
+    .filter(offer => offer.price > 0)
+    .map(offer => {
+      const { vendor } = offer;
+      const rate = rates[offer.currency];
+      const costRUB = rate ? Math.round(offer.price * rate) : offer.priceRUB || null;
+
+      if (vendor.normalizedName === FLEA_VENDOR) {
+        const level = vendor.minPlayerLevel ?? FLEA_MIN_LEVEL;
+        const locked = access.playerLevel != null && access.playerLevel < level;
+        return {
+          type: 'flea',
+          vendor: vendor.name,
+          level: null,
+          price: offer.price,
+          currency: offer.currency,
+          costRUB,
+          lock: locked ? { reason: 'flea', level, current: access.playerLevel } : null,
+        };
+      }
+
+      const level = vendor.minTraderLevel || 1;
+      return {
+        type: 'trader',
+        vendor: vendor.name,
+        level,
+        price: offer.price,
+        currency: offer.currency,
+        costRUB,
+        lock: getTraderLock(vendor.normalizedName, level, vendor.taskUnlock, access),
+      };
+    });
+
+  for (const barter of item.bartersFor || []) {
+    const yielded = barter.rewardItems.find(entry => entry.item.id === item.id)?.count || 1;
+    options.push({
+      type: 'barter',
+      vendor: barter.trader.name,
+      level: barter.level,
+      price: null,
+      currency: 'RUB',
+      costRUB: barter.cost == null ? null : Math.round(barter.cost / yielded),
+      count: yielded,
+      barter,
+      lock: getTraderLock(barter.trader.normalizedName, barter.level, barter.taskUnlock, access),
+    });
+  }
+
+  // Unknown costs sort last within their group
+  const cost = option => option.costRUB ?? Infinity;
+  return options.sort((a, b) => Boolean(a.lock) - Boolean(b.lock) || (cost(a) - cost(b) || 0));
+}
+
+/**
+ * Rank the ways to buy each item for a buyer, fetching exchange rates once
+ * @param {Object[]} items - Items from searchItem, with barters priced by addBarterPrices
+ * @param {BuyerAccess} access - Buyer access
+ * @param {Object} options - Lookup options
+ * @param {'regular'|'pve'} options.gameMode - Game mode
+ * @param {string} options.lang - Language code
+ * @returns {Promise<Object[]>} Copies of the items with `buyOptions`
+ */
+export async function addBuyOptions(items, access, options) {
+  const rates = await getExchangeRates(options);
+  return items.map(item => ({ ...item, buyOptions: rankBuyOptions(item, access, rates) }));
+}
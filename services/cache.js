@@ -1,15 +1,34 @@
 import NodeCache from 'node-cache';
 import crypto from 'crypto';
+import { questGuides } from './repositories.js';
 
 // Initialize cache with 7-day TTL and hourly cleanup
-// Quest data rarely changes, so longer TTL reduces LLM costs significantly
+// Quest data rarely changes, so longer TTL reduces LLM costs significantly.
+// Guides are also kept in storage so a restart doesn't pay for them again
 const questCache = new NodeCache({
   stdTTL: 604800, // 7 days in seconds (7 * 24 * 60 * 60)
   checkperiod: 3600, // Check for expired keys every hour
-  maxKeys: 500, // Maximum number of cached quests
   useClones: false // Store references for better performance
 });
 
+// API response cache for catalog queries (item lookups, names, ...)
+// Entries carry their own TTL: short for prices, long for static data.
+// Neither cache sets maxKeys: node-cache rejects new keys once full rather than
+// evicting old ones, so expiry is what keeps them bounded
+const queryCache = new NodeCache({
+  stdTTL: 300, // Fallback TTL, callers normally pass their own
+  checkperiod: 60,
+  useClones: false
+});
+
+// tarkov.dev refreshes flea prices roughly every 5 minutes
+const PRICE_REFRESH_INTERVAL = 300; // seconds
+const MIN_PRICE_TTL = 30; // Recheck soon when the data is already due for an update
+const MAX_PRICE_TTL = PRICE_REFRESH_INTERVAL;
+
+// Names, descriptions, quests and crafts only change with game patches
+export const STATIC_TTL = 43200; // 12 hours
+
 /**
  * Generate a cache key for a quest
  * @param {string} questId - Quest ID
@@ -43,6 +62,16 @@ export function getCachedQuestGuide(questId, objectives) {
       return cachedData;
     }
 
+    const stored = questGuides.get(cacheKey);
+    if (stored && stored.expiresAt > Date.now()) {
+      console.log(`Storage HIT for quest ${questId}`);
+      questCache.set(cacheKey, stored.data, Math.ceil((stored.expiresAt - Date.now()) / 1000));
+      return stored.data;
+    }
+    if (stored) {
+      questGuides.remove(cacheKey);
+    }
+
     console.log(`Cache MISS for quest ${questId}`);
     return null;
   } catch (error) {
@@ -64,6 +93,7 @@ export function setCachedQuestGuide(questId, objectives, data, ttl) {
     const cacheKey = generateCacheKey(questId, objectives);
     const defaultTTL = 604800; // 7 days
     const success = questCache.set(cacheKey, data, ttl || defaultTTL);
+    questGuides.save(cacheKey, { data, expiresAt: Date.now() + (ttl || defaultTTL) * 1000 });
 
     if (success) {
       const cacheDays = Math.round((ttl || defaultTTL) / 86400);
@@ -77,6 +107,72 @@ export function setCachedQuestGuide(questId, objectives, data, ttl) {
   }
 }
 
+/**
+ * Work out how long price data stays fresh, based on the API's `updated` timestamp
+ * Prices are cached until the next expected upstream refresh
+ * @param {string} updated - ISO timestamp of the last price update
+ * @returns {number} TTL in seconds
+ */
+export function getPriceTTL(updated) {
+  const updatedAt = Date.parse(updated);
+
+  if (Number.isNaN(updatedAt)) {
+    return MIN_PRICE_TTL;
+  }
+
+  const nextUpdate = updatedAt / 1000 + PRICE_REFRESH_INTERVAL;
+  const ttl = Math.round(nextUpdate - Date.now() / 1000);
+  return Math.min(Math.max(ttl, MIN_PRICE_TTL), MAX_PRICE_TTL);
+}
+
+/**
+ * Get a cached API response
+ * @param {string} key - Cache key
+ * @returns {*} Cached value or undefined if missing or expired
+ */
+export function getCachedQuery(key) {
+  try {
+    return queryCache.get(key);
+  } catch (error) {
+    console.error('Error retrieving from query cache:', error);
+    return undefined; // Non-blocking: treat as a miss
+  }
+}
+
+/**
+ * Cache an API response
+ * @param {string} key - Cache key
+ * @param {*} value - Value to cache
+ * @param {number} ttl - TTL in seconds
+ * @returns {boolean} Success status
+ */
+export function setCachedQuery(key, value, ttl) {
+  try {
+    return queryCache.set(key, value, ttl);
+  } catch (error) {
+    console.error('Error writing to query cache:', error);
+    return false; // Non-blocking: return false on error
+  }
+}
+
+/**
+ * Return a cached API response, or fetch and cache it
+ * @param {string} key - Cache key
+ * @param {number} ttl - TTL in seconds
+ * @param {Function} fetcher - Async function producing the value on a miss
+ * @returns {Promise<*>} Cached or freshly fetched value
+ */
+export async function withQueryCache(key, ttl, fetcher) {
+  const cached = getCachedQuery(key);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const value = await fetcher();
+  setCachedQuery(key, value, ttl);
+  return value;
+}
+
 /**
  * Get cache statistics
  * @returns {Object} Cache stats (keys, hits, misses, ksize, vsize)
@@ -85,13 +181,28 @@ export function getCacheStats() {
   return questCache.getStats();
 }
 
+/**
+ * Get API response cache statistics
+ * @returns {Object} Cache stats (keys, hits, misses, hitRate, ksize, vsize)
+ */
+export function getQueryCacheStats() {
+  const stats = queryCache.getStats();
+  const lookups = stats.hits + stats.misses;
+  return {
+    ...stats,
+    hitRate: lookups > 0 ? stats.hits / lookups : 0,
+  };
+}
+
 /**
  * Clear the entire cache (useful for testing or manual admin commands)
  * @returns {void}
  */
 export function clearCache() {
   questCache.flushAll();
-  console.log('Quest cache cleared');
+  queryCache.flushAll();
+  questGuides.clear();
+  console.log('Quest and query caches cleared');
 }
 
 /**
@@ -103,6 +214,7 @@ export function clearCache() {
 export function clearQuestCache(questId, objectives) {
   try {
     const cacheKey = generateCacheKey(questId, objectives);
+    questGuides.remove(cacheKey);
     return questCache.del(cacheKey);
   } catch (error) {
     console.error('Error deleting from cache:', error);
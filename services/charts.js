@@ -0,0 +1,217 @@
+import { Resvg } from '@resvg/resvg-js';
+
+// Charts are drawn as SVG and rasterized locally, so no external charting service is needed
+const COLORS = {
+  background: '#2B2D31', // Discord dark embed background
+  grid: '#3F4147',
+  axisText: '#B5BAC1',
+  title: '#F2F3F5',
+  line: '#0099FF',
+  fill: 'rgba(0, 153, 255, 0.15)',
+  min: '#23A55A',
+  max: '#F23F43',
+  node: '#313338',
+  nodeBorder: '#4E5058',
+  highlight: '#0099FF',
+  edge: '#6D6F78',
+};
+
+// Layout of graph nodes, in pixels
+const GRAPH_NODE = { width: 210, height: 42, columnGap: 50, rowGap: 10, padding: 24, titleHeight: 40 };
+const GRAPH_MIN_WIDTH = 600; // Room for the title
+
+const FONT_FAMILY = 'DejaVu Sans, Arial, sans-serif';
+
+/**
+ * Escape text for use inside SVG markup
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeSvg(text) {
+  return `${text}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Rasterize SVG markup to a PNG
+ * @param {string} svg - SVG markup
+ * @returns {Buffer} PNG image data
+ */
+export function renderSvgToPng(svg) {
+  const resvg = new Resvg(svg, {
+    font: {
+      loadSystemFonts: true,
+      defaultFontFamily: 'DejaVu Sans',
+    },
+  });
+
+  return resvg.render().asPng();
+}
+
+/**
+ * Format a price compactly for axis labels: 950, 12.5k, 1.2M
+ * @param {number} value - Price in roubles
+ * @returns {string} Short label
+ */
+function formatCompact(value) {
+  if (Math.abs(value) >= 1000000) return `${+(value / 1000000).toFixed(2)}M`;
+  if (Math.abs(value) >= 1000) return `${+(value / 1000).toFixed(1)}k`;
+  return `${Math.round(value)}`;
+}
+
+/**
+ * Pick evenly spaced, rounded axis values covering a range
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @param {number} count - Approximate number of ticks
+ * @returns {number[]} Tick values
+ */
+function niceTicks(min, max, count) {
+  const span = max - min || Math.abs(max) || 1;
+  const rawStep = span / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rawStep);
+
+  const ticks = [];
+  for (let value = Math.floor(min / step) * step; value <= max + step / 2; value += step) {
+    ticks.push(value);
+  }
+  return ticks;
+}
+
+/**
+ * Render a time series as a PNG line chart
+ * @param {Object} options - Chart options
+ * @param {string} options.title - Chart title
+ * @param {Array<{time: number, value: number}>} options.points - Data points, time in ms, oldest first
+ * @param {number} [options.width=800] - Image width
+ * @param {number} [options.height=400] - Image height
+ * @param {string} [options.locale='en'] - Locale for date labels
+ * @returns {Buffer} PNG image data
+ */
+export function renderLineChart({ title, points, width = 800, height = 400, locale = 'en' }) {
+  const padding = { top: 50, right: 30, bottom: 45, left: 70 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+
+  const values = points.map(point => point.value);
+  const ticks = niceTicks(Math.min(...values), Math.max(...values), 5);
+  const yMin = ticks[0];
+  const yMax = ticks[ticks.length - 1] > yMin ? ticks[ticks.length - 1] : yMin + 1;
+  const tStart = points[0].time;
+  const tEnd = points[points.length - 1].time > tStart ? points[points.length - 1].time : tStart + 1;
+
+  const x = time => padding.left + ((time - tStart) / (tEnd - tStart)) * plotWidth;
+  const y = value => padding.top + plotHeight - ((value - yMin) / (yMax - yMin)) * plotHeight;
+
+  const parts = [];
+
+  // Horizontal grid lines with price labels
+  for (const tick of ticks) {
+    parts.push(`<line x1="${padding.left}" y1="${y(tick)}" x2="${width - padding.right}" y2="${y(tick)}" stroke="${COLORS.grid}" stroke-width="1"/>`);
+    parts.push(`<text x="${padding.left - 8}" y="${y(tick) + 4}" text-anchor="end" font-size="12" fill="${COLORS.axisText}">${formatCompact(tick)}</text>`);
+  }
+
+  // Date labels along the bottom
+  const labelCount = Math.min(6, points.length);
+  for (let i = 0; i < labelCount; i++) {
+    const time = tStart + ((tEnd - tStart) * i) / Math.max(labelCount - 1, 1);
+    const date = new Date(time);
+    const label = `${date.getUTCDate()} ${date.toLocaleString(locale, { month: 'short', timeZone: 'UTC' })}`;
+    parts.push(`<text x="${x(time)}" y="${height - padding.bottom + 20}" text-anchor="middle" font-size="12" fill="${COLORS.axisText}">${label}</text>`);
+  }
+
+  // Area and line
+  const linePoints = points.map(point => `${x(point.time).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+  const baseline = padding.top + plotHeight;
+  parts.push(`<polygon points="${x(tStart)},${baseline} ${linePoints} ${x(points[points.length - 1].time)},${baseline}" fill="${COLORS.fill}"/>`);
+  parts.push(`<polyline points="${linePoints}" fill="none" stroke="${COLORS.line}" stroke-width="2.5" stroke-linejoin="round"/>`);
+
+  // Mark the lowest and highest points
+  const minPoint = points.reduce((a, b) => (b.value < a.value ? b : a));
+  const maxPoint = points.reduce((a, b) => (b.value > a.value ? b : a));
+  parts.push(`<circle cx="${x(minPoint.time)}" cy="${y(minPoint.value)}" r="4" fill="${COLORS.min}"/>`);
+  parts.push(`<circle cx="${x(maxPoint.time)}" cy="${y(maxPoint.value)}" r="4" fill="${COLORS.max}"/>`);
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="${FONT_FAMILY}">
+    <rect width="${width}" height="${height}" fill="${COLORS.background}"/>
+    <text x="${padding.left}" y="30" font-size="18" font-weight="bold" fill="${COLORS.title}">${escapeSvg(title)}</text>
+    ${parts.join('\n    ')}
+  </svg>`;
+
+  return renderSvgToPng(svg);
+}
+
+/**
+ * Shorten a label to fit a graph node
+ * @param {string} text - Label
+ * @param {number} max - Maximum characters
+ * @returns {string} Label, with an ellipsis if shortened
+ */
+function fitLabel(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Render a left-to-right layered graph as a PNG
+ * Nodes are drawn as boxes in columns with curved edges between them
+ * @param {Object} options - Graph options
+ * @param {string} options.title - Graph title
+ * @param {Array<Array<{id: string, label: string, detail?: string, highlight?: boolean}>>} options.columns - Nodes by column, left to right
+ * @param {Array<[string, string]>} options.edges - Edges as [from node ID, to node ID]
+ * @returns {Buffer} PNG image data
+ */
+export function renderLayeredGraph({ title, columns, edges }) {
+  const { width: nodeWidth, height: nodeHeight, columnGap, rowGap, padding, titleHeight } = GRAPH_NODE;
+  const rows = Math.max(...columns.map(column => column.length));
+  const width = Math.max(GRAPH_MIN_WIDTH, padding * 2 + columns.length * nodeWidth + (columns.length - 1) * columnGap);
+  const height = padding * 2 + titleHeight + rows * nodeHeight + (rows - 1) * rowGap;
+
+  // Centre each column vertically
+  const positions = new Map();
+  columns.forEach((column, col) => {
+    const columnHeight = column.length * nodeHeight + (column.length - 1) * rowGap;
+    const top = padding + titleHeight + (height - padding * 2 - titleHeight - columnHeight) / 2;
+    column.forEach((node, row) => {
+      positions.set(node.id, { x: padding + col * (nodeWidth + columnGap), y: top + row * (nodeHeight + rowGap) });
+    });
+  });
+
+  const parts = [];
+
+  for (const [from, to] of edges) {
+    const start = positions.get(from);
+    const end = positions.get(to);
+    if (!start || !end) continue;
+
+    const x1 = start.x + nodeWidth;
+    const y1 = start.y + nodeHeight / 2;
+    const x2 = end.x;
+    const y2 = end.y + nodeHeight / 2;
+    const bend = (x2 - x1) / 2;
+    parts.push(`<path d="M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}" fill="none" stroke="${COLORS.edge}" stroke-width="1.5"/>`);
+  }
+
+  for (const column of columns) {
+    for (const node of column) {
+      const { x, y } = positions.get(node.id);
+      const border = node.highlight ? COLORS.highlight : COLORS.nodeBorder;
+      parts.push(`<rect x="${x}" y="${y}" width="${nodeWidth}" height="${nodeHeight}" rx="6" fill="${COLORS.node}" stroke="${border}" stroke-width="${node.highlight ? 2.5 : 1}"/>`);
+      parts.push(`<text x="${x + 8}" y="${y + 17}" font-size="12" font-weight="bold" fill="${COLORS.title}">${escapeSvg(fitLabel(node.label, 30))}</text>`);
+      if (node.detail) {
+        parts.push(`<text x="${x + 8}" y="${y + 33}" font-size="11" fill="${COLORS.axisText}">${escapeSvg(fitLabel(node.detail, 34))}</text>`);
+      }
+    }
+  }
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="${FONT_FAMILY}">
+    <rect width="${width}" height="${height}" fill="${COLORS.background}"/>
+    <text x="${padding}" y="${padding + 18}" font-size="18" font-weight="bold" fill="${COLORS.title}">${escapeSvg(title)}</text>
+    ${parts.join('\n    ')}
+  </svg>`;
+
+  return renderSvgToPng(svg);
+}
@@ -0,0 +1,98 @@
+import { fetchCrafts, getItemPrices, getBestSellOffer, getCheapestBuyPrice } from '../tarkovApi.js';
+
+// The generator burns about one fuel unit every 9 minutes without Hideout Management bonuses
+const FUEL_UNITS_PER_HOUR = 60 / 9;
+
+// Fuel tanks and the units each holds; the cheapest per unit sets the fuel cost
+const FUEL_ITEMS = [
+  { id: '5d1b371186f7743f4a6e8ea7', units: 100 }, // Metal fuel tank
+  { id: '5d1b36a186f7742523398433', units: 60 }, // Expeditionary fuel tank
+];
+
+/**
+ * Check whether a craft input is a tool, which is returned when the craft finishes
+ * @param {Object} entry - Required item entry
+ * @returns {boolean} True for tools
+ */
+function isTool(entry) {
+  return (entry.attributes || []).some(attribute => attribute.type === 'tool');
+}
+
+/**
+ * Get the cost of running the generator for an hour
+ * @param {Object} options - Game mode and language for prices
+ * @returns {Promise<number|null>} Roubles per hour, or null if no fuel is for sale
+ */
+async function getFuelCostPerHour(options) {
+  const prices = await getItemPrices(FUEL_ITEMS.map(fuel => fuel.id), options);
+  const perUnit = FUEL_ITEMS
+    .map(fuel => {
+      const price = getCheapestBuyPrice(prices.get(fuel.id));
+      return price ? price / fuel.units : null;
+    })
+    .filter(Boolean);
+
+  return perUnit.length > 0 ? Math.min(...perUnit) * FUEL_UNITS_PER_HOUR : null;
+}
+
+/**
+ * Price a craft: what its consumed inputs cost and what its outputs sell for
+ * @param {Object} craft - Craft from fetchCrafts
+ * @param {number} fuelPerHour - Generator cost per hour (0 to leave fuel out)
+ * @returns {{craft: Object, cost: number, value: number, profit: number, profitPerHour: number}|null}
+ *   Priced craft, or null if an input can't be bought or an output can't be sold
+ */
+function priceCraft(craft, fuelPerHour) {
+  let cost = 0;
+  for (const entry of craft.requiredItems.filter(entry => !isTool(entry))) {
+    const price = getCheapestBuyPrice(entry.item);
+    if (price === null) return null;
+    cost += price * entry.count;
+  }
+
+  let value = 0;
+  for (const entry of craft.rewardItems) {
+    const offer = getBestSellOffer(entry.item);
+    if (!offer) return null;
+    value += offer.price * entry.count;
+  }
+
+  const hours = Math.max(craft.duration, 1) / 3600;
+  cost += Math.round(fuelPerHour * hours);
+
+  const profit = value - cost;
+  return { craft, cost, value, profit, profitPerHour: profit / hours };
+}
+
+/**
+ * Rank hideout crafts by profit per hour
+ * Inputs are priced at the cheapest trader or flea offer and outputs at the best
+ * trader offer or flea price after fees. Tools aren't consumed, so they aren't counted
+ * @param {Object} [options] - Ranking options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode for prices
+ * @param {string} [options.lang] - Language for names
+ * @param {string} [options.stationId] - Only crafts at this station
+ * @param {number} [options.maxLevel] - Only crafts needing at most this station level
+ * @param {Object<string, number>} [options.stationLevels] - Built station levels by station ID;
+ *   crafts at these stations must not need a higher level. Other stations aren't filtered
+ * @param {boolean} [options.fuel=false] - Charge generator fuel for the craft's duration
+ * @returns {Promise<{crafts: Object[], unpriced: number, fuelPerHour: number|null}>}
+ *   Priced crafts, most profitable per hour first; how many were skipped for missing
+ *   prices; and the fuel cost per hour when fuel was charged
+ */
+export async function rankCrafts({ gameMode, lang, stationId, maxLevel, stationLevels = {}, fuel = false } = {}) {
+  const options = { gameMode, lang };
+  const crafts = (await fetchCrafts(options))
+    .filter(craft => !stationId || craft.station.id === stationId)
+    .filter(craft => !maxLevel || craft.level <= maxLevel)
+    .filter(craft => stationLevels[craft.station.id] === undefined || craft.level <= stationLevels[craft.station.id]);
+
+  const fuelPerHour = fuel ? await getFuelCostPerHour(options) : null;
+  const priced = crafts.map(craft => priceCraft(craft, fuelPerHour || 0));
+
+  return {
+    crafts: priced.filter(Boolean).sort((a, b) => b.profitPerHour - a.profitPerHour),
+    unpriced: priced.filter(craft => !craft).length,
+    fuelPerHour,
+  };
+}
@@ -0,0 +1,91 @@
+import { t } from './i18n.js';
+
+/**
+ * Base class for errors talking to the Tarkov API
+ */
+export class TarkovApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * The search ran fine but nothing matched
+ * The message is shown to the user as-is
+ */
+export class NotFoundError extends TarkovApiError {}
+
+/**
+ * The API could not be reached or answered with a server error
+ */
+export class UpstreamError extends TarkovApiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {number} [options.status] - HTTP status, if a response was received
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { status, cause } = {}) {
+    super(message, { cause });
+    this.status = status ?? null;
+  }
+}
+
+/**
+ * The API answered but rejected the query
+ */
+export class GraphQLError extends TarkovApiError {
+  /**
+   * @param {Object[]} errors - GraphQL errors from the response
+   */
+  constructor(errors) {
+    super(errors.map(error => error.message).join('; ') || 'Unknown GraphQL error');
+    this.errors = errors;
+  }
+}
+
+/**
+ * The API did not answer in time
+ */
+export class TimeoutError extends TarkovApiError {
+  /**
+   * @param {number} timeout - Timeout in milliseconds
+   */
+  constructor(timeout) {
+    super(`Request timed out after ${timeout}ms`);
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Turn an error into a message that can be shown to users
+ * @param {Error} error - Error thrown while handling a command
+ * @param {string} action - Catalog key for what the bot was doing, e.g. "actions.searchItem"
+ * @param {string} lang - Language code
+ * @returns {string} User-facing message
+ */
+export function describeError(error, action, lang) {
+  if (error instanceof NotFoundError) {
+    return `❌ ${error.message}`;
+  }
+
+  if (error instanceof TimeoutError) {
+    return t(lang, 'errors.timeout');
+  }
+
+  if (error instanceof UpstreamError) {
+    return t(lang, 'errors.upstream', { status: error.status ? ` (HTTP ${error.status})` : '' });
+  }
+
+  if (error instanceof GraphQLError) {
+    return t(lang, 'errors.graphql', { message: error.message.substring(0, 200) });
+  }
+
+  return t(lang, 'errors.generic', { action: t(lang, action) });
+}
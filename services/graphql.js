@@ -0,0 +1,124 @@
+import fetch from 'node-fetch';
+import { GraphQLError, TimeoutError, UpstreamError } from './errors.js';
+
+const TARKOV_API_URL = 'https://api.tarkov.dev/graphql';
+
+const DEFAULT_TIMEOUT = 10000; // 10 seconds
+const MAX_ATTEMPTS = 3;
+const BASE_RETRY_DELAY = 500; // Doubles after every failed attempt
+
+// Identical queries already in flight share one request
+const inFlight = new Map();
+
+/**
+ * Send a GraphQL query to the Tarkov API
+ * Times out, retries 5xx and network errors with exponential backoff, and
+ * deduplicates identical in-flight queries
+ * @param {string} query - GraphQL query
+ * @param {Object} [variables] - Query variables
+ * @param {Object} [options] - Request options
+ * @param {number} [options.timeout=10000] - Per-attempt timeout in milliseconds
+ * @param {number} [options.attempts=3] - Maximum number of attempts
+ * @returns {Promise<Object>} The response's `data` object
+ * @throws {TimeoutError|UpstreamError|GraphQLError}
+ */
+export function graphqlRequest(query, variables = {}, options = {}) {
+  const key = JSON.stringify([query, variables]);
+
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const request = requestWithRetry(query, variables, options).finally(() => {
+    inFlight.delete(key);
+  });
+
+  inFlight.set(key, request);
+  return request;
+}
+
+/**
+ * Send a query, retrying transient failures
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @param {Object} options - Request options
+ * @returns {Promise<Object>} The response's `data` object
+ */
+async function requestWithRetry(query, variables, { timeout = DEFAULT_TIMEOUT, attempts = MAX_ATTEMPTS }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await sendRequest(query, variables, timeout);
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= attempts) {
+        throw error;
+      }
+
+      // Exponential backoff with a little jitter so retries don't line up
+      const delay = BASE_RETRY_DELAY * 2 ** (attempt - 1) + Math.random() * 100;
+      console.error(`Tarkov API attempt ${attempt} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Error from sendRequest
+ * @returns {boolean} True for timeouts, network errors and 5xx responses
+ */
+function isRetryable(error) {
+  if (error instanceof TimeoutError) return true;
+  if (error instanceof UpstreamError) return error.status === null || error.status >= 500;
+  return false;
+}
+
+/**
+ * Send a single request
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Object>} The response's `data` object
+ */
+async function sendRequest(query, variables, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  let response;
+  let body;
+  try {
+    response = await fetch(TARKOV_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ query, variables }),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      throw new UpstreamError(`Tarkov API responded with HTTP ${response.status}`, { status: response.status });
+    }
+
+    body = await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new TimeoutError(timeout);
+    }
+    if (error instanceof UpstreamError) {
+      throw error;
+    }
+    throw new UpstreamError(`Could not reach the Tarkov API: ${error.message}`, { cause: error });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (body.errors) {
+    // Partial data is still usable; only fail when nothing came back
+    if (!body.data) {
+      throw new GraphQLError(body.errors);
+    }
+    console.error('GraphQL errors:', body.errors);
+  }
+
+  return body.data;
+}
@@ -0,0 +1,100 @@
+import { fetchHideoutStations, getItemPrices, getCheapestBuyPrice } from '../tarkovApi.js';
+import { rankMatches } from '../utils/fuzzy.js';
+import { createStore } from './store.js';
+
+// Roubles appear as an item requirement but have no offers; each is worth 1 ₽
+export const ROUBLES_ID = '5449016a4bdc2d6f028b456f';
+
+// users: { [userId]: { [gameMode]: { [stationId]: level } } }
+// PvP and PvE profiles have separate hideouts, so levels are recorded per game mode
+const store = createStore('hideout', { users: {} });
+
+/**
+ * Get the station levels a user has recorded
+ * @param {string} userId - Discord user ID
+ * @param {'regular'|'pve'} gameMode - Game mode
+ * @returns {Object<string, number>} Built level by station ID (unrecorded stations are missing)
+ */
+export function getStationLevels(userId, gameMode) {
+  return store.data.users[userId]?.[gameMode] || {};
+}
+
+/**
+ * Record a user's station level
+ * @param {string} userId - Discord user ID
+ * @param {'regular'|'pve'} gameMode - Game mode
+ * @param {string} stationId - Hideout station ID
+ * @param {number} level - Built level (0 for not built)
+ */
+export function setStationLevel(userId, gameMode, stationId, level) {
+  const user = store.data.users[userId] || {};
+  user[gameMode] = { ...user[gameMode], [stationId]: level };
+  store.data.users[userId] = user;
+  store.save();
+}
+
+/**
+ * Find a hideout station by name, tolerating typos
+ * @param {string} query - Station name the user typed
+ * @param {Object} [options] - Lookup options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode
+ * @param {string} [options.lang] - Language for station names
+ * @returns {Promise<{station: Object|null, stations: Object[]}>} The best match (or null) and every station
+ */
+export async function findStation(query, options = {}) {
+  const stations = await fetchHideoutStations(options);
+  const [best] = rankMatches(stations, query, station => [station.name, station.normalizedName.replace(/-/g, ' ')], { limit: 1 });
+  return { station: best?.item || null, stations };
+}
+
+/**
+ * Price the items each station level requires
+ * Items are priced at the cheapest trader or flea offer. Each requirement gets a
+ * `price` per item (null if it can't be bought), and each level the `cost` of its
+ * priced items plus an `unpriced` flag when some couldn't be priced
+ * @param {Object[]} levels - Station levels from fetchHideoutStations
+ * @param {Object} options - Game mode and language for prices
+ * @returns {Promise<Object[]>} Copies of the levels with prices
+ */
+export async function priceLevels(levels, options) {
+  const ids = levels.flatMap(level => level.itemRequirements.map(requirement => requirement.item.id));
+  const prices = ids.length > 0 ? await getItemPrices(ids, options) : new Map();
+
+  return levels.map(level => {
+    const itemRequirements = level.itemRequirements.map(requirement => ({
+      ...requirement,
+      price: requirement.item.id === ROUBLES_ID ? 1 : getCheapestBuyPrice(prices.get(requirement.item.id)),
+    }));
+    const cost = itemRequirements.reduce((sum, requirement) => sum + (requirement.price ?? 0) * requirement.count, 0);
+    const unpriced = itemRequirements.some(requirement => requirement.price === null);
+
+    return { ...level, itemRequirements, cost, unpriced };
+  });
+}
+
+/**
+ * Find the next level of every station a user hasn't maxed
+ * A level is ready when the user's other stations meet its station requirements;
+ * stations the user hasn't recorded count as not built
+ * @param {string} userId - Discord user ID
+ * @param {Object} options - Lookup options
+ * @param {'regular'|'pve'} options.gameMode - Game mode
+ * @param {string} options.lang - Language for names
+ * @returns {Promise<Array<{station: Object, level: Object, ready: boolean}>>} Next upgrades with priced requirements
+ */
+export async function getNextUpgrades(userId, options) {
+  const stations = await fetchHideoutStations(options);
+  const built = getStationLevels(userId, options.gameMode);
+
+  const upgrades = stations
+    .map(station => ({ station, level: station.levels.find(level => level.level === (built[station.id] || 0) + 1) }))
+    .filter(upgrade => upgrade.level);
+
+  const priced = await priceLevels(upgrades.map(upgrade => upgrade.level), options);
+
+  return upgrades.map((upgrade, idx) => ({
+    station: upgrade.station,
+    level: priced[idx],
+    ready: upgrade.level.stationLevelRequirements.every(requirement => (built[requirement.station.id] || 0) >= requirement.level),
+  }));
+}
@@ -0,0 +1,70 @@
+import en from '../locales/en.js';
+import ru from '../locales/ru.js';
+import de from '../locales/de.js';
+
+// Bot languages; codes match the Tarkov API's LanguageCode values
+const CATALOGS = { en, ru, de };
+
+export const DEFAULT_LANGUAGE = 'en';
+export const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+/**
+ * Parse a language code as users type it
+ * @param {string} text - Language code, e.g. "ru"
+ * @returns {string|null} Supported language code, or null if unsupported
+ */
+export function parseLanguage(text) {
+  const code = (text || '').toLowerCase().split(/[-_]/)[0];
+  return CATALOGS[code] ? code : null;
+}
+
+/**
+ * Look up a dotted key in a catalog
+ * @param {Object} catalog - Message catalog
+ * @param {string} key - Key such as "item.basePrice"
+ * @returns {string|undefined} Message template
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => node?.[part], catalog);
+}
+
+/**
+ * Translate a message, falling back to English for keys a catalog is missing
+ * Placeholders like {name} are replaced from params
+ * @param {string} lang - Language code
+ * @param {string} key - Catalog key, e.g. "item.basePrice"
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} Translated message (the key itself if no catalog has it)
+ */
+export function t(lang, key, params = {}) {
+  const template = lookup(CATALOGS[lang] || en, key) ?? lookup(en, key);
+
+  if (typeof template !== 'string') {
+    console.warn(`Missing translation for "${key}"`);
+    return key;
+  }
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? `${params[name]}` : match));
+}
+
+/**
+ * Translate a message if the key exists, otherwise return a fallback
+ * Used for text that has an English default outside the catalogs, like command descriptions
+ * @param {string} lang - Language code
+ * @param {string} key - Catalog key
+ * @param {string} fallback - Text to use if no catalog has the key
+ * @returns {string} Translated message or fallback
+ */
+export function tOptional(lang, key, fallback) {
+  const template = lookup(CATALOGS[lang] || en, key) ?? lookup(en, key);
+  return typeof template === 'string' ? template : fallback;
+}
+
+/**
+ * Get the name of a language in that language, e.g. "Deutsch"
+ * @param {string} lang - Language code
+ * @returns {string} Language name
+ */
+export function getLanguageName(lang) {
+  return lookup(CATALOGS[lang] || en, 'language.name');
+}
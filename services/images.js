@@ -1,5 +1,11 @@
 import fetch from 'node-fetch';
 import * as cheerio from 'cheerio';
+import { fetchMaps } from '../tarkovApi.js';
+import { getCachedQuery, setCachedQuery, STATIC_TTL } from './cache.js';
+import { fetchPage } from './wiki.js';
+
+// A failed map image lookup is retried sooner than a found image is refreshed
+const MAP_IMAGE_RETRY_TTL = 3600; // 1 hour
 
 /**
  * Extract images from quest data (API-provided images)
@@ -13,8 +19,7 @@ function extractAPIImages(quest) {
     itemImages: []
   };
 
-  // Map image - API doesn't provide map images, will rely on wiki scraping
-  // Keeping this structure for future API updates
+  // Map image - the API has no map images, so getQuestImages fills this in from the map's wiki page
   if (quest.map && quest.map.imageLink) {
     images.mapImage = {
       url: quest.map.imageLink,
@@ -253,14 +258,80 @@ async function scrapeWikiImages(wikiLink, quest) {
   }
 }
 
+/**
+ * Find the map image on a map's wiki page
+ * Prefers an image whose file name or alt text mentions "map", falling back to the
+ * page's preview image
+ * @param {string} wikiLink - URL to the map's wiki page
+ * @returns {Promise<string|null>} Image URL, or null if none was found
+ */
+async function scrapeMapImage(wikiLink) {
+  const html = await fetchPage(wikiLink);
+  if (!html) return null;
+
+  const $ = cheerio.load(html);
+  let mapImage = null;
+
+  $('img').each((i, elem) => {
+    // The wiki lazy-loads images, keeping the real source in data-src
+    const src = $(elem).attr('data-src') || $(elem).attr('src') || '';
+    const alt = $(elem).attr('alt') || '';
+    const fileName = decodeURIComponent(src.split('/revision/')[0].split('/').pop() || '');
+
+    if (!src.startsWith('data:') && /map/i.test(`${fileName} ${alt}`) && !/icon/i.test(fileName)) {
+      mapImage = normalizeImageUrl(src, wikiLink);
+      return false;
+    }
+  });
+
+  return mapImage || normalizeImageUrl($('meta[property="og:image"]').attr('content'), wikiLink);
+}
+
+/**
+ * Get the image for a map, scraped from its wiki page and cached
+ * @param {Object} map - Map from fetchMaps (needs normalizedName and wiki)
+ * @returns {Promise<string|null>} Image URL, or null if none was found
+ */
+export async function getMapImage(map) {
+  if (!map?.wiki) return null;
+
+  const key = `map-image:${map.normalizedName}`;
+  const cached = getCachedQuery(key);
+  if (cached !== undefined) return cached;
+
+  const imageLink = await scrapeMapImage(map.wiki);
+  console.log(`Map image for ${map.name}: ${imageLink || 'none found'}`);
+  setCachedQuery(key, imageLink, imageLink ? STATIC_TTL : MAP_IMAGE_RETRY_TTL);
+  return imageLink;
+}
+
+/**
+ * Fill in the image for a quest's map
+ * Quests only carry the map's ID and name, so the full map is looked up first
+ * @param {Object} quest - Quest data from Tarkov API, tagged with gameMode and lang
+ * @returns {Promise<Object>} The quest, or a copy whose map has an imageLink
+ */
+async function withMapImage(quest) {
+  if (!quest.map?.id || quest.map.imageLink) return quest;
+
+  try {
+    const maps = await fetchMaps({ gameMode: quest.gameMode, lang: quest.lang });
+    const imageLink = await getMapImage(maps.find(map => map.id === quest.map.id));
+    return imageLink ? { ...quest, map: { ...quest.map, imageLink } } : quest;
+  } catch (error) {
+    console.error('Error looking up quest map image:', error.message);
+    return quest;
+  }
+}
+
 /**
  * Get all images for a quest (API + wiki scraping)
  * @param {Object} quest - Quest data from Tarkov API
  * @returns {Promise<Object>} Combined image data
  */
 export async function getQuestImages(quest) {
-  // Extract API-provided images first (currently none available from API)
-  const apiImages = extractAPIImages(quest);
+  // Extract API-provided images first, with the map image from the map's wiki page
+  const apiImages = extractAPIImages(await withMapImage(quest));
 
   // Always try wiki scraping since API doesn't provide quest images
   let wikiImages = [];
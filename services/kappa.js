@@ -0,0 +1,121 @@
+import { getItemPrices, getFleaPrice } from '../tarkovApi.js';
+import { getQuests } from './questIndex.js';
+import { getQuestItems } from './squadNeeds.js';
+import { createStore } from './store.js';
+import { NotFoundError } from './errors.js';
+import { t } from './i18n.js';
+import { rankMatches } from '../utils/fuzzy.js';
+
+// The Collector quest's items, handed to the Fence for the Kappa container
+const COLLECTOR_QUEST = 'collector';
+
+// users: { [userId]: { [gameMode]: [itemId] } }
+const store = createStore('kappa-progress', { users: {} });
+
+/**
+ * @typedef {Object} CollectorItem
+ * @property {Object} item - Item (id, name, shortName, iconLink)
+ * @property {number} count - Number to hand over
+ * @property {boolean} foundInRaid - Whether it must be found in raid
+ * @property {number|null} price - Current flea price, or null if it isn't on the flea
+ * @property {string[]} rewardFrom - Names of quests that give it as a reward
+ * @property {string[]} maps - Names of maps where other quests have you find it
+ */
+
+/**
+ * Work out where an item can come from, using the other quests
+ * @param {string} itemId - Item ID
+ * @param {Object[]} quests - Quests from the quest index
+ * @returns {{rewardFrom: string[], maps: string[]}} Quests that reward it and maps quests find it on
+ */
+function getItemSources(itemId, quests) {
+  const rewardFrom = quests
+    .filter(quest => (quest.finishRewards?.items || []).some(reward => reward.item?.id === itemId))
+    .map(quest => quest.name);
+
+  const maps = new Set();
+  for (const quest of quests) {
+    for (const objective of quest.objectives || []) {
+      const items = [objective.item, ...(objective.items || [])].filter(Boolean);
+      if (items.some(item => item.id === itemId)) {
+        (objective.maps || []).forEach(map => maps.add(map.name));
+      }
+    }
+  }
+
+  return { rewardFrom, maps: [...maps] };
+}
+
+/**
+ * Get every item the Collector quest needs, with prices and where each comes from
+ * @param {Object} options - Lookup options
+ * @param {'regular'|'pve'} options.gameMode - Game mode for prices
+ * @param {string} options.lang - Language code
+ * @returns {Promise<{quest: Object, items: CollectorItem[]}>} The quest and its items, by name
+ * @throws {NotFoundError} If the quest list has no Collector quest
+ */
+export async function getCollectorItems(options) {
+  const quests = await getQuests(options);
+  const quest = quests.find(entry => entry.normalizedName === COLLECTOR_QUEST);
+  if (!quest) {
+    throw new NotFoundError(t(options.lang, 'kappa.noQuest'));
+  }
+
+  const entries = [...getQuestItems(quest).values()];
+  const prices = await getItemPrices(entries.map(entry => entry.item.id), options);
+  const others = quests.filter(entry => entry.id !== quest.id);
+
+  const items = entries
+    .map(({ item, count, foundInRaid }) => ({
+      item,
+      count,
+      foundInRaid,
+      price: getFleaPrice(prices.get(item.id)),
+      ...getItemSources(item.id, others),
+    }))
+    .sort((a, b) => a.item.name.localeCompare(b.item.name));
+
+  return { quest, items };
+}
+
+/**
+ * Find a Collector item by name, tolerating typos
+ * @param {string} query - Item name the user typed
+ * @param {CollectorItem[]} items - Items from getCollectorItems
+ * @returns {CollectorItem|null} Best match, or null if nothing is close
+ */
+export function findCollectorItem(query, items) {
+  const [best] = rankMatches(items, query, entry => [entry.item.name, entry.item.shortName], { limit: 1 });
+  return best?.item || null;
+}
+
+/**
+ * Get the Collector items a user has found
+ * @param {string} userId - Discord user ID
+ * @param {'regular'|'pve'} gameMode - Game mode
+ * @returns {string[]} Item IDs
+ */
+export function getFoundItems(userId, gameMode) {
+  return store.data.users[userId]?.[gameMode] || [];
+}
+
+/**
+ * Record whether a user has found a Collector item
+ * @param {string} userId - Discord user ID
+ * @param {'regular'|'pve'} gameMode - Game mode
+ * @param {string} itemId - Item ID
+ * @param {boolean} found - True to mark it found, false to unmark it
+ * @returns {boolean} True if this changed anything
+ */
+export function setItemFound(userId, gameMode, itemId, found) {
+  const current = getFoundItems(userId, gameMode);
+  if (current.includes(itemId) === found) {
+    return false;
+  }
+
+  const user = store.data.users[userId] || {};
+  user[gameMode] = found ? [...current, itemId] : current.filter(id => id !== itemId);
+  store.data.users[userId] = user;
+  store.save();
+  return true;
+}
@@ -0,0 +1,102 @@
+import { fetchKeys, fetchMaps, getFleaPrice } from '../tarkovApi.js';
+import { getQuests } from './questIndex.js';
+import { rankMatches } from '../utils/fuzzy.js';
+
+/**
+ * Find a key by name, tolerating typos
+ * @param {string} query - Key name the user typed, e.g. "314 marked" or "dorm 206"
+ * @param {Object} options - Lookup options
+ * @param {'regular'|'pve'} options.gameMode - Game mode for prices
+ * @param {string} options.lang - Language for key names
+ * @returns {Promise<{key: Object|null, keys: Object[]}>} The best match (or null) and every key
+ */
+export async function findKey(query, options) {
+  const keys = await fetchKeys(options);
+  const [best] = rankMatches(keys, query, key => [key.name, key.shortName], { limit: 1 });
+  return { key: best?.item || null, keys };
+}
+
+/**
+ * Get what a key is worth: its flea price against the best trader sell price
+ * @param {Object} key - Key from fetchKeys
+ * @returns {{flea: number|null, perUse: number|null, trader: {price: number, name: string}|null}}
+ *   Flea price, flea price per use, and the best trader offer
+ */
+export function getKeyValue(key) {
+  const flea = getFleaPrice(key);
+  const trader = (key.sellFor || [])
+    .filter(offer => offer.vendor.normalizedName !== 'flea-market' && offer.priceRUB > 0)
+    .reduce((best, offer) => (!best || offer.priceRUB > best.price ? { price: offer.priceRUB, name: offer.vendor.name } : best), null);
+
+  return { flea, perUse: flea && key.uses ? Math.round(flea / key.uses) : null, trader };
+}
+
+/**
+ * Find the maps and locks a key opens, and the quests that need it
+ * A quest needs a key when it's an objective item (found or handed in) or when the
+ * API lists it as the way into one of the quest's areas
+ * @param {Object} key - Key from fetchKeys
+ * @param {Object} options - Lookup options
+ * @param {'regular'|'pve'} options.gameMode - Game mode
+ * @param {string} options.lang - Language code
+ * @returns {Promise<{locks: Object[], quests: Object[]}>} Locks as {map, lockType, needsPower, count}
+ *   and quests as {quest, objective, access, maps}
+ */
+export async function getKeyUses(key, options) {
+  const [maps, quests] = await Promise.all([fetchMaps(options), getQuests(options)]);
+
+  const locks = [];
+  for (const map of maps) {
+    for (const lock of (map.locks || []).filter(entry => entry.key?.id === key.id)) {
+      const same = locks.find(entry => entry.map.id === map.id && entry.lockType === lock.lockType && entry.needsPower === lock.needsPower);
+      if (same) {
+        same.count++;
+      } else {
+        locks.push({ map, lockType: lock.lockType, needsPower: Boolean(lock.needsPower), count: 1 });
+      }
+    }
+  }
+
+  const keyQuests = quests
+    .map(quest => {
+      const objective = (quest.objectives || []).some(entry =>
+        entry.item?.id === key.id || (entry.items || []).some(item => item.id === key.id));
+      const needed = (quest.neededKeys || []).filter(entry => (entry.keys || []).some(item => item.id === key.id));
+      return { quest, objective, access: needed.length > 0, maps: needed.map(entry => entry.map).filter(Boolean) };
+    })
+    .filter(entry => entry.objective || entry.access)
+    .sort((a, b) => a.quest.minPlayerLevel - b.quest.minPlayerLevel || a.quest.name.localeCompare(b.quest.name));
+
+  return { locks, quests: keyQuests };
+}
+
+/**
+ * List every key for a map, most expensive first
+ * Keys are tied to a map by the locks they open there or by quests that need them there.
+ * Keys that aren't on the flea come last
+ * @param {Object} map - Map from fetchMaps
+ * @param {Object} options - Lookup options
+ * @param {'regular'|'pve'} options.gameMode - Game mode for prices
+ * @param {string} options.lang - Language code
+ * @returns {Promise<Array<{key: Object, value: Object, quests: number}>>} Keys with getKeyValue and
+ *   the number of quests needing them on the map
+ */
+export async function getMapKeys(map, options) {
+  const [keys, quests] = await Promise.all([fetchKeys(options), getQuests(options)]);
+
+  const ids = new Set((map.locks || []).map(lock => lock.key?.id).filter(Boolean));
+  const questCounts = new Map();
+  for (const quest of quests) {
+    for (const needed of (quest.neededKeys || []).filter(entry => entry.map?.id === map.id)) {
+      for (const item of needed.keys || []) {
+        ids.add(item.id);
+        questCounts.set(item.id, (questCounts.get(item.id) || 0) + 1);
+      }
+    }
+  }
+
+  return keys
+    .filter(key => ids.has(key.id))
+    .map(key => ({ key, value: getKeyValue(key), quests: questCounts.get(key.id) || 0 }))
+    .sort((a, b) => (b.value.flea ?? -1) - (a.value.flea ?? -1) || a.key.name.localeCompare(b.key.name));
+}
@@ -0,0 +1,75 @@
+import { fetchItemCatalog, getBestSellOffer } from '../tarkovApi.js';
+import { rankMatches } from '../utils/fuzzy.js';
+
+// Assembled weapon presets duplicate their base weapon's listing
+const EXCLUDED_TYPES = ['preset'];
+
+/**
+ * @typedef {Object} SlotValue
+ * @property {number} slots - Inventory slots the item takes (width × height)
+ * @property {{price: number, trader: string|null}} sale - Best sale, trader null for the flea
+ * @property {number} perSlot - Roubles per slot
+ */
+
+/**
+ * Work out what an item is worth per inventory slot
+ * Stacks aren't considered, so stackable items count a single unit
+ * @param {Object} item - Item with width, height and sell prices
+ * @returns {SlotValue|null} Slot value, or null if the item can't be sold or has no size
+ */
+export function getSlotValue(item) {
+  const slots = (item.width || 0) * (item.height || 0);
+  const sale = getBestSellOffer(item);
+  if (!slots || !sale) {
+    return null;
+  }
+  return { slots, sale, perSlot: Math.round(sale.price / slots) };
+}
+
+/**
+ * List every item category in the catalog
+ * @param {Object[]} items - Items from fetchItemCatalog
+ * @returns {Object[]} Categories with name and normalizedName, by name
+ */
+function getCategories(items) {
+  const categories = new Map();
+  for (const item of items) {
+    for (const category of item.categories || []) {
+      categories.set(category.normalizedName, category);
+    }
+  }
+  return [...categories.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Rank items by what they sell for per inventory slot
+ * @param {Object} options - Ranking options
+ * @param {'regular'|'pve'} options.gameMode - Game mode for prices
+ * @param {string} options.lang - Language code
+ * @param {string} [options.category] - Category name to limit the ranking to, tolerating typos
+ * @param {number} [options.minSlots] - Leave out items smaller than this many slots
+ * @returns {Promise<{items: Array<{item: Object} & SlotValue>, category: Object|null, categories: Object[]}>}
+ *   Items, most valuable per slot first; category is null when none was asked for or none matched
+ */
+export async function rankLoot({ gameMode, lang, category: query, minSlots = 1 }) {
+  const catalog = (await fetchItemCatalog({ gameMode, lang }))
+    .filter(item => !(item.types || []).some(type => EXCLUDED_TYPES.includes(type)));
+  const categories = getCategories(catalog);
+
+  let category = null;
+  if (query) {
+    const [best] = rankMatches(categories, query, entry => [entry.name, entry.normalizedName.replace(/-/g, ' ')], { limit: 1 });
+    if (!best) {
+      return { items: [], category: null, categories };
+    }
+    category = best.item;
+  }
+
+  const items = catalog
+    .filter(item => !category || (item.categories || []).some(entry => entry.normalizedName === category.normalizedName))
+    .map(item => ({ item, ...getSlotValue(item) }))
+    .filter(entry => entry.perSlot > 0 && entry.slots >= minSlots)
+    .sort((a, b) => b.perSlot - a.perSlot);
+
+  return { items, category, categories };
+}
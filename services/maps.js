@@ -0,0 +1,34 @@
+import { fetchMaps } from '../tarkovApi.js';
+import { getQuests } from './questIndex.js';
+import { rankMatches } from '../utils/fuzzy.js';
+
+/**
+ * Find a map by name, tolerating typos
+ * @param {string} query - Map name the user typed
+ * @param {Object} [options] - Lookup options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode
+ * @param {string} [options.lang] - Language for map names
+ * @returns {Promise<{map: Object|null, maps: Object[]}>} The best match (or null) and every map
+ */
+export async function findMap(query, options = {}) {
+  const maps = await fetchMaps(options);
+  const [best] = rankMatches(maps, query, map => [map.name, map.normalizedName.replace(/-/g, ' ')], { limit: 1 });
+  return { map: best?.item || null, maps };
+}
+
+/**
+ * Find the quests with objectives on a map
+ * @param {Object} map - Map from fetchMaps
+ * @param {Object} options - Index options
+ * @param {'regular'|'pve'} options.gameMode - Game mode
+ * @param {string} options.lang - Language code
+ * @returns {Promise<Object[]>} Quests, lowest level first
+ */
+export async function getMapQuests(map, options) {
+  const quests = await getQuests(options);
+
+  return quests
+    .filter(quest => quest.map?.id === map.id ||
+      (quest.objectives || []).some(objective => (objective.maps || []).some(objectiveMap => objectiveMap.id === map.id)))
+    .sort((a, b) => a.minPlayerLevel - b.minPlayerLevel || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,79 @@
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+
+// Migrations run once each, in version order, when storage is opened (see runMigrations in storage.js).
+// Append new ones; never edit one that has shipped. Collection names are spelled out rather than
+// imported so a later rename can't change what an old migration did.
+
+// Stores that were kept as one JSON file each before the storage layer existed
+const LEGACY_STORES = ['hideout', 'kappa-progress', 'quest-progress', 'restock-reminders'];
+
+/**
+ * Read one of the JSON files written before the storage layer existed
+ * @param {string|null} dataDir - Data directory (null when storage isn't file-backed)
+ * @param {string} name - Store name
+ * @returns {Object|null} Parsed data, or null if there's no such file
+ */
+function readLegacyFile(dataDir, name) {
+  if (!dataDir) {
+    return null;
+  }
+
+  const filePath = path.join(dataDir, `${name}.json`);
+  if (!existsSync(filePath)) {
+    return null;
+  }
+
+  console.log(`Importing ${filePath} into storage`);
+  return JSON.parse(readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - Schema version this migration brings storage to
+ * @property {string} name - What it does, for the startup log
+ * @property {function(Storage, {dataDir: string|null}): void} up - Apply it
+ */
+
+/** @type {Migration[]} */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'import JSON data files',
+    up(storage, { dataDir }) {
+      const settings = readLegacyFile(dataDir, 'settings');
+      for (const [guildId, guild] of Object.entries(settings?.guilds || {})) {
+        storage.set('guild-settings', guildId, guild);
+      }
+      for (const [userId, user] of Object.entries(settings?.users || {})) {
+        storage.set('user-profiles', userId, user);
+      }
+
+      const alerts = readLegacyFile(dataDir, 'alerts');
+      for (const alert of alerts?.alerts || []) {
+        storage.set('alerts', String(alert.id), alert);
+      }
+      if (alerts?.nextId) {
+        storage.set('counters', 'alerts', alerts.nextId);
+      }
+
+      for (const name of LEGACY_STORES) {
+        const data = readLegacyFile(dataDir, name);
+        if (data) {
+          storage.set('stores', name, data);
+        }
+      }
+
+      // Price history gets one record per item, so recording a lookup only rewrites that item
+      const history = readLegacyFile(dataDir, 'price-history');
+      for (const [key, entry] of Object.entries(history?.items || {})) {
+        // History recorded before game modes were supported is keyed by item ID alone and is all PvP
+        if (key.includes(':')) {
+          storage.set('price-history', key, entry);
+        } else {
+          storage.set('price-history', `regular:${key}`, { ...entry, itemId: key, gameMode: 'regular' });
+        }
+      }
+    },
+  },
+];
@@ -0,0 +1,163 @@
+import { fetchItemNames } from '../tarkovApi.js';
+import { rankQuests, getIndexedQuests, getQuests } from './questIndex.js';
+
+// Autocomplete has to answer within Discord's 3 second window, so item names are
+// held in memory and refreshed in the background instead of queried per keystroke
+// (quest names come from the quest index)
+const REFRESH_INTERVAL = 60 * 60 * 1000; // 1 hour
+const MAX_SUGGESTIONS = 25; // Discord's limit for autocomplete choices
+
+const index = {
+  items: [],
+  updatedAt: null,
+};
+
+let refreshTimer = null;
+
+/**
+ * Build a searchable entry with precomputed lowercase fields
+ * @param {string} label - Text shown to the user
+ * @param {string} value - Value submitted when the suggestion is picked
+ * @param {string[]} terms - Names the entry can be matched by
+ * @returns {Object} Index entry
+ */
+function createEntry(label, value, terms) {
+  return {
+    label,
+    value,
+    terms: terms.filter(Boolean).map(term => term.toLowerCase()),
+  };
+}
+
+/**
+ * Reload item names from the Tarkov API
+ * Keeps the previous index if the fetch fails
+ * @returns {Promise<boolean>} True if the index was refreshed
+ */
+export async function refreshNameIndex() {
+  let items;
+  try {
+    items = await fetchItemNames();
+  } catch (error) {
+    console.error('Error refreshing name index:', error.message);
+    return false;
+  }
+
+  index.items = items.map(item =>
+    createEntry(`${item.name} (${item.shortName})`, item.name, [item.name, item.shortName])
+  );
+  index.updatedAt = new Date();
+
+  console.log(`Name index refreshed: ${index.items.length} items`);
+  return true;
+}
+
+/**
+ * Load the name index and keep it refreshed on an interval
+ * @returns {Promise<void>}
+ */
+export async function startNameIndex() {
+  await refreshNameIndex();
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      refreshNameIndex().catch(error => console.error('Error refreshing name index:', error));
+    }, REFRESH_INTERVAL);
+    refreshTimer.unref();
+  }
+}
+
+/**
+ * Score how well an entry matches the typed text
+ * @param {Object} entry - Index entry
+ * @param {string} input - Lowercase user input
+ * @returns {number} Score, 0 for no match (higher is better)
+ */
+function scoreEntry(entry, input) {
+  let best = 0;
+
+  for (const term of entry.terms) {
+    if (term === input) {
+      return 4;
+    } else if (term.startsWith(input)) {
+      best = Math.max(best, 3);
+    } else if (term.split(/[\s\-]+/).some(word => word.startsWith(input))) {
+      best = Math.max(best, 2);
+    } else if (term.includes(input)) {
+      best = Math.max(best, 1);
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Find the best matching entries for autocomplete
+ * @param {Object[]} entries - Index entries to search
+ * @param {string} input - Text the user has typed so far
+ * @returns {Object[]} Autocomplete choices ({ name, value })
+ */
+function suggest(entries, input) {
+  const inputLower = (input || '').toLowerCase().trim();
+
+  let matches;
+  if (!inputLower) {
+    matches = entries.slice(0, MAX_SUGGESTIONS);
+  } else {
+    matches = entries
+      .map(entry => ({ entry, score: scoreEntry(entry, inputLower) }))
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score || a.entry.label.length - b.entry.label.length)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(match => match.entry);
+  }
+
+  // Choice names and values are limited to 100 characters
+  return matches.map(entry => ({
+    name: entry.label.substring(0, 100),
+    value: entry.value.substring(0, 100),
+  }));
+}
+
+/**
+ * Suggest item names for autocomplete
+ * @param {string} input - Text the user has typed so far
+ * @returns {Object[]} Autocomplete choices
+ */
+export function suggestItems(input) {
+  return suggest(index.items, input);
+}
+
+/**
+ * Suggest quest names for autocomplete, using the fuzzy quest index for the user's game mode and language
+ * Autocomplete has to answer within 3 seconds, so an index that isn't loaded yet
+ * is loaded in the background and gives no suggestions until it is ready
+ * @param {string} input - Text the user has typed so far
+ * @param {CommandContext} [context] - Resolved game mode and language
+ * @returns {Object[]} Autocomplete choices
+ */
+export function suggestQuests(input, { gameMode, lang } = {}) {
+  if (getIndexedQuests({ gameMode, lang }).length === 0) {
+    getQuests({ gameMode, lang }).catch(error => console.error('Error loading quest index for autocomplete:', error));
+  }
+
+  const quests = input?.trim()
+    ? rankQuests(input, { limit: MAX_SUGGESTIONS, gameMode, lang }).map(match => match.item)
+    : getIndexedQuests({ gameMode, lang }).slice(0, MAX_SUGGESTIONS);
+
+  return quests.map(quest => ({
+    name: `${quest.name} (${quest.trader.name})`.substring(0, 100),
+    value: quest.name.substring(0, 100),
+  }));
+}
+
+/**
+ * Get name index statistics
+ * @returns {Object} Count and last refresh time
+ */
+export function getNameIndexStats() {
+  return {
+    items: index.items.length,
+    updatedAt: index.updatedAt,
+  };
+}
@@ -0,0 +1,145 @@
+import { fetchItemPrices, getFleaPrice } from '../tarkovApi.js';
+import { getAlertedItems } from './alerts.js';
+import { priceHistory } from './repositories.js';
+import { DEFAULT_GAME_MODE } from './settings.js';
+
+const SAMPLE_INTERVAL = 30 * 60 * 1000; // Sample tracked items every 30 minutes
+const MIN_SAMPLE_GAP = 5 * 60 * 1000; // Skip lookups that land right after a sample
+const RETENTION = 30 * 24 * 60 * 60 * 1000; // Keep 30 days, the longest !history range
+
+// Each item's history is its own record (see PriceHistoryEntry), so a lookup only rewrites that item.
+// PvP and PvE prices are tracked separately since they are different economies
+
+let sampleTimer = null;
+
+/**
+ * Build the record ID for an item's history in one game mode
+ * @param {string} itemId - Item ID
+ * @param {'regular'|'pve'} gameMode - Game mode
+ * @returns {string} Record ID
+ */
+function entryKey(itemId, gameMode) {
+  return `${gameMode}:${itemId}`;
+}
+
+/**
+ * Create an empty history entry
+ * @param {string} itemId - Item ID
+ * @param {'regular'|'pve'} gameMode - Game mode
+ * @returns {PriceHistoryEntry} History entry with no samples
+ */
+function createEntry(itemId, gameMode) {
+  return { itemId, gameMode, samples: [] };
+}
+
+/**
+ * Append a price sample, skipping it if the last sample is very recent
+ * @param {Object} entry - History entry
+ * @param {number} price - Flea price in roubles
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if a sample was added
+ */
+function addSample(entry, price, now) {
+  const last = entry.samples[entry.samples.length - 1];
+  if (!price || (last && now - last[0] < MIN_SAMPLE_GAP)) {
+    return false;
+  }
+
+  entry.samples.push([now, price]);
+  return true;
+}
+
+/**
+ * Record an item someone looked up: start tracking it and store its current price
+ * @param {Object} item - Item data from the Tarkov API, tagged with its gameMode
+ */
+export function recordLookup(item) {
+  const now = Date.now();
+  const gameMode = item.gameMode || DEFAULT_GAME_MODE;
+  const key = entryKey(item.id, gameMode);
+  const entry = priceHistory.get(key) || createEntry(item.id, gameMode);
+
+  entry.name = item.name || entry.name;
+  entry.shortName = item.shortName || entry.shortName;
+  entry.lastRequestedAt = now;
+  addSample(entry, getFleaPrice(item), now);
+  priceHistory.save(key, entry);
+}
+
+/**
+ * Get an item's price samples within a time range
+ * @param {string} itemId - Item ID
+ * @param {number} rangeMs - How far back to look, in ms
+ * @param {'regular'|'pve'} [gameMode] - Game mode
+ * @returns {Array<{time: number, value: number}>} Samples, oldest first
+ */
+export function getPriceHistory(itemId, rangeMs, gameMode = DEFAULT_GAME_MODE) {
+  const since = Date.now() - rangeMs;
+  return (priceHistory.get(entryKey(itemId, gameMode))?.samples || [])
+    .filter(([time]) => time >= since)
+    .map(([time, value]) => ({ time, value }));
+}
+
+/**
+ * Sample prices for every tracked item: recently looked up items and items with alerts
+ * Drops samples past the retention period and items nobody has asked about since
+ * @returns {Promise<number>} Number of samples recorded
+ */
+export async function samplePrices() {
+  const now = Date.now();
+  const alerted = new Set(getAlertedItems().map(({ itemId, gameMode }) => entryKey(itemId, gameMode)));
+
+  const entries = new Map();
+  for (const entry of priceHistory.list()) {
+    const key = entryKey(entry.itemId, entry.gameMode);
+    if (!alerted.has(key) && now - (entry.lastRequestedAt || 0) > RETENTION) {
+      priceHistory.remove(key);
+      continue;
+    }
+    entry.samples = entry.samples.filter(([time]) => now - time <= RETENTION);
+    entries.set(key, entry);
+  }
+
+  // Group tracked items by game mode, one batched price fetch per mode
+  const idsByMode = new Map();
+  for (const key of new Set([...entries.keys(), ...alerted])) {
+    const [gameMode, itemId] = key.split(':');
+    idsByMode.set(gameMode, [...(idsByMode.get(gameMode) || []), itemId]);
+  }
+
+  let tracked = 0;
+  let recorded = 0;
+  for (const [gameMode, itemIds] of idsByMode) {
+    tracked += itemIds.length;
+    const prices = await fetchItemPrices(itemIds, { gameMode });
+    for (const price of prices) {
+      const key = entryKey(price.id, gameMode);
+      const entry = entries.get(key) || createEntry(price.id, gameMode);
+      entries.set(key, entry);
+      if (addSample(entry, getFleaPrice(price), now)) {
+        recorded++;
+      }
+    }
+  }
+
+  if (tracked === 0) {
+    return 0;
+  }
+
+  // Every entry is written back, since old samples were trimmed even where nothing new was added
+  priceHistory.saveAll([...entries]);
+  console.log(`Recorded ${recorded} price samples for ${tracked} tracked items`);
+  return recorded;
+}
+
+/**
+ * Sample tracked item prices on an interval
+ */
+export function startPriceSampler() {
+  if (sampleTimer) return;
+
+  sampleTimer = setInterval(() => {
+    samplePrices().catch(error => console.error('Error sampling prices:', error));
+  }, SAMPLE_INTERVAL);
+  sampleTimer.unref();
+}
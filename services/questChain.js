@@ -0,0 +1,147 @@
+import { getQuests } from './questIndex.js';
+
+/**
+ * @typedef {Object} QuestChainNode
+ * @property {Object} quest - Quest from the quest index
+ * @property {QuestChainNode[]} children - Next quests in this direction
+ * @property {boolean} repeat - The quest was already expanded elsewhere in the tree, so its children are left out
+ * @property {number} depth - Steps from the starting quest
+ */
+
+/**
+ * Build a tree by following links from a quest
+ * Each quest is expanded once; later appearances are marked as repeats,
+ * which keeps shared prerequisites from multiplying the tree
+ * @param {Object} quest - Starting quest
+ * @param {Function} getNext - Returns the quests linked from a quest
+ * @returns {QuestChainNode} Tree rooted at the starting quest
+ */
+function buildTree(quest, getNext) {
+  const expanded = new Set([quest.id]);
+
+  const visit = (current, depth) => ({
+    quest: current,
+    depth,
+    repeat: false,
+    children: getNext(current).map(next => {
+      if (expanded.has(next.id)) {
+        return { quest: next, depth: depth + 1, repeat: true, children: [] };
+      }
+      expanded.add(next.id);
+      return visit(next, depth + 1);
+    }),
+  });
+
+  return visit(quest, 0);
+}
+
+/**
+ * Count the distinct quests in a tree, excluding the root
+ * @param {QuestChainNode} node - Tree root
+ * @returns {number} Number of quests
+ */
+export function countChain(node) {
+  const ids = new Set();
+  const walk = current => current.children.forEach(child => {
+    ids.add(child.quest.id);
+    walk(child);
+  });
+  walk(node);
+  return ids.size;
+}
+
+/**
+ * Walk a quest's prerequisites and the quests it unlocks, all the way down both ways
+ * @param {Object} quest - Quest from searchQuest
+ * @param {Object} options - Index options
+ * @param {'regular'|'pve'} options.gameMode - Game mode
+ * @param {string} options.lang - Language code
+ * @returns {Promise<{before: QuestChainNode, after: QuestChainNode}>} Prerequisite tree and unlock tree, both rooted at the quest
+ */
+export async function getQuestChain(quest, options) {
+  const quests = await getQuests(options);
+  const byId = new Map(quests.map(candidate => [candidate.id, candidate]));
+
+  // taskRequirements only point backwards, so index the reverse links once
+  const unlocks = new Map();
+  for (const candidate of quests) {
+    for (const requirement of candidate.taskRequirements || []) {
+      const id = requirement.task?.id;
+      if (!id) continue;
+      if (!unlocks.has(id)) unlocks.set(id, []);
+      unlocks.get(id).push(candidate);
+    }
+  }
+
+  const root = byId.get(quest.id) || quest;
+  return {
+    before: buildTree(root, current => (current.taskRequirements || [])
+      .map(requirement => byId.get(requirement.task?.id))
+      .filter(Boolean)),
+    after: buildTree(root, current => unlocks.get(current.id) || []),
+  };
+}
+
+/**
+ * Lay a quest chain out in columns for drawing as a graph
+ * Prerequisites go in columns to the left of the quest and unlocks to the right, each
+ * column as far from the quest as its longest path, so every edge points rightwards.
+ * When there are more than `maxNodes` quests, the furthest unlock columns are dropped
+ * first, then the furthest prerequisite columns
+ * @param {{before: QuestChainNode, after: QuestChainNode}} chain - Chain from getQuestChain
+ * @param {number} maxNodes - Most quests to include
+ * @returns {{columns: Object[][], edges: Array<[string, string]>, rootColumn: number, hidden: number}}
+ *   Quests by column (left to right), edges from prerequisite to unlocked quest ID,
+ *   the starting quest's column, and how many quests were dropped
+ */
+export function layoutQuestChain({ before, after }, maxNodes) {
+  const quests = new Map([[before.quest.id, before.quest]]);
+  const edges = new Map();
+
+  // Collect every link, including those to repeated quests
+  const collect = (node, toEdge) => node.children.forEach(child => {
+    quests.set(child.quest.id, child.quest);
+    const edge = toEdge(node.quest.id, child.quest.id);
+    edges.set(edge.join('>'), edge);
+    collect(child, toEdge);
+  });
+  collect(before, (id, requiredId) => [requiredId, id]);
+  collect(after, (id, unlockedId) => [id, unlockedId]);
+
+  // Longest distance from the starting quest: negative for prerequisites, positive for unlocks
+  const layer = new Map([[before.quest.id, 0]]);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const [from, to] of edges.values()) {
+      if (layer.has(to) && layer.get(to) <= 0 && (!layer.has(from) || layer.get(from) > layer.get(to) - 1)) {
+        layer.set(from, layer.get(to) - 1);
+        changed = true;
+      }
+      if (layer.has(from) && layer.get(from) >= 0 && (!layer.has(to) || layer.get(to) < layer.get(from) + 1)) {
+        layer.set(to, layer.get(from) + 1);
+        changed = true;
+      }
+    }
+  }
+
+  const layers = [...new Set(layer.values())].sort((a, b) => a - b);
+  let hidden = 0;
+  while (quests.size - hidden > maxNodes && layers.length > 1) {
+    const dropped = layers[layers.length - 1] > 0 ? layers.pop() : layers.shift();
+    hidden += [...layer.values()].filter(value => value === dropped).length;
+  }
+
+  const columns = layers.map(value => [...layer.entries()]
+    .filter(([, questLayer]) => questLayer === value)
+    .map(([id]) => quests.get(id))
+    .sort((a, b) => a.trader.name.localeCompare(b.trader.name) || a.minPlayerLevel - b.minPlayerLevel));
+  const shown = new Set(columns.flat().map(quest => quest.id));
+
+  return {
+    columns,
+    edges: [...edges.values()].filter(([from, to]) => shown.has(from) && shown.has(to)),
+    rootColumn: layers.indexOf(0),
+    hidden,
+  };
+}
@@ -0,0 +1,165 @@
+import { fetchQuests } from '../tarkovApi.js';
+import { rankMatches } from '../utils/fuzzy.js';
+import { NotFoundError } from './errors.js';
+import { DEFAULT_GAME_MODE } from './settings.js';
+import { t, DEFAULT_LANGUAGE } from './i18n.js';
+
+// The full task list is large, so it is downloaded once and refreshed in the
+// background rather than fetched on every !quest call
+const REFRESH_INTERVAL = 60 * 60 * 1000; // 1 hour
+const MIN_MATCH_SCORE = 0.5;
+
+// PvP and PvE have slightly different task lists and names are translated by
+// the API, so each game mode and language gets its own index. Only the English
+// PvP index is loaded at startup; the others load the first time someone asks
+const indexes = new Map();
+
+let refreshTimer = null;
+
+/**
+ * Get the index for a game mode and language, creating an empty one if needed
+ * @param {Object} options - Index options
+ * @param {'regular'|'pve'} options.gameMode - Game mode
+ * @param {string} options.lang - Language code
+ * @returns {{gameMode: string, lang: string, quests: Object[], englishNames: Map|null, updatedAt: Date|null, loading: Promise|null}} Index state
+ */
+function getIndex({ gameMode, lang }) {
+  const key = `${gameMode}:${lang}`;
+  if (!indexes.has(key)) {
+    indexes.set(key, { gameMode, lang, quests: [], englishNames: null, updatedAt: null, loading: null });
+  }
+  return indexes.get(key);
+}
+
+/**
+ * Reload all quests for a game mode and language from the Tarkov API
+ * Translated indexes also keep each quest's English name, so either can be searched.
+ * The previous index is kept if the fetch fails
+ * @param {Object} [options] - Index options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode
+ * @param {string} [options.lang] - Language code
+ * @returns {Promise<void>}
+ * @throws {TarkovApiError} If the quests could not be fetched
+ */
+export async function refreshQuestIndex({ gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  const index = getIndex({ gameMode, lang });
+  const quests = await fetchQuests({ gameMode, lang });
+
+  if (lang !== DEFAULT_LANGUAGE) {
+    const english = await getQuests({ gameMode, lang: DEFAULT_LANGUAGE });
+    index.englishNames = new Map(english.map(quest => [quest.id, quest.name]));
+  }
+
+  index.quests = quests;
+  index.updatedAt = new Date();
+  console.log(`Quest index refreshed (${gameMode}, ${lang}): ${quests.length} quests`);
+}
+
+/**
+ * Load the default quest index and keep every loaded index refreshed on an interval
+ * @returns {Promise<void>}
+ */
+export async function startQuestIndex() {
+  await getQuests();
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      for (const { gameMode, lang } of indexes.values()) {
+        refreshQuestIndex({ gameMode, lang })
+          .catch(error => console.error(`Error refreshing ${gameMode}/${lang} quest index:`, error));
+      }
+    }, REFRESH_INTERVAL);
+    refreshTimer.unref();
+  }
+}
+
+/**
+ * Get every quest, loading the index first if it is empty
+ * Concurrent callers share a single in-flight load
+ * @param {Object} [options] - Index options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode
+ * @param {string} [options.lang] - Language code
+ * @returns {Promise<Object[]>} All quests
+ * @throws {TarkovApiError} If the index is empty and could not be loaded
+ */
+export async function getQuests({ gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  const index = getIndex({ gameMode, lang });
+
+  if (index.quests.length === 0) {
+    index.loading = index.loading || refreshQuestIndex({ gameMode, lang }).finally(() => {
+      index.loading = null;
+    });
+    await index.loading;
+  }
+
+  return index.quests;
+}
+
+/**
+ * Get the quests currently in the index without loading
+ * @param {Object} [options] - Index options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode
+ * @param {string} [options.lang] - Language code
+ * @returns {Array} Indexed quests (empty until the first load finishes)
+ */
+export function getIndexedQuests({ gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  return indexes.get(`${gameMode}:${lang}`)?.quests || [];
+}
+
+/**
+ * Rank indexed quests against a query, matching translated or English names
+ * @param {string} questName - Text the user typed
+ * @param {Object} [options] - Ranking options
+ * @param {number} [options.limit] - Maximum number of matches
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode
+ * @param {string} [options.lang] - Language code
+ * @returns {Array<{item: Object, score: number}>} Matches, best first
+ */
+export function rankQuests(questName, { limit, gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  const index = indexes.get(`${gameMode}:${lang}`);
+  if (!index) return [];
+
+  const getNames = quest => [quest.name, index.englishNames?.get(quest.id)].filter(Boolean);
+  return rankMatches(index.quests, questName, getNames, { minScore: MIN_MATCH_SCORE, limit });
+}
+
+/**
+ * Search for quests by name with typo-tolerant ranked matching
+ * Each result is a copy of the quest with a `matchScore` (0-1), its `gameMode` and `lang` added
+ * @param {string} questName - The name of the quest to search for
+ * @param {Object} [options] - Search options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode to search
+ * @param {string} [options.lang] - Language for quest names
+ * @returns {Promise<Object[]>} Matching quests, best first
+ * @throws {NotFoundError} If no quests match
+ */
+export async function searchQuest(questName, { gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  await getQuests({ gameMode, lang });
+
+  const matches = rankQuests(questName, { gameMode, lang })
+    .map(({ item, score }) => ({ ...item, matchScore: score, gameMode, lang }));
+
+  const top = matches.slice(0, 3).map(quest => `${quest.name} (${quest.matchScore.toFixed(2)})`).join(', ');
+  console.log(`Searched for "${questName}", found ${matches.length} matches${top ? `: ${top}` : ''}`);
+
+  if (matches.length === 0) {
+    throw new NotFoundError(t(lang, 'errors.questNotFound', { query: questName }));
+  }
+
+  return matches;
+}
+
+/**
+ * Get quest index statistics
+ * @param {Object} [options] - Index options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode
+ * @param {string} [options.lang] - Language code
+ * @returns {Object} Count and last refresh time
+ */
+export function getQuestIndexStats({ gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  const index = indexes.get(`${gameMode}:${lang}`);
+  return {
+    quests: index?.quests.length || 0,
+    updatedAt: index?.updatedAt || null,
+  };
+}
@@ -0,0 +1,267 @@
+import { getQuests } from './questIndex.js';
+import { createStore } from './store.js';
+import { rankMatches } from '../utils/fuzzy.js';
+
+// users: { [userId]: { [gameMode]: { level, traders: { [traderNormalizedName]: loyaltyLevel }, done: [questId], active: [questId] } } }
+// PvP and PvE profiles progress separately, so everything is recorded per game mode
+const store = createStore('quest-progress', { users: {} });
+
+/**
+ * @typedef {Object} QuestProgress
+ * @property {number|null} level - PMC level (null until recorded)
+ * @property {Object<string, number>} traders - Loyalty level by trader normalizedName (unrecorded traders are LL1)
+ * @property {string[]} done - IDs of completed quests
+ * @property {string[]} active - IDs of quests the user has started and not finished
+ */
+
+/**
+ * Get a user's recorded quest progress
+ * @param {string} userId - Discord user ID
+ * @param {'regular'|'pve'} gameMode - Game mode
+ * @returns {QuestProgress} Recorded progress
+ */
+export function getQuestProgress(userId, gameMode) {
+  const progress = store.data.users[userId]?.[gameMode] || {};
+  return {
+    level: progress.level ?? null,
+    traders: progress.traders || {},
+    done: progress.done || [],
+    active: progress.active || [],
+  };
+}
+
+/**
+ * Merge changes into a user's progress and save
+ * @param {string} userId - Discord user ID
+ * @param {'regular'|'pve'} gameMode - Game mode
+ * @param {Partial<QuestProgress>} changes - Fields to replace
+ */
+function updateQuestProgress(userId, gameMode, changes) {
+  const user = store.data.users[userId] || {};
+  user[gameMode] = { ...getQuestProgress(userId, gameMode), ...changes };
+  store.data.users[userId] = user;
+  store.save();
+}
+
+/**
+ * Record a user's PMC level
+ * @param {string} userId - Discord user ID
+ * @param {'regular'|'pve'} gameMode - Game mode
+ * @param {number} level - PMC level
+ */
+export function setPlayerLevel(userId, gameMode, level) {
+  updateQuestProgress(userId, gameMode, { level });
+}
+
+/**
+ * Record a user's loyalty level with a trader
+ * @param {string} userId - Discord user ID
+ * @param {'regular'|'pve'} gameMode - Game mode
+ * @param {string} trader - Trader normalizedName
+ * @param {number} level - Loyalty level
+ */
+export function setTraderLevel(userId, gameMode, trader, level) {
+  const { traders } = getQuestProgress(userId, gameMode);
+  updateQuestProgress(userId, gameMode, { traders: { ...traders, [trader]: level } });
+}
+
+/**
+ * Get every trader that gives quests
+ * @param {Object} options - Index options
+ * @param {'regular'|'pve'} options.gameMode - Game mode
+ * @param {string} options.lang - Language for trader names
+ * @returns {Promise<Object[]>} Traders with name and normalizedName
+ */
+export async function getQuestTraders(options) {
+  const quests = await getQuests(options);
+  return [...new Map(quests.map(quest => [quest.trader.normalizedName, quest.trader])).values()];
+}
+
+/**
+ * Find a quest-giving trader by name, tolerating typos
+ * @param {string} query - Trader name the user typed
+ * @param {Object} options - Index options
+ * @param {'regular'|'pve'} options.gameMode - Game mode
+ * @param {string} options.lang - Language for trader names
+ * @returns {Promise<{trader: Object|null, traders: Object[]}>} The best match (or null) and every trader
+ */
+export async function findQuestTrader(query, options) {
+  const traders = await getQuestTraders(options);
+  const [best] = rankMatches(traders, query, trader => [trader.name, trader.normalizedName.replace(/-/g, ' ')], { limit: 1 });
+  return { trader: best?.item || null, traders };
+}
+
+/**
+ * Check whether a requirement on another quest can be met by completing it
+ * Requirements that only accept a failed quest are alternative branches, so completing
+ * the other quest doesn't satisfy them
+ * @param {Object} requirement - Entry from a quest's taskRequirements
+ * @returns {boolean} True if completing the required quest satisfies the requirement
+ */
+function completionSatisfies(requirement) {
+  return (requirement.status || []).some(status => status !== 'failed');
+}
+
+/**
+ * Mark a quest done, along with every prerequisite that had to be completed first
+ * @param {string} userId - Discord user ID
+ * @param {Object} quest - Quest from searchQuest
+ * @param {Object} options - Index options
+ * @param {'regular'|'pve'} options.gameMode - Game mode
+ * @param {string} options.lang - Language code
+ * @returns {Promise<Object[]>} Quests that weren't already done, the quest itself first when it is new
+ */
+export async function markQuestDone(userId, quest, options) {
+  const quests = await getQuests(options);
+  const byId = new Map(quests.map(candidate => [candidate.id, candidate]));
+  const done = new Set(getQuestProgress(userId, options.gameMode).done);
+
+  const added = [];
+  const visit = current => {
+    if (done.has(current.id)) return;
+    done.add(current.id);
+    added.push(current);
+
+    for (const requirement of current.taskRequirements || []) {
+      const required = byId.get(requirement.task?.id);
+      if (required && requirement.status?.includes('complete')) {
+        visit(required);
+      }
+    }
+  };
+  visit(byId.get(quest.id) || quest);
+
+  // Finished quests are no longer active
+  if (added.length > 0) {
+    const { active } = getQuestProgress(userId, options.gameMode);
+    updateQuestProgress(userId, options.gameMode, { done: [...done], active: active.filter(id => !done.has(id)) });
+  }
+  return added;
+}
+
+/**
+ * Unmark a quest as done; quests after it are left as they are
+ * @param {string} userId - Discord user ID
+ * @param {'regular'|'pve'} gameMode - Game mode
+ * @param {string} questId - Quest ID
+ * @returns {boolean} True if the quest had been marked done
+ */
+export function unmarkQuestDone(userId, gameMode, questId) {
+  const { done } = getQuestProgress(userId, gameMode);
+  if (!done.includes(questId)) return false;
+
+  updateQuestProgress(userId, gameMode, { done: done.filter(id => id !== questId) });
+  return true;
+}
+
+/**
+ * Record that a user has started a quest
+ * @param {string} userId - Discord user ID
+ * @param {'regular'|'pve'} gameMode - Game mode
+ * @param {string} questId - Quest ID
+ * @returns {boolean} True if the quest wasn't already active
+ */
+export function startQuest(userId, gameMode, questId) {
+  const { active } = getQuestProgress(userId, gameMode);
+  if (active.includes(questId)) return false;
+
+  updateQuestProgress(userId, gameMode, { active: [...active, questId] });
+  return true;
+}
+
+/**
+ * Stop tracking a quest as active, e.g. when it was started by mistake or abandoned
+ * @param {string} userId - Discord user ID
+ * @param {'regular'|'pve'} gameMode - Game mode
+ * @param {string} questId - Quest ID
+ * @returns {boolean} True if the quest had been active
+ */
+export function stopQuest(userId, gameMode, questId) {
+  const { active } = getQuestProgress(userId, gameMode);
+  if (!active.includes(questId)) return false;
+
+  updateQuestProgress(userId, gameMode, { active: active.filter(id => id !== questId) });
+  return true;
+}
+
+/**
+ * Get the quests a user has started and not finished
+ * Active quests missing from this game mode's quest list are left out
+ * @param {string} userId - Discord user ID
+ * @param {Object} options - Index options
+ * @param {'regular'|'pve'} options.gameMode - Game mode
+ * @param {string} options.lang - Language code
+ * @returns {Promise<{quests: Object[], progress: QuestProgress}>} Active quests, in the order they
+ *   were started, and the progress they were resolved against
+ */
+export async function getActiveQuests(userId, options) {
+  const quests = await getQuests(options);
+  const byId = new Map(quests.map(quest => [quest.id, quest]));
+  const progress = getQuestProgress(userId, options.gameMode);
+
+  return {
+    quests: progress.active.map(id => byId.get(id)).filter(Boolean),
+    progress,
+  };
+}
+
+/**
+ * Get the maps a quest takes place on
+ * @param {Object} quest - Quest from the quest index
+ * @returns {string[]} Map names (empty when the quest can be done anywhere)
+ */
+export function getQuestMaps(quest) {
+  if (quest.map?.name) return [quest.map.name];
+
+  const names = (quest.objectives || []).flatMap(objective => (objective.maps || []).map(map => map.name));
+  return [...new Set(names)];
+}
+
+/**
+ * Find the quests a user can start right now
+ * A quest is available when it isn't done, the user's PMC level and trader loyalty levels
+ * are high enough, and each required quest is done (or, when the requirement only needs
+ * it active, could be started itself)
+ * @param {string} userId - Discord user ID
+ * @param {Object} options - Index options
+ * @param {'regular'|'pve'} options.gameMode - Game mode
+ * @param {string} options.lang - Language code
+ * @returns {Promise<{quests: Object[], traderLocked: Object[], progress: QuestProgress}>} Available
+ *   quests, quests held back only by trader loyalty, and the progress they were resolved against
+ */
+export async function getAvailableQuests(userId, options) {
+  const quests = await getQuests(options);
+  const byId = new Map(quests.map(quest => [quest.id, quest]));
+  const progress = getQuestProgress(userId, options.gameMode);
+  const done = new Set(progress.done);
+
+  const levelMet = quest => (quest.minPlayerLevel || 0) <= (progress.level ?? 0);
+  const tradersMet = quest => (quest.traderLevelRequirements || [])
+    .every(requirement => requirement.level <= (progress.traders[requirement.trader.normalizedName] ?? 1));
+
+  const startable = new Map();
+  const canStart = quest => {
+    if (startable.has(quest.id)) return startable.get(quest.id);
+    startable.set(quest.id, false); // guards against requirement cycles
+
+    const result = !done.has(quest.id) && levelMet(quest) && tradersMet(quest) && questsMet(quest);
+    startable.set(quest.id, result);
+    return result;
+  };
+
+  // Quests missing from this game mode's list can't be tracked, so they don't block anything
+  const questsMet = quest => (quest.taskRequirements || []).every(requirement => {
+    const required = byId.get(requirement.task?.id);
+    if (!required) return true;
+    if (done.has(required.id)) return completionSatisfies(requirement);
+    return requirement.status?.includes('active') && canStart(required);
+  });
+
+  const open = quests.filter(quest => !done.has(quest.id) && levelMet(quest) && questsMet(quest));
+
+  return {
+    quests: open.filter(tradersMet),
+    traderLocked: open.filter(quest => !tradersMet(quest)),
+    progress,
+  };
+}
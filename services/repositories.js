@@ -0,0 +1,114 @@
+import { getStorage } from './storage.js';
+
+/**
+ * @typedef {Object} Repository
+ * Typed access to one storage collection
+ * @property {function(string): (Object|undefined)} get - Get a record by ID
+ * @property {function(string, Object): void} save - Create or replace a record
+ * @property {function(string): boolean} remove - Delete a record, returning whether it existed
+ * @property {function(): Object[]} list - Every record, ordered by ID
+ * @property {function(Array<[string, Object]>): void} saveAll - Create or replace several records together
+ * @property {function(): number} clear - Delete every record, returning how many there were
+ */
+
+/**
+ * Create a repository over a storage collection
+ * Storage is looked up on every call, so repositories can be created before it's opened
+ * @param {string} collection - Collection name
+ * @returns {Repository} Repository
+ */
+function createRepository(collection) {
+  return {
+    get: id => getStorage().get(collection, String(id)),
+    save: (id, record) => getStorage().set(collection, String(id), record),
+    remove: id => getStorage().delete(collection, String(id)),
+    list: () => getStorage().entries(collection).map(([, record]) => record),
+    saveAll(records) {
+      const storage = getStorage();
+      storage.transaction(() => records.forEach(([id, record]) => storage.set(collection, String(id), record)));
+    },
+    clear() {
+      const storage = getStorage();
+      const keys = storage.entries(collection).map(([key]) => key);
+      storage.transaction(() => keys.forEach(key => storage.delete(collection, key)));
+      return keys.length;
+    },
+  };
+}
+
+/**
+ * @typedef {Object} GuildSettings
+ * @property {'regular'|'pve'} [gameMode] - Server default game mode
+ * @property {string} [language] - Server default language
+ */
+
+/**
+ * Server-wide settings, by guild ID
+ * @type {Repository}
+ */
+export const guildSettings = createRepository('guild-settings');
+
+/**
+ * @typedef {Object} UserProfile
+ * @property {'regular'|'pve'} [gameMode] - Personal game mode, overriding the server's
+ * @property {string} [language] - Personal language, overriding the server's
+ */
+
+/**
+ * Per-user preferences, by user ID
+ * @type {Repository}
+ */
+export const userProfiles = createRepository('user-profiles');
+
+/**
+ * Price alerts, by alert number (see PriceAlert in alerts.js)
+ * @type {Repository & {nextId: function(): number}}
+ */
+export const alerts = {
+  ...createRepository('alerts'),
+
+  /**
+   * Reserve the next alert number
+   * @returns {number} Alert number, never reused
+   */
+  nextId() {
+    const storage = getStorage();
+    const id = storage.get('counters', 'alerts') || 1;
+    storage.set('counters', 'alerts', id + 1);
+    return id;
+  },
+};
+
+/**
+ * @typedef {Object} CachedGuide
+ * @property {Object} data - Guide data (llmGuide, images)
+ * @property {number} expiresAt - Epoch milliseconds after which the guide is regenerated
+ */
+
+/**
+ * AI quest guides, by cache key, so they outlive restarts
+ * @type {Repository}
+ */
+export const questGuides = createRepository('quest-guides');
+
+/**
+ * @typedef {Object} PriceHistoryEntry
+ * @property {string} itemId - Item ID
+ * @property {'regular'|'pve'} gameMode - Economy the prices come from
+ * @property {string} [name] - Item name when last looked up
+ * @property {string} [shortName] - Item short name when last looked up
+ * @property {number} [lastRequestedAt] - Epoch milliseconds of the last lookup
+ * @property {Array<[number, number]>} samples - [timestamp, price] pairs, oldest first
+ */
+
+/**
+ * Flea price samples, one record per item and game mode, by "<gameMode>:<itemId>"
+ * @type {Repository}
+ */
+export const priceHistory = createRepository('price-history');
+
+/**
+ * Whole-document data kept by feature services (see createStore), by store name
+ * @type {Repository}
+ */
+export const stores = createRepository('stores');
@@ -0,0 +1,105 @@
+import { createStore } from './store.js';
+
+const POLL_INTERVAL = 60 * 1000; // Restock times are known ahead, so a minute is precise enough
+
+const store = createStore('restock-reminders', { reminders: [] });
+
+let pollTimer = null;
+
+/**
+ * @typedef {Object} RestockReminder
+ * @property {string} userId - Discord user to ping
+ * @property {string|null} guildId - Guild the reminder was created in
+ * @property {string} channelId - Channel the ping is sent to
+ * @property {string} trader - Trader normalizedName
+ * @property {string} traderName - Trader name at creation time, in the reminder's language
+ * @property {'regular'|'pve'} gameMode - Game mode whose restock is watched
+ * @property {string} lang - Language the ping is sent in
+ * @property {string} resetAt - ISO timestamp of the restock
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * Set a reminder for a trader's next restock, replacing any the user already has for that trader
+ * @param {Object} reminder - Reminder fields (see RestockReminder), without createdAt
+ * @returns {RestockReminder} The stored reminder
+ */
+export function addRestockReminder(reminder) {
+  removeRestockReminder(reminder.userId, reminder.trader, reminder.gameMode);
+
+  const stored = { ...reminder, createdAt: new Date().toISOString() };
+  store.data.reminders.push(stored);
+  store.save();
+  return stored;
+}
+
+/**
+ * Cancel a user's reminder for a trader
+ * @param {string} userId - Discord user ID
+ * @param {string} trader - Trader normalizedName
+ * @param {'regular'|'pve'} gameMode - Game mode
+ * @returns {boolean} True if there was a reminder to cancel
+ */
+export function removeRestockReminder(userId, trader, gameMode) {
+  const before = store.data.reminders.length;
+  store.data.reminders = store.data.reminders.filter(reminder =>
+    !(reminder.userId === userId && reminder.trader === trader && reminder.gameMode === gameMode));
+
+  if (store.data.reminders.length === before) return false;
+  store.save();
+  return true;
+}
+
+/**
+ * List a user's reminders
+ * @param {string} userId - Discord user ID
+ * @returns {RestockReminder[]} Reminders, soonest first
+ */
+export function listRestockReminders(userId) {
+  return store.data.reminders
+    .filter(reminder => reminder.userId === userId)
+    .sort((a, b) => Date.parse(a.resetAt) - Date.parse(b.resetAt));
+}
+
+/**
+ * Send every reminder whose restock has happened, then drop it
+ * Reminders that fail to send are dropped too, so a deleted channel can't retry forever
+ * @param {Function} notify - Async callback receiving each due reminder
+ * @returns {Promise<number>} Number of reminders sent
+ */
+export async function checkRestockReminders(notify) {
+  const now = Date.now();
+  const due = store.data.reminders.filter(reminder => Date.parse(reminder.resetAt) <= now);
+  if (due.length === 0) {
+    return 0;
+  }
+
+  store.data.reminders = store.data.reminders.filter(reminder => !due.includes(reminder));
+  store.save();
+
+  let sent = 0;
+  for (const reminder of due) {
+    try {
+      await notify(reminder);
+      sent++;
+    } catch (error) {
+      console.error(`Error sending ${reminder.trader} restock reminder to ${reminder.userId}:`, error);
+    }
+  }
+
+  console.log(`Sent ${sent} of ${due.length} restock reminders`);
+  return sent;
+}
+
+/**
+ * Check for due reminders on an interval
+ * @param {Function} notify - Async callback receiving each due reminder
+ */
+export function startRestockReminders(notify) {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(() => {
+    checkRestockReminders(notify).catch(error => console.error('Error checking restock reminders:', error));
+  }, POLL_INTERVAL);
+  pollTimer.unref();
+}
@@ -0,0 +1,130 @@
+import { guildSettings, userProfiles } from './repositories.js';
+import { DEFAULT_LANGUAGE } from './i18n.js';
+
+// Game modes as the Tarkov API names them; players call "regular" PvP
+export const DEFAULT_GAME_MODE = 'regular';
+
+const GAME_MODE_ALIASES = {
+  pvp: 'regular',
+  regular: 'regular',
+  pve: 'pve',
+};
+
+/**
+ * Parse a game mode as users type it
+ * @param {string} text - "pvp", "pve" or "regular"
+ * @returns {'regular'|'pve'|null} API game mode, or null if unrecognized
+ */
+export function parseGameMode(text) {
+  return GAME_MODE_ALIASES[(text || '').toLowerCase().replace(/^--/, '')] || null;
+}
+
+/**
+ * Format a game mode for display
+ * @param {string} gameMode - API game mode
+ * @returns {string} "PvE" or "PvP"
+ */
+export function formatGameMode(gameMode) {
+  return gameMode === 'pve' ? 'PvE' : 'PvP';
+}
+
+/**
+ * Get a guild's settings
+ * @param {string|null} guildId - Discord guild ID (null in DMs)
+ * @returns {Object} Settings (empty object if none are set)
+ */
+export function getGuildSettings(guildId) {
+  return (guildId && guildSettings.get(guildId)) || {};
+}
+
+/**
+ * Set or clear one guild setting
+ * @param {string} guildId - Discord guild ID
+ * @param {string} key - Setting name
+ * @param {*} value - New value, or null to clear it
+ */
+export function setGuildSetting(guildId, key, value) {
+  guildSettings.save(guildId, updateSettings(guildSettings.get(guildId), key, value));
+}
+
+/**
+ * Get a user's settings
+ * @param {string} userId - Discord user ID
+ * @returns {Object} Settings (empty object if none are set)
+ */
+export function getUserSettings(userId) {
+  return userProfiles.get(userId) || {};
+}
+
+/**
+ * Set or clear one user setting
+ * @param {string} userId - Discord user ID
+ * @param {string} key - Setting name
+ * @param {*} value - New value, or null to clear it
+ */
+export function setUserSetting(userId, key, value) {
+  userProfiles.save(userId, updateSettings(userProfiles.get(userId), key, value));
+}
+
+/**
+ * Return a copy of a settings object with one key set or removed
+ * @param {Object} [settings] - Current settings
+ * @param {string} key - Setting name
+ * @param {*} value - New value, or null to remove it
+ * @returns {Object} Updated settings
+ */
+function updateSettings(settings, key, value) {
+  const updated = { ...settings };
+  if (value === null || value === undefined) {
+    delete updated[key];
+  } else {
+    updated[key] = value;
+  }
+  return updated;
+}
+
+/**
+ * Work out which game mode a command should use
+ * Precedence: one-off flag, then the user's override, then the guild default
+ * @param {string} userId - Discord user ID
+ * @param {string|null} guildId - Discord guild ID
+ * @param {string|null} [override] - Game mode from a --pve/--pvp flag
+ * @returns {'regular'|'pve'} API game mode
+ */
+export function resolveGameMode(userId, guildId, override) {
+  return override ||
+    getUserSettings(userId).gameMode ||
+    getGuildSettings(guildId).gameMode ||
+    DEFAULT_GAME_MODE;
+}
+
+/**
+ * Work out which language a command should answer in
+ * Precedence: the user's setting, then the guild default
+ * @param {string} userId - Discord user ID
+ * @param {string|null} guildId - Discord guild ID
+ * @returns {string} Language code
+ */
+export function resolveLanguage(userId, guildId) {
+  return getUserSettings(userId).language ||
+    getGuildSettings(guildId).language ||
+    DEFAULT_LANGUAGE;
+}
+
+/**
+ * Remove --pve/--pvp flags from command arguments
+ * @param {string[]} args - Command arguments
+ * @returns {{args: string[], gameMode: string|null}} Remaining arguments and the flagged game mode
+ */
+export function extractGameModeFlag(args) {
+  let gameMode = null;
+  const remaining = args.filter(arg => {
+    if (/^--(pve|pvp)$/i.test(arg)) {
+      gameMode = parseGameMode(arg);
+      return false;
+    }
+    return true;
+  });
+
+  return { args: remaining, gameMode };
+}
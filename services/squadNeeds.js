@@ -0,0 +1,116 @@
+import { getItemPrices, getFleaPrice } from '../tarkovApi.js';
+import { getActiveQuests } from './questProgress.js';
+
+/**
+ * @typedef {Object} NeededItem
+ * @property {Object} item - Item (id, name, shortName, iconLink); the first one accepted when there are alternatives
+ * @property {number} alternatives - How many other items the objective also accepts
+ * @property {number} count - Number needed
+ * @property {boolean} foundInRaid - Whether any of them must be found in raid
+ * @property {string[]} quests - Names of the quests that need it
+ */
+
+/**
+ * Collect the items a quest needs handed over or planted
+ * Find and hand-over objectives usually name the same items, so each item is counted
+ * once per quest at its largest count. Optional objectives are left out
+ * @param {Object} quest - Quest from the quest index
+ * @returns {Map<string, NeededItem>} Needed items by key (the IDs of the accepted items)
+ */
+export function getQuestItems(quest) {
+  const needed = new Map();
+
+  for (const objective of quest.objectives || []) {
+    const items = objective.items?.length ? objective.items : [objective.item].filter(Boolean);
+    if (objective.optional || items.length === 0 || !objective.count) continue;
+
+    const key = items.map(item => item.id).sort().join(',');
+    const entry = needed.get(key) || { item: items[0], alternatives: items.length - 1, count: 0, foundInRaid: false, quests: [quest.name] };
+    entry.count = Math.max(entry.count, objective.count);
+    entry.foundInRaid = entry.foundInRaid || Boolean(objective.foundInRaid);
+    needed.set(key, entry);
+  }
+
+  return needed;
+}
+
+/**
+ * Add one set of needed items into a running total
+ * @param {Map<string, NeededItem>} total - Totals by item key, updated in place
+ * @param {Map<string, NeededItem>} items - Items to add
+ */
+function addItems(total, items) {
+  for (const [key, entry] of items) {
+    const current = total.get(key);
+    if (!current) {
+      total.set(key, { ...entry, quests: [...entry.quests] });
+      continue;
+    }
+    current.count += entry.count;
+    current.foundInRaid = current.foundInRaid || entry.foundInRaid;
+    current.quests.push(...entry.quests);
+  }
+}
+
+/**
+ * Work out every item a squad needs for the quests its members are running
+ * Each member's quests are the ones they've started with `!start` and not yet finished,
+ * so members with no active quests are left out. Items are priced at the current flea price
+ * @param {string[]} userIds - Discord user IDs of the squad
+ * @param {Object} options - Index options
+ * @param {'regular'|'pve'} options.gameMode - Game mode
+ * @param {string} options.lang - Language code
+ * @returns {Promise<{items: Object[], members: Object[], missing: string[], questCount: number}>}
+ *   Needed items with `price`, `members` ({userId, count, foundInRaid}) and their totals, most
+ *   valuable first; each member's items ({userId, items}); members with no active quests;
+ *   and how many distinct quests the items are for
+ */
+export async function getSquadNeeds(userIds, options) {
+  const members = [];
+  const missing = [];
+  const questIds = new Set();
+
+  for (const userId of userIds) {
+    const { quests } = await getActiveQuests(userId, options);
+    if (quests.length === 0) {
+      missing.push(userId);
+      continue;
+    }
+
+    const items = new Map();
+    for (const quest of quests) {
+      const questItems = getQuestItems(quest);
+      if (questItems.size > 0) questIds.add(quest.id);
+      addItems(items, questItems);
+    }
+    members.push({ userId, items });
+  }
+
+  const byItem = new Map();
+  for (const { userId, items } of members) {
+    for (const [key, entry] of items) {
+      const squadEntry = byItem.get(key) || { ...entry, count: 0, foundInRaid: false, quests: [], members: [] };
+      squadEntry.count += entry.count;
+      squadEntry.foundInRaid = squadEntry.foundInRaid || entry.foundInRaid;
+      squadEntry.quests = [...new Set([...squadEntry.quests, ...entry.quests])];
+      squadEntry.members.push({ userId, count: entry.count, foundInRaid: entry.foundInRaid, quests: entry.quests });
+      byItem.set(key, squadEntry);
+    }
+  }
+
+  const ids = [...byItem.values()].map(entry => entry.item.id);
+  const prices = ids.length > 0 ? await getItemPrices(ids, options) : new Map();
+  const priceOf = entry => getFleaPrice(prices.get(entry.item.id));
+
+  const value = entry => (entry.price ?? 0) * entry.count;
+  const withPrices = entries => entries
+    .map(entry => ({ ...entry, price: priceOf(entry) }))
+    .sort((a, b) => value(b) - value(a) || a.item.name.localeCompare(b.item.name));
+
+  return {
+    items: withPrices([...byItem.values()]),
+    members: members.map(({ userId, items }) => ({ userId, items: withPrices([...items.values()]) })),
+    missing,
+    questCount: questIds.size,
+  };
+}
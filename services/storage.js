@@ -0,0 +1,277 @@
+import { existsSync, mkdirSync, readFileSync } from 'fs';
+import { rename, writeFile } from 'fs/promises';
+import { createRequire } from 'module';
+import path from 'path';
+import { MIGRATIONS } from './migrations.js';
+
+// Where persistent bot data lives unless DATA_DIR says otherwise; point DATA_DIR at a mounted volume in production
+const DEFAULT_DATA_DIR = './data';
+
+// sqlite needs Node's built-in node:sqlite (Node 23); json and memory work everywhere
+const BACKENDS = ['sqlite', 'json', 'memory'];
+const DEFAULT_BACKEND = 'sqlite';
+
+// Migration bookkeeping lives alongside the data it describes
+const META_COLLECTION = 'meta';
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+let storage = null;
+
+/**
+ * @typedef {Object} Storage
+ * A document store: JSON values grouped into collections and addressed by key
+ * @property {string} backend - Backend name
+ * @property {function(string, string): *} get - Get a value by collection and key (undefined if missing)
+ * @property {function(string, string, *): void} set - Store a value
+ * @property {function(string, string): boolean} delete - Remove a value, returning whether it existed
+ * @property {function(string): Array<[string, *]>} entries - Every key and value in a collection
+ * @property {function(Function): *} transaction - Run a function so all its writes land together
+ * @property {function(): Promise<void>} flush - Wait until every write so far has reached disk
+ * @property {function(): void} close - Release the backend
+ */
+
+/**
+ * Open a SQLite-file backend
+ * Every collection shares one table of JSON documents, so adding a collection needs no schema change
+ * @param {string} filePath - Database file
+ * @returns {Storage} Storage backend
+ */
+function openSqliteStorage(filePath) {
+  // Loaded on demand so older Node versions can still run the other backends
+  const { DatabaseSync } = createRequire(import.meta.url)('node:sqlite');
+
+  mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new DatabaseSync(filePath);
+  db.exec('PRAGMA journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS documents (
+    collection TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (collection, key)
+  )`);
+
+  const selectOne = db.prepare('SELECT value FROM documents WHERE collection = ? AND key = ?');
+  const selectAll = db.prepare('SELECT key, value FROM documents WHERE collection = ? ORDER BY key');
+  const upsert = db.prepare(`INSERT INTO documents (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`);
+  const remove = db.prepare('DELETE FROM documents WHERE collection = ? AND key = ?');
+
+  return {
+    backend: 'sqlite',
+    get(collection, key) {
+      const row = selectOne.get(collection, key);
+      return row ? JSON.parse(row.value) : undefined;
+    },
+    set(collection, key, value) {
+      upsert.run(collection, key, JSON.stringify(value), Date.now());
+    },
+    delete(collection, key) {
+      return remove.run(collection, key).changes > 0;
+    },
+    entries(collection) {
+      return selectAll.all(collection).map(row => [row.key, JSON.parse(row.value)]);
+    },
+    transaction(fn) {
+      db.exec('BEGIN');
+      try {
+        const result = fn();
+        db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    },
+    flush: () => Promise.resolve(),
+    close() {
+      db.close();
+    },
+  };
+}
+
+/**
+ * Open an in-memory backend
+ * Nothing survives a restart, which makes it the backend for tests
+ * @param {Function} [onChange] - Called after every write
+ * @param {Object} [initial] - Starting data as { [collection]: { [key]: value } }
+ * @returns {Storage} Storage backend
+ */
+function openMemoryStorage(onChange = () => {}, initial = {}) {
+  // Values are kept as JSON text so callers never share references with the store,
+  // matching what the file backends hand back
+  const collections = new Map(Object.entries(initial).map(([name, values]) =>
+    [name, new Map(Object.entries(values).map(([key, value]) => [key, JSON.stringify(value)]))]));
+
+  /**
+   * Get a collection's map, creating it if needed
+   * @param {string} name - Collection name
+   * @returns {Map<string, string>} Values as JSON text by key
+   */
+  function collection(name) {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  }
+
+  return {
+    backend: 'memory',
+    get(name, key) {
+      const value = collections.get(name)?.get(key);
+      return value === undefined ? undefined : JSON.parse(value);
+    },
+    set(name, key, value) {
+      collection(name).set(key, JSON.stringify(value));
+      onChange();
+    },
+    delete(name, key) {
+      const existed = collections.get(name)?.delete(key) || false;
+      if (existed) onChange();
+      return existed;
+    },
+    entries(name) {
+      return [...(collections.get(name) || [])]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, value]) => [key, JSON.parse(value)]);
+    },
+    transaction(fn) {
+      return fn();
+    },
+    flush: () => Promise.resolve(),
+    close() {},
+    /**
+     * Export every collection as plain data
+     * @returns {Object} Data as { [collection]: { [key]: value } }
+     */
+    dump() {
+      return Object.fromEntries([...collections].map(([name, values]) =>
+        [name, Object.fromEntries([...values].map(([key, value]) => [key, JSON.parse(value)]))]));
+    },
+  };
+}
+
+/**
+ * Open a JSON-file backend
+ * Data is loaded synchronously on open and the whole file is rewritten atomically after changes
+ * @param {string} filePath - JSON file
+ * @returns {Storage} Storage backend
+ */
+function openJsonStorage(filePath) {
+  let initial = {};
+  if (existsSync(filePath)) {
+    initial = JSON.parse(readFileSync(filePath, 'utf8'));
+  }
+
+  // Writes are chained so they never interleave, and a burst of changes becomes one write
+  let pending = Promise.resolve();
+  let queued = false;
+
+  /**
+   * Schedule a write of the current data
+   */
+  function scheduleSave() {
+    if (queued) return;
+    queued = true;
+    pending = pending
+      .then(async () => {
+        queued = false;
+        mkdirSync(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        await writeFile(tempPath, JSON.stringify(memory.dump(), null, 2));
+        await rename(tempPath, filePath);
+      })
+      .catch(error => {
+        console.error(`Error saving storage to ${filePath}:`, error);
+      });
+  }
+
+  const memory = openMemoryStorage(scheduleSave, initial);
+  return { ...memory, backend: 'json', flush: () => pending };
+}
+
+/**
+ * Bring a backend's data up to the latest schema
+ * Each migration runs once, in version order, and the version it reached is recorded in the meta collection
+ * @param {Storage} target - Storage to migrate
+ * @param {Object} [options] - Migration options
+ * @param {string|null} [options.dataDir] - Data directory, for migrations that import old files (null to skip them)
+ * @param {Migration[]} [options.migrations] - Migrations to apply (default MIGRATIONS)
+ * @returns {number} Number of migrations applied
+ */
+export function runMigrations(target, { dataDir = null, migrations = MIGRATIONS } = {}) {
+  const current = target.get(META_COLLECTION, SCHEMA_VERSION_KEY) || 0;
+  const pending = migrations
+    .filter(migration => migration.version > current)
+    .sort((a, b) => a.version - b.version);
+
+  for (const migration of pending) {
+    target.transaction(() => {
+      migration.up(target, { dataDir });
+      target.set(META_COLLECTION, SCHEMA_VERSION_KEY, migration.version);
+    });
+    console.log(`Applied storage migration ${migration.version}: ${migration.name}`);
+  }
+
+  return pending.length;
+}
+
+/**
+ * Open a storage backend and migrate it
+ * @param {Object} [options] - Storage options
+ * @param {'sqlite'|'json'|'memory'} [options.backend] - Backend (default STORAGE_BACKEND, then sqlite)
+ * @param {string} [options.dataDir] - Directory for the database file (default DATA_DIR, then ./data)
+ * @returns {Storage} Migrated storage
+ * @throws {Error} If the backend name is unknown
+ */
+export function openStorage({
+  backend = process.env.STORAGE_BACKEND || DEFAULT_BACKEND,
+  dataDir = process.env.DATA_DIR || DEFAULT_DATA_DIR,
+} = {}) {
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown storage backend "${backend}", expected one of: ${BACKENDS.join(', ')}`);
+  }
+
+  let opened;
+  if (backend === 'sqlite') {
+    try {
+      opened = openSqliteStorage(path.join(dataDir, 'bot.db'));
+    } catch (error) {
+      // Node versions without node:sqlite still get persistence
+      console.error('SQLite storage unavailable, falling back to JSON:', error.message);
+      backend = 'json';
+    }
+  }
+  if (backend === 'json') {
+    opened = openJsonStorage(path.join(dataDir, 'storage.json'));
+  }
+  if (backend === 'memory') {
+    opened = openMemoryStorage();
+  }
+
+  // Memory storage starts empty rather than importing files from the data directory
+  const persistent = opened.backend !== 'memory';
+  console.log(`Opened ${opened.backend} storage${persistent ? ` in ${dataDir}` : ''}`);
+  runMigrations(opened, { dataDir: persistent ? dataDir : null });
+  return opened;
+}
+
+/**
+ * Get the bot's storage, opening it on first use
+ * @returns {Storage} Shared storage
+ */
+export function getStorage() {
+  if (!storage) {
+    storage = openStorage();
+  }
+  return storage;
+}
+
+/**
+ * Replace the bot's storage, e.g. with a memory backend in tests
+ * @param {Storage|null} replacement - Storage to use, or null to reopen the default on next use
+ */
+export function setStorage(replacement) {
+  storage?.close();
+  storage = replacement;
+}
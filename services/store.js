@@ -0,0 +1,35 @@
+import { stores } from './repositories.js';
+
+/**
+ * Create a store for a feature's data, kept as one document in storage
+ * Data is loaded synchronously on creation and written back whole on save
+ * @param {string} name - Store name, used as the document ID
+ * @param {Object} defaults - Initial data when nothing is stored yet
+ * @returns {{data: Object, save: Function}} Store with mutable data and a save function
+ */
+export function createStore(name, defaults) {
+  let data = structuredClone(defaults);
+
+  try {
+    const stored = stores.get(name);
+    if (stored) {
+      data = { ...data, ...stored };
+      console.log(`Loaded ${name} store`);
+    }
+  } catch (error) {
+    console.error(`Error loading ${name} store, starting empty:`, error);
+  }
+
+  /**
+   * Write the current data to storage
+   */
+  function save() {
+    try {
+      stores.save(name, data);
+    } catch (error) {
+      console.error(`Error saving ${name} store:`, error);
+    }
+  }
+
+  return { data, save };
+}
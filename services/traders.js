@@ -0,0 +1,70 @@
+import { fetchTraders, fetchTraderResets } from '../tarkovApi.js';
+import { getQuests } from './questIndex.js';
+import { rankMatches } from '../utils/fuzzy.js';
+
+/**
+ * Find a trader by name, tolerating typos
+ * @param {string} query - Trader name the user typed
+ * @param {Object} [options] - Lookup options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode
+ * @param {string} [options.lang] - Language for trader names
+ * @returns {Promise<{trader: Object|null, traders: Object[]}>} The best match (or null) and every trader
+ */
+export async function findTrader(query, options = {}) {
+  const traders = await fetchTraders(options);
+  const [best] = rankMatches(traders, query, trader => [trader.name, trader.normalizedName.replace(/-/g, ' ')], { limit: 1 });
+  return { trader: best?.item || null, traders };
+}
+
+/**
+ * Get when each trader next restocks
+ * Traders that don't restock (such as the Fence) are left out
+ * @param {Object} [options] - Lookup options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode
+ * @param {string} [options.lang] - Language for trader names
+ * @returns {Promise<Array<{trader: Object, resetAt: Date}>>} Restocks, soonest first
+ */
+export async function getRestocks(options = {}) {
+  const traders = await fetchTraderResets(options);
+
+  return traders
+    .filter(trader => trader.resetTime && !Number.isNaN(Date.parse(trader.resetTime)))
+    .map(trader => ({ trader, resetAt: new Date(trader.resetTime) }))
+    .sort((a, b) => a.resetAt - b.resetAt);
+}
+
+/**
+ * Work out what each of a trader's loyalty levels unlocks
+ * Offers are listed at the first level they appear; offers a quest unlocks are listed
+ * with that quest instead, taken from the quests' offerUnlock rewards
+ * @param {Object} trader - Trader from fetchTraders
+ * @param {Object} options - Index options
+ * @param {'regular'|'pve'} options.gameMode - Game mode
+ * @param {string} options.lang - Language code
+ * @returns {Promise<Object[]>} Levels with `offers` (cash offers new at that level, priciest
+ *   first), `barterCount` and `questUnlocks` ({item, quest})
+ */
+export async function getLoyaltyUnlocks(trader, options) {
+  const quests = await getQuests(options);
+
+  const questUnlocks = quests.flatMap(quest => (quest.finishRewards?.offerUnlock || [])
+    .filter(unlock => unlock.trader?.normalizedName === trader.normalizedName)
+    .map(unlock => ({ item: unlock.item, level: unlock.level, quest })));
+
+  const seen = new Set();
+  return [...trader.levels]
+    .sort((a, b) => a.level - b.level)
+    .map(level => {
+      const offers = (level.cashOffers || [])
+        .filter(offer => !offer.taskUnlock && !seen.has(offer.item.id))
+        .sort((a, b) => (b.priceRUB || 0) - (a.priceRUB || 0));
+      (level.cashOffers || []).forEach(offer => seen.add(offer.item.id));
+
+      return {
+        ...level,
+        offers,
+        barterCount: (level.barters || []).length,
+        questUnlocks: questUnlocks.filter(unlock => unlock.level === level.level),
+      };
+    });
+}
@@ -0,0 +1,89 @@
+import fetch from 'node-fetch';
+import * as cheerio from 'cheerio';
+import { getCachedQuery, setCachedQuery, STATIC_TTL } from './cache.js';
+
+// A page that couldn't be read is retried sooner than a read one is refreshed
+const WIKI_RETRY_TTL = 3600; // 1 hour
+const MAX_LOOT_ENTRIES = 10;
+
+/**
+ * Fetch a web page's HTML with a short timeout
+ * @param {string} url - Page URL
+ * @returns {Promise<string|null>} HTML, or null if the page could not be fetched
+ */
+export async function fetchPage(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+
+  try {
+    const response = await fetch(url, {
+      signal: controller.signal,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; TarkovBot/1.0)'
+      }
+    });
+
+    if (!response.ok) {
+      console.error(`Wiki fetch failed: ${response.status}`);
+      return null;
+    }
+    return await response.text();
+  } catch (error) {
+    console.error(`Error fetching ${url}:`, error.name === 'AbortError' ? 'timeout' : error.message);
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Collect the text under one section of a wiki page, up to the next heading of its level
+ * @param {CheerioAPI} $ - Loaded page
+ * @param {string} id - Section anchor, e.g. "Behind_the_lock"
+ * @returns {{paragraphs: string[], items: string[]}|null} Paragraph and list item text, or null if the page has no such section
+ */
+function readSection($, id) {
+  const anchor = $(`[id="${id}"]`).first();
+  if (anchor.length === 0) return null;
+
+  const heading = anchor.is('h2, h3') ? anchor : anchor.closest('h2, h3');
+  const level = heading.prop('tagName')?.toLowerCase() || 'h2';
+  const content = heading.nextUntil(level === 'h3' ? 'h2, h3' : 'h2');
+  const text = elem => $(elem).text().replace(/\s+/g, ' ').trim();
+
+  return {
+    paragraphs: content.filter('p').toArray().map(text).filter(Boolean),
+    items: content.find('li').add(content.filter('li')).toArray().map(text).filter(Boolean),
+  };
+}
+
+/**
+ * Get where a key's lock is and what's behind it, from the key's wiki page
+ * Either part is null when the page doesn't say. Results are cached
+ * @param {Object} key - Key from fetchKeys (needs id and wikiLink)
+ * @returns {Promise<{location: string|null, loot: string[]|null}>} Lock location and loot
+ */
+export async function getKeyWikiInfo(key) {
+  if (!key?.wikiLink) return { location: null, loot: null };
+
+  const cacheKey = `key-wiki:${key.id}`;
+  const cached = getCachedQuery(cacheKey);
+  if (cached !== undefined) return cached;
+
+  const html = await fetchPage(key.wikiLink);
+  let info = { location: null, loot: null };
+
+  if (html) {
+    const $ = cheerio.load(html);
+    const location = readSection($, 'Location');
+    const loot = readSection($, 'Behind_the_lock');
+    const lootEntries = loot && (loot.items.length > 0 ? loot.items : loot.paragraphs);
+    info = {
+      location: location?.paragraphs.join('\n') || location?.items.join('\n') || null,
+      loot: lootEntries?.length > 0 ? lootEntries.slice(0, MAX_LOOT_ENTRIES) : null,
+    };
+  }
+
+  setCachedQuery(cacheKey, info, html ? STATIC_TTL : WIKI_RETRY_TTL);
+  return info;
+}
@@ -0,0 +1,181 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { getCommands, getCommand, hasPermission, resolveCommandContext } from './commandRegistry.js';
+import { suggestItems, suggestQuests } from './services/nameIndex.js';
+import { resolveLanguage } from './services/settings.js';
+import { t } from './services/i18n.js';
+
+// Name indexes available to arguments declaring `autocomplete`
+const AUTOCOMPLETE_SOURCES = {
+  items: suggestItems,
+  quests: suggestQuests,
+};
+
+// Slash equivalent of the --pve/--pvp flag, added to every slash command
+const GAME_MODE_OPTION = 'mode';
+
+/**
+ * Build a slash command definition from a registered command's argument schema
+ * @param {Command} command - Command definition
+ * @returns {Object} Slash command JSON
+ */
+function buildSlashCommand(command) {
+  const builder = new SlashCommandBuilder()
+    .setName(command.name)
+    .setDescription(command.description.substring(0, 100));
+
+  for (const arg of command.args || []) {
+    const configure = option => {
+      option
+        .setName(arg.name)
+        .setDescription(arg.description.substring(0, 100))
+        .setRequired(Boolean(arg.required));
+
+      if (arg.choices) {
+        option.addChoices(...arg.choices.map(choice => ({ name: choice, value: choice })));
+      } else if (arg.autocomplete) {
+        option.setAutocomplete(true);
+      }
+
+      return option;
+    };
+
+    if (arg.type === 'integer') {
+      builder.addIntegerOption(configure);
+    } else if (arg.type === 'boolean') {
+      builder.addBooleanOption(configure);
+    } else {
+      builder.addStringOption(configure);
+    }
+  }
+
+  builder.addStringOption(option => option
+    .setName(GAME_MODE_OPTION)
+    .setDescription('Game mode for this lookup (defaults to your !mode setting)')
+    .addChoices({ name: 'PvP', value: 'pvp' }, { name: 'PvE', value: 'pve' }));
+
+  return builder.toJSON();
+}
+
+/**
+ * Register application commands with Discord
+ * Registers to a single guild when DEV_GUILD_ID is set (instant), otherwise globally
+ * @param {Client} client - Ready Discord client
+ * @returns {Promise<void>}
+ */
+export async function registerSlashCommands(client) {
+  const definitions = getCommands()
+    .filter(command => command.slash)
+    .map(buildSlashCommand);
+  const guildId = process.env.DEV_GUILD_ID;
+
+  if (guildId) {
+    await client.application.commands.set(definitions, guildId);
+    console.log(`✅ Registered ${definitions.length} slash commands to guild ${guildId}`);
+  } else {
+    await client.application.commands.set(definitions);
+    console.log(`✅ Registered ${definitions.length} slash commands globally`);
+  }
+}
+
+/**
+ * Wrap an interaction so it can be passed to message-based command handlers
+ * Replies support edit and component collectors, like a sent Message
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ * @returns {Object} Message-like object with reply, author, guild, channel and channelId
+ */
+function createInteractionMessage(interaction) {
+  return {
+    author: interaction.user,
+    member: interaction.member,
+    guild: interaction.guild,
+    channelId: interaction.channelId,
+    channel: {
+      send: (options) => interaction.followUp(options),
+    },
+    // The interaction is deferred before the handler runs, so its reply fills in the deferred response
+    reply: async (options) => {
+      const response = await interaction.editReply(options);
+      return {
+        edit: (editOptions) => interaction.editReply(editOptions),
+        createMessageComponentCollector: (collectorOptions) => response.createMessageComponentCollector(collectorOptions),
+      };
+    },
+  };
+}
+
+/**
+ * Rebuild prefix-style arguments from slash command options, in schema order
+ * Flag arguments and the game mode option are passed on as trailing --flags
+ * @param {Command} command - Command definition
+ * @param {ChatInputCommandInteraction} interaction - Discord interaction
+ * @returns {string[]} Command arguments
+ */
+function getInteractionArgs(command, interaction) {
+  const args = (command.args || []).flatMap(arg => {
+    const value = interaction.options.get(arg.name)?.value;
+    if (value === undefined || value === null) return [];
+
+    if (arg.type === 'boolean') return value ? [`--${arg.name}`] : [];
+
+    const text = `${value}`.trim();
+    if (arg.flag) return [`--${arg.name}`, text];
+    return arg.rest ? text.split(/ +/) : [text];
+  });
+
+  const gameMode = interaction.options.getString(GAME_MODE_OPTION);
+  return gameMode ? [...args, `--${gameMode}`] : args;
+}
+
+/**
+ * Handle slash command and autocomplete interactions
+ * @param {Interaction} interaction - Discord interaction
+ */
+export async function handleInteraction(interaction) {
+  if (interaction.isAutocomplete()) {
+    const command = getCommand(interaction.commandName);
+    const focused = interaction.options.getFocused(true);
+    const arg = command?.args?.find(a => a.name === focused.name);
+    const suggest = AUTOCOMPLETE_SOURCES[arg?.autocomplete];
+
+    try {
+      const { context } = resolveCommandContext(createInteractionMessage(interaction), []);
+      await interaction.respond(suggest ? suggest(focused.value, context) : []);
+    } catch (error) {
+      console.error('Error responding to autocomplete:', error);
+    }
+    return;
+  }
+
+  if (!interaction.isChatInputCommand()) return;
+
+  const command = getCommand(interaction.commandName);
+  if (!command?.slash) return;
+
+  console.log(`Processing slash command: /${interaction.commandName} from ${interaction.user.tag}`);
+
+  const message = createInteractionMessage(interaction);
+  const lang = resolveLanguage(interaction.user.id, interaction.guild?.id || null);
+
+  try {
+    if (!hasPermission(message, command)) {
+      await interaction.reply({ content: t(lang, 'registry.noPermission'), ephemeral: true });
+      return;
+    }
+
+    // Handlers can await API calls before their first reply; deferring gives them
+    // 15 minutes instead of Discord's 3 second response window
+    await interaction.deferReply();
+    const { args, context } = resolveCommandContext(message, getInteractionArgs(command, interaction));
+    await command.execute(message, args, context);
+  } catch (error) {
+    console.error('Error handling slash command:', error);
+    const reply = { content: t(lang, 'common.commandFailed') };
+    if (interaction.replied) {
+      await interaction.followUp(reply);
+    } else if (interaction.deferred) {
+      await interaction.editReply(reply);
+    } else {
+      await interaction.reply(reply);
+    }
+  }
+}
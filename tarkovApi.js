@@ -1,130 +1,445 @@
-import fetch from 'node-fetch';
+import { graphqlRequest } from './services/graphql.js';
+import { NotFoundError } from './services/errors.js';
+import { getCachedQuery, setCachedQuery, withQueryCache, getPriceTTL, STATIC_TTL } from './services/cache.js';
+import { DEFAULT_GAME_MODE } from './services/settings.js';
+import { t, DEFAULT_LANGUAGE } from './services/i18n.js';
 
-const TARKOV_API_URL = 'https://api.tarkov.dev/graphql';
+// Barter recipes; input and output prices are looked up separately so they stay current
+const BARTER_FIELDS = `
+  id
+  trader {
+    name
+    normalizedName
+  }
+  level
+  taskUnlock {
+    id
+    name
+  }
+  requiredItems {
+    item {
+      id
+      name
+      shortName
+    }
+    count
+  }
+  rewardItems {
+    item {
+      id
+      name
+      shortName
+    }
+    count
+  }
+`;
+
+// Fields that only change with game patches, cached for STATIC_TTL
+const ITEM_STATIC_FIELDS = `
+  id
+  name
+  shortName
+  description
+  basePrice
+  width
+  height
+  types
+  wikiLink
+  iconLink
+  usedInTasks {
+    id
+    name
+    trader {
+      name
+    }
+    minPlayerLevel
+  }
+  receivedFromTasks {
+    id
+    name
+    trader {
+      name
+    }
+    minPlayerLevel
+  }
+  craftsFor {
+    station {
+      name
+    }
+    level
+    duration
+    requiredItems {
+      item {
+        name
+      }
+      count
+    }
+    rewardItems {
+      item {
+        name
+      }
+      count
+    }
+  }
+  craftsUsing {
+    station {
+      name
+    }
+    level
+    duration
+    requiredItems {
+      item {
+        name
+      }
+      count
+    }
+    rewardItems {
+      item {
+        name
+      }
+      count
+    }
+  }
+  bartersFor {
+    ${BARTER_FIELDS}
+  }
+  bartersUsing {
+    ${BARTER_FIELDS}
+  }
+`;
+
+// Fields that follow the flea market, cached until the next price update
+const ITEM_PRICE_FIELDS = `
+  avg24hPrice
+  lastLowPrice
+  updated
+  sellFor {
+    vendor {
+      name
+      normalizedName
+    }
+    price
+    currency
+    priceRUB
+  }
+  buyFor {
+    vendor {
+      name
+      normalizedName
+      ... on TraderOffer {
+        minTraderLevel
+        taskUnlock {
+          id
+          name
+        }
+      }
+      ... on FleaMarket {
+        minPlayerLevel
+      }
+    }
+    price
+    currency
+    priceRUB
+  }
+`;
+
+const PRICE_FIELD_NAMES = ['avg24hPrice', 'lastLowPrice', 'updated', 'sellFor', 'buyFor'];
+
+const MAX_IDS_PER_QUERY = 100;
+const SEARCH_LIMIT = 5;
+const PRICED_LIST_TTL = 300; // Ammo and craft lists carry prices, refreshed every 5 minutes like other prices
+const RESET_TTL = 60; // Restock times move on every restock, so recheck them each minute
+
+// Flea market fee constants (see getFleaFee)
+const FLEA_TAX_OFFER = 0.03;
+const FLEA_TAX_REQUIREMENT = 0.03;
+
+/**
+ * Build the cache key for part of an item's data
+ * Names and descriptions depend on the language and prices on the game mode,
+ * so both are part of every key
+ * @param {'static'|'price'} part - Which part of the item data
+ * @param {string} id - Item ID
+ * @param {Object} options - Lookup options
+ * @param {'regular'|'pve'} options.gameMode - Game mode
+ * @param {string} options.lang - Language code
+ * @returns {string} Cache key
+ */
+function itemCacheKey(part, id, { gameMode, lang }) {
+  return `item:${part}:${gameMode}:${lang}:${id}`;
+}
 
 /**
  * Query the Tarkov API for item information
+ * Static and price data are cached separately, so repeat lookups only refetch
+ * prices once they are due for an update. PvP and PvE have separate economies,
+ * so prices are cached per game mode and each result is tagged with its `gameMode`.
+ * Names are matched in the requested language, then in English, and results are
+ * returned in the requested language (tagged with `lang`)
  * @param {string} itemName - The name of the item to search for
+ * @param {Object} [options] - Search options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode to fetch prices for
+ * @param {string} [options.lang] - Language for names and descriptions
+ * @returns {Promise<Object[]>} Matching items including prices, quests, and trader info
+ * @throws {NotFoundError} If no items match
+ */
+export async function searchItem(itemName, { gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  const options = { gameMode, lang };
+  const searchKey = `items:search:${gameMode}:${lang}:${itemName.toLowerCase().trim()}`;
+  const cachedIds = getCachedQuery(searchKey);
+
+  if (cachedIds) {
+    const statics = cachedIds.map(id => getCachedQuery(itemCacheKey('static', id, options)));
+
+    if (statics.every(Boolean)) {
+      let prices = cachedIds.map(id => getCachedQuery(itemCacheKey('price', id, options)));
+
+      if (!prices.every(Boolean)) {
+        const freshPrices = await fetchItemPrices(cachedIds, options);
+        prices = cachedIds.map(id => freshPrices.find(price => price.id === id) || {});
+      }
+
+      return statics.map((item, idx) => ({ ...item, ...prices[idx], gameMode, lang }));
+    }
+  }
+
+  // Outside English, also search English names in the same request so
+  // players can use either
+  const englishSearch = lang === DEFAULT_LANGUAGE
+    ? ''
+    : `english: items(name: $name, limit: ${SEARCH_LIMIT}, gameMode: $gameMode, lang: ${DEFAULT_LANGUAGE}) { id }`;
+
+  const query = `
+    query SearchItem($name: String!, $gameMode: GameMode, $lang: LanguageCode) {
+      items(name: $name, limit: ${SEARCH_LIMIT}, gameMode: $gameMode, lang: $lang) {
+        ${ITEM_STATIC_FIELDS}
+        ${ITEM_PRICE_FIELDS}
+      }
+      ${englishSearch}
+    }
+  `;
+
+  const data = await graphqlRequest(query, { name: itemName, gameMode, lang });
+
+  // The API's name search is fuzzy, so surface an exact name match first
+  const items = sortExactMatchFirst(data.items || [], itemName, item => [item.name, item.shortName]);
+
+  const englishIds = (data.english || [])
+    .map(item => item.id)
+    .filter(id => !items.some(item => item.id === id))
+    .slice(0, SEARCH_LIMIT - items.length);
+
+  if (englishIds.length > 0) {
+    items.push(...await fetchItemsById(englishIds, options));
+  }
+
+  if (items.length === 0) {
+    throw new NotFoundError(t(lang, 'errors.itemNotFound', { query: itemName }));
+  }
+
+  items.forEach(item => cacheItem(item, options));
+  setCachedQuery(searchKey, items.map(item => item.id), STATIC_TTL);
+
+  return items.map(item => ({ ...item, gameMode, lang }));
+}
+
+/**
+ * Look up a single item by ID, using the same cache as searchItem
+ * @param {string} id - Item ID
+ * @param {Object} [options] - Lookup options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode to fetch prices for
+ * @param {string} [options.lang] - Language for names and descriptions
  * @returns {Promise<Object>} Item data including prices, quests, and trader info
+ * @throws {NotFoundError} If the item does not exist
  */
-export async function searchItem(itemName) {
+export async function getItemById(id, { gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  const options = { gameMode, lang };
+  const staticData = getCachedQuery(itemCacheKey('static', id, options));
+
+  if (staticData) {
+    const price = getCachedQuery(itemCacheKey('price', id, options)) || (await fetchItemPrices([id], options))[0];
+    return { ...staticData, ...price, gameMode, lang };
+  }
+
+  const [item] = await fetchItemsById([id], options);
+
+  if (!item) {
+    throw new NotFoundError(t(lang, 'errors.itemIdNotFound', { id }));
+  }
+
+  cacheItem(item, options);
+  return { ...item, gameMode, lang };
+}
+
+/**
+ * Fetch full item data (static and price fields) by ID, bypassing the cache
+ * @param {string[]} ids - Item IDs, at most MAX_IDS_PER_QUERY
+ * @param {Object} options - Fetch options
+ * @param {'regular'|'pve'} options.gameMode - Game mode
+ * @param {string} options.lang - Language code
+ * @returns {Promise<Object[]>} Items found
+ */
+async function fetchItemsById(ids, { gameMode, lang }) {
   const query = `
-    query SearchItem($name: String!) {
-      items(name: $name, limit: 5) {
+    query ItemsById($ids: [ID], $gameMode: GameMode, $lang: LanguageCode) {
+      items(ids: $ids, gameMode: $gameMode, lang: $lang) {
+        ${ITEM_STATIC_FIELDS}
+        ${ITEM_PRICE_FIELDS}
+      }
+    }
+  `;
+
+  const data = await graphqlRequest(query, { ids, gameMode, lang });
+  return data.items || [];
+}
+
+/**
+ * Fetch current prices for items by ID and cache them
+ * Large ID lists are split into batches of MAX_IDS_PER_QUERY
+ * @param {string[]} ids - Item IDs
+ * @param {Object} [options] - Fetch options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode to fetch prices for
+ * @param {string} [options.lang] - Language for trader names
+ * @returns {Promise<Object[]>} Price data for each item found
+ */
+export async function fetchItemPrices(ids, { gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  const query = `
+    query ItemPrices($ids: [ID], $gameMode: GameMode, $lang: LanguageCode) {
+      items(ids: $ids, gameMode: $gameMode, lang: $lang) {
         id
-        name
-        shortName
-        description
-        basePrice
-        avg24hPrice
-        updated
-        types
-        wikiLink
-        iconLink
-        sellFor {
-          vendor {
-            name
-          }
-          price
-          currency
-          priceRUB
-        }
-        buyFor {
-          vendor {
-            name
-          }
-          price
-          currency
-          priceRUB
-        }
-        usedInTasks {
-          id
-          name
-          trader {
-            name
-          }
-          minPlayerLevel
-        }
-        receivedFromTasks {
-          id
-          name
-          trader {
-            name
-          }
-          minPlayerLevel
-        }
-        craftsFor {
-          station {
-            name
-          }
-          level
-          duration
-          requiredItems {
-            item {
-              name
-            }
-            count
-          }
-          rewardItems {
-            item {
-              name
-            }
-            count
-          }
-        }
-        craftsUsing {
-          station {
-            name
-          }
-          level
-          duration
-          requiredItems {
-            item {
-              name
-            }
-            count
-          }
-          rewardItems {
-            item {
-              name
-            }
-            count
-          }
-        }
-        bartersFor {
-          trader {
-            name
-          }
-          level
-        }
+        ${ITEM_PRICE_FIELDS}
       }
     }
   `;
 
-  try {
-    const response = await fetch(TARKOV_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        query,
-        variables: { name: itemName },
-      }),
-    });
-
-    const data = await response.json();
-    
-    if (data.errors) {
-      console.error('GraphQL errors:', data.errors);
-      return null;
+  const prices = [];
+  for (let i = 0; i < ids.length; i += MAX_IDS_PER_QUERY) {
+    const data = await graphqlRequest(query, { ids: ids.slice(i, i + MAX_IDS_PER_QUERY), gameMode, lang });
+    prices.push(...(data.items || []));
+  }
+
+  prices.forEach(price => {
+    setCachedQuery(itemCacheKey('price', price.id, { gameMode, lang }), price, getPriceTTL(price.updated));
+  });
+
+  return prices;
+}
+
+/**
+ * Get current prices for items by ID, fetching only those not already cached
+ * @param {string[]} ids - Item IDs
+ * @param {Object} [options] - Lookup options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode to fetch prices for
+ * @param {string} [options.lang] - Language for trader names
+ * @returns {Promise<Map<string, Object>>} Price data by item ID (items the API doesn't know are left out)
+ */
+export async function getItemPrices(ids, { gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  const options = { gameMode, lang };
+  const prices = new Map();
+  const missing = [];
+
+  for (const id of new Set(ids)) {
+    const cached = getCachedQuery(itemCacheKey('price', id, options));
+    if (cached) {
+      prices.set(id, cached);
+    } else {
+      missing.push(id);
+    }
+  }
+
+  if (missing.length > 0) {
+    for (const price of await fetchItemPrices(missing, options)) {
+      prices.set(price.id, price);
     }
+  }
+
+  return prices;
+}
 
-    return data.data.items;
-  } catch (error) {
-    console.error('Error fetching from Tarkov API:', error);
-    return null;
+/**
+ * Split an item into its static and price fields and cache both
+ * @param {Object} item - Item data from the Tarkov API
+ * @param {Object} options - Game mode and language the item was fetched for
+ */
+function cacheItem(item, options) {
+  const staticData = {};
+  const priceData = { id: item.id };
+
+  for (const [field, value] of Object.entries(item)) {
+    if (PRICE_FIELD_NAMES.includes(field)) {
+      priceData[field] = value;
+    } else {
+      staticData[field] = value;
+    }
   }
+
+  setCachedQuery(itemCacheKey('static', item.id, options), staticData, STATIC_TTL);
+  setCachedQuery(itemCacheKey('price', item.id, options), priceData, getPriceTTL(item.updated));
+}
+
+/**
+ * Get an item's current flea price
+ * Uses the lowest current offer, falling back to the 24h average
+ * @param {Object} item - Item or price data from the Tarkov API
+ * @returns {number|null} Price in roubles, or null if the item isn't on the flea
+ */
+export function getFleaPrice(item) {
+  return item?.lastLowPrice || item?.avg24hPrice || null;
+}
+
+/**
+ * Get the cheapest price to buy an item from a trader or the flea
+ * @param {Object} item - Item or price data with buyFor offers
+ * @returns {number|null} Price in roubles, or null if it can't be bought
+ */
+export function getCheapestBuyPrice(item) {
+  const prices = (item?.buyFor || []).map(offer => offer.priceRUB).filter(price => price > 0);
+  return prices.length > 0 ? Math.min(...prices) : null;
+}
+
+/**
+ * Get the best place to sell an item: the best trader offer, or the flea price after the listing fee
+ * @param {Object} item - Item with sellFor offers, flea prices and basePrice
+ * @returns {{price: number, trader: string|null}|null} Price in roubles and the trader's name
+ *   (null for the flea), or null if it can't be sold
+ */
+export function getBestSellOffer(item) {
+  const offers = (item?.sellFor || [])
+    .filter(offer => offer.vendor.normalizedName !== 'flea-market' && offer.priceRUB > 0)
+    .map(offer => ({ price: offer.priceRUB, trader: offer.vendor.name }));
+
+  const fleaPrice = getFleaPrice(item);
+  const fleaNet = fleaPrice ? fleaPrice - getFleaFee(fleaPrice, item.basePrice) : 0;
+  if (fleaNet > 0) {
+    offers.push({ price: fleaNet, trader: null });
+  }
+
+  return offers.reduce((best, offer) => (!best || offer.price > best.price ? offer : best), null);
+}
+
+/**
+ * Calculate the fee for listing items on the flea market
+ * Uses the game's formula: the fee grows quickly as the asking price rises above the
+ * item's base price. Hideout Intelligence Center discounts are not applied
+ * @param {number} price - Asking price per item in roubles
+ * @param {number} basePrice - Item's base price in roubles
+ * @param {number} [count=1] - Number of items listed
+ * @returns {number} Fee in roubles
+ */
+export function getFleaFee(price, basePrice, count = 1) {
+  if (!price || !basePrice) return 0;
+
+  let offerFactor = Math.log10(basePrice / price);
+  let requirementFactor = Math.log10(price / basePrice);
+  if (price < basePrice) {
+    offerFactor = Math.pow(offerFactor, 1.08);
+  } else {
+    requirementFactor = Math.pow(requirementFactor, 1.08);
+  }
+
+  const fee = basePrice * FLEA_TAX_OFFER * Math.pow(4, offerFactor)
+    + price * FLEA_TAX_REQUIREMENT * Math.pow(4, requirementFactor);
+  return Math.round(fee * count);
 }
 
 /**
@@ -151,20 +466,38 @@ export function formatNumber(num) {
 }
 
 /**
- * Search for quests by name
- * @param {string} questName - The name of the quest to search for
- * @returns {Promise<Object>} Quest data
+ * Format a duration in hours and minutes
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "3h 20m", "2h" or "45m"
+ */
+export function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  if (hours === 0) return `${minutes}m`;
+  return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+}
+
+/**
+ * Fetch every quest with objectives, requirements and rewards
+ * Used to build the local quest index (see services/questIndex.js)
+ * @param {Object} [options] - Fetch options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode to fetch quests for
+ * @param {string} [options.lang] - Language for quest, trader and item names
+ * @returns {Promise<Object[]>} All quests
  */
-export async function searchQuest(questName) {
+export async function fetchQuests({ gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
   const query = `
-    query SearchQuests {
-      tasks {
+    query SearchQuests($gameMode: GameMode, $lang: LanguageCode) {
+      tasks(gameMode: $gameMode, lang: $lang) {
         id
         name
+        normalizedName
         trader {
           name
+          normalizedName
         }
         map {
+          id
           name
         }
         experience
@@ -172,6 +505,7 @@ export async function searchQuest(questName) {
         minPlayerLevel
         taskRequirements {
           task {
+            id
             name
           }
           status
@@ -179,6 +513,7 @@ export async function searchQuest(questName) {
         traderLevelRequirements {
           trader {
             name
+            normalizedName
           }
           level
         }
@@ -188,15 +523,18 @@ export async function searchQuest(questName) {
           optional
           type
           maps {
+            id
             name
           }
           ... on TaskObjectiveItem {
             item {
+              id
               name
               shortName
               iconLink
             }
             items {
+              id
               name
               shortName
               iconLink
@@ -211,6 +549,15 @@ export async function searchQuest(questName) {
             }
           }
         }
+        neededKeys {
+          keys {
+            id
+          }
+          map {
+            id
+            name
+          }
+        }
         startRewards {
           traderStanding {
             trader {
@@ -222,11 +569,14 @@ export async function searchQuest(questName) {
         finishRewards {
           offerUnlock {
             item {
+              id
               name
             }
             trader {
               name
+              normalizedName
             }
+            level
           }
           traderStanding {
             trader {
@@ -236,6 +586,7 @@ export async function searchQuest(questName) {
           }
           items {
             item {
+              id
               name
               shortName
             }
@@ -246,50 +597,469 @@ export async function searchQuest(questName) {
     }
   `;
 
-  try {
-    const response = await fetch(TARKOV_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        query,
-      }),
-    });
-
-    const data = await response.json();
-    
-    if (data.errors) {
-      console.error('GraphQL errors:', data.errors);
-      return null;
+  // The full task list is large, so allow it more time than the default
+  const data = await graphqlRequest(query, { gameMode, lang }, { timeout: 30000 });
+  return data.tasks || [];
+}
+
+/**
+ * Fetch every round of ammunition with ballistics and purchase offers
+ * Offers include prices, so the list is cached for one price refresh interval
+ * @param {Object} [options] - Fetch options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode for prices
+ * @param {string} [options.lang] - Language for names
+ * @returns {Promise<Object[]>} Ammo with its item, caliber and ballistics
+ */
+export async function fetchAmmo({ gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  const query = `
+    query Ammo($gameMode: GameMode, $lang: LanguageCode) {
+      ammo(gameMode: $gameMode, lang: $lang) {
+        caliber
+        damage
+        penetrationPower
+        armorDamage
+        fragmentationChance
+        initialSpeed
+        projectileCount
+        tracer
+        item {
+          id
+          name
+          shortName
+          iconLink
+          wikiLink
+          buyFor {
+            vendor {
+              name
+              normalizedName
+              ... on TraderOffer {
+                minTraderLevel
+              }
+            }
+            price
+            currency
+            priceRUB
+          }
+        }
+      }
     }
+  `;
+
+  return withQueryCache(`ammo:${gameMode}:${lang}`, PRICED_LIST_TTL, async () => {
+    const data = await graphqlRequest(query, { gameMode, lang }, { timeout: 30000 });
+    return data.ammo || [];
+  });
+}
 
-    // Filter tasks by name (case-insensitive partial match)
-    const allTasks = data.data.tasks;
-    const searchLower = questName.toLowerCase();
-    
-    // First try exact substring match
-    let matchingTasks = allTasks.filter(task => 
-      task.name.toLowerCase().includes(searchLower)
-    );
-
-    // If no results, try matching all words individually
-    if (matchingTasks.length === 0) {
-      const searchWords = searchLower.split(/\s+/).filter(w => w.length > 0);
-      matchingTasks = allTasks.filter(task => {
-        const taskNameLower = task.name.toLowerCase();
-        return searchWords.every(word => taskNameLower.includes(word));
-      });
+/**
+ * Fetch every hideout craft with its inputs, outputs and their prices
+ * Item prices are included, so the list is cached for one price refresh interval
+ * @param {Object} [options] - Fetch options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode for prices
+ * @param {string} [options.lang] - Language for names
+ * @returns {Promise<Object[]>} Crafts with station, level, duration (seconds) and items
+ */
+export async function fetchCrafts({ gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  const craftItemFields = `
+    item {
+      id
+      name
+      shortName
+      basePrice
+      avg24hPrice
+      lastLowPrice
+      buyFor {
+        vendor {
+          name
+          normalizedName
+          ... on TraderOffer {
+            minTraderLevel
+          }
+        }
+        priceRUB
+      }
+      sellFor {
+        vendor {
+          name
+          normalizedName
+        }
+        priceRUB
+      }
+    }
+    count
+    attributes {
+      type
+      value
     }
+  `;
 
-    console.log(`Searched for "${questName}", found ${matchingTasks.length} matches`);
-    if (matchingTasks.length > 0) {
-      console.log(`First match: ${matchingTasks[0].name}`);
+  const query = `
+    query Crafts($gameMode: GameMode, $lang: LanguageCode) {
+      crafts(gameMode: $gameMode, lang: $lang) {
+        id
+        station {
+          id
+          name
+          normalizedName
+        }
+        level
+        duration
+        taskUnlock {
+          name
+        }
+        requiredItems {
+          ${craftItemFields}
+        }
+        rewardItems {
+          ${craftItemFields}
+        }
+      }
     }
+  `;
 
-    return matchingTasks;
-  } catch (error) {
-    console.error('Error fetching from Tarkov API:', error);
-    return null;
-  }
+  return withQueryCache(`crafts:${gameMode}:${lang}`, PRICED_LIST_TTL, async () => {
+    const data = await graphqlRequest(query, { gameMode, lang }, { timeout: 30000 });
+    return data.crafts || [];
+  });
+}
+
+/**
+ * Fetch every item with its size, categories and sell prices
+ * Unlike searchItem this covers the whole catalog, for rankings across items.
+ * Sell prices are included, so the list is cached for one price refresh interval
+ * @param {Object} [options] - Fetch options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode for prices
+ * @param {string} [options.lang] - Language for names
+ * @returns {Promise<Object[]>} Items with width, height, types, categories and prices
+ */
+export async function fetchItemCatalog({ gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  const query = `
+    query ItemCatalog($gameMode: GameMode, $lang: LanguageCode) {
+      items(gameMode: $gameMode, lang: $lang) {
+        id
+        name
+        shortName
+        iconLink
+        width
+        height
+        basePrice
+        types
+        categories {
+          name
+          normalizedName
+        }
+        avg24hPrice
+        lastLowPrice
+        sellFor {
+          vendor {
+            name
+            normalizedName
+          }
+          priceRUB
+        }
+      }
+    }
+  `;
+
+  return withQueryCache(`items:catalog:${gameMode}:${lang}`, PRICED_LIST_TTL, async () => {
+    const data = await graphqlRequest(query, { gameMode, lang }, { timeout: 30000 });
+    return data.items || [];
+  });
+}
+
+/**
+ * Fetch every key and keycard with its uses and prices
+ * Prices are included, so the list is cached for one price refresh interval.
+ * The locks each key opens are listed on the maps (see fetchMaps)
+ * @param {Object} [options] - Fetch options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode for prices
+ * @param {string} [options.lang] - Language for names
+ * @returns {Promise<Object[]>} Keys with `uses` (null when unknown) and prices
+ */
+export async function fetchKeys({ gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  const query = `
+    query Keys($gameMode: GameMode, $lang: LanguageCode) {
+      items(type: keys, gameMode: $gameMode, lang: $lang) {
+        id
+        name
+        shortName
+        description
+        iconLink
+        wikiLink
+        basePrice
+        avg24hPrice
+        lastLowPrice
+        sellFor {
+          vendor {
+            name
+            normalizedName
+          }
+          priceRUB
+        }
+        properties {
+          ... on ItemPropertiesKey {
+            uses
+          }
+        }
+      }
+    }
+  `;
+
+  return withQueryCache(`keys:${gameMode}:${lang}`, PRICED_LIST_TTL, async () => {
+    const data = await graphqlRequest(query, { gameMode, lang });
+    return (data.items || []).map(({ properties, ...key }) => ({ ...key, uses: properties?.uses ?? null }));
+  });
+}
+
+/**
+ * Fetch every hideout station with the requirements for each level
+ * Requirements only change with game patches, so they are cached for STATIC_TTL;
+ * item prices are looked up separately
+ * @param {Object} [options] - Fetch options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode
+ * @param {string} [options.lang] - Language for names
+ * @returns {Promise<Object[]>} Stations with their levels
+ */
+export async function fetchHideoutStations({ gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  const query = `
+    query HideoutStations($gameMode: GameMode, $lang: LanguageCode) {
+      hideoutStations(gameMode: $gameMode, lang: $lang) {
+        id
+        name
+        normalizedName
+        imageLink
+        levels {
+          level
+          constructionTime
+          itemRequirements {
+            item {
+              id
+              name
+              shortName
+              iconLink
+            }
+            count
+            attributes {
+              type
+              value
+            }
+          }
+          stationLevelRequirements {
+            station {
+              id
+              name
+            }
+            level
+          }
+          skillRequirements {
+            name
+            level
+          }
+          traderRequirements {
+            trader {
+              name
+            }
+            requirementType
+            compareMethod
+            value
+          }
+        }
+      }
+    }
+  `;
+
+  return withQueryCache(`hideout:${gameMode}:${lang}`, STATIC_TTL, async () => {
+    const data = await graphqlRequest(query, { gameMode, lang });
+    return data.hideoutStations || [];
+  });
+}
+
+/**
+ * Fetch every map with its extracts, locks and bosses
+ * Map data only changes with game patches, so it is cached for STATIC_TTL. The API has no
+ * map images; see getMapImage in services/images.js
+ * @param {Object} [options] - Fetch options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode
+ * @param {string} [options.lang] - Language for names
+ * @returns {Promise<Object[]>} Maps
+ */
+export async function fetchMaps({ gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  const query = `
+    query Maps($gameMode: GameMode, $lang: LanguageCode) {
+      maps(gameMode: $gameMode, lang: $lang) {
+        id
+        name
+        normalizedName
+        wiki
+        description
+        raidDuration
+        players
+        minPlayerLevel
+        maxPlayerLevel
+        accessKeys {
+          name
+        }
+        accessKeysMinPlayerLevel
+        extracts {
+          id
+          name
+          faction
+          switches {
+            name
+          }
+          transferItem {
+            item {
+              name
+            }
+            count
+          }
+        }
+        locks {
+          lockType
+          needsPower
+          key {
+            id
+          }
+        }
+        bosses {
+          boss {
+            name
+            normalizedName
+          }
+          spawnChance
+          spawnLocations {
+            name
+            chance
+          }
+          escorts {
+            boss {
+              name
+            }
+            amount {
+              count
+              chance
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  return withQueryCache(`maps:${gameMode}:${lang}`, STATIC_TTL, async () => {
+    const data = await graphqlRequest(query, { gameMode, lang });
+    return data.maps || [];
+  });
+}
+
+/**
+ * Fetch every trader with the requirements and offers of each loyalty level
+ * Loyalty levels only change with game patches, so they are cached for STATIC_TTL;
+ * restock times are fetched separately with fetchTraderResets
+ * @param {Object} [options] - Fetch options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode
+ * @param {string} [options.lang] - Language for names
+ * @returns {Promise<Object[]>} Traders with their levels
+ */
+export async function fetchTraders({ gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  const query = `
+    query Traders($gameMode: GameMode, $lang: LanguageCode) {
+      traders(gameMode: $gameMode, lang: $lang) {
+        id
+        name
+        normalizedName
+        description
+        imageLink
+        currency {
+          shortName
+        }
+        levels {
+          level
+          requiredPlayerLevel
+          requiredReputation
+          requiredCommerce
+          cashOffers {
+            item {
+              id
+              name
+              shortName
+            }
+            priceRUB
+            buyLimit
+            taskUnlock {
+              id
+            }
+          }
+          barters {
+            id
+          }
+        }
+      }
+    }
+  `;
+
+  return withQueryCache(`traders:${gameMode}:${lang}`, STATIC_TTL, async () => {
+    const data = await graphqlRequest(query, { gameMode, lang });
+    return data.traders || [];
+  });
+}
+
+/**
+ * Fetch when each trader next restocks
+ * @param {Object} [options] - Fetch options
+ * @param {'regular'|'pve'} [options.gameMode] - Game mode
+ * @param {string} [options.lang] - Language for names
+ * @returns {Promise<Object[]>} Traders with name, normalizedName and resetTime (ISO timestamp)
+ */
+export async function fetchTraderResets({ gameMode = DEFAULT_GAME_MODE, lang = DEFAULT_LANGUAGE } = {}) {
+  const query = `
+    query TraderResets($gameMode: GameMode, $lang: LanguageCode) {
+      traders(gameMode: $gameMode, lang: $lang) {
+        id
+        name
+        normalizedName
+        resetTime
+      }
+    }
+  `;
+
+  return withQueryCache(`trader-resets:${gameMode}:${lang}`, RESET_TTL, async () => {
+    const data = await graphqlRequest(query, { gameMode, lang });
+    return data.traders || [];
+  });
+}
+
+/**
+ * Fetch the names of every item, used to build the autocomplete index
+ * @returns {Promise<Object[]>} Items with id, name and shortName
+ */
+export async function fetchItemNames() {
+  const query = `
+    query ItemNames {
+      items {
+        id
+        name
+        shortName
+      }
+    }
+  `;
+
+  const data = await graphqlRequest(query, {}, { timeout: 30000 });
+  return data.items || [];
+}
+
+/**
+ * Move results whose name exactly matches the search term to the front
+ * @param {Array} results - Search results
+ * @param {string} searchTerm - The term that was searched for
+ * @param {Function} getNames - Returns the names to compare for a result
+ * @returns {Array} Reordered results
+ */
+function sortExactMatchFirst(results, searchTerm, getNames) {
+  const searchLower = searchTerm.toLowerCase().trim();
+  const isExact = result => getNames(result).some(name => name?.toLowerCase() === searchLower);
+
+  return [
+    ...results.filter(isExact),
+    ...results.filter(result => !isExact(result)),
+  ];
 }
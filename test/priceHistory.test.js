@@ -0,0 +1,29 @@
+import { after, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openStorage, setStorage, getStorage } from '../services/storage.js';
+import { recordLookup, getPriceHistory } from '../services/priceHistory.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('price history', () => {
+  beforeEach(() => setStorage(openStorage({ backend: 'memory' })));
+  after(() => setStorage(null));
+
+  test('records a lookup as that item\'s own record', () => {
+    recordLookup({ id: 'a', name: 'Bitcoin', shortName: 'BTC', gameMode: 'pve', lastLowPrice: 250000 });
+
+    const keys = getStorage().entries('price-history').map(([key]) => key);
+    assert.deepEqual(keys, ['pve:a']);
+    assert.deepEqual(getPriceHistory('a', DAY, 'pve').map(sample => sample.value), [250000]);
+    assert.deepEqual(getPriceHistory('a', DAY, 'regular'), []);
+  });
+
+  test('leaves other items\' records alone when one is looked up', () => {
+    recordLookup({ id: 'a', gameMode: 'regular', lastLowPrice: 100 });
+    const before = getStorage().get('price-history', 'regular:a');
+
+    recordLookup({ id: 'b', gameMode: 'regular', lastLowPrice: 200 });
+    assert.deepEqual(getStorage().get('price-history', 'regular:a'), before);
+    assert.deepEqual(getPriceHistory('b', DAY).map(sample => sample.value), [200]);
+  });
+});
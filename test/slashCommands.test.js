@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openStorage, setStorage } from '../services/storage.js';
+
+// Stores load when their module does, so memory storage is swapped in before importing anything that uses one
+setStorage(openStorage({ backend: 'memory' }));
+
+const { registerCommand } = await import('../commandRegistry.js');
+const { handleInteraction } = await import('../slashCommands.js');
+const { setCachedQuery } = await import('../services/cache.js');
+const { listRestockReminders } = await import('../services/restockReminders.js');
+const { default: traderCommands } = await import('../commands/trader.js');
+
+traderCommands.forEach(registerCommand);
+
+/**
+ * Create a chat input interaction with just what handleInteraction uses
+ * @param {string} commandName - Slash command name
+ * @param {Object} options - Option values by name
+ * @param {Object} [fields] - Other interaction fields, such as channelId
+ * @returns {Object} Fake interaction recording its replies in `replies`
+ */
+function createInteraction(commandName, options, fields = {}) {
+  return {
+    commandName,
+    user: { id: 'user-1', tag: 'tester' },
+    member: null,
+    guild: null,
+    deferred: false,
+    replied: false,
+    replies: [],
+    options: {
+      get: name => (name in options ? { value: options[name] } : null),
+      getString: name => options[name] ?? null,
+    },
+    isAutocomplete: () => false,
+    isChatInputCommand: () => true,
+    async deferReply() {
+      this.deferred = true;
+    },
+    async editReply(reply) {
+      this.replied = true;
+      this.replies.push(reply);
+      return { createMessageComponentCollector: () => ({ on() {} }) };
+    },
+    async followUp(reply) {
+      this.replies.push(reply);
+    },
+    ...fields,
+  };
+}
+
+test('a restock reminder set with /trader keeps the channel it was set in', async () => {
+  const trader = { id: 'prapor-id', name: 'Prapor', normalizedName: 'prapor', levels: [] };
+  const resetTime = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  setCachedQuery('traders:regular:en', [trader], 60);
+  setCachedQuery('trader-resets:regular:en', [{ ...trader, resetTime }], 60);
+
+  const interaction = createInteraction('trader', { name: 'prapor remind' }, { channelId: 'channel-1' });
+  await handleInteraction(interaction);
+
+  const [reminder] = listRestockReminders('user-1');
+  assert.equal(reminder?.trader, 'prapor');
+  assert.equal(reminder.channelId, 'channel-1');
+  assert.ok(interaction.deferred, 'the interaction is deferred before the handler runs');
+});
@@ -0,0 +1,161 @@
+import { after, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { createRequire } from 'module';
+import { tmpdir } from 'os';
+import path from 'path';
+import { openStorage, runMigrations, setStorage } from '../services/storage.js';
+import { createStore } from '../services/store.js';
+
+/**
+ * Check whether this Node version has the built-in SQLite module
+ * @returns {boolean} True if node:sqlite can be loaded
+ */
+function hasSqlite() {
+  try {
+    createRequire(import.meta.url)('node:sqlite');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create a data directory holding the JSON files older versions wrote
+ * @returns {string} Directory path
+ */
+function createLegacyDataDir() {
+  const dir = mkdtempSync(path.join(tmpdir(), 'storage-test-'));
+  const write = (name, data) => writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(data));
+
+  write('settings', { guilds: { g1: { gameMode: 'pve' } }, users: { u1: { language: 'de' } } });
+  write('alerts', { nextId: 3, alerts: [{ id: 1, userId: 'u1', itemId: 'a' }, { id: 2, userId: 'u2', itemId: 'b' }] });
+  write('hideout', { users: { u1: { regular: { station: 2 } } } });
+  return dir;
+}
+
+describe('runMigrations', () => {
+  test('applies pending migrations in version order', () => {
+    const storage = openStorage({ backend: 'memory' });
+    const base = storage.get('meta', 'schemaVersion');
+    const applied = [];
+    const migrations = [
+      { version: base - 1, name: 'already applied', up: () => applied.push('old') },
+      { version: base + 2, name: 'second', up: () => applied.push('second') },
+      { version: base + 1, name: 'first', up: () => applied.push('first') },
+    ];
+
+    assert.equal(runMigrations(storage, { migrations }), 2);
+    assert.deepEqual(applied, ['first', 'second']);
+    assert.equal(storage.get('meta', 'schemaVersion'), base + 2);
+  });
+
+  test('applies each migration only once', () => {
+    const storage = openStorage({ backend: 'memory' });
+    const base = storage.get('meta', 'schemaVersion');
+    let runs = 0;
+    const migrations = [{ version: base + 1, name: 'count', up: () => runs++ }];
+
+    runMigrations(storage, { migrations });
+    assert.equal(runMigrations(storage, { migrations }), 0);
+    assert.equal(runs, 1);
+
+    // A migration appended later still runs
+    migrations.push({ version: base + 2, name: 'later', up: () => runs++ });
+    assert.equal(runMigrations(storage, { migrations }), 1);
+    assert.equal(runs, 2);
+  });
+
+  test('leaves memory storage empty instead of importing data files', () => {
+    const storage = openStorage({ backend: 'memory' });
+    assert.deepEqual(storage.entries('guild-settings'), []);
+    assert.ok(storage.get('meta', 'schemaVersion') >= 1);
+  });
+});
+
+describe('importing JSON data files', () => {
+  const dirs = [];
+  after(() => dirs.forEach(dir => rmSync(dir, { recursive: true, force: true })));
+
+  for (const backend of ['sqlite', 'json']) {
+    test(`imports settings, alerts and feature stores into ${backend}`, { skip: backend === 'sqlite' && !hasSqlite() && 'node:sqlite is unavailable' }, async () => {
+      const dataDir = createLegacyDataDir();
+      dirs.push(dataDir);
+      const storage = openStorage({ backend, dataDir });
+
+      assert.equal(storage.backend, backend);
+      assert.deepEqual(storage.get('guild-settings', 'g1'), { gameMode: 'pve' });
+      assert.deepEqual(storage.get('user-profiles', 'u1'), { language: 'de' });
+      assert.deepEqual(storage.entries('alerts').map(([key]) => key), ['1', '2']);
+      assert.equal(storage.get('counters', 'alerts'), 3);
+      assert.deepEqual(storage.get('stores', 'hideout'), { users: { u1: { regular: { station: 2 } } } });
+      await storage.flush();
+      storage.close();
+    });
+  }
+
+  test('splits price history into one record per item', async () => {
+    const dataDir = createLegacyDataDir();
+    dirs.push(dataDir);
+    writeFileSync(path.join(dataDir, 'price-history.json'), JSON.stringify({
+      items: {
+        'pve:a': { itemId: 'a', gameMode: 'pve', samples: [[1, 100]] },
+        b: { samples: [[2, 200]] },
+      },
+    }));
+
+    const storage = openStorage({ backend: 'json', dataDir });
+    assert.deepEqual(storage.entries('price-history'), [
+      ['pve:a', { itemId: 'a', gameMode: 'pve', samples: [[1, 100]] }],
+      ['regular:b', { itemId: 'b', gameMode: 'regular', samples: [[2, 200]] }],
+    ]);
+    assert.equal(storage.get('stores', 'price-history'), undefined);
+    await storage.flush();
+  });
+
+  test('does not import again when SQLite storage is reopened', { skip: !hasSqlite() && 'node:sqlite is unavailable' }, () => {
+    const dataDir = createLegacyDataDir();
+    dirs.push(dataDir);
+
+    const first = openStorage({ backend: 'sqlite', dataDir });
+    first.set('guild-settings', 'g1', { gameMode: 'regular' });
+    first.close();
+
+    writeFileSync(path.join(dataDir, 'settings.json'), JSON.stringify({ guilds: { g2: {} }, users: {} }));
+    const reopened = openStorage({ backend: 'sqlite', dataDir });
+    assert.deepEqual(reopened.get('guild-settings', 'g1'), { gameMode: 'regular' });
+    assert.equal(reopened.get('guild-settings', 'g2'), undefined);
+    reopened.close();
+  });
+});
+
+describe('createStore', () => {
+  beforeEach(() => setStorage(openStorage({ backend: 'memory' })));
+  after(() => setStorage(null));
+
+  test('starts from the defaults when nothing is stored', () => {
+    const store = createStore('test', { users: {} });
+    assert.deepEqual(store.data, { users: {} });
+  });
+
+  test('round-trips saved data', () => {
+    const store = createStore('test', { users: {} });
+    store.data.users.u1 = { level: 12, done: ['q1'] };
+    store.save();
+
+    assert.deepEqual(createStore('test', { users: {} }).data, { users: { u1: { level: 12, done: ['q1'] } } });
+  });
+
+  test('keeps unsaved changes out of storage', () => {
+    const store = createStore('test', { users: {} });
+    store.save();
+    store.data.users.u1 = { level: 1 };
+
+    assert.deepEqual(createStore('test', { users: {} }).data, { users: {} });
+  });
+
+  test('fills in defaults missing from stored data', () => {
+    createStore('test', { users: {} }).save();
+    assert.deepEqual(createStore('test', { users: {}, reminders: [] }).data, { users: {}, reminders: [] });
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Parse a rouble amount as players type it: "150000", "150,000", "150k", "1.2m"
+ * @param {string} text - Price text
+ * @returns {number|null} Price in roubles, or null if it isn't a valid amount
+ */
+export function parsePrice(text) {
+  const match = /^(\d+(?:\.\d+)?)([km])?(?:₽|rub|roubles?)?$/i.exec((text || '').replace(/[,_\s]/g, ''));
+  if (!match) {
+    return null;
+  }
+
+  const multiplier = { k: 1000, m: 1000000 }[match[2]?.toLowerCase()] || 1;
+  const price = Math.round(parseFloat(match[1]) * multiplier);
+  return price > 0 ? price : null;
+}
+
+/**
+ * Split --flags out of command arguments
+ * Flags listed in valueFlags take the next word (or "=value") as their value; the rest are booleans
+ * @param {string[]} args - Command arguments
+ * @param {string[]} [valueFlags] - Names of flags that take a value, without dashes
+ * @returns {{args: string[], flags: Object<string, string|boolean>}} Remaining words and flags by lowercase name
+ */
+export function parseFlags(args, valueFlags = []) {
+  const flags = {};
+  const remaining = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const match = /^--([a-z][\w-]*)(?:=(.*))?$/i.exec(args[i]);
+    if (!match) {
+      remaining.push(args[i]);
+      continue;
+    }
+
+    const name = match[1].toLowerCase();
+    if (match[2] !== undefined) {
+      flags[name] = match[2];
+    } else if (valueFlags.includes(name) && i + 1 < args.length) {
+      flags[name] = args[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return { args: remaining, flags };
+}
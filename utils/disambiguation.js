@@ -0,0 +1,100 @@
+import { ActionRowBuilder, StringSelectMenuBuilder, ComponentType } from 'discord.js';
+import { t } from '../services/i18n.js';
+
+const MAX_OPTIONS = 10; // Discord allows 25, but long menus are hard to scan
+const SELECT_TIMEOUT = 2 * 60 * 1000; // 2 minutes
+
+/**
+ * Build the select menu row, marking the currently shown match as default
+ * @param {Object[]} options - Select menu options with value set to the match index
+ * @param {number} selectedIndex - Index of the match currently shown
+ * @param {string} placeholder - Placeholder text
+ * @returns {ActionRowBuilder} Action row containing the select menu
+ */
+function buildSelectRow(options, selectedIndex, placeholder) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId('disambiguation-select')
+    .setPlaceholder(placeholder)
+    .addOptions(options.map((option, idx) => ({ ...option, default: idx === selectedIndex })));
+
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+/**
+ * Show the first match and, when there are several, a select menu to switch between them
+ * Picking an option re-renders the message in place; the menu is removed after a timeout
+ * @param {Message} message - Discord message that triggered the command
+ * @param {Message} thinking - Bot reply to edit with the result
+ * @param {Object[]} matches - Search results, most relevant first
+ * @param {Object} config - Rendering configuration
+ * @param {Function} config.renderEmbed - Creates the embed for a match
+ * @param {Function} config.toOption - Creates { label, description, emoji } for a match
+ * @param {string} config.placeholder - Select menu placeholder text
+ * @param {string} config.lang - Language for the footer and replies
+ * @returns {Promise<void>}
+ */
+export async function showMatches(message, thinking, matches, { renderEmbed, toOption, placeholder, lang }) {
+  const shown = matches.slice(0, MAX_OPTIONS);
+
+  /**
+   * Render the embed for the match at an index, noting the alternatives
+   * @param {number} idx - Match index
+   * @returns {EmbedBuilder} Discord embed
+   */
+  const render = (idx) => {
+    const embed = renderEmbed(shown[idx]);
+    if (shown.length > 1) {
+      embed.setFooter({ text: t(lang, 'matches.footer', { index: idx + 1, total: matches.length }) });
+    }
+    return embed;
+  };
+
+  if (shown.length <= 1) {
+    await thinking.edit({ content: null, embeds: [render(0)] });
+    return;
+  }
+
+  const options = shown.map((match, idx) => {
+    const option = toOption(match);
+    return {
+      label: option.label.substring(0, 100),
+      description: option.description?.substring(0, 100) || undefined,
+      emoji: option.emoji,
+      value: `${idx}`,
+    };
+  });
+
+  await thinking.edit({
+    content: null,
+    embeds: [render(0)],
+    components: [buildSelectRow(options, 0, placeholder)],
+  });
+
+  const collector = thinking.createMessageComponentCollector({
+    componentType: ComponentType.StringSelect,
+    time: SELECT_TIMEOUT,
+  });
+
+  collector.on('collect', async (interaction) => {
+    try {
+      if (interaction.user.id !== message.author.id) {
+        await interaction.reply({ content: t(lang, 'matches.notYourSearch'), ephemeral: true });
+        return;
+      }
+
+      const idx = Number(interaction.values[0]);
+      await interaction.update({
+        embeds: [render(idx)],
+        components: [buildSelectRow(options, idx, placeholder)],
+      });
+    } catch (error) {
+      console.error('Error handling disambiguation selection:', error);
+    }
+  });
+
+  collector.on('end', () => {
+    thinking.edit({ components: [] }).catch(error => {
+      console.error('Error removing expired select menu:', error.message);
+    });
+  });
+}
@@ -0,0 +1,57 @@
+// Discord limits: 10 embeds and 6000 characters across all embeds per message
+const MAX_EMBEDS_PER_MESSAGE = 10;
+const MAX_CHARS_PER_MESSAGE = 6000;
+
+/**
+ * Split embeds into groups that fit within a single Discord message
+ * @param {EmbedBuilder[]} embeds - Embeds to send
+ * @returns {EmbedBuilder[][]} Embeds grouped per message
+ */
+export function batchEmbeds(embeds) {
+  const batches = [];
+  let current = [];
+  let currentChars = 0;
+
+  for (const embed of embeds) {
+    const size = embedLength(embed);
+
+    if (current.length >= MAX_EMBEDS_PER_MESSAGE || currentChars + size > MAX_CHARS_PER_MESSAGE) {
+      batches.push(current);
+      current = [];
+      currentChars = 0;
+    }
+
+    current.push(embed);
+    currentChars += size;
+  }
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+/**
+ * Count the characters Discord includes in the per-message embed limit
+ * @param {EmbedBuilder} embed - Embed to measure
+ * @returns {number} Character count
+ */
+function embedLength(embed) {
+  const { title, description, footer, author, fields } = embed.data;
+  return (title?.length || 0) +
+    (description?.length || 0) +
+    (footer?.text?.length || 0) +
+    (author?.name?.length || 0) +
+    (fields || []).reduce((sum, field) => sum + field.name.length + field.value.length, 0);
+}
+
+/**
+ * Truncate text to a maximum length with an ellipsis
+ * @param {string} text - Text to truncate
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Truncated text
+ */
+export function truncate(text, maxLength) {
+  return text.length > maxLength ? text.substring(0, maxLength - 3) + '...' : text;
+}
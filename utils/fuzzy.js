@@ -0,0 +1,157 @@
+// Fuzzy name matching shared by searches and autocomplete
+// Scores are 0-1: exact 1, prefix 0.95, substring 0.9, acronym 0.85, then per-word fuzzy matches
+
+// Common shorthand players type, expanded before matching
+const ABBREVIATIONS = {
+  pt: 'part',
+  p: 'part',
+  gs: 'gunsmith',
+};
+
+// Words that may be left out or added without hurting a match
+const STOP_WORDS = new Set(['the', 'a', 'an', 'of', 'to', 'in', 'on', 'and']);
+
+/**
+ * Normalize a name for comparison: lowercase, drop apostrophes, collapse punctuation to spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeName(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’`]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Split normalized text into words, expanding abbreviations
+ * @param {string} text - Normalized text
+ * @returns {string[]} Words
+ */
+function tokenize(text) {
+  return text.split(' ').filter(Boolean).map(word => ABBREVIATIONS[word] || word);
+}
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance between two words
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} Number of edits
+ */
+export function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+      // Transposed neighbours ("punsiher")
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[rows - 1][cols - 1];
+}
+
+/**
+ * Score how well one query word matches one name word
+ * @param {string} queryWord - Word from the query
+ * @param {string} nameWord - Word from the name
+ * @returns {number} Score 0-1
+ */
+function scoreWord(queryWord, nameWord) {
+  if (queryWord === nameWord) return 1;
+
+  // Numbers ("part 4") must match exactly
+  if (/^\d+$/.test(queryWord) || /^\d+$/.test(nameWord)) return 0;
+
+  if (queryWord.length >= 2 && nameWord.startsWith(queryWord)) return 0.9;
+
+  const allowedEdits = queryWord.length <= 3 ? 1 : queryWord.length <= 6 ? 2 : 3;
+  const distance = editDistance(queryWord, nameWord);
+  if (distance <= allowedEdits && queryWord.length > 2) {
+    return 0.85 * (1 - distance / Math.max(queryWord.length, nameWord.length));
+  }
+
+  return 0;
+}
+
+/**
+ * Score how well a query matches a name
+ * @param {string} query - Text the user typed
+ * @param {string} name - Candidate name
+ * @returns {number} Score 0-1 (0 means no match)
+ */
+export function scoreMatch(query, name) {
+  const queryWords = tokenize(normalizeName(query));
+  const nameWords = tokenize(normalizeName(name));
+  const normalizedQuery = queryWords.join(' ');
+  const normalizedName = nameWords.join(' ');
+
+  if (!normalizedQuery || !normalizedName) return 0;
+  if (normalizedQuery === normalizedName) return 1;
+  if (normalizedName.startsWith(normalizedQuery)) return 0.95;
+  if (normalizedName.includes(normalizedQuery)) return 0.9;
+
+  // Acronyms: "sbih" for "Shooter Born in Heaven", with or without small words
+  if (queryWords.length === 1 && normalizedQuery.length >= 2) {
+    const initials = nameWords.map(word => word[0]).join('');
+    const significantInitials = nameWords.filter(word => !STOP_WORDS.has(word)).map(word => word[0]).join('');
+    if (normalizedQuery === initials || normalizedQuery === significantInitials) return 0.85;
+  }
+
+  // Per-word fuzzy matching; unmatched stop words in the query are ignored
+  const significantQueryWords = queryWords.filter(word => !STOP_WORDS.has(word));
+  const wordsToMatch = significantQueryWords.length > 0 ? significantQueryWords : queryWords;
+
+  let total = 0;
+  for (const queryWord of wordsToMatch) {
+    const best = Math.max(...nameWords.map(nameWord => scoreWord(queryWord, nameWord)));
+    if (best === 0) return 0; // Every significant word has to match something
+    total += best;
+  }
+
+  // Scale below substring matches, with a small bonus for covering more of the name
+  const average = total / wordsToMatch.length;
+  const significantNameWords = nameWords.filter(word => !STOP_WORDS.has(word)).length || nameWords.length;
+  const coverage = Math.min(wordsToMatch.length / significantNameWords, 1);
+  return 0.75 * average + 0.1 * coverage;
+}
+
+/**
+ * Rank candidates by how well any of their names match a query
+ * @param {Array} candidates - Items to rank
+ * @param {string} query - Text the user typed
+ * @param {Function} getNames - Returns the names a candidate can be matched by
+ * @param {Object} [options] - Ranking options
+ * @param {number} [options.minScore=0.5] - Drop matches scoring below this
+ * @param {number} [options.limit] - Maximum number of matches
+ * @returns {Array<{item: *, score: number}>} Matches, best first
+ */
+export function rankMatches(candidates, query, getNames, { minScore = 0.5, limit } = {}) {
+  const matches = [];
+
+  for (const item of candidates) {
+    const names = getNames(item).filter(Boolean);
+    const score = Math.max(0, ...names.map(name => scoreMatch(query, name)));
+    if (score >= minScore) {
+      matches.push({ item, score, name: names[0] });
+    }
+  }
+
+  matches.sort((a, b) =>
+    b.score - a.score ||
+    a.name.localeCompare(b.name, 'en', { numeric: true })
+  );
+
+  return (limit ? matches.slice(0, limit) : matches).map(({ item, score }) => ({ item, score }));
+}
@@ -0,0 +1,80 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } from 'discord.js';
+import { t } from '../services/i18n.js';
+
+const PAGE_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Build the previous/next button row for a page
+ * @param {number} page - Current page index
+ * @param {number} pageCount - Total number of pages
+ * @returns {ActionRowBuilder} Action row containing the buttons
+ */
+function buildPageRow(page, pageCount) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('page-prev')
+      .setEmoji('◀️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId('page-count')
+      .setLabel(`${page + 1}/${pageCount}`)
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(true),
+    new ButtonBuilder()
+      .setCustomId('page-next')
+      .setEmoji('▶️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === pageCount - 1),
+  );
+}
+
+/**
+ * Show one page of results with buttons to move between pages
+ * Only the person who ran the command can turn pages; the buttons are removed after a timeout
+ * @param {Message} message - Discord message that triggered the command
+ * @param {Message} thinking - Bot reply to edit with the result
+ * @param {number} pageCount - Total number of pages
+ * @param {Object} config - Rendering configuration
+ * @param {Function} config.renderPage - Creates the message options ({ embeds, files }) for a page index
+ * @param {number} [config.startPage=0] - Page to show first
+ * @param {string} config.lang - Language for replies
+ * @returns {Promise<void>}
+ */
+export async function showPages(message, thinking, pageCount, { renderPage, startPage = 0, lang }) {
+  let page = Math.min(Math.max(startPage, 0), pageCount - 1);
+
+  if (pageCount <= 1) {
+    await thinking.edit({ content: null, ...renderPage(page) });
+    return;
+  }
+
+  await thinking.edit({ content: null, ...renderPage(page), components: [buildPageRow(page, pageCount)] });
+
+  const collector = thinking.createMessageComponentCollector({
+    componentType: ComponentType.Button,
+    time: PAGE_TIMEOUT,
+  });
+
+  collector.on('collect', async (interaction) => {
+    try {
+      if (interaction.user.id !== message.author.id) {
+        await interaction.reply({ content: t(lang, 'pages.notYourCommand'), ephemeral: true });
+        return;
+      }
+
+      page += interaction.customId === 'page-next' ? 1 : -1;
+      page = Math.min(Math.max(page, 0), pageCount - 1);
+
+      await interaction.update({ ...renderPage(page), components: [buildPageRow(page, pageCount)] });
+    } catch (error) {
+      console.error('Error changing page:', error);
+    }
+  });
+
+  collector.on('end', () => {
+    thinking.edit({ components: [] }).catch(error => {
+      console.error('Error removing expired page buttons:', error.message);
+    });
+  });
+}